@@ -12,6 +12,7 @@ deterministic data so the application works fully offline.
 
 import os
 import json
+import math
 import queue
 import secrets
 import sqlite3
@@ -450,6 +451,30 @@ def list_versions(project_id):
     return jsonify({"versions": versions})
 
 
+@app.route(
+    "/api/projects/<int:project_id>/versions/<int:version_id>",
+    methods=["GET"],
+)
+def get_version(project_id, version_id):
+    """Read one version snapshot without restoring it (used for diffs)."""
+    uid = current_user_id()
+    _row, err = _load_project_for_access(project_id, uid)
+    if err:
+        return err
+    db = get_db()
+    ver = db.execute(
+        "SELECT * FROM project_versions WHERE id = ? AND project_id = ?",
+        (version_id, project_id),
+    ).fetchone()
+    if ver is None:
+        return json_error("Version not found.", 404)
+    try:
+        graph = json.loads(ver["data_json"]) if ver["data_json"] else {}
+    except (ValueError, TypeError):
+        graph = {}
+    return jsonify({"id": ver["id"], "created_at": ver["created_at"], "graph": graph})
+
+
 @app.route(
     "/api/projects/<int:project_id>/versions/<int:version_id>/restore",
     methods=["POST"],
@@ -655,6 +680,91 @@ def compute_distance_stats(adj):
     return diameter, avg_path
 
 
+def compute_biconnectivity(nodes, edges):
+    """Tarjan's articulation points, bridges and biconnected components.
+
+    Mirrors Analytics.computeBiconnectivity in static/analytics.js: the graph
+    is taken as undirected with self-loops ignored, and the DFS is iterative.
+    Returns (articulation_points, bridges, components) where
+    articulation_points maps a node id to the number of extra components its
+    removal creates, bridges is a list of edge ids and components is a list of
+    {"nodes", "edges"} blocks, largest first.
+    """
+    adj = {node_id: [] for node_id in nodes.keys()}
+    edge_ends = {}
+    for idx, edge in enumerate(edges):
+        if not isinstance(edge, dict):
+            continue
+        src = edge.get("source")
+        tgt = edge.get("target")
+        if src not in adj or tgt not in adj or src == tgt:
+            continue
+        edge_id = edge.get("id") or f"e{idx}"
+        edge_ends[edge_id] = (src, tgt)
+        adj[src].append((tgt, edge_id))
+        adj[tgt].append((src, edge_id))
+
+    disc = {}
+    low = {}
+    time = 0
+    articulation = {}
+    bridges = []
+    block_edges = []
+    edge_stack = []
+    for root in adj.keys():
+        if root in disc:
+            continue
+        disc[root] = low[root] = time
+        time += 1
+        root_children = 0
+        # Frames: [node, tree edge in, next neighbour index, edge_stack mark]
+        stack = [[root, None, 0, 0]]
+        while stack:
+            frame = stack[-1]
+            u = frame[0]
+            if frame[2] < len(adj[u]):
+                nxt, edge_id = adj[u][frame[2]]
+                frame[2] += 1
+                if edge_id == frame[1]:
+                    continue
+                if nxt not in disc:
+                    disc[nxt] = low[nxt] = time
+                    time += 1
+                    edge_stack.append(edge_id)
+                    stack.append([nxt, edge_id, 0, len(edge_stack) - 1])
+                elif disc[nxt] < disc[u]:
+                    low[u] = min(low[u], disc[nxt])
+                    edge_stack.append(edge_id)
+                continue
+            stack.pop()
+            if not stack:
+                break
+            parent = stack[-1][0]
+            low[parent] = min(low[parent], low[u])
+            if low[u] >= disc[parent]:
+                block_edges.append(edge_stack[frame[3]:])
+                del edge_stack[frame[3]:]
+                if parent == root:
+                    root_children += 1
+                else:
+                    articulation[parent] = articulation.get(parent, 0) + 1
+                if low[u] > disc[parent]:
+                    bridges.append(frame[1])
+        if root_children > 1:
+            articulation[root] = root_children - 1
+
+    components = []
+    for block in block_edges:
+        members = []
+        for edge_id in block:
+            for end in edge_ends[edge_id]:
+                if end not in members:
+                    members.append(end)
+        components.append({"nodes": members, "edges": block})
+    components.sort(key=lambda b: (len(b["nodes"]), len(b["edges"])), reverse=True)
+    return articulation, bridges, components
+
+
 def compute_stats(graph):
     nodes = graph.get("nodes") or {}
     edges = graph.get("edges") or []
@@ -675,6 +785,7 @@ def compute_stats(graph):
     possible = node_count * (node_count - 1) / 2 if node_count > 1 else 0
     density = round(edge_count / possible, 4) if possible else 0
     diameter, avg_path = compute_distance_stats(adj)
+    articulation, bridges, blocks = compute_biconnectivity(nodes, edges)
     return {
         "nodeCount": node_count,
         "edgeCount": edge_count,
@@ -686,6 +797,9 @@ def compute_stats(graph):
         "density": density,
         "diameter": diameter,
         "avgPathLength": avg_path,
+        "articulationPoints": len(articulation),
+        "bridges": len(bridges),
+        "biconnectedComponents": len(blocks),
     }
 
 
@@ -896,6 +1010,160 @@ def compute_pagerank(adj, damping=0.85, iterations=100, tol=1.0e-6):
     return rank
 
 
+# Spectral and distance measures below mirror static/analytics.js step for
+# step (same iteration and summation order) so client and server agree. They
+# run over the weighted, directed adjacency: a link u -> v of weight w, both
+# ways for undirected edges.
+POWER_ITERATIONS = 200
+POWER_TOLERANCE = 1.0e-9  # per node, summed absolute change
+
+
+def _scale_to_unit_length(values):
+    sq = 0.0
+    for v in values:
+        sq += v * v
+    norm = math.sqrt(sq) or 1.0
+    return [v / norm for v in values]
+
+
+def _scale_to_unit_sum(values):
+    total = 0.0
+    for v in values:
+        total += v
+    return [v / total for v in values] if total > 0 else values
+
+
+def _change(a, b):
+    diff = 0.0
+    for x, y in zip(a, b):
+        diff += abs(x - y)
+    return diff
+
+
+def _indexed_links(adj):
+    ids = list(adj.keys())
+    index = {node_id: i for i, node_id in enumerate(ids)}
+    return ids, [[(index[nxt], weight) for nxt, weight, _e in adj[node_id]] for node_id in ids]
+
+
+def compute_eigenvector(links):
+    """Eigenvector centrality from incoming links (power iteration on x + A^T x)."""
+    n = len(links)
+    x = [1.0 / n] * n
+    for _ in range(POWER_ITERATIONS):
+        nxt = list(x)
+        for u, out in enumerate(links):
+            for v, w in out:
+                nxt[v] += w * x[u]
+        scaled = _scale_to_unit_length(nxt)
+        diff = _change(scaled, x)
+        x = scaled
+        if diff < n * POWER_TOLERANCE:
+            break
+    return x
+
+
+def compute_katz(links):
+    """Katz centrality x = alpha A^T x + 1 with alpha = min(0.1, 0.9 / max in-strength)."""
+    n = len(links)
+    in_strength = [0.0] * n
+    for out in links:
+        for v, w in out:
+            in_strength[v] += w
+    alpha = min(0.1, 0.9 / max([1e-12] + in_strength))
+    x = [0.0] * n
+    for _ in range(POWER_ITERATIONS):
+        nxt = [1.0] * n
+        for u, out in enumerate(links):
+            for v, w in out:
+                nxt[v] += alpha * w * x[u]
+        diff = _change(nxt, x)
+        x = nxt
+        if diff < n * POWER_TOLERANCE:
+            break
+    return _scale_to_unit_length(x)
+
+
+def compute_hits(links):
+    """HITS hub and authority scores, each scaled to sum 1."""
+    n = len(links)
+    hub = [1.0 / n] * n
+    authority = [0.0] * n
+    for _ in range(POWER_ITERATIONS):
+        auth = [0.0] * n
+        for u, out in enumerate(links):
+            for v, w in out:
+                auth[v] += w * hub[u]
+        authority = _scale_to_unit_sum(auth)
+        nxt = [0.0] * n
+        for u, out in enumerate(links):
+            for v, w in out:
+                nxt[u] += w * authority[v]
+        scaled = _scale_to_unit_sum(nxt)
+        diff = _change(scaled, hub)
+        hub = scaled
+        if diff < n * POWER_TOLERANCE:
+            break
+    return hub, authority
+
+
+def compute_harmonic(links):
+    """Mean of 1 / distance to every other node along outgoing links, edge
+    weights as lengths (unreachable nodes add 0)."""
+    n = len(links)
+    scores = []
+    for source in range(n):
+        dist = [float("inf")] * n
+        done = [False] * n
+        dist[source] = 0.0
+        heap = [(0.0, source)]
+        while heap:
+            d, u = heappop(heap)
+            if done[u]:
+                continue
+            done[u] = True
+            for v, w in links[u]:
+                if d + w < dist[v]:
+                    dist[v] = d + w
+                    heappush(heap, (dist[v], v))
+        total = 0.0
+        for target, d in enumerate(dist):
+            if target != source and d < float("inf"):
+                total += 1.0 / d
+        scores.append(total / (n - 1) if n > 1 else 0.0)
+    return scores
+
+
+def compute_core_numbers(nodes, edges):
+    """k-core number of each node on the undirected simple graph."""
+    neighbours = {node_id: set() for node_id in nodes.keys()}
+    for edge in edges:
+        if not isinstance(edge, dict):
+            continue
+        src = edge.get("source")
+        tgt = edge.get("target")
+        if src in neighbours and tgt in neighbours and src != tgt:
+            neighbours[src].add(tgt)
+            neighbours[tgt].add(src)
+    degree = {node_id: len(nb) for node_id, nb in neighbours.items()}
+    max_degree = max(degree.values(), default=0)
+    buckets = [set() for _ in range(max_degree + 1)]
+    for node_id, d in degree.items():
+        buckets[d].add(node_id)
+    core = {}
+    for k in range(max_degree + 1):
+        while buckets[k]:
+            u = buckets[k].pop()
+            core[u] = k
+            for v in neighbours[u]:
+                if v in core or degree[v] <= k:
+                    continue
+                buckets[degree[v]].discard(v)
+                degree[v] -= 1
+                buckets[degree[v]].add(v)
+    return core
+
+
 def detect_communities(adj, iterations=20):
     """Synchronous-ish label propagation community detection.
 
@@ -934,6 +1202,217 @@ def detect_communities(adj, iterations=20):
     return communities
 
 
+# ---------------------------------------------------------------------------
+# Modularity-based communities (Louvain / Leiden). Mirrors
+# Analytics.detectCommunities in static/analytics.js step for step, down to
+# the seeded RNG, so the same graph and seed give the same communities on
+# either side of the client/server threshold.
+# ---------------------------------------------------------------------------
+
+COMMUNITY_METHODS = ("louvain", "leiden", "label")
+
+
+def mulberry32(seed):
+    """Seeded PRNG returning floats in [0, 1) (same sequence as the client)."""
+    state = [int(seed) & 0xFFFFFFFF]
+
+    def imul(a, b):
+        return (a * b) & 0xFFFFFFFF
+
+    def next_float():
+        state[0] = (state[0] + 0x6D2B79F5) & 0xFFFFFFFF
+        t = state[0]
+        t = imul(t ^ (t >> 15), t | 1)
+        t ^= (t + imul(t ^ (t >> 7), t | 61)) & 0xFFFFFFFF
+        return ((t ^ (t >> 14)) & 0xFFFFFFFF) / 4294967296.0
+
+    return next_float
+
+
+def _shuffled(items, rng):
+    out = list(items)
+    for i in range(len(out) - 1, 0, -1):
+        j = int(rng() * (i + 1))
+        out[i], out[j] = out[j], out[i]
+    return out
+
+
+def _edge_weight(edge, weighted):
+    if not weighted:
+        return 1.0
+    raw = edge.get("weight") or edge.get("width") or 1
+    try:
+        return max(float(raw), 0.0001)
+    except (TypeError, ValueError):
+        return 1.0
+
+
+def _degrees(neighbours, loops):
+    return [2 * loops[i] + sum(nb.values()) for i, nb in enumerate(neighbours)]
+
+
+def _modularity_graph(nodes, edges, weighted=True):
+    """Undirected graph over indices: merged neighbour weights, self-loops
+    and degrees (a self-loop counts twice)."""
+    ids = list(nodes.keys())
+    index = {node_id: i for i, node_id in enumerate(ids)}
+    neighbours = [dict() for _ in ids]
+    loops = [0.0] * len(ids)
+    for edge in edges:
+        if not isinstance(edge, dict):
+            continue
+        u = index.get(edge.get("source"))
+        v = index.get(edge.get("target"))
+        if u is None or v is None:
+            continue
+        w = _edge_weight(edge, weighted)
+        if u == v:
+            loops[u] += w
+            continue
+        neighbours[u][v] = neighbours[u].get(v, 0.0) + w
+        neighbours[v][u] = neighbours[v].get(u, 0.0) + w
+    return ids, neighbours, loops, _degrees(neighbours, loops)
+
+
+def _move_nodes(neighbours, degree, comm, resolution, m2, rng):
+    n = len(neighbours)
+    tot = [0.0] * n
+    for i in range(n):
+        tot[comm[i]] += degree[i]
+    order = _shuffled(range(n), rng)
+    moved = True
+    while moved:
+        moved = False
+        for i in order:
+            own, k = comm[i], degree[i]
+            links = {}
+            for j, w in neighbours[i].items():
+                links[comm[j]] = links.get(comm[j], 0.0) + w
+            tot[own] -= k
+            best = own
+            best_gain = links.get(own, 0.0) - resolution * tot[own] * k / m2
+            for c, w in links.items():
+                gain = w - resolution * tot[c] * k / m2
+                if gain > best_gain + 1e-12:
+                    best_gain, best = gain, c
+            tot[best] += k
+            if best != own:
+                comm[i] = best
+                moved = True
+
+
+def _refine_partition(neighbours, degree, comm, resolution, m2, rng):
+    """Leiden refinement: merge singletons only within their community."""
+    n = len(neighbours)
+    refined = list(range(n))
+    sub_tot = list(degree)
+    size = [1] * n
+    for i in _shuffled(range(n), rng):
+        if size[refined[i]] != 1:
+            continue
+        k = degree[i]
+        links = {}
+        for j, w in neighbours[i].items():
+            if comm[j] == comm[i]:
+                links[refined[j]] = links.get(refined[j], 0.0) + w
+        best, best_gain = refined[i], 0.0
+        for r, w in links.items():
+            if r == refined[i]:
+                continue
+            gain = w - resolution * sub_tot[r] * k / m2
+            if gain > best_gain + 1e-12:
+                best_gain, best = gain, r
+        if best == refined[i]:
+            continue
+        sub_tot[refined[i]] -= k
+        size[refined[i]] -= 1
+        refined[i] = best
+        sub_tot[best] += k
+        size[best] += 1
+    return refined
+
+
+def _aggregate(neighbours, loops, group_of):
+    remap = {}
+    index = []
+    for c in group_of:
+        if c not in remap:
+            remap[c] = len(remap)
+        index.append(remap[c])
+    agg_neighbours = [dict() for _ in range(len(remap))]
+    agg_loops = [0.0] * len(remap)
+    for i, nb in enumerate(neighbours):
+        a = index[i]
+        agg_loops[a] += loops[i]
+        for j, w in nb.items():
+            b = index[j]
+            if a == b:
+                agg_loops[a] += w / 2.0  # each internal edge is seen from both ends
+            else:
+                agg_neighbours[a][b] = agg_neighbours[a].get(b, 0.0) + w
+    return agg_neighbours, agg_loops, index
+
+
+def compute_modularity(nodes, edges, communities, resolution=1.0, weighted=True):
+    """Newman-Girvan modularity Q with resolution gamma (edges undirected)."""
+    ids, neighbours, loops, degree = _modularity_graph(nodes, edges, weighted)
+    m2 = sum(degree)
+    if not m2:
+        return 0.0
+    inside, tot = {}, {}
+    for i, node_id in enumerate(ids):
+        c = communities.get(node_id)
+        tot[c] = tot.get(c, 0.0) + degree[i]
+        internal = 2 * loops[i]
+        for j, w in neighbours[i].items():
+            if communities.get(ids[j]) == c:
+                internal += w
+        inside[c] = inside.get(c, 0.0) + internal
+    return sum(inside.get(c, 0.0) / m2 - resolution * (t / m2) ** 2 for c, t in tot.items())
+
+
+def detect_communities_modularity(nodes, edges, method="louvain", resolution=1.0, seed=1, weighted=True):
+    """Louvain or Leiden community detection.
+
+    Returns (communities, modularity) with communities numbered by size,
+    largest first.
+    """
+    rng = mulberry32(seed)
+    ids, neighbours, loops, degree = _modularity_graph(nodes, edges, weighted)
+    m2 = sum(degree) or 1.0
+    membership = list(range(len(ids)))
+    comm = list(range(len(ids)))
+    for _level in range(32):
+        _move_nodes(neighbours, degree, comm, resolution, m2, rng)
+        groups = _refine_partition(neighbours, degree, comm, resolution, m2, rng) if method == "leiden" else comm
+        agg_neighbours, agg_loops, index = _aggregate(neighbours, loops, groups)
+        if len(agg_neighbours) == len(neighbours):
+            break
+        # Louvain restarts from singletons; Leiden keeps the unrefined
+        # communities as the next level's starting partition.
+        next_comm = [0] * len(agg_neighbours)
+        labels = {}
+        for i, agg in enumerate(index):
+            if method == "leiden":
+                next_comm[agg] = labels.setdefault(comm[i], len(labels))
+            else:
+                next_comm[agg] = agg
+        membership = [index[v] for v in membership]
+        neighbours, loops = agg_neighbours, agg_loops
+        degree = _degrees(neighbours, loops)
+        comm = next_comm
+
+    labels = [comm[membership[i]] for i in range(len(ids))]
+    counts = {}
+    for lbl in labels:
+        counts[lbl] = counts.get(lbl, 0) + 1
+    # Stable sort keeps first-seen order among equal sizes, like the client.
+    order = sorted(counts.keys(), key=lambda lbl: -counts[lbl])
+    rank = {lbl: i for i, lbl in enumerate(order)}
+    communities = {node_id: rank[labels[i]] for i, node_id in enumerate(ids)}
+    return communities, compute_modularity(nodes, edges, communities, resolution, weighted)
+
+
 @app.route("/api/centrality", methods=["POST"])
 def api_centrality():
     payload = request.get_json(silent=True)
@@ -978,10 +1457,51 @@ def api_centrality():
     # server/client threshold.
     betweenness = {n: b / 2.0 for n, b in betweenness.items()}
     pagerank = compute_pagerank(directed_adj)
-    communities = detect_communities(undirected_adj)
+    eigenvector = katz = hub = authority = harmonic = []
+    if node_ids:
+        _ids, links = _indexed_links(directed_adj)
+        eigenvector = compute_eigenvector(links)
+        katz = compute_katz(links)
+        hub, authority = compute_hits(links)
+        harmonic = compute_harmonic(links)
+    core = compute_core_numbers(nodes, edges)
+
+    # Community options: {"method": "louvain"|"leiden"|"label", "resolution", "seed"}.
+    options = payload.get("communities")
+    if not isinstance(options, dict):
+        options = {}
+    method = options.get("method") if options.get("method") in COMMUNITY_METHODS else "louvain"
+    try:
+        resolution = float(options.get("resolution", 1.0))
+    except (TypeError, ValueError):
+        resolution = 1.0
+    if not resolution > 0 or resolution == float("inf"):
+        resolution = 1.0
+    try:
+        seed = int(options.get("seed", 1))
+    except (TypeError, ValueError):
+        seed = 1
+    if method == "label":
+        communities = detect_communities(undirected_adj)
+        modularity = compute_modularity(nodes, edges, communities, resolution)
+    else:
+        communities, modularity = detect_communities_modularity(
+            nodes, edges, method=method, resolution=resolution, seed=seed
+        )
+
+    articulation, bridges, _blocks = compute_biconnectivity(nodes, edges)
+    bridge_count = {n: 0 for n in node_ids}
+    edge_ends = {}
+    for idx, edge in enumerate(edges):
+        if isinstance(edge, dict):
+            edge_ends[edge.get("id") or f"e{idx}"] = (edge.get("source"), edge.get("target"))
+    for edge_id in bridges:
+        for end in edge_ends.get(edge_id, ()):
+            if end in bridge_count:
+                bridge_count[end] += 1
 
     metrics = {}
-    for n in node_ids:
+    for i, n in enumerate(node_ids):
         total_degree = in_degree[n] + out_degree[n]
         metrics[n] = {
             "degree": total_degree,
@@ -992,9 +1512,22 @@ def api_centrality():
             "closeness": round(_closeness_for_node(undirected_unweighted, n), 6),
             "betweenness": round(betweenness.get(n, 0.0), 6),
             "pagerank": round(pagerank.get(n, 0.0), 6),
+            "eigenvector": round(eigenvector[i], 6),
+            "katz": round(katz[i], 6),
+            "hub": round(hub[i], 6),
+            "authority": round(authority[i], 6),
+            "harmonic": round(harmonic[i], 6),
+            "kcore": core[n],
+            "articulation": articulation.get(n, 0),
+            "bridges": bridge_count[n],
         }
 
-    return jsonify({"metrics": metrics, "communities": communities})
+    return jsonify({
+        "metrics": metrics,
+        "communities": communities,
+        "modularity": round(modularity, 6),
+        "communityMethod": method,
+    })
 
 
 # ============================================================================
@@ -1044,9 +1577,9 @@ def transform_to_emails(entity, params):
         domain = val
         locals_ = ["info", "admin", "contact", "support"]
     else:
-        # Person/other: derive a slug and a synthetic domain.
+        # Person/other: derive a slug and a synthetic (or caller-chosen) domain.
         slug = "".join(c for c in val.lower() if c.isalnum()) or "user"
-        domain = "example.com"
+        domain = params.get("domain") or "example.com"
         locals_ = [slug, f"{slug}.work", f"{slug}1"]
     count = 2 + (_seed_int(val, "emailcount") % 2)  # 2 or 3
     entities = []
@@ -1057,27 +1590,32 @@ def transform_to_emails(entity, params):
 
 
 def transform_to_subdomains(entity, params):
-    """domain -> 3 synthetic subdomains."""
+    """domain -> `count` (default 3) synthetic subdomains."""
     val = entity.get("value", "")
     prefixes = ["www", "mail", "api", "dev", "vpn", "shop"]
     start = _seed_int(val, "substart") % len(prefixes)
     entities = []
-    for i in range(3):
+    for i in range(min(params.get("count", 3), len(prefixes))):
         prefix = prefixes[(start + i) % len(prefixes)]
         entities.append(_entity("domain", f"{prefix}.{val}", {"parent": val}))
     return {"entities": entities, "links": [_link("subdomain_of") for _ in entities]}
 
 
+PORT_PROFILES = {
+    "common": [(22, "ssh"), (80, "http"), (443, "https")],
+    "web": [(80, "http"), (443, "https"), (8080, "http-alt"), (8443, "https-alt")],
+    "extended": [
+        (21, "ftp"), (22, "ssh"), (25, "smtp"), (80, "http"),
+        (443, "https"), (3306, "mysql"), (3389, "rdp"),
+    ],
+}
+
+
 def transform_to_ports(entity, params):
-    """ipv4 -> common open ports."""
+    """ipv4 -> open ports from the chosen profile (default: common)."""
     val = entity.get("value", "")
-    common = [
-        (22, "ssh"),
-        (80, "http"),
-        (443, "https"),
-    ]
     entities = []
-    for port, service in common:
+    for port, service in PORT_PROFILES[params.get("profile", "common")]:
         entities.append(
             _entity("port", str(port), {"service": service, "host": val})
         )
@@ -1101,6 +1639,8 @@ def transform_whois(entity, params):
         _entity("phone", phone, {"role": "registrant", "domain": val}),
     ]
     links = [_link("registrant"), _link("registrant_phone")]
+    if not params.get("include_phone", True):
+        entities, links = entities[:1], links[:1]
     return {"entities": entities, "links": links}
 
 
@@ -1152,12 +1692,12 @@ def transform_geolocate(entity, params):
 
 
 def transform_to_url(entity, params):
-    """domain -> 2 synthetic URLs served by that domain."""
+    """domain -> `count` (default 2) synthetic URLs served by that domain."""
     val = entity.get("value", "")
     paths = ["", "/login", "/about", "/api", "/admin", "/blog"]
     start = _seed_int(val, "urlstart") % len(paths)
     entities = []
-    for i in range(2):
+    for i in range(min(params.get("count", 2), len(paths))):
         path = paths[(start + i) % len(paths)]
         entities.append(_entity("url", f"https://{val}{path}", {"host": val}))
     return {"entities": entities, "links": [_link("hosts_url") for _ in entities]}
@@ -1178,7 +1718,8 @@ def transform_person_to_social(entity, params):
     return {"entities": entities, "links": [_link("has_profile") for _ in entities]}
 
 
-# Registry: id -> metadata + runner. input_types declares applicable entity types.
+# Registry: id -> metadata + runner. input_types declares applicable entity types;
+# params (optional) declares typed parameters — see _resolve_transform_params.
 TRANSFORMS = {
     "to_ip": {
         "name": "Resolve to IP",
@@ -1190,24 +1731,37 @@ TRANSFORMS = {
         "name": "Find Emails",
         "description": "Discover synthetic email addresses for a domain or person.",
         "input_types": ["domain", "person"],
+        "params": [
+            {"name": "domain", "label": "Domain for person addresses", "type": "string", "default": "example.com"},
+        ],
         "run": transform_to_emails,
     },
     "to_subdomains": {
         "name": "Enumerate Subdomains",
         "description": "Enumerate synthetic subdomains of a domain.",
         "input_types": ["domain"],
+        "params": [
+            {"name": "count", "label": "Subdomains", "type": "number", "default": 3, "min": 1, "max": 6, "integer": True},
+        ],
         "run": transform_to_subdomains,
     },
     "to_ports": {
         "name": "Scan Common Ports",
         "description": "List commonly open ports for an IPv4 host.",
         "input_types": ["ipv4"],
+        "params": [
+            {"name": "profile", "label": "Port profile", "type": "enum", "default": "common",
+             "options": list(PORT_PROFILES)},
+        ],
         "run": transform_to_ports,
     },
     "whois": {
         "name": "WHOIS Lookup",
         "description": "Return a synthetic registrant person and phone for a domain.",
         "input_types": ["domain"],
+        "params": [
+            {"name": "include_phone", "label": "Include registrant phone", "type": "boolean", "default": True},
+        ],
         "run": transform_whois,
     },
     "reverse_ip": {
@@ -1232,6 +1786,9 @@ TRANSFORMS = {
         "name": "Domain → URLs",
         "description": "Enumerate synthetic URLs hosted on a domain.",
         "input_types": ["domain"],
+        "params": [
+            {"name": "count", "label": "URLs", "type": "number", "default": 2, "min": 1, "max": 6, "integer": True},
+        ],
         "run": transform_to_url,
     },
     "person_to_social": {
@@ -1244,6 +1801,55 @@ TRANSFORMS = {
 
 TRANSFORM_DEFAULT_LIMIT = 12
 TRANSFORM_MAX_LIMIT = 50
+TRANSFORM_PARAM_MAX_LENGTH = 200
+
+
+def _resolve_transform_params(specs, raw):
+    """Validate request params against a transform's declared specs.
+
+    Returns {name: value} with every declared param present: missing values
+    take the default, numbers are clamped to min/max (and rounded when
+    ``integer``), strings are trimmed. Raises ValueError naming the param
+    for values that cannot be coerced (non-numeric number, unknown enum
+    option, non-boolean boolean). Undeclared params are left to the caller.
+    """
+    values = {}
+    for spec in specs:
+        name, ptype = spec["name"], spec["type"]
+        value = raw.get(name)
+        if value is None or value == "":
+            values[name] = spec["default"]
+            continue
+        if ptype == "number":
+            if isinstance(value, bool):
+                raise ValueError("Parameter '%s' must be a number." % name)
+            try:
+                value = float(value)
+            except (TypeError, ValueError):
+                raise ValueError("Parameter '%s' must be a number." % name)
+            if spec.get("min") is not None:
+                value = max(spec["min"], value)
+            if spec.get("max") is not None:
+                value = min(spec["max"], value)
+            values[name] = int(round(value)) if spec.get("integer") else value
+        elif ptype == "boolean":
+            if isinstance(value, bool):
+                values[name] = value
+            elif str(value).lower() in ("true", "1", "yes", "on"):
+                values[name] = True
+            elif str(value).lower() in ("false", "0", "no", "off"):
+                values[name] = False
+            else:
+                raise ValueError("Parameter '%s' must be true or false." % name)
+        elif ptype == "enum":
+            if value not in spec["options"]:
+                raise ValueError(
+                    "Parameter '%s' must be one of: %s." % (name, ", ".join(spec["options"]))
+                )
+            values[name] = value
+        else:
+            values[name] = str(value).strip()[:TRANSFORM_PARAM_MAX_LENGTH] or spec["default"]
+    return values
 
 
 @app.route("/api/transforms", methods=["GET"])
@@ -1254,6 +1860,7 @@ def api_list_transforms():
             "name": meta["name"],
             "inputTypes": meta["input_types"],
             "description": meta["description"],
+            "params": meta.get("params", []),
         }
         for tid, meta in TRANSFORMS.items()
     ]
@@ -1269,6 +1876,8 @@ def api_run_transform():
     transform_id = payload.get("transformId")
     entity = payload.get("entity")
     params = payload.get("params") or {}
+    if not isinstance(params, dict):
+        return json_error("params must be an object.", 400)
 
     meta = TRANSFORMS.get(transform_id)
     if meta is None:
@@ -1292,7 +1901,12 @@ def api_run_transform():
     limit = max(1, min(limit, TRANSFORM_MAX_LIMIT))
 
     try:
-        result = meta["run"](entity, params)
+        resolved = _resolve_transform_params(meta.get("params", []), params)
+    except ValueError as exc:
+        return json_error(str(exc), 400)
+
+    try:
+        result = meta["run"](entity, resolved)
     except Exception as exc:  # noqa: BLE001 - return controlled error to client
         return json_error("Transform failed: %s" % exc, 500)
 
@@ -0,0 +1,1447 @@
+// analytics.js
+// Pure, DOM-free graph analytics shared by the editor and the background
+// worker. Every function takes the graph explicitly ({ nodes, edges }).
+// Exposes the Analytics namespace (module.exports under Node for tests).
+
+(function (global) {
+
+    // Reports fractional progress (0..1) to options.onProgress, if given.
+    function progressReporter(options = {}) {
+        return typeof options.onProgress === "function" ? options.onProgress : () => {};
+    }
+
+    // ------------------------
+    // Adjacency
+    // ------------------------
+
+    function buildAdjacency(graph, { directed = true, weighted = false } = {}) {
+        const { nodes, edges } = graph;
+        const adj = {};
+        Object.keys(nodes).forEach(id => { adj[id] = []; });
+
+        edges.forEach(edge => {
+            if (!nodes[edge.source] || !nodes[edge.target]) return;
+            const weight = weighted ? Math.max(0.0001, Number(edge.weight || edge.width || 1)) : 1;
+            const entry = { to: edge.target, id: edge.id, weight };
+            adj[edge.source].push(entry);
+            if (!directed || !edge.directed) {
+                adj[edge.target].push({ to: edge.source, id: edge.id, weight });
+            }
+        });
+
+        return adj;
+    }
+
+    // Plain undirected neighbour lists (id -> [id...]), no self-loops or
+    // duplicate neighbours.
+    function undirectedAdjacency(graph) {
+        const { nodes, edges } = graph;
+        const adj = {};
+        Object.keys(nodes).forEach(id => { adj[id] = new Set(); });
+        edges.forEach(e => {
+            if (!nodes[e.source] || !nodes[e.target] || e.source === e.target) return;
+            adj[e.source].add(e.target);
+            adj[e.target].add(e.source);
+        });
+        const out = {};
+        Object.keys(adj).forEach(id => { out[id] = [...adj[id]]; });
+        return out;
+    }
+
+    // ------------------------
+    // Summary statistics
+    // ------------------------
+
+    // Number of connected components over a prebuilt undirected adjacency.
+    function computeConnectedComponents(adj) {
+        const visited = new Set();
+        let components = 0;
+
+        Object.keys(adj).forEach(start => {
+            if (visited.has(start)) return;
+            components += 1;
+            const stack = [start];
+            visited.add(start);
+            while (stack.length) {
+                const node = stack.pop();
+                adj[node].forEach(next => {
+                    if (!visited.has(next.to)) {
+                        visited.add(next.to);
+                        stack.push(next.to);
+                    }
+                });
+            }
+        });
+
+        return components;
+    }
+
+    // Diameter and average shortest-path length over the largest component using
+    // unweighted BFS from every node. Capped for responsiveness; returns nulls when
+    // the graph is trivial or too large (matching the server's compute_distance_stats).
+    const MAX_DISTANCE_STATS_NODES = 1500;
+    function computeDistanceStats(adj, options = {}) {
+        const report = progressReporter(options);
+        const ids = Object.keys(adj);
+        if (ids.length < 2 || ids.length > MAX_DISTANCE_STATS_NODES) return { diameter: null, avgPathLength: null };
+
+        // Largest connected component so unreachable pairs don't distort averages.
+        const seen = new Set();
+        let largest = [];
+        ids.forEach(start => {
+            if (seen.has(start)) return;
+            const comp = [];
+            const stack = [start];
+            seen.add(start);
+            while (stack.length) {
+                const node = stack.pop();
+                comp.push(node);
+                adj[node].forEach(n => { if (!seen.has(n.to)) { seen.add(n.to); stack.push(n.to); } });
+            }
+            if (comp.length > largest.length) largest = comp;
+        });
+        if (largest.length < 2) return { diameter: null, avgPathLength: null };
+
+        const compSet = new Set(largest);
+        let diameter = 0, total = 0, pairs = 0;
+        largest.forEach((source, i) => {
+            const dist = { [source]: 0 };
+            const queue = [source];
+            let head = 0;
+            while (head < queue.length) {
+                const node = queue[head++];
+                const d = dist[node];
+                adj[node].forEach(n => {
+                    if (compSet.has(n.to) && dist[n.to] === undefined) {
+                        dist[n.to] = d + 1;
+                        queue.push(n.to);
+                    }
+                });
+            }
+            Object.keys(dist).forEach(target => {
+                if (target === source) return;
+                const d = dist[target];
+                if (d > diameter) diameter = d;
+                total += d;
+                pairs += 1;
+            });
+            report((i + 1) / largest.length);
+        });
+        return { diameter, avgPathLength: pairs ? Number((total / pairs).toFixed(3)) : null };
+    }
+
+    function computeGraphStats(graph, options = {}) {
+        const { nodes, edges } = graph;
+        const nodeCount = Object.keys(nodes).length;
+        const edgeCount = edges.length;
+        const adj = buildAdjacency(graph, { directed: false, weighted: false });
+        let maxDegree = 0;
+        let isolated = 0;
+        Object.keys(adj).forEach(id => {
+            const deg = adj[id].length;
+            if (deg === 0) isolated += 1;
+            maxDegree = Math.max(maxDegree, deg);
+        });
+
+        const selfLoops = edges.reduce((acc, e) => acc + (e.source === e.target ? 1 : 0), 0);
+        const possible = nodeCount > 1 ? nodeCount * (nodeCount - 1) / 2 : 0;
+        const density = possible ? Number((edgeCount / possible).toFixed(4)) : 0;
+        const { diameter, avgPathLength } = computeDistanceStats(adj, options);
+        const blocks = computeBiconnectivity(graph);
+
+        return {
+            nodeCount,
+            edgeCount,
+            components: computeConnectedComponents(adj),
+            averageDegree: nodeCount ? (edgeCount * 2 / nodeCount).toFixed(2) : "0.00",
+            maxDegree,
+            isolated,
+            selfLoops,
+            density,
+            diameter,
+            avgPathLength,
+            articulationPoints: Object.keys(blocks.articulationPoints).length,
+            bridges: blocks.bridges.length,
+            biconnectedComponents: blocks.components.length
+        };
+    }
+
+    // Tarjan's biconnectivity over the undirected graph (self-loops ignored,
+    // parallel edges respected), iterative so deep chains can't overflow the
+    // stack. Returns
+    //   articulationPoints: { id: extra components its removal creates }
+    //   bridges: [edge id]
+    //   components: [{ nodes, edges }] biconnected blocks, largest first
+    //     (a bridge is a block of its own; isolated nodes are in none).
+    function computeBiconnectivity(graph) {
+        const { nodes, edges } = graph;
+        const ids = Object.keys(nodes);
+        const adj = {};
+        const edgeById = {};
+        ids.forEach(id => { adj[id] = []; });
+        edges.forEach(e => {
+            if (!nodes[e.source] || !nodes[e.target] || e.source === e.target) return;
+            edgeById[e.id] = e;
+            adj[e.source].push({ to: e.target, id: e.id });
+            adj[e.target].push({ to: e.source, id: e.id });
+        });
+
+        const disc = {}, low = {};
+        let time = 0;
+        const articulationPoints = {};
+        const bridges = [];
+        const blockEdges = [];
+        const edgeStack = [];
+        ids.forEach(root => {
+            if (disc[root] !== undefined) return;
+            disc[root] = low[root] = time++;
+            let rootChildren = 0;
+            // Each frame remembers the tree edge it came in by and where that
+            // edge sits on edgeStack.
+            const stack = [{ node: root, via: null, next: 0, mark: 0 }];
+            while (stack.length) {
+                const frame = stack[stack.length - 1];
+                const u = frame.node;
+                if (frame.next < adj[u].length) {
+                    const { to, id } = adj[u][frame.next++];
+                    if (id === frame.via) continue;
+                    if (disc[to] === undefined) {
+                        disc[to] = low[to] = time++;
+                        edgeStack.push(id);
+                        stack.push({ node: to, via: id, next: 0, mark: edgeStack.length - 1 });
+                    } else if (disc[to] < disc[u]) {
+                        low[u] = Math.min(low[u], disc[to]);
+                        edgeStack.push(id);
+                    }
+                    continue;
+                }
+                stack.pop();
+                if (!stack.length) break;
+                const parent = stack[stack.length - 1].node;
+                low[parent] = Math.min(low[parent], low[u]);
+                if (low[u] >= disc[parent]) {
+                    // Nothing below u reaches above parent: u's subtree closes a block.
+                    blockEdges.push(edgeStack.splice(frame.mark));
+                    if (parent === root) rootChildren++;
+                    else articulationPoints[parent] = (articulationPoints[parent] || 0) + 1;
+                    if (low[u] > disc[parent]) bridges.push(frame.via);
+                }
+            }
+            if (rootChildren > 1) articulationPoints[root] = rootChildren - 1;
+        });
+
+        const components = blockEdges.map(list => {
+            const members = new Set();
+            list.forEach(id => { members.add(edgeById[id].source); members.add(edgeById[id].target); });
+            return { nodes: [...members], edges: list };
+        });
+        components.sort((a, b) => b.nodes.length - a.nodes.length || b.edges.length - a.edges.length);
+        return { articulationPoints, bridges, components };
+    }
+
+    // Directed structure: strongly connected components (Tarjan), concrete
+    // cycles, topological order and the SCC condensation, following edge
+    // direction as buildAdjacency does (an undirected edge links both ways,
+    // so its ends share an SCC, but it is never a cycle on its own).
+    // options: { maxCycles = 50 }. Returns
+    //   components: [[id]] SCCs in topological order of the condensation
+    //   componentOf: { id: index into components }
+    //   cycles: [{ nodes, edges }] one per DFS back edge (edges[i] leaves
+    //     nodes[i]; the last edge returns to nodes[0]), at most maxCycles
+    //   cycleCount: back edges found, i.e. independent cycles seen
+    //   topologicalOrder: [id] or null when the graph has a directed cycle
+    //   condensation: [{ source, target, edges }] links between SCC indices
+    function computeDirectedStructure(graph, options = {}) {
+        const maxCycles = options.maxCycles === undefined ? 50 : options.maxCycles;
+        const { nodes, edges } = graph;
+        const ids = Object.keys(nodes);
+        const adj = buildAdjacency(graph, { directed: true });
+
+        const index = {}, low = {};
+        let counter = 0;
+        const sccStack = [];
+        const onSccStack = new Set();
+        const emitted = [];
+        const cycles = [];
+        let cycleCount = 0;
+        const selfLoops = new Set();
+        // The current DFS path, for reading cycles off back edges.
+        const pathNodes = [], pathEdges = [];
+        const pathPos = {};
+        const addCycle = (from, closingEdge) => {
+            cycleCount++;
+            if (cycles.length < maxCycles) {
+                cycles.push({ nodes: pathNodes.slice(from), edges: pathEdges.slice(from + 1).concat(closingEdge) });
+            }
+        };
+        const enter = (id, via) => {
+            index[id] = low[id] = counter++;
+            sccStack.push(id);
+            onSccStack.add(id);
+            pathPos[id] = pathNodes.length;
+            pathNodes.push(id);
+            pathEdges.push(via);
+        };
+
+        ids.forEach(root => {
+            if (index[root] !== undefined) return;
+            enter(root, null);
+            const stack = [{ node: root, via: null, next: 0 }];
+            while (stack.length) {
+                const frame = stack[stack.length - 1];
+                const u = frame.node;
+                if (frame.next < adj[u].length) {
+                    const { to, id } = adj[u][frame.next++];
+                    if (to === u) {
+                        // Undirected self-loops are listed twice in adj.
+                        if (!selfLoops.has(id)) { selfLoops.add(id); addCycle(pathPos[u], id); }
+                    } else if (index[to] === undefined) {
+                        enter(to, id);
+                        stack.push({ node: to, via: id, next: 0 });
+                    } else if (onSccStack.has(to)) {
+                        low[u] = Math.min(low[u], index[to]);
+                        // Walking an undirected edge straight back isn't a cycle.
+                        if (pathPos[to] !== undefined && id !== frame.via) addCycle(pathPos[to], id);
+                    }
+                    continue;
+                }
+                stack.pop();
+                pathNodes.pop();
+                pathEdges.pop();
+                delete pathPos[u];
+                if (stack.length) {
+                    const parent = stack[stack.length - 1].node;
+                    low[parent] = Math.min(low[parent], low[u]);
+                }
+                if (low[u] === index[u]) {
+                    const component = [];
+                    let member;
+                    do {
+                        member = sccStack.pop();
+                        onSccStack.delete(member);
+                        component.push(member);
+                    } while (member !== u);
+                    emitted.push(component.reverse());
+                }
+            }
+        });
+
+        // Tarjan finishes sinks first.
+        const components = emitted.reverse();
+        const componentOf = {};
+        components.forEach((members, i) => members.forEach(id => { componentOf[id] = i; }));
+        const links = {};
+        const condensation = [];
+        ids.forEach(u => adj[u].forEach(({ to, id }) => {
+            const a = componentOf[u], b = componentOf[to];
+            if (a === b) return;
+            const key = a + "|" + b;
+            if (!links[key]) condensation.push(links[key] = { source: a, target: b, edges: [] });
+            if (!links[key].edges.includes(id)) links[key].edges.push(id);
+        }));
+        const acyclic = !selfLoops.size && components.every(c => c.length === 1);
+        return {
+            components,
+            componentOf,
+            cycles,
+            cycleCount,
+            topologicalOrder: acyclic ? components.map(c => c[0]) : null,
+            condensation
+        };
+    }
+
+    // ------------------------
+    // Paths
+    // ------------------------
+
+    // Minimal binary min-heap of [key, value] pairs.
+    function createMinHeap() {
+        const heap = [];
+        const up = i => {
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (heap[parent][0] <= heap[i][0]) break;
+                [heap[parent], heap[i]] = [heap[i], heap[parent]];
+                i = parent;
+            }
+        };
+        const down = i => {
+            for (;;) {
+                const l = 2 * i + 1, r = l + 1;
+                let m = i;
+                if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+                if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+                if (m === i) return;
+                [heap[m], heap[i]] = [heap[i], heap[m]];
+                i = m;
+            }
+        };
+        return {
+            get size() { return heap.length; },
+            push(key, value) { heap.push([key, value]); up(heap.length - 1); },
+            pop() {
+                const top = heap[0];
+                const last = heap.pop();
+                if (heap.length) { heap[0] = last; down(0); }
+                return top;
+            }
+        };
+    }
+
+    // Dijkstra over a buildAdjacency() adjacency, skipping banned node and
+    // edge ids. Returns { nodes, edges, cost } or null.
+    function dijkstra(adj, start, goal, { bannedNodes = new Set(), bannedEdges = new Set() } = {}) {
+        if (!adj[start] || !adj[goal] || bannedNodes.has(start)) return null;
+        const dist = { [start]: 0 };
+        const prev = {};
+        const done = new Set();
+        const heap = createMinHeap();
+        heap.push(0, start);
+        while (heap.size) {
+            const [d, u] = heap.pop();
+            if (done.has(u)) continue;
+            done.add(u);
+            if (u === goal) break;
+            adj[u].forEach(({ to, id, weight }) => {
+                if (bannedNodes.has(to) || bannedEdges.has(id) || done.has(to)) return;
+                const alt = d + weight;
+                if (dist[to] === undefined || alt < dist[to]) {
+                    dist[to] = alt;
+                    prev[to] = { node: u, edgeId: id };
+                    heap.push(alt, to);
+                }
+            });
+        }
+        if (!done.has(goal)) return null;
+        const nodePath = [goal], edgePath = [];
+        for (let cur = goal; prev[cur]; cur = prev[cur].node) {
+            edgePath.push(prev[cur].edgeId);
+            nodePath.push(prev[cur].node);
+        }
+        return { nodes: nodePath.reverse(), edges: edgePath.reverse(), cost: dist[goal] };
+    }
+
+    // Yen's k shortest loopless paths from start to goal, cheapest first.
+    // options: { k = 5, directed = true, weighted = true } (edge direction
+    // and weights as in buildAdjacency). Returns [{ nodes, edges, cost }].
+    function kShortestPaths(graph, start, goal, options = {}) {
+        const k = Math.max(1, Math.floor(options.k || 5));
+        const adj = buildAdjacency(graph, { directed: options.directed !== false, weighted: options.weighted !== false });
+        const first = dijkstra(adj, start, goal);
+        if (!first || start === goal) return first ? [first] : [];
+        const weightOf = {};
+        Object.values(adj).forEach(list => list.forEach(({ id, weight }) => { weightOf[id] = weight; }));
+        const keyOf = path => path.edges.join("\u0000");
+
+        const found = [first];
+        const seen = new Set([keyOf(first)]);
+        const candidates = [];
+        while (found.length < k) {
+            const last = found[found.length - 1];
+            for (let i = 0; i < last.nodes.length - 1; i++) {
+                const spurNode = last.nodes[i];
+                const rootNodes = last.nodes.slice(0, i + 1);
+                const rootEdges = last.edges.slice(0, i);
+                // Don't re-find any known path that shares this root.
+                const bannedEdges = new Set();
+                found.forEach(p => {
+                    if (p.edges.length > i && rootEdges.every((id, j) => p.edges[j] === id)) bannedEdges.add(p.edges[i]);
+                });
+                const bannedNodes = new Set(rootNodes.slice(0, -1));
+                const spur = dijkstra(adj, spurNode, goal, { bannedNodes, bannedEdges });
+                if (!spur) continue;
+                const path = {
+                    nodes: rootNodes.concat(spur.nodes.slice(1)),
+                    edges: rootEdges.concat(spur.edges),
+                    cost: rootEdges.reduce((acc, id) => acc + weightOf[id], 0) + spur.cost
+                };
+                const key = keyOf(path);
+                if (seen.has(key)) continue;
+                seen.add(key);
+                candidates.push(path);
+            }
+            if (!candidates.length) break;
+            // Cheapest candidate next; ties go to fewer hops.
+            candidates.sort((p, q) => p.cost - q.cost || p.edges.length - q.edges.length);
+            found.push(candidates.shift());
+        }
+        return found;
+    }
+
+    // Flow network in arc arrays: arc i and its residual partner i ^ 1.
+    function createFlowNetwork(size) {
+        const head = new Array(size).fill(-1);
+        const to = [], cap = [], next = [], tag = [];
+        const addArc = (u, v, c) => {
+            to.push(v); cap.push(c); next.push(head[u]); tag.push(null); head[u] = to.length - 1;
+        };
+        return {
+            head, to, cap, next, tag,
+            // capBack > 0 makes the arc usable both ways (undirected edge).
+            addEdge(u, v, c, capBack, label) {
+                addArc(u, v, c);
+                addArc(v, u, capBack);
+                tag[to.length - 2] = label;
+                tag[to.length - 1] = capBack > 0 ? label : null;
+            }
+        };
+    }
+
+    // Residual capacity below this counts as saturated (weights are floats).
+    const FLOW_EPSILON = 1e-9;
+
+    // Edmonds–Karp: augments along BFS paths by their bottleneck, returns the
+    // flow value and the per-arc flow (flow[i] = -flow[i ^ 1]).
+    function maxFlow(net, source, sink) {
+        const flow = new Array(net.to.length).fill(0);
+        let total = 0;
+        for (;;) {
+            const via = new Array(net.head.length).fill(-1);
+            const queue = [source];
+            via[source] = -2;
+            for (let h = 0; h < queue.length && via[sink] === -1; h++) {
+                const u = queue[h];
+                for (let a = net.head[u]; a !== -1; a = net.next[a]) {
+                    const v = net.to[a];
+                    if (via[v] === -1 && net.cap[a] - flow[a] > FLOW_EPSILON) { via[v] = a; queue.push(v); }
+                }
+            }
+            if (via[sink] === -1) return { total, flow };
+            let bottleneck = Infinity;
+            for (let v = sink; v !== source; v = net.to[via[v] ^ 1]) bottleneck = Math.min(bottleneck, net.cap[via[v]] - flow[via[v]]);
+            for (let v = sink; v !== source; v = net.to[via[v] ^ 1]) {
+                flow[via[v]] += bottleneck;
+                flow[via[v] ^ 1] -= bottleneck;
+            }
+            total += bottleneck;
+        }
+    }
+
+    // Nodes still reachable from source in the residual network of a maximum
+    // flow: the source side of a minimum cut.
+    function residualReachable(net, flow, source) {
+        const seen = new Array(net.head.length).fill(false);
+        const queue = [source];
+        seen[source] = true;
+        for (let h = 0; h < queue.length; h++) {
+            for (let a = net.head[queue[h]]; a !== -1; a = net.next[a]) {
+                const v = net.to[a];
+                if (!seen[v] && net.cap[a] - flow[a] > FLOW_EPSILON) { seen[v] = true; queue.push(v); }
+            }
+        }
+        return seen;
+    }
+
+    // Splits a unit flow into source -> sink paths of arc tags (edge ids),
+    // mapping network nodes back to graph nodes with nodeOf.
+    function decomposeFlow(net, flow, source, sink, nodeOf) {
+        const paths = [];
+        for (;;) {
+            const arcs = [];
+            const stack = [source];
+            const depth = new Map([[source, 0]]);
+            for (let u = source; u !== sink;) {
+                let a = net.head[u];
+                while (a !== -1 && !(flow[a] > 0)) a = net.next[a];
+                if (a === -1) return paths;
+                flow[a] -= 1;
+                flow[a ^ 1] += 1;
+                u = net.to[a];
+                if (depth.has(u)) {
+                    // The walk closed a cycle: its flow is spent, drop it.
+                    const at = depth.get(u);
+                    stack.splice(at + 1).forEach(n => depth.delete(n));
+                    arcs.length = at;
+                } else {
+                    depth.set(u, stack.length);
+                    stack.push(u);
+                    arcs.push(a);
+                }
+            }
+            const edgeIds = arcs.map(a => net.tag[a]).filter(id => id != null);
+            const nodeIds = [nodeOf(source)];
+            arcs.forEach(a => {
+                const n = nodeOf(net.to[a]);
+                if (n !== nodeIds[nodeIds.length - 1]) nodeIds.push(n);
+            });
+            paths.push({ nodes: nodeIds, edges: edgeIds });
+        }
+    }
+
+    // How many edge-disjoint and internally node-disjoint paths join start
+    // and goal (Menger: the max flow with unit capacities), with one such
+    // set of paths each. options: { directed = true }.
+    function disjointPaths(graph, start, goal, options = {}) {
+        const { nodes, edges } = graph;
+        const empty = { count: 0, paths: [] };
+        if (!nodes[start] || !nodes[goal] || start === goal) return { edgeDisjoint: empty, nodeDisjoint: empty };
+        const directed = options.directed !== false;
+        const ids = Object.keys(nodes);
+        const index = {};
+        ids.forEach((id, i) => { index[id] = i; });
+        const usable = edges.filter(e => nodes[e.source] && nodes[e.target] && e.source !== e.target);
+        const twoWay = e => !directed || !e.directed;
+
+        const edgeNet = createFlowNetwork(ids.length);
+        usable.forEach(e => edgeNet.addEdge(index[e.source], index[e.target], 1, twoWay(e) ? 1 : 0, e.id));
+        const edgeFlow = maxFlow(edgeNet, index[start], index[goal]);
+
+        // Node splitting: v_in = 2i, v_out = 2i + 1, one unit through each
+        // intermediate node.
+        const nodeNet = createFlowNetwork(ids.length * 2);
+        ids.forEach((id, i) => nodeNet.addEdge(2 * i, 2 * i + 1, id === start || id === goal ? usable.length : 1, 0, null));
+        usable.forEach(e => {
+            const u = index[e.source], v = index[e.target];
+            nodeNet.addEdge(2 * u + 1, 2 * v, 1, 0, e.id);
+            if (twoWay(e)) nodeNet.addEdge(2 * v + 1, 2 * u, 1, 0, e.id);
+        });
+        const source = 2 * index[start] + 1, sink = 2 * index[goal];
+        const nodeFlow = maxFlow(nodeNet, source, sink);
+
+        return {
+            edgeDisjoint: {
+                count: edgeFlow.total,
+                paths: decomposeFlow(edgeNet, edgeFlow.flow, index[start], index[goal], i => ids[i])
+            },
+            nodeDisjoint: {
+                count: nodeFlow.total,
+                paths: decomposeFlow(nodeNet, nodeFlow.flow, source, sink, i => ids[i >> 1])
+            }
+        };
+    }
+
+    // Minimum cuts separating start from goal (max-flow / min-cut).
+    // edgeCut: edges of least total capacity whose removal disconnects them,
+    // capacities being edge weights when options.weighted (default) and 1
+    // otherwise. vertexCut: fewest intermediate nodes to remove, or null when
+    // start and goal are adjacent (no set of other nodes separates them).
+    // options: { directed = true, weighted = true } as in buildAdjacency.
+    function minCut(graph, start, goal, options = {}) {
+        const { nodes } = graph;
+        if (!nodes[start] || !nodes[goal] || start === goal) return null;
+        const adj = buildAdjacency(graph, { directed: options.directed !== false, weighted: options.weighted !== false });
+        const ids = Object.keys(nodes);
+        const index = {};
+        ids.forEach((id, i) => { index[id] = i; });
+
+        const edgeNet = createFlowNetwork(ids.length);
+        const weightOf = {};
+        ids.forEach(u => adj[u].forEach(({ to, id, weight }) => {
+            weightOf[id] = weight;
+            if (to !== u) edgeNet.addEdge(index[u], index[to], weight, 0, id);
+        }));
+        const edgeFlow = maxFlow(edgeNet, index[start], index[goal]);
+        const sourceSide = residualReachable(edgeNet, edgeFlow.flow, index[start]);
+        const cutEdges = new Set();
+        for (let a = 0; a < edgeNet.to.length; a += 2) {
+            if (sourceSide[edgeNet.to[a ^ 1]] && !sourceSide[edgeNet.to[a]]) cutEdges.add(edgeNet.tag[a]);
+        }
+        const edgeCut = {
+            value: Number(edgeFlow.total.toFixed(6)),
+            edges: [...cutEdges]
+        };
+
+        if (adj[start].some(({ to }) => to === goal)) return { edgeCut, vertexCut: null };
+        // Node splitting as in disjointPaths: v_in = 2i, v_out = 2i + 1 with
+        // capacity 1 between them, edges and the endpoints uncuttable.
+        const nodeNet = createFlowNetwork(ids.length * 2);
+        ids.forEach((id, i) => nodeNet.addEdge(2 * i, 2 * i + 1, id === start || id === goal ? Infinity : 1, 0, id));
+        ids.forEach(u => adj[u].forEach(({ to, id }) => {
+            if (to !== u) nodeNet.addEdge(2 * index[u] + 1, 2 * index[to], Infinity, 0, id);
+        }));
+        const nodeFlow = maxFlow(nodeNet, 2 * index[start] + 1, 2 * index[goal]);
+        const reach = residualReachable(nodeNet, nodeFlow.flow, 2 * index[start] + 1);
+        return {
+            edgeCut,
+            vertexCut: {
+                size: nodeFlow.total,
+                nodes: ids.filter((id, i) => reach[2 * i] && !reach[2 * i + 1])
+            }
+        };
+    }
+
+    // ------------------------
+    // Link prediction
+    // ------------------------
+
+    const LINK_PREDICTION_METHODS = ["commonNeighbors", "jaccard", "adamicAdar", "resourceAllocation"];
+
+    // Scores unlinked pairs that share at least one neighbour (undirected,
+    // self-loops and parallel edges ignored) and returns the best `limit`
+    // by options.method, ties broken by common neighbours then ids:
+    //   [{ source, target, score, common: [id], scores: { commonNeighbors,
+    //      jaccard, adamicAdar, resourceAllocation } }]
+    // options: { method = "adamicAdar", limit = 20, exclude: Set of
+    // "a|b" pair keys (a < b) to skip }.
+    function predictLinks(graph, options = {}) {
+        const method = LINK_PREDICTION_METHODS.includes(options.method) ? options.method : "adamicAdar";
+        const limit = options.limit === undefined ? 20 : options.limit;
+        const exclude = options.exclude || new Set();
+        const adj = undirectedAdjacency(graph);
+        const neighbours = {};
+        Object.keys(adj).forEach(id => { neighbours[id] = new Set(adj[id]); });
+
+        // Walk every node's neighbour pairs: each such pair shares that node.
+        const pairs = new Map();
+        Object.keys(adj).forEach(w => {
+            const around = adj[w];
+            const degree = around.length;
+            if (degree < 2) return;
+            for (let i = 0; i < degree; i++) {
+                for (let j = i + 1; j < degree; j++) {
+                    const [a, b] = around[i] < around[j] ? [around[i], around[j]] : [around[j], around[i]];
+                    if (neighbours[a].has(b)) continue;
+                    const key = a + "|" + b;
+                    if (exclude.has(key)) continue;
+                    let pair = pairs.get(key);
+                    if (!pair) pairs.set(key, pair = { source: a, target: b, common: [], adamicAdar: 0, resourceAllocation: 0 });
+                    pair.common.push(w);
+                    pair.adamicAdar += 1 / Math.log(degree);
+                    pair.resourceAllocation += 1 / degree;
+                }
+            }
+        });
+
+        const ranked = [...pairs.values()].map(p => {
+            const union = neighbours[p.source].size + neighbours[p.target].size - p.common.length;
+            const scores = {
+                commonNeighbors: p.common.length,
+                jaccard: p.common.length / union,
+                adamicAdar: p.adamicAdar,
+                resourceAllocation: p.resourceAllocation
+            };
+            return { source: p.source, target: p.target, score: scores[method], common: p.common, scores };
+        });
+        ranked.sort((p, q) => q.score - p.score ||
+            q.common.length - p.common.length ||
+            (p.source + "|" + p.target < q.source + "|" + q.target ? -1 : 1));
+        return ranked.slice(0, limit);
+    }
+
+    // ------------------------
+    // Duplicate entities
+    // ------------------------
+
+    // Name similarity carries this share of a duplicate's score, shared
+    // neighbours the rest.
+    const DUPLICATE_NAME_WEIGHT = 0.8;
+    // Trigrams held by more entities than this (".com", "the") are too common
+    // to suggest a match on their own and are left out of the candidate index.
+    const MAX_TRIGRAM_POSTINGS = 500;
+
+    function trigramsOf(text) {
+        const padded = "  " + text + " ";
+        const grams = new Set();
+        for (let i = 0; i + 3 <= padded.length; i++) grams.add(padded.slice(i, i + 3));
+        return grams;
+    }
+
+    // Scores pairs of same-type entities that may be one real-world thing:
+    //   score = 0.8 · name + 0.2 · neighbours
+    // where name is 1 for equal normalized values and otherwise the Dice
+    // coefficient of their character trigrams, and neighbours is the Jaccard
+    // overlap of their (undirected) neighbourhoods. Meta-nodes and entities
+    // without a value or label are skipped. Returns the best `limit` pairs
+    // scoring at least `threshold`:
+    //   [{ a, b, score, name, neighbours, exact, shared: [id] }]
+    // options: { threshold = 0.6, limit = 100, exclude: Set of "a|b" pair keys
+    // (a < b), normalize(typeId, value) -> string (default: trimmed lowercase) }.
+    function findDuplicates(graph, options = {}) {
+        const threshold = options.threshold === undefined ? 0.6 : options.threshold;
+        const limit = options.limit === undefined ? 100 : options.limit;
+        const exclude = options.exclude || new Set();
+        const normalize = options.normalize || ((type, value) => String(value).trim().toLowerCase());
+        const adj = undirectedAdjacency(graph);
+        const neighbours = {};
+        Object.keys(adj).forEach(id => { neighbours[id] = new Set(adj[id]); });
+
+        // Bucket entities by type, with their normalized text and trigrams.
+        const byType = {};
+        Object.values(graph.nodes).forEach(n => {
+            if (!n || n.meta) return;
+            const raw = n.value || n.label;
+            if (raw == null || raw === "") return;
+            const type = n.entityType || "generic";
+            const text = normalize(type, raw);
+            if (!text) return;
+            (byType[type] = byType[type] || []).push({ id: n.id, text, grams: trigramsOf(text) });
+        });
+
+        const found = [];
+        const consider = (p, q, name) => {
+            const [a, b] = p.id < q.id ? [p.id, q.id] : [q.id, p.id];
+            if (exclude.has(a + "|" + b)) return;
+            const na = neighbours[a] || new Set(), nb = neighbours[b] || new Set();
+            const shared = [...na].filter(id => id !== b && nb.has(id));
+            const union = new Set([...na, ...nb]);
+            union.delete(a);
+            union.delete(b);
+            const overlap = union.size ? shared.length / union.size : 0;
+            const score = DUPLICATE_NAME_WEIGHT * name + (1 - DUPLICATE_NAME_WEIGHT) * overlap;
+            if (score >= threshold) found.push({ a, b, score, name, neighbours: overlap, exact: name === 1, shared });
+        };
+
+        Object.values(byType).forEach(entries => {
+            const postings = new Map();
+            entries.forEach(entry => entry.grams.forEach(g => {
+                let list = postings.get(g);
+                if (!list) postings.set(g, list = []);
+                list.push(entry);
+            }));
+            const exactOf = new Map();
+            entries.forEach(entry => {
+                // Count trigrams shared with every earlier entity in one pass.
+                const counts = new Map();
+                entry.grams.forEach(g => {
+                    const list = postings.get(g);
+                    if (list.length > MAX_TRIGRAM_POSTINGS) return;
+                    for (const other of list) {
+                        if (other === entry) break;
+                        counts.set(other, (counts.get(other) || 0) + 1);
+                    }
+                });
+                const twins = exactOf.get(entry.text) || [];
+                twins.forEach(other => consider(entry, other, 1));
+                counts.forEach((count, other) => {
+                    if (other.text === entry.text) return;
+                    consider(entry, other, 2 * count / (entry.grams.size + other.grams.size));
+                });
+                twins.push(entry);
+                exactOf.set(entry.text, twins);
+            });
+        });
+
+        found.sort((p, q) => q.score - p.score || (p.a + "|" + p.b < q.a + "|" + q.b ? -1 : 1));
+        return found.slice(0, limit);
+    }
+
+    // ------------------------
+    // Graph diff
+    // ------------------------
+
+    // Node positions and the bookkeeping that layout and analytics runs
+    // rewrite (metrics, communities, meta-node state), which would drown out
+    // real changes. Style and placement edits (width, layer, box, an edge's
+    // bend points and ports, ...) are real changes and are reported.
+    const DIFF_IGNORED_FIELDS = new Set([
+        "x", "y", "pinned", "metrics", "community", "meta", "provenance", "aggregate"
+    ]);
+
+    // null and a missing field (e.g. `box` of an unboxed node) count as equal.
+    function sameValue(a, b) {
+        return a === b || (a == null && b == null) || JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    // [{ key, before, after }] for the fields that differ; `properties` is
+    // compared key by key as "properties.<key>".
+    function diffFields(before, after) {
+        const fields = [];
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        keys.forEach(key => {
+            if (DIFF_IGNORED_FIELDS.has(key)) return;
+            if (key === "properties") {
+                const pb = before.properties || {}, pa = after.properties || {};
+                new Set([...Object.keys(pb), ...Object.keys(pa)]).forEach(k => {
+                    if (!sameValue(pb[k], pa[k])) fields.push({ key: "properties." + k, before: pb[k], after: pa[k] });
+                });
+            } else if (!sameValue(before[key], after[key])) {
+                fields.push({ key, before: before[key], after: after[key] });
+            }
+        });
+        return fields;
+    }
+
+    // Compares two graphs by node and edge id. Returns one entry per
+    // difference, nodes first, then ordered by id:
+    //   [{ kind: "node" | "edge", id, change: "added" | "removed" | "changed",
+    //      fields: [{ key, before, after }] }]
+    // "added" is only in `after`, "removed" only in `before`; fields is
+    // empty for those. Positions and other DIFF_IGNORED_FIELDS are ignored.
+    function diffGraphs(before, after) {
+        const changes = [];
+        const compare = (kind, older, newer) => {
+            const ids = [...new Set([...Object.keys(older), ...Object.keys(newer)])].sort();
+            ids.forEach(id => {
+                if (!newer[id]) changes.push({ kind, id, change: "removed", fields: [] });
+                else if (!older[id]) changes.push({ kind, id, change: "added", fields: [] });
+                else {
+                    const fields = diffFields(older[id], newer[id]);
+                    if (fields.length) changes.push({ kind, id, change: "changed", fields });
+                }
+            });
+        };
+        const byId = list => {
+            const out = {};
+            (list || []).forEach(e => { if (e && e.id != null) out[e.id] = e; });
+            return out;
+        };
+        compare("node", before.nodes || {}, after.nodes || {});
+        compare("edge", byId(before.edges), byId(after.edges));
+        return changes;
+    }
+
+    // ------------------------
+    // Community detection
+    // ------------------------
+
+    // mulberry32: small seeded PRNG so community detection is repeatable
+    // (node_mapper.py carries the same generator). Returns floats in [0, 1).
+    function createRng(seed = 1) {
+        let state = (Number(seed) >>> 0) || 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function shuffled(items, rng) {
+        const out = items.slice();
+        for (let i = out.length - 1; i > 0; i--) {
+            const j = Math.floor(rng() * (i + 1));
+            [out[i], out[j]] = [out[j], out[i]];
+        }
+        return out;
+    }
+
+    // Undirected weighted graph over indices 0..n-1 for modularity work:
+    // neighbours[i] is a Map(j -> summed weight) without self-loops, loops[i]
+    // the self-loop weight and degree[i] = Σ w(i,j) + 2·loops[i].
+    function modularityGraph(graph, weighted) {
+        const ids = Object.keys(graph.nodes);
+        const index = {};
+        ids.forEach((id, i) => { index[id] = i; });
+        const neighbours = ids.map(() => new Map());
+        const loops = new Float64Array(ids.length);
+        graph.edges.forEach(e => {
+            const u = index[e.source], v = index[e.target];
+            if (u === undefined || v === undefined) return;
+            const w = weighted ? Math.max(0.0001, Number(e.weight || e.width || 1)) : 1;
+            if (u === v) { loops[u] += w; return; }
+            neighbours[u].set(v, (neighbours[u].get(v) || 0) + w);
+            neighbours[v].set(u, (neighbours[v].get(u) || 0) + w);
+        });
+        return { ids, neighbours, loops, degree: degreesOf(neighbours, loops) };
+    }
+
+    function degreesOf(neighbours, loops) {
+        return Float64Array.from(neighbours, (nb, i) => {
+            let k = 2 * loops[i];
+            nb.forEach(w => { k += w; });
+            return k;
+        });
+    }
+
+    // Moves single nodes to the neighbouring community with the best
+    // modularity gain (in random order) until no move helps. `comm` is
+    // updated in place; returns whether anything moved.
+    function moveNodes(g, comm, resolution, m2, rng) {
+        const n = g.neighbours.length;
+        const tot = new Float64Array(n);
+        for (let i = 0; i < n; i++) tot[comm[i]] += g.degree[i];
+        const order = shuffled([...Array(n).keys()], rng);
+        let movedAny = false, moved = true;
+        while (moved) {
+            moved = false;
+            order.forEach(i => {
+                const own = comm[i], k = g.degree[i];
+                const links = new Map();
+                g.neighbours[i].forEach((w, j) => { links.set(comm[j], (links.get(comm[j]) || 0) + w); });
+                tot[own] -= k;
+                let best = own;
+                let bestGain = (links.get(own) || 0) - resolution * tot[own] * k / m2;
+                links.forEach((w, c) => {
+                    const gain = w - resolution * tot[c] * k / m2;
+                    if (gain > bestGain + 1e-12) { bestGain = gain; best = c; }
+                });
+                tot[best] += k;
+                if (best !== own) { comm[i] = best; moved = true; movedAny = true; }
+            });
+        }
+        return movedAny;
+    }
+
+    // Leiden refinement: split every community into sub-communities grown by
+    // merging singleton nodes with the best positive gain, but only with
+    // neighbours in the same community, so aggregated nodes are always
+    // internally connected (Louvain's known flaw).
+    function refinePartition(g, comm, resolution, m2, rng) {
+        const n = g.neighbours.length;
+        const refined = Int32Array.from({ length: n }, (_, i) => i);
+        const subTot = Float64Array.from(g.degree);
+        const size = new Int32Array(n).fill(1);
+        shuffled([...Array(n).keys()], rng).forEach(i => {
+            if (size[refined[i]] !== 1) return;
+            const k = g.degree[i];
+            const links = new Map();
+            g.neighbours[i].forEach((w, j) => {
+                if (comm[j] === comm[i]) links.set(refined[j], (links.get(refined[j]) || 0) + w);
+            });
+            let best = refined[i], bestGain = 0;
+            links.forEach((w, r) => {
+                if (r === refined[i]) return;
+                const gain = w - resolution * subTot[r] * k / m2;
+                if (gain > bestGain + 1e-12) { bestGain = gain; best = r; }
+            });
+            if (best === refined[i]) return;
+            subTot[refined[i]] -= k; size[refined[i]] -= 1;
+            refined[i] = best;
+            subTot[best] += k; size[best] += 1;
+        });
+        return refined;
+    }
+
+    // Collapses each group of `groupOf` into one node (internal weight
+    // becomes a self-loop). Returns the aggregate graph and old -> new index.
+    function aggregate(g, groupOf) {
+        const remap = new Map();
+        const index = Int32Array.from(groupOf, c => {
+            if (!remap.has(c)) remap.set(c, remap.size);
+            return remap.get(c);
+        });
+        const neighbours = [...Array(remap.size)].map(() => new Map());
+        const loops = new Float64Array(remap.size);
+        g.neighbours.forEach((nb, i) => {
+            const a = index[i];
+            loops[a] += g.loops[i];
+            nb.forEach((w, j) => {
+                const b = index[j];
+                if (a === b) loops[a] += w / 2;  // each internal edge is seen from both ends
+                else neighbours[a].set(b, (neighbours[a].get(b) || 0) + w);
+            });
+        });
+        return { graph: { neighbours, loops, degree: degreesOf(neighbours, loops) }, index };
+    }
+
+    // Renumbers communities 0..k-1 by size (largest first, ties by first
+    // node) so colors stay put across runs.
+    function renumberBySize(ids, labelOf) {
+        const counts = new Map();
+        ids.forEach(id => counts.set(labelOf[id], (counts.get(labelOf[id]) || 0) + 1));
+        const order = [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a));
+        const rank = new Map(order.map((label, i) => [label, i]));
+        const out = {};
+        ids.forEach(id => { out[id] = rank.get(labelOf[id]); });
+        return out;
+    }
+
+    // Newman–Girvan modularity Q of a partition ({ nodeId: community }) with
+    // resolution γ: Σ_c [ in_c / 2m − γ (tot_c / 2m)² ]. Edges count as
+    // undirected.
+    function computeModularity(graph, communities, { resolution = 1, weighted = true } = {}) {
+        const g = modularityGraph(graph, weighted);
+        const m2 = g.degree.reduce((acc, k) => acc + k, 0);
+        if (!m2) return 0;
+        const inside = new Map(), tot = new Map();
+        g.ids.forEach((id, i) => {
+            const c = communities[id];
+            tot.set(c, (tot.get(c) || 0) + g.degree[i]);
+            let internal = 2 * g.loops[i];
+            g.neighbours[i].forEach((w, j) => { if (communities[g.ids[j]] === c) internal += w; });
+            inside.set(c, (inside.get(c) || 0) + internal);
+        });
+        let q = 0;
+        tot.forEach((t, c) => { q += (inside.get(c) || 0) / m2 - resolution * (t / m2) * (t / m2); });
+        return q;
+    }
+
+    // Label propagation (the original, fast but order-dependent clustering).
+    function labelPropagation(graph) {
+        const ids = Object.keys(graph.nodes);
+        const adj = undirectedAdjacency(graph);
+        const label = {}; ids.forEach((id, i) => { label[id] = i; });
+        for (let iter = 0; iter < 20; iter++) {
+            let changed = false;
+            ids.forEach(id => {
+                const counts = {};
+                adj[id].forEach(nb => { counts[label[nb]] = (counts[label[nb]] || 0) + 1; });
+                let best = label[id], bestCount = -1;
+                Object.keys(counts).forEach(l => { if (counts[l] > bestCount) { bestCount = counts[l]; best = parseInt(l, 10); } });
+                if (best !== label[id] && bestCount > 0) { label[id] = best; changed = true; }
+            });
+            if (!changed) break;
+        }
+        // renumber communities to 0..k in order of first appearance
+        const remap = {}; let next = 0;
+        const communities = {};
+        ids.forEach(id => {
+            if (remap[label[id]] === undefined) remap[label[id]] = next++;
+            communities[id] = remap[label[id]];
+        });
+        return communities;
+    }
+
+    const COMMUNITY_METHODS = ["louvain", "leiden", "label"];
+
+    // Modularity-optimizing community detection.
+    // options: { method: "louvain" | "leiden" | "label", resolution (γ, higher
+    // → smaller communities), seed, weighted, onProgress }
+    // Returns { communities: { nodeId: index }, count, modularity, method,
+    // resolution, seed }. Same graph + seed → same result.
+    function detectCommunities(graph, options = {}) {
+        const report = progressReporter(options);
+        const method = COMMUNITY_METHODS.includes(options.method) ? options.method : "louvain";
+        const resolution = Number.isFinite(Number(options.resolution)) && Number(options.resolution) > 0 ? Number(options.resolution) : 1;
+        const seed = Number.isFinite(Number(options.seed)) ? Number(options.seed) : 1;
+        const weighted = options.weighted !== false;
+        const ids = Object.keys(graph.nodes);
+        let communities;
+
+        if (method === "label") {
+            communities = labelPropagation(graph);
+        } else {
+            const rng = createRng(seed);
+            let g = modularityGraph(graph, weighted);
+            const m2 = g.degree.reduce((acc, k) => acc + k, 0) || 1;
+            // membership: original node -> node of the current level's graph
+            let membership = Int32Array.from(ids.keys());
+            let comm = Int32Array.from(ids.keys());
+            for (let level = 0; level < 32; level++) {
+                moveNodes(g, comm, resolution, m2, rng);
+                const groups = method === "leiden" ? refinePartition(g, comm, resolution, m2, rng) : comm;
+                const { graph: next, index } = aggregate(g, groups);
+                if (next.neighbours.length === g.neighbours.length) break;
+                // Louvain starts the next level from singletons; Leiden keeps
+                // the unrefined communities as the starting partition.
+                const nextComm = new Int32Array(next.neighbours.length);
+                const labels = new Map();
+                for (let i = 0; i < index.length; i++) {
+                    if (method !== "leiden") { nextComm[index[i]] = index[i]; continue; }
+                    if (!labels.has(comm[i])) labels.set(comm[i], labels.size);
+                    nextComm[index[i]] = labels.get(comm[i]);
+                }
+                membership = membership.map(v => index[v]);
+                g = next;
+                comm = nextComm;
+                report(1 - Math.pow(0.5, level + 1));
+            }
+            const labelOf = {};
+            ids.forEach((id, i) => { labelOf[id] = comm[membership[i]]; });
+            communities = renumberBySize(ids, labelOf);
+        }
+
+        report(1);
+        return {
+            communities,
+            count: new Set(Object.values(communities)).size,
+            modularity: computeModularity(graph, communities, { resolution, weighted }),
+            method,
+            resolution,
+            seed
+        };
+    }
+
+    // Per-community size and internal / external (boundary) edge counts,
+    // largest community first.
+    function communitySummary(graph, communities) {
+        const rows = {};
+        const row = c => (rows[c] = rows[c] || { community: c, size: 0, internal: 0, external: 0 });
+        Object.keys(graph.nodes).forEach(id => { if (communities[id] != null) row(communities[id]).size += 1; });
+        graph.edges.forEach(e => {
+            const a = communities[e.source], b = communities[e.target];
+            if (a == null || b == null || !graph.nodes[e.source] || !graph.nodes[e.target]) return;
+            if (a === b) { row(a).internal += 1; return; }
+            row(a).external += 1;
+            row(b).external += 1;
+        });
+        return Object.values(rows).sort((p, q) => q.size - p.size || p.community - q.community);
+    }
+
+    // ------------------------
+    // Centrality & communities
+    // ------------------------
+
+    // Spectral and distance measures over buildAdjacency(graph, { directed:
+    // true, weighted: true }): a link u -> v (both ways for undirected edges)
+    // of weight w. node_mapper.py implements each one the same way, with the
+    // same iteration and summation order, so both sides agree.
+    const POWER_ITERATIONS = 200;
+    const POWER_TOLERANCE = 1e-9;  // per node, summed absolute change
+
+    function scaleToUnitLength(values) {
+        let sq = 0;
+        values.forEach(v => { sq += v * v; });
+        const norm = Math.sqrt(sq) || 1;
+        return values.map(v => v / norm);
+    }
+
+    function scaleToUnitSum(values) {
+        let sum = 0;
+        values.forEach(v => { sum += v; });
+        return sum > 0 ? values.map(v => v / sum) : values;
+    }
+
+    // Sum of |a[i] - b[i]|.
+    function change(a, b) {
+        let diff = 0;
+        a.forEach((v, i) => { diff += Math.abs(v - b[i]); });
+        return diff;
+    }
+
+    // Adjacency as parallel index/weight lists for the iterations below.
+    function indexedLinks(graph) {
+        const adj = buildAdjacency(graph, { directed: true, weighted: true });
+        const ids = Object.keys(graph.nodes);
+        const index = {};
+        ids.forEach((id, i) => { index[id] = i; });
+        return { ids, links: ids.map(id => adj[id].map(({ to, weight }) => [index[to], weight])) };
+    }
+
+    // Eigenvector centrality from incoming links: power iteration on
+    // x + Aᵀx (the shift keeps bipartite graphs from oscillating), unit length.
+    function eigenvectorCentrality(ids, links) {
+        const n = ids.length;
+        let x = ids.map(() => 1 / n);
+        for (let iter = 0; iter < POWER_ITERATIONS; iter++) {
+            const next = x.slice();
+            links.forEach((out, u) => out.forEach(([v, w]) => { next[v] += w * x[u]; }));
+            const scaled = scaleToUnitLength(next);
+            const diff = change(scaled, x);
+            x = scaled;
+            if (diff < n * POWER_TOLERANCE) break;
+        }
+        return x;
+    }
+
+    // Katz centrality x = αAᵀx + 1, unit length. α is 0.1, lowered below the
+    // reciprocal of the largest in-strength (an upper bound on the spectral
+    // radius) so the series always converges.
+    function katzCentrality(ids, links) {
+        const n = ids.length;
+        const inStrength = ids.map(() => 0);
+        links.forEach(out => out.forEach(([v, w]) => { inStrength[v] += w; }));
+        const alpha = Math.min(0.1, 0.9 / inStrength.reduce((m, v) => Math.max(m, v), 1e-12));
+        let x = ids.map(() => 0);
+        for (let iter = 0; iter < POWER_ITERATIONS; iter++) {
+            const next = ids.map(() => 1);
+            links.forEach((out, u) => out.forEach(([v, w]) => { next[v] += alpha * w * x[u]; }));
+            const diff = change(next, x);
+            x = next;
+            if (diff < n * POWER_TOLERANCE) break;
+        }
+        return scaleToUnitLength(x);
+    }
+
+    // HITS: authorities are pointed to by good hubs, hubs point to good
+    // authorities. Both scaled to sum 1.
+    function hitsCentrality(ids, links) {
+        const n = ids.length;
+        let hub = ids.map(() => 1 / n);
+        let authority = ids.map(() => 0);
+        for (let iter = 0; iter < POWER_ITERATIONS; iter++) {
+            const auth = ids.map(() => 0);
+            links.forEach((out, u) => out.forEach(([v, w]) => { auth[v] += w * hub[u]; }));
+            authority = scaleToUnitSum(auth);
+            const next = ids.map(() => 0);
+            links.forEach((out, u) => out.forEach(([v, w]) => { next[u] += w * authority[v]; }));
+            const scaled = scaleToUnitSum(next);
+            const diff = change(scaled, hub);
+            hub = scaled;
+            if (diff < n * POWER_TOLERANCE) break;
+        }
+        return { hub, authority };
+    }
+
+    // Harmonic closeness: mean of 1 / distance to every other node along
+    // outgoing links, edge weights as lengths (unreachable nodes add 0).
+    function harmonicCentrality(ids, links, report) {
+        const n = ids.length;
+        return ids.map((_, s) => {
+            const dist = new Array(n).fill(Infinity);
+            const done = new Array(n).fill(false);
+            const heap = createMinHeap();
+            dist[s] = 0;
+            heap.push(0, s);
+            while (heap.size) {
+                const [d, u] = heap.pop();
+                if (done[u]) continue;
+                done[u] = true;
+                links[u].forEach(([v, w]) => {
+                    if (d + w < dist[v]) { dist[v] = d + w; heap.push(dist[v], v); }
+                });
+            }
+            let sum = 0;
+            dist.forEach((d, t) => { if (t !== s && d < Infinity) sum += 1 / d; });
+            report(s);
+            return n > 1 ? sum / (n - 1) : 0;
+        });
+    }
+
+    // k-core number of every node (Batagelj–Zaversnik peeling) on the
+    // undirected simple graph: the largest k such that the node survives
+    // repeatedly deleting nodes of degree < k.
+    function coreNumbers(graph) {
+        const adj = undirectedAdjacency(graph);
+        const ids = Object.keys(adj);
+        const degree = {};
+        let maxDegree = 0;
+        ids.forEach(id => { degree[id] = adj[id].length; maxDegree = Math.max(maxDegree, degree[id]); });
+        const buckets = Array.from({ length: maxDegree + 1 }, () => new Set());
+        ids.forEach(id => buckets[degree[id]].add(id));
+        const core = {};
+        for (let k = 0; k <= maxDegree; k++) {
+            while (buckets[k].size) {
+                const u = buckets[k].values().next().value;
+                buckets[k].delete(u);
+                core[u] = k;
+                adj[u].forEach(v => {
+                    if (v in core || degree[v] <= k) return;
+                    buckets[degree[v]].delete(v);
+                    degree[v] -= 1;
+                    buckets[degree[v]].add(v);
+                });
+            }
+        }
+        return core;
+    }
+
+    // Degree, Brandes betweenness, closeness, PageRank, eigenvector, Katz,
+    // HITS, harmonic closeness, k-core, cut metrics and communities
+    // (options.communities is passed to detectCommunities). Progress is
+    // reported per betweenness and harmonic source, which dominate the cost.
+    function computeCentrality(graph, options = {}) {
+        const { nodes, edges } = graph;
+        const report = progressReporter(options);
+        const ids = Object.keys(nodes);
+        const metrics = {};
+        ids.forEach(id => {
+            metrics[id] = {
+                degree: 0, inDegree: 0, outDegree: 0, betweenness: 0, closeness: 0, pagerank: 0,
+                eigenvector: 0, katz: 0, hub: 0, authority: 0, harmonic: 0, kcore: 0, articulation: 0, bridges: 0
+            };
+        });
+        // degrees
+        edges.forEach(e => {
+            if (!metrics[e.source] || !metrics[e.target]) return;
+            metrics[e.source].outDegree++; metrics[e.source].degree++;
+            metrics[e.target].inDegree++; metrics[e.target].degree++;
+        });
+        const adj = undirectedAdjacency(graph);
+        // Brandes betweenness + BFS closeness (unweighted, undirected)
+        ids.forEach((s, index) => {
+            const stack = [];
+            const pred = {}; const sigma = {}; const dist = {};
+            ids.forEach(t => { pred[t] = []; sigma[t] = 0; dist[t] = -1; });
+            sigma[s] = 1; dist[s] = 0;
+            const queue = [s];
+            let distSum = 0, reach = 0;
+            for (let head = 0; head < queue.length; head++) {
+                const v = queue[head];
+                stack.push(v);
+                adj[v].forEach(w => {
+                    if (dist[w] < 0) { dist[w] = dist[v] + 1; queue.push(w); }
+                    if (dist[w] === dist[v] + 1) { sigma[w] += sigma[v]; pred[w].push(v); }
+                });
+            }
+            ids.forEach(t => { if (t !== s && dist[t] > 0) { distSum += dist[t]; reach++; } });
+            if (distSum > 0) {
+                // Wasserman-Faust normalization for disconnected graphs
+                metrics[s].closeness = (reach / (ids.length - 1 || 1)) * (reach / distSum);
+            }
+            const delta = {};
+            ids.forEach(t => { delta[t] = 0; });
+            while (stack.length) {
+                const w = stack.pop();
+                pred[w].forEach(v => { delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]); });
+                if (w !== s) metrics[w].betweenness += delta[w];
+            }
+            report((index + 1) / ids.length * 0.6);
+        });
+        // betweenness undirected: divide by 2
+        ids.forEach(id => { metrics[id].betweenness /= 2; });
+        // PageRank (power iteration over directed out-links)
+        const outAdj = {}; ids.forEach(id => { outAdj[id] = []; });
+        edges.forEach(e => {
+            if (!outAdj[e.source] || !nodes[e.target]) return;
+            outAdj[e.source].push(e.target);
+            // Honour the `directed` flag: undirected edges are bidirectional links,
+            // matching the server's PageRank adjacency so scores/rankings agree.
+            if (!e.directed) outAdj[e.target].push(e.source);
+        });
+        const N = ids.length || 1;
+        let pr = {}; ids.forEach(id => { pr[id] = 1 / N; });
+        const d = 0.85;
+        for (let iter = 0; iter < 40; iter++) {
+            const next = {}; let dangling = 0;
+            ids.forEach(id => { next[id] = (1 - d) / N; });
+            ids.forEach(id => { if (outAdj[id].length === 0) dangling += pr[id]; });
+            ids.forEach(id => {
+                const share = outAdj[id].length ? pr[id] / outAdj[id].length : 0;
+                outAdj[id].forEach(t => { next[t] += d * share; });
+            });
+            ids.forEach(id => { next[id] += d * dangling / N; });
+            pr = next;
+        }
+        ids.forEach(id => { metrics[id].pagerank = pr[id]; });
+        if (ids.length) {
+            const { links } = indexedLinks(graph);
+            const harmonic = harmonicCentrality(ids, links, s => report(0.6 + (s + 1) / ids.length * 0.3));
+            const eigenvector = eigenvectorCentrality(ids, links);
+            const katz = katzCentrality(ids, links);
+            const { hub, authority } = hitsCentrality(ids, links);
+            const core = coreNumbers(graph);
+            ids.forEach((id, i) => {
+                Object.assign(metrics[id], {
+                    eigenvector: eigenvector[i], katz: katz[i], hub: hub[i], authority: authority[i],
+                    harmonic: harmonic[i], kcore: core[id]
+                });
+            });
+        }
+        // Cut structure: components split off by removing the node, bridges at it
+        const blocks = computeBiconnectivity(graph);
+        Object.entries(blocks.articulationPoints).forEach(([id, extra]) => { metrics[id].articulation = extra; });
+        const edgeById = {};
+        edges.forEach(e => { edgeById[e.id] = e; });
+        blocks.bridges.forEach(id => {
+            metrics[edgeById[id].source].bridges++;
+            metrics[edgeById[id].target].bridges++;
+        });
+        report(0.95);
+        const detected = detectCommunities(graph, options.communities || {});
+        report(1);
+        return {
+            metrics,
+            communities: detected.communities,
+            modularity: detected.modularity,
+            communityMethod: detected.method
+        };
+    }
+
+    // ------------------------
+    // Export API
+    // ------------------------
+
+    const Analytics = {
+        buildAdjacency,
+        undirectedAdjacency,
+        computeConnectedComponents,
+        computeDistanceStats,
+        computeGraphStats,
+        computeCentrality,
+        dijkstra,
+        kShortestPaths,
+        disjointPaths,
+        minCut,
+        computeBiconnectivity,
+        computeDirectedStructure,
+        predictLinks,
+        LINK_PREDICTION_METHODS,
+        findDuplicates,
+        diffGraphs,
+        createRng,
+        detectCommunities,
+        computeModularity,
+        communitySummary,
+        COMMUNITY_METHODS,
+        MAX_DISTANCE_STATS_NODES
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = Analytics;
+    } else {
+        global.Analytics = Analytics;
+    }
+
+})(this);
@@ -27,7 +27,18 @@ let selectedEdges = new Set();
 let selectedBoxes = new Set();
 
 // Data-driven visual encoding: color/size nodes by type / community / a metric.
-const encoding = { mode: "none", min: 0, max: 1, sizeByMetric: "none", sizeMin: 0, sizeMax: 1 };
+const encoding = { mode: "none", min: 0, max: 1, sizeByMetric: "none", sizeMin: 0, sizeMax: 1, blocks: null };
+
+// Version comparison shown on the canvas (see compareVersions), or null.
+// { fromLabel, toLabel, before: {nodes, edges}, after: {nodes, edges} | null
+//   for the live graph, changes: Analytics.diffGraphs() rows,
+//   status: { nodes: {id: change}, edges: {id: change} } }
+let graphDiff = null;
+
+// Entities added by the most recent transform merge (single run, bulk burst
+// or playbook run); the incremental layout arranges these when nothing is
+// selected, so results placed by hand earlier stay where they are.
+let lastMergedIds = [];
 
 function isNodeSelected(id) { return selectedNodes.has(id); }
 function isEdgeSelected(id) { return selectedEdges.has(id); }
@@ -108,8 +119,14 @@ let panViewStart = { tx: 0, ty: 0 };
 let resizingBoxId = null;
 let resizeCorner = null;
 
+// bend-point dragging: { edgeId, index } into edge.points
+let draggingBend = null;
+let dragLastDelta = { x: 0, y: 0 }; // group-drag offset already applied to enclosed bends
+
 // link mode helper
 let linkStartNodeId = null;
+let linkStartPort = null;   // port id picked on the start node, if any
+let linkHoverNodeId = null; // node whose ports are shown while linking
 
 // undo / redo
 let undoStack = [];
@@ -130,13 +147,17 @@ let layerCounter = 0;
 
 const LAYOUT_SETTINGS_KEY = "graph-layout-settings-v1";
 const SNAP_SETTINGS_KEY = "graph-snap-settings-v1";
+const PLAYBOOKS_KEY = "graph-playbooks-v1";
+const TRANSFORM_PREFS_KEY = "graph-transform-prefs-v1";
+// `ports` is the number of extra edge ports per side, besides the
+// N/E/S/W midpoints (see getNodePorts).
 const SHAPE_DEFAULTS = {
-    circle: { size: 25, color: "#4682b4", stroke: "#1f2937" },
-    rect: { width: 130, height: 70, color: "#4f8bc9", stroke: "#1f2937" },
-    rounded: { width: 130, height: 70, radius: 18, color: "#57a6a6", stroke: "#1f2937" },
-    diamond: { width: 120, height: 90, color: "#8b6bd6", stroke: "#1f2937" },
-    cylinder: { width: 130, height: 80, color: "#5cab7d", stroke: "#1f2937" },
-    swimlane: { width: 200, height: 120, color: "#f2c94c", stroke: "#1f2937" }
+    circle: { size: 25, color: "#4682b4", stroke: "#1f2937", ports: 0 },
+    rect: { width: 130, height: 70, color: "#4f8bc9", stroke: "#1f2937", ports: 2 },
+    rounded: { width: 130, height: 70, radius: 18, color: "#57a6a6", stroke: "#1f2937", ports: 2 },
+    diamond: { width: 120, height: 90, color: "#8b6bd6", stroke: "#1f2937", ports: 0 },
+    cylinder: { width: 130, height: 80, color: "#5cab7d", stroke: "#1f2937", ports: 2 },
+    swimlane: { width: 200, height: 120, color: "#f2c94c", stroke: "#1f2937", ports: 4 }
 };
 
 function defaultLayoutSettings() {
@@ -190,6 +211,58 @@ function defaultLayoutSettings() {
                 tierSpacing: 180,
                 nodeSpacing: 150,
                 nodeStartX: 200
+            },
+            stress: {
+                iterations: 300,
+                idealEdgeLength: 180,
+                tolerance: 1e-4,
+                nodeStartX: 100,
+                nodeStartY: 100,
+                separationPadding: 40,
+                separationIterations: 30
+            },
+            layered: {
+                direction: "TB",
+                crossingMinimization: "barycenter",
+                crossingSweeps: 24,
+                coordinatePasses: 8,
+                layerSpacing: 160,
+                nodeGap: 60,
+                boxHMargin: 400,
+                boxVMargin: 260,
+                boxStartX: 150,
+                boxStartY: 80,
+                separationPadding: 40,
+                separationIterations: 50,
+                nodeStartX: 150,
+                nodeStartY: 200
+            },
+            compound: {
+                innerLayout: "grid",
+                innerOptions: { nodeHMargin: 120, nodeVMargin: 110 },
+                boxPadding: 30,
+                boxHeaderHeight: 32,
+                minBoxWidth: 160,
+                minBoxHeight: 100,
+                iterations: 200,
+                idealEdgeLength: 260,
+                gravity: 0.05,
+                boxStartX: 100,
+                boxStartY: 100,
+                separationPadding: 40,
+                separationIterations: 80
+            },
+            incremental: {
+                iterations: 120,
+                repulsion: 20000,
+                idealEdgeLength: 160,
+                nodeSeparationPadding: 24,
+                nodeSeparationIterations: 60
+            },
+            radial: {
+                ringSpacing: 180,
+                nodeSeparationPadding: 24,
+                nodeSeparationIterations: 60
             }
         }
     };
@@ -210,9 +283,23 @@ const analyticsState = {
     stats: null,
     pathResult: null,
     pathError: null,
-    usingBackend: false
+    pathList: null,      // [{ title, paths: [{ nodes, edges, cost? }] }] from k-paths / disjoint paths
+    activePath: null,    // "group:index" of the list entry currently highlighted
+    cutResult: null,     // Analytics.minCut() of the path endpoints
+    directed: null,      // Analytics.computeDirectedStructure() of the last run
+    activeDirected: null, // "scc:i" / "cycle:i" row currently highlighted
+    suggestions: [],     // Analytics.predictLinks() rows still awaiting accept / dismiss
+    duplicates: [],      // Analytics.findDuplicates() pairs still awaiting merge / dismiss
+    usingBackend: false,
+    communityInfo: null  // { method, resolution, seed, count, modularity } of the last detection
 };
 
+// "a|b" keys (a < b) of suggested links the user dismissed; later
+// suggestion runs skip them.
+const dismissedSuggestions = new Set();
+// Same for entity pairs marked "not a duplicate".
+const dismissedDuplicates = new Set();
+
 let pathHighlights = {
     nodes: new Set(),
     edges: new Set()
@@ -555,7 +642,13 @@ function snapshot() {
     return JSON.stringify({ nodes, edges, boxes, layers, activeLayerId, layoutSettings });
 }
 
+// Bumped on every graph edit (each one starts with pushUndo), undo/redo,
+// load and transform merge. Things derived from the whole graph compare it
+// instead of being recomputed on every render (drags, hovers).
+let graphRevision = 0;
+
 function restoreFromSnapshot(json) {
+    graphRevision++;
     const data = JSON.parse(json);
     const incomingNodes = data.nodes || {};
     nodes = {};
@@ -577,18 +670,19 @@ function restoreFromSnapshot(json) {
 }
 
 function pushUndo() {
+    graphRevision++;
     undoStack.push(snapshot());
     redoStack.length = 0;
 }
 
-function applyGraphPayload(graph = {}) {
-    const incomingNodes = graph.nodes || {};
-    nodes = {};
-    Object.entries(incomingNodes).forEach(([id, node]) => {
+// Nodes and edges of a saved graph with the editor's defaults filled in.
+function normalizeGraphItems(graph = {}) {
+    const out = { nodes: {}, edges: [] };
+    Object.entries(graph.nodes || {}).forEach(([id, node]) => {
         const normalized = normalizeNode({ ...node, id: node.id || id });
-        nodes[normalized.id] = normalized;
+        out.nodes[normalized.id] = normalized;
     });
-    edges = (graph.edges || []).map((ed, i) => ({
+    out.edges = (graph.edges || []).map((ed, i) => ({
         ...ed,
         id: ed.id || `e${i}`,
         source: ed.source,
@@ -598,8 +692,17 @@ function applyGraphPayload(graph = {}) {
         width: Number.isFinite(ed.width) ? ed.width : 2,
         weight: Number.isFinite(ed.weight) ? ed.weight : undefined,
         directed: !!ed.directed,
-        layer: ed.layer
+        layer: ed.layer,
+        points: normalizeEdgePoints(ed.points),
+        sourcePort: typeof ed.sourcePort === "string" ? ed.sourcePort : undefined,
+        targetPort: typeof ed.targetPort === "string" ? ed.targetPort : undefined
     }));
+    return out;
+}
+
+function applyGraphPayload(graph = {}) {
+    graphRevision++;
+    ({ nodes, edges } = normalizeGraphItems(graph));
 
     boxes = graph.boxes || {};
     layers = normalizeLayers(graph.layers || []);
@@ -620,7 +723,18 @@ function applyGraphPayload(graph = {}) {
     analyticsState.stats = null;
     analyticsState.pathResult = null;
     analyticsState.pathError = null;
+    analyticsState.pathList = null;
+    analyticsState.cutResult = null;
+    analyticsState.directed = null;
+    analyticsState.suggestions = [];
+    dismissedSuggestions.clear();
+    analyticsState.duplicates = [];
+    dismissedDuplicates.clear();
+    analyticsState.communityInfo = null;
     resetPathHighlights();
+    graphDiff = null;
+    lastMergedIds = [];
+    renderGraphDiff();
     renderAnalyticsPanel();
     syncLayoutControlsFromSettings();
 }
@@ -797,21 +911,10 @@ function applyBoxSnapping(pos, box) {
 
 // ---------- ANALYTICS HELPERS ----------
 
-function buildAdjacency({ directed = true, weighted = false } = {}) {
-    const adj = {};
-    Object.keys(nodes).forEach(id => { adj[id] = []; });
-
-    edges.forEach(edge => {
-        if (!nodes[edge.source] || !nodes[edge.target]) return;
-        const weight = weighted ? Math.max(0.0001, Number(edge.weight || edge.width || 1)) : 1;
-        const entry = { to: edge.target, id: edge.id, weight };
-        adj[edge.source].push(entry);
-        if (!directed || !edge.directed) {
-            adj[edge.target].push({ to: edge.source, id: edge.id, weight });
-        }
-    });
-
-    return adj;
+// Graph analytics live in analytics.js so the worker can share them; these
+// wrappers bind them to the editor's live graph.
+function buildAdjacency(opts) {
+    return Analytics.buildAdjacency({ nodes, edges }, opts);
 }
 
 function bfsShortestPath(start, goal) {
@@ -890,113 +993,8 @@ function dijkstraShortestPath(start, goal) {
     return { nodes: nodePath, edges: edgePath, cost: dist[goal], algorithm: "dijkstra" };
 }
 
-// Number of connected components. Accepts a prebuilt undirected adjacency to
-// avoid rebuilding it when the caller already has one (e.g. computeGraphStats).
-function computeConnectedComponents(adj) {
-    if (!adj) adj = buildAdjacency({ directed: false, weighted: false });
-    const visited = new Set();
-    let components = 0;
-
-    Object.keys(adj).forEach(start => {
-        if (visited.has(start)) return;
-        components += 1;
-        const stack = [start];
-        visited.add(start);
-        while (stack.length) {
-            const node = stack.pop();
-            adj[node].forEach(next => {
-                if (!visited.has(next.to)) {
-                    visited.add(next.to);
-                    stack.push(next.to);
-                }
-            });
-        }
-    });
-
-    return components;
-}
-
-// Diameter and average shortest-path length over the largest component using
-// unweighted BFS from every node. Capped for responsiveness; returns nulls when
-// the graph is trivial or too large (matching the server's compute_distance_stats).
-const MAX_DISTANCE_STATS_NODES = 1500;
-function computeDistanceStats(adj) {
-    const ids = Object.keys(adj);
-    if (ids.length < 2 || ids.length > MAX_DISTANCE_STATS_NODES) return { diameter: null, avgPathLength: null };
-
-    // Largest connected component so unreachable pairs don't distort averages.
-    const seen = new Set();
-    let largest = [];
-    ids.forEach(start => {
-        if (seen.has(start)) return;
-        const comp = [];
-        const stack = [start];
-        seen.add(start);
-        while (stack.length) {
-            const node = stack.pop();
-            comp.push(node);
-            adj[node].forEach(n => { if (!seen.has(n.to)) { seen.add(n.to); stack.push(n.to); } });
-        }
-        if (comp.length > largest.length) largest = comp;
-    });
-    if (largest.length < 2) return { diameter: null, avgPathLength: null };
-
-    const compSet = new Set(largest);
-    let diameter = 0, total = 0, pairs = 0;
-    largest.forEach(source => {
-        const dist = { [source]: 0 };
-        const queue = [source];
-        let head = 0;
-        while (head < queue.length) {
-            const node = queue[head++];
-            const d = dist[node];
-            adj[node].forEach(n => {
-                if (compSet.has(n.to) && dist[n.to] === undefined) {
-                    dist[n.to] = d + 1;
-                    queue.push(n.to);
-                }
-            });
-        }
-        Object.keys(dist).forEach(target => {
-            if (target === source) return;
-            const d = dist[target];
-            if (d > diameter) diameter = d;
-            total += d;
-            pairs += 1;
-        });
-    });
-    return { diameter, avgPathLength: pairs ? Number((total / pairs).toFixed(3)) : null };
-}
-
 function computeGraphStats() {
-    const nodeCount = Object.keys(nodes).length;
-    const edgeCount = edges.length;
-    const adj = buildAdjacency({ directed: false, weighted: false });
-    let maxDegree = 0;
-    let isolated = 0;
-    Object.keys(adj).forEach(id => {
-        const deg = adj[id].length;
-        if (deg === 0) isolated += 1;
-        maxDegree = Math.max(maxDegree, deg);
-    });
-
-    const selfLoops = edges.reduce((acc, e) => acc + (e.source === e.target ? 1 : 0), 0);
-    const possible = nodeCount > 1 ? nodeCount * (nodeCount - 1) / 2 : 0;
-    const density = possible ? Number((edgeCount / possible).toFixed(4)) : 0;
-    const { diameter, avgPathLength } = computeDistanceStats(adj);
-
-    return {
-        nodeCount,
-        edgeCount,
-        components: computeConnectedComponents(adj),
-        averageDegree: nodeCount ? (edgeCount * 2 / nodeCount).toFixed(2) : "0.00",
-        maxDegree,
-        isolated,
-        selfLoops,
-        density,
-        diameter,
-        avgPathLength
-    };
+    return Analytics.computeGraphStats({ nodes, edges });
 }
 
 function deriveHighlights(pathResult) {
@@ -1034,7 +1032,13 @@ async function runAnalytics({ startId, endId, algorithm }) {
     }
 
     analyticsState.usingBackend = false;
-    analyticsState.stats = computeGraphStats();
+    try {
+        analyticsState.stats = await runTrackedJob("stats", "graphStats", { graph: graphPayload });
+    } catch (err) {
+        if (err.cancelled) return;
+        console.warn("Graph stats failed:", err);
+        analyticsState.stats = null;
+    }
 
     if (startId && endId) {
         if (!nodes[startId] || !nodes[endId]) {
@@ -1093,6 +1097,9 @@ function renderAnalyticsPanel() {
                 ${s.density !== undefined ? `<div><strong>Density:</strong> ${s.density}</div>` : ""}
                 ${"diameter" in s ? `<div><strong>Diameter:</strong> ${fmt(s.diameter)}</div>` : ""}
                 ${"avgPathLength" in s ? `<div><strong>Avg path length:</strong> ${fmt(s.avgPathLength)}</div>` : ""}
+                ${"articulationPoints" in s ? `<div><strong>Articulation points:</strong> ${s.articulationPoints}</div>` : ""}
+                ${"bridges" in s ? `<div><strong>Bridges:</strong> ${s.bridges}</div>` : ""}
+                ${"biconnectedComponents" in s ? `<div><strong>Biconnected components:</strong> ${s.biconnectedComponents}</div>` : ""}
             `;
         }
     }
@@ -1116,6 +1123,90 @@ function renderAnalyticsPanel() {
             `;
         }
     }
+    renderPathList();
+    renderCutResult();
+    renderDirectedResult();
+    renderSuggestions();
+    renderDuplicates();
+}
+
+// Appends a caption and, when there are rows, a rank-table of clickable
+// rows ({ cells: [text], onClick, active, actions: [{ label, title,
+// onClick }] }) to wrap; actions become buttons in a last cell. Cells are
+// set as text: labels come from imports and the editor.
+function appendRowTable(wrap, title, headers, rows) {
+    const caption = document.createElement("small");
+    caption.className = "muted rank-caption";
+    caption.textContent = title;
+    wrap.appendChild(caption);
+    if (!rows.length) return;
+    const table = document.createElement("table");
+    table.className = "rank-table";
+    const htr = document.createElement("tr");
+    headers.forEach(h => { const th = document.createElement("th"); th.textContent = h; htr.appendChild(th); });
+    table.createTHead().appendChild(htr);
+    const tbody = document.createElement("tbody");
+    rows.forEach(({ cells, onClick, active, actions, title: hint }) => {
+        const tr = document.createElement("tr");
+        tr.className = "clickable" + (active ? " active" : "");
+        if (hint) tr.title = hint;
+        cells.forEach(text => {
+            const td = document.createElement("td");
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+        if (actions) {
+            const td = document.createElement("td");
+            td.className = "row-actions";
+            actions.forEach(action => {
+                const btn = document.createElement("button");
+                btn.type = "button";
+                btn.textContent = action.label;
+                btn.title = action.title || "";
+                btn.addEventListener("click", ev => { ev.stopPropagation(); action.onClick(); });
+                td.appendChild(btn);
+            });
+            tr.appendChild(td);
+        }
+        tr.addEventListener("click", onClick);
+        tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    wrap.appendChild(table);
+}
+
+function nodeDisplayName(id) {
+    return (nodes[id] && (nodes[id].label || nodes[id].value)) || id;
+}
+
+// Lists each path of analyticsState.pathList as a clickable row; clicking
+// highlights just that path (click again to clear).
+function renderPathList() {
+    const wrap = document.getElementById("analytics-path-list");
+    if (!wrap) return;
+    wrap.innerHTML = "";
+    (analyticsState.pathList || []).forEach((group, g) => {
+        const weighted = group.paths.some(p => typeof p.cost === "number");
+        const rows = group.paths.map((path, i) => {
+            const key = g + ":" + i;
+            return {
+                cells: [String(i + 1), String(weighted ? Number(path.cost.toFixed(2)) : path.edges.length), path.nodes.map(nodeDisplayName).join(" → ")],
+                active: analyticsState.activePath === key,
+                onClick: () => {
+                    if (analyticsState.activePath === key) {
+                        analyticsState.activePath = null;
+                        resetPathHighlights();
+                    } else {
+                        analyticsState.activePath = key;
+                        deriveHighlights(path);
+                    }
+                    renderPathList();
+                    render();
+                }
+            };
+        });
+        appendRowTable(wrap, group.title, ["#", weighted ? "Cost" : "Hops", "Path"], rows);
+    });
 }
 
 function updateAutosaveInfo() {
@@ -1213,6 +1304,7 @@ async function loadGraphFromBackend() {
         render();
     } catch (e) {
         console.warn("Could not load /graph, starting empty:", e);
+        graphRevision++;
         nodes = {};
         edges = [];
         boxes = {};
@@ -1224,7 +1316,17 @@ async function loadGraphFromBackend() {
         analyticsState.stats = null;
         analyticsState.pathResult = null;
         analyticsState.pathError = null;
+        analyticsState.pathList = null;
+        analyticsState.cutResult = null;
+        analyticsState.directed = null;
+        analyticsState.suggestions = [];
+        dismissedSuggestions.clear();
+        analyticsState.duplicates = [];
+        dismissedDuplicates.clear();
         resetPathHighlights();
+        graphDiff = null;
+        lastMergedIds = [];
+        renderGraphDiff();
         syncLayoutControlsFromSettings();
         renderAnalyticsPanel();
         render();
@@ -1245,7 +1347,9 @@ document.querySelectorAll(".panel .panel-toggle").forEach(toggle => {
 document.querySelectorAll("#mode-toolbar button[data-mode]").forEach(btn => {
     btn.addEventListener("click", () => {
         currentMode = btn.dataset.mode;
+        linkStartNodeId = linkStartPort = linkHoverNodeId = null;
         updateModeButtons();
+        render();
     });
 });
 
@@ -1739,6 +1843,14 @@ function parseGraphML(text) {
         };
         const weight = parseFloat((e.querySelector("data[key='eweight']") || e.querySelector("data[key='weight']"))?.textContent || "");
         if (Number.isFinite(weight)) edge.weight = weight;
+        // yEd-style bend points: <y:Path><y:Point x=".." y=".."/></y:Path>
+        const bends = [...e.getElementsByTagNameNS("*", "Path")]
+            .flatMap(path => [...path.getElementsByTagNameNS("*", "Point")])
+            .map(pt => ({ x: parseFloat(pt.getAttribute("x")), y: parseFloat(pt.getAttribute("y")) }));
+        const points = normalizeEdgePoints(bends);
+        if (points) edge.points = points;
+        if (e.getAttribute("sourceport")) edge.sourcePort = e.getAttribute("sourceport");
+        if (e.getAttribute("targetport")) edge.targetPort = e.getAttribute("targetport");
         return edge;
     }).filter(Boolean);
 
@@ -1990,6 +2102,8 @@ if (findPathBtn) {
         const startId = startRaw ? resolveNodeRef(startRaw) : null;
         const endId = endRaw ? resolveNodeRef(endRaw) : null;
         const algorithm = algoSelect?.value || "auto";
+        analyticsState.pathList = null;
+        analyticsState.cutResult = null;
         runAnalytics({ startId: startId || null, endId: endId || null, algorithm });
     });
 }
@@ -1999,6 +2113,8 @@ if (clearPathBtn) {
     clearPathBtn.addEventListener("click", () => {
         analyticsState.pathResult = null;
         analyticsState.pathError = null;
+        analyticsState.pathList = null;
+        analyticsState.cutResult = null;
         resetPathHighlights();
         renderAnalyticsPanel();
         render();
@@ -2116,6 +2232,30 @@ svg.addEventListener("pointerdown", e => {
         return;
     }
 
+    const portNodeId = e.target.dataset?.portNodeId;
+    if (portNodeId && currentMode === "link") {
+        handleLinkClick(portNodeId, e.target.dataset.portId);
+        return;
+    }
+
+    const bendEdgeId = e.target.dataset?.bendEdgeId;
+    if (bendEdgeId && currentMode === "select") {
+        const edge = edges.find(ed => ed.id === bendEdgeId);
+        if (!edge || isLayerLocked(edge.layer)) return;
+        const inserting = e.target.dataset.bendInsert != null;
+        let index = Number(e.target.dataset.bendIndex);
+        if (inserting) {
+            // Dragging a "+" handle creates the bend right away.
+            pushUndo();
+            index = insertBendPoint(edge, screenToWorld(e.clientX, e.clientY), e.target.dataset.bendInsert === "" ? null : Number(e.target.dataset.bendInsert));
+        }
+        draggingBend = { edgeId: bendEdgeId, index };
+        dragUndoPushed = inserting;
+        svg.setPointerCapture(e.pointerId);
+        render();
+        return;
+    }
+
     if (boxId && currentMode === "select") {
         const b = boxes[boxId];
         if (b && isLayerLocked(b.layer)) return;
@@ -2144,16 +2284,7 @@ svg.addEventListener("pointerdown", e => {
         }
 
         if (currentMode === "link") {
-            if (!linkStartNodeId) {
-                linkStartNodeId = nodeId;
-            } else {
-                if (linkStartNodeId !== nodeId) {
-                    pushUndo();
-                    createEdge(linkStartNodeId, nodeId);
-                }
-                linkStartNodeId = null;
-            }
-            render();
+            handleLinkClick(nodeId, null);
             return;
         }
 
@@ -2180,6 +2311,7 @@ svg.addEventListener("pointerdown", e => {
                 if (nodes[id] && !isLayerLocked(nodes[id].layer)) dragGroupStart[id] = { x: nodes[id].x, y: nodes[id].y };
             });
             dragAnchorStart = { x: n.x, y: n.y };
+            dragLastDelta = { x: 0, y: 0 };
             svg.setPointerCapture(e.pointerId);
             render();
             return;
@@ -2282,6 +2414,8 @@ svg.addEventListener("drop", e => {
 });
 
 svg.addEventListener("pointermove", e => {
+    if (currentMode === "link") updateLinkHover(e.target);
+
     // Marquee (rubber-band) selection
     if (marqueeActive) {
         const pos = screenToWorld(e.clientX, e.clientY);
@@ -2295,6 +2429,19 @@ svg.addEventListener("pointermove", e => {
         return;
     }
 
+    // Dragging a bend point
+    if (draggingBend) {
+        const edge = edges.find(ed => ed.id === draggingBend.edgeId);
+        const point = edge && Array.isArray(edge.points) ? edge.points[draggingBend.index] : null;
+        if (!point) { draggingBend = null; return; }
+        if (!dragUndoPushed) { pushUndo(); dragUndoPushed = true; }
+        const snapped = snapBendPoint(screenToWorld(e.clientX, e.clientY));
+        point.x = snapped.x;
+        point.y = snapped.y;
+        render();
+        return;
+    }
+
     // Dragging a node (and the rest of the selection, as a group)
     if (draggingNodeId) {
         const pos = screenToWorld(e.clientX, e.clientY);
@@ -2310,6 +2457,9 @@ svg.addEventListener("pointermove", e => {
                 const m = nodes[id];
                 if (m) { m.x = dragGroupStart[id].x + dx; m.y = dragGroupStart[id].y + dy; }
             });
+            // Edges inside the group keep their shape.
+            translateEnclosedBends(groupIds, dx - dragLastDelta.x, dy - dragLastDelta.y);
+            dragLastDelta = { x: dx, y: dy };
         } else {
             n.x = snapped.x;
             n.y = snapped.y;
@@ -2384,6 +2534,7 @@ svg.addEventListener("pointermove", e => {
                 n.y += dy;
             }
         });
+        translateEnclosedBends(b.nodes, dx, dy);
 
         render();
         return;
@@ -2429,6 +2580,12 @@ svg.addEventListener("pointerup", e => {
         return;
     }
 
+    if (draggingBend) {
+        try { svg.releasePointerCapture(e.pointerId); } catch (_) {}
+        draggingBend = null;
+        return;
+    }
+
     if (draggingNodeId) {
         const moved = Object.keys(dragGroupStart);
         (moved.length ? moved : [draggingNodeId]).forEach(id => updateNodeBoxMembership(id));
@@ -2457,6 +2614,215 @@ svg.addEventListener("pointerup", e => {
     }
 });
 
+// ---------- NODE PORTS ----------
+
+// Every node has named ports where edges can attach: the midpoints of its
+// four sides ("N", "E", "S", "W") plus the shape's `ports` count of evenly
+// spaced side ports, numbered left to right / top to bottom ("N1", "N2",
+// ...). Edges reference them by name in sourcePort / targetPort; an
+// unknown or missing name means "attach wherever the edge points".
+const PORT_SIDES = {
+    N: { dx: 0, dy: -1 },
+    E: { dx: 1, dy: 0 },
+    S: { dx: 0, dy: 1 },
+    W: { dx: -1, dy: 0 }
+};
+
+// [{ id, side, offset, x, y }] — offset runs along the side from its
+// midpoint (what the orthogonal router takes), x/y is the point on the
+// node's border.
+function getNodePorts(node) {
+    if (!node) return [];
+    const { halfWidth, halfHeight } = getNodeDimensions(node);
+    const count = Math.max(0, Math.floor(getShapeDefaults(node.shape || "circle").ports || 0));
+    const ports = [];
+    Object.entries(PORT_SIDES).forEach(([side, dir]) => {
+        const half = dir.dx !== 0 ? halfHeight : halfWidth;
+        const offsets = [[side, 0]];
+        for (let i = 1; i <= count; i++) offsets.push([side + i, (i / (count + 1) - 0.5) * 2 * half]);
+        offsets.forEach(([id, offset]) => {
+            // Cast from the side's axis outwards so the port lands on the
+            // shape itself (the arc of a circle, the facets of a diamond).
+            const origin = dir.dx !== 0 ? { x: node.x, y: node.y + offset } : { x: node.x + offset, y: node.y };
+            const p = nodeBorderPoint(node, dir.dx, dir.dy, origin);
+            ports.push({ id, side, offset, x: p.x, y: p.y });
+        });
+    });
+    return ports;
+}
+
+function resolveNodePort(node, portId) {
+    if (!node || !portId) return null;
+    return getNodePorts(node).find(p => p.id === portId) || null;
+}
+
+// Where an edge attaches to a node: its named port, or the node center
+// (to be clipped to the border later).
+function edgeEndPoint(node, edge, end) {
+    const port = edge ? resolveNodePort(node, edge[end + "Port"]) : null;
+    return port ? { x: port.x, y: port.y } : { x: node.x, y: node.y };
+}
+
+// Link mode: clicking a node (or one of its port handles) starts an edge,
+// the second click finishes it. Ports picked on either end are kept on the
+// new edge.
+function handleLinkClick(nodeId, portId) {
+    if (!linkStartNodeId) {
+        linkStartNodeId = nodeId;
+        linkStartPort = portId || null;
+    } else {
+        if (linkStartNodeId !== nodeId) {
+            pushUndo();
+            createEdge(linkStartNodeId, nodeId, { sourcePort: linkStartPort, targetPort: portId });
+        }
+        linkStartNodeId = null;
+        linkStartPort = null;
+    }
+    render();
+}
+
+function updateLinkHover(target) {
+    const owner = target && target.closest ? target.closest("[data-node-id],[data-port-node-id]") : null;
+    const id = owner ? (owner.dataset.nodeId || owner.dataset.portNodeId) : null;
+    if (id === linkHoverNodeId) return;
+    linkHoverNodeId = id;
+    render();
+}
+
+// Port handles for the node under the pointer and the link's start node
+// while in link mode.
+function renderPortHandles(viewport) {
+    if (exporting || currentMode !== "link") return;
+    const ids = [...new Set([linkStartNodeId, linkHoverNodeId].filter(Boolean))];
+    const group = document.createElementNS(NS, "g");
+    group.setAttribute("class", "port-handles");
+    ids.forEach(id => {
+        const n = nodes[id];
+        if (!n || !isNodeVisible(n) || isLayerLocked(n.layer)) return;
+        getNodePorts(n).forEach(port => {
+            const c = document.createElementNS(NS, "circle");
+            c.setAttribute("cx", port.x);
+            c.setAttribute("cy", port.y);
+            c.setAttribute("r", 5 / view.scale);
+            const picked = id === linkStartNodeId && port.id === linkStartPort;
+            c.setAttribute("class", "port-handle" + (picked ? " picked" : ""));
+            c.dataset.portNodeId = id;
+            c.dataset.portId = port.id;
+            const title = document.createElementNS(NS, "title");
+            title.textContent = port.id;
+            c.appendChild(title);
+            group.appendChild(c);
+        });
+    });
+    viewport.appendChild(group);
+}
+
+// ---------- EDGE BEND POINTS ----------
+
+// edge.points holds an edge's intermediate waypoints in world coordinates
+// (the node centers are implied). Malformed entries are dropped on load.
+function normalizeEdgePoints(points) {
+    if (!Array.isArray(points)) return undefined;
+    const clean = points
+        .map(p => ({ x: Number(p && p.x), y: Number(p && p.y) }))
+        .filter(p => Number.isFinite(p.x) && Number.isFinite(p.y));
+    return clean.length ? clean : undefined;
+}
+
+function distanceToSegment(p, a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+}
+
+// Adds a bend at `pos`, either at `index` in edge.points or on the drawn
+// segment nearest to it, and returns its index. The first bend on an
+// orthogonally routed edge keeps the route's corners so the shape doesn't
+// jump.
+function insertBendPoint(edge, pos, index = null) {
+    const src = nodes[edge.source], tgt = nodes[edge.target];
+    if (!Array.isArray(edge.points) || !edge.points.length) {
+        const routed = layoutSettings.edgeRouting === "orthogonal" ? getEdgePointsForRouting(src, tgt, edge) : [];
+        edge.points = routed.slice(1, -1);
+    }
+    if (index == null) {
+        const line = getEdgePointsForRouting(src, tgt, edge);
+        let bestD = Infinity;
+        for (let i = 0; i + 1 < line.length; i++) {
+            const d = distanceToSegment(pos, line[i], line[i + 1]);
+            if (d < bestD) { bestD = d; index = i; }
+        }
+    }
+    const at = Math.max(0, Math.min(edge.points.length, index || 0));
+    edge.points.splice(at, 0, snapBendPoint(pos));
+    return at;
+}
+
+function removeBendPoint(edge, index) {
+    if (!Array.isArray(edge.points)) return;
+    edge.points.splice(index, 1);
+    if (!edge.points.length) delete edge.points;
+}
+
+// Bends snap to the grid like nodes do (within the snap threshold).
+function snapBendPoint(pos) {
+    if (!snapSettings.gridEnabled) return { x: pos.x, y: pos.y };
+    const size = snapSettings.gridSize;
+    const gx = Math.round(pos.x / size) * size, gy = Math.round(pos.y / size) * size;
+    return {
+        x: Math.abs(gx - pos.x) <= snapSettings.threshold ? gx : pos.x,
+        y: Math.abs(gy - pos.y) <= snapSettings.threshold ? gy : pos.y
+    };
+}
+
+// Moves the bends of edges with both endpoints among `ids` (a dragged group
+// or box) along with them.
+function translateEnclosedBends(ids, dx, dy) {
+    if (!dx && !dy) return;
+    const moved = new Set(ids);
+    edges.forEach(e => {
+        if (!Array.isArray(e.points) || !moved.has(e.source) || !moved.has(e.target)) return;
+        e.points.forEach(p => { p.x += dx; p.y += dy; });
+    });
+}
+
+// Handles for the selected edge: one per bend (drag to move, double-click
+// to remove) and "+" handles mid-segment (drag to add a bend). An edge
+// without bends gets a single "+" on its drawn midpoint.
+function renderBendHandles(viewport) {
+    if (exporting || currentMode !== "select" || !selectedEdgeId || selectedEdges.size > 1) return;
+    const edge = edges.find(e => e.id === selectedEdgeId);
+    if (!edge || edge.source === edge.target || isLayerLocked(edge.layer) || !isLayerVisible(edge.layer)) return;
+    const src = nodes[edge.source], tgt = nodes[edge.target];
+    if (!src || !tgt || !isNodeVisible(src) || !isNodeVisible(tgt)) return;
+
+    const group = document.createElementNS(NS, "g");
+    group.setAttribute("class", "bend-handles");
+    const handle = (p, r, cls, data) => {
+        const c = document.createElementNS(NS, "circle");
+        c.setAttribute("cx", p.x);
+        c.setAttribute("cy", p.y);
+        c.setAttribute("r", r / view.scale);
+        c.setAttribute("class", cls);
+        c.dataset.bendEdgeId = edge.id;
+        Object.assign(c.dataset, data);
+        group.appendChild(c);
+    };
+    const bends = Array.isArray(edge.points) ? edge.points : [];
+    if (bends.length) {
+        const line = [{ x: src.x, y: src.y }, ...bends, { x: tgt.x, y: tgt.y }];
+        for (let i = 0; i + 1 < line.length; i++) {
+            handle({ x: (line[i].x + line[i + 1].x) / 2, y: (line[i].y + line[i + 1].y) / 2 }, 4, "bend-handle bend-insert", { bendInsert: String(i) });
+        }
+        bends.forEach((p, i) => handle(p, 6, "bend-handle", { bendIndex: String(i) }));
+    } else {
+        const drawn = clipEdgeToBorders(getEdgePointsForRouting(src, tgt, edge), src, tgt, edge);
+        handle(getEdgeLabelAnchor(drawn), 4, "bend-handle bend-insert", { bendInsert: "" });
+    }
+    viewport.appendChild(group);
+}
+
 // ---------- CREATION / DELETION HELPERS ----------
 
 // Server-authoritative unique ids so graphs from different sessions merge
@@ -2510,10 +2876,10 @@ function deleteNode(id) {
     edges = edges.filter(e => e.source !== id && e.target !== id);
 }
 
-function createEdge(a, b) {
+function createEdge(a, b, opts = {}) {
     ensureActiveLayer();
     const id = genId("e");
-    edges.push({
+    const edge = {
         id,
         source: a,
         target: b,
@@ -2522,7 +2888,11 @@ function createEdge(a, b) {
         width: 2,
         directed: false,
         layer: nodes[a]?.layer || activeLayerId
-    });
+    };
+    if (opts.sourcePort) edge.sourcePort = opts.sourcePort;
+    if (opts.targetPort) edge.targetPort = opts.targetPort;
+    if (opts.provenance) edge.provenance = opts.provenance;
+    edges.push(edge);
     return id;
 }
 
@@ -2551,6 +2921,222 @@ function deleteBox(id) {
     if (selectedBoxId === id) selectedBoxId = null;
 }
 
+// ---------- META-NODES (collapse / expand) ----------
+
+// Collapsing replaces a set of nodes (a community or a box's members) with
+// one meta-node. The members, the edges touching them and a collapsed box
+// are stashed verbatim on the meta-node (node.meta), so they travel with
+// undo snapshots, autosave and JSON export, and expanding puts them back
+// exactly as they were. Edges between what's visible and what's folded
+// away are drawn as derived aggregate edges (edge.aggregate), rebuilt
+// after every collapse/expand: one per pair of visible endpoints, as wide
+// as the number of edges it stands for.
+const META_NODE_COLOR = "#d4b66a";
+
+// Ids of everything folded into a meta-node, through nested meta-nodes.
+function metaMemberIds(meta, out = []) {
+    Object.values(meta.meta.members).forEach(m => {
+        out.push(m.id);
+        if (m.meta) metaMemberIds(m, out);
+    });
+    return out;
+}
+
+// Every stashed edge of a meta-node, including nested meta-nodes' ones.
+function metaStashedEdges(meta, out = []) {
+    meta.meta.edges.forEach(e => out.push(e));
+    Object.values(meta.meta.members).forEach(m => { if (m.meta) metaStashedEdges(m, out); });
+    return out;
+}
+
+// Hidden node id -> the visible meta-node standing in for it.
+function collapsedOwners() {
+    const owner = {};
+    Object.values(nodes).forEach(n => {
+        if (n.meta) metaMemberIds(n).forEach(id => { owner[id] = n.id; });
+    });
+    return owner;
+}
+
+function aggregateEdgeWidth(count) {
+    return Math.min(14, 2 + 2 * Math.log2(count));
+}
+
+function rebuildAggregateEdges() {
+    edges = edges.filter(e => !e.aggregate);
+    const owner = collapsedOwners();
+    const visible = id => (nodes[id] ? id : owner[id]);
+    const groups = new Map();
+    Object.values(nodes).forEach(meta => {
+        if (!meta.meta) return;
+        metaStashedEdges(meta).forEach(e => {
+            const a = visible(e.source), b = visible(e.target);
+            if (!a || !b || a === b) return;
+            const key = a < b ? a + "|" + b : b + "|" + a;
+            if (!groups.has(key)) groups.set(key, { source: a, target: b, items: [] });
+            groups.get(key).items.push(e);
+        });
+    });
+    groups.forEach((group, key) => {
+        const count = group.items.length;
+        const { source, target } = group;
+        // Directed only when every underlying edge points the same way.
+        const directed = group.items.every(e => e.directed && visible(e.source) === source);
+        edges.push({
+            id: "agg:" + key,
+            source,
+            target,
+            label: count > 1 ? `×${count}` : "",
+            color: "#888888",
+            width: aggregateEdgeWidth(count),
+            weight: group.items.reduce((acc, e) => acc + (Number.isFinite(e.weight) ? e.weight : 1), 0),
+            directed,
+            layer: nodes[source].layer,
+            aggregate: { count, edges: group.items.map(e => e.id) }
+        });
+    });
+}
+
+// Folds `ids` into a new meta-node at their centroid and returns its id
+// (null when nothing could be collapsed). Locked-layer nodes stay out.
+// info: { label, color, community, boxId }
+function collapseNodes(ids, info = {}) {
+    const members = [...new Set(ids)].filter(id => nodes[id] && !isLayerLocked(nodes[id].layer));
+    if (!members.length) return null;
+    const stashedBox = info.boxId && boxes[info.boxId] ? boxes[info.boxId] : null;
+    if (stashedBox) {
+        delete boxes[stashedBox.id];
+        selectedBoxes.delete(stashedBox.id);
+        if (selectedBoxId === stashedBox.id) selectedBoxId = null;
+    }
+
+    const memberSet = new Set(members);
+    const stash = {};
+    const layerCounts = {};
+    let cx = 0, cy = 0, count = 0;
+    members.forEach(id => {
+        const n = nodes[id];
+        if (n.box && boxes[n.box]) boxes[n.box].nodes = boxes[n.box].nodes.filter(x => x !== id);
+        stash[id] = n;
+        cx += n.x; cy += n.y;
+        count += n.meta ? n.meta.count : 1;
+        layerCounts[n.layer] = (layerCounts[n.layer] || 0) + 1;
+        delete nodes[id];
+        selectedNodes.delete(id);
+        if (selectedNodeId === id) selectedNodeId = null;
+    });
+    const inner = [];
+    edges = edges.filter(e => {
+        if (!memberSet.has(e.source) && !memberSet.has(e.target)) return true;
+        if (!e.aggregate) inner.push(e);
+        return false;
+    });
+    if (selectedEdgeId && !edges.some(e => e.id === selectedEdgeId)) selectedEdgeId = null;
+
+    const layer = Object.keys(layerCounts).sort((a, b) => layerCounts[b] - layerCounts[a])[0];
+    const id = genId("m");
+    nodes[id] = normalizeNode({
+        id,
+        x: stashedBox ? stashedBox.x + stashedBox.width / 2 : cx / members.length,
+        y: stashedBox ? stashedBox.y + stashedBox.height / 2 : cy / members.length,
+        label: info.label || `${count} entities`,
+        shape: "circle",
+        size: Math.round(22 + 4 * Math.sqrt(count)),
+        color: info.color || META_NODE_COLOR,
+        layer: layer && layer !== "undefined" ? layer : activeLayerId,
+        community: info.community,
+        provenance: { source: "collapse", createdAt: Date.now() },
+        meta: { count, members: stash, edges: inner, box: stashedBox || undefined }
+    });
+    rebuildAggregateEdges();
+    return id;
+}
+
+// Puts a meta-node's members, edges and box back where they were. Edges
+// drawn to the meta-node itself go with it; stashed edges whose other end
+// is folded into another meta-node move into that one's stash.
+function expandMetaNode(id) {
+    const meta = nodes[id];
+    if (!meta || !meta.meta) return false;
+    const { members, edges: inner, box } = meta.meta;
+    delete nodes[id];
+    selectedNodes.delete(id);
+    if (selectedNodeId === id) selectedNodeId = null;
+    edges = edges.filter(e => e.source !== id && e.target !== id);
+
+    if (box) boxes[box.id] = box;
+    Object.values(members).forEach(n => {
+        if (!getLayerById(n.layer)) n.layer = activeLayerId;
+        nodes[n.id] = n;
+        const home = n.box && boxes[n.box];
+        if (home && !home.nodes.includes(n.id)) home.nodes.push(n.id);
+    });
+    const owner = collapsedOwners();
+    inner.forEach(e => {
+        const hiddenIn = [e.source, e.target].map(x => (nodes[x] ? null : owner[x])).find(Boolean);
+        if (hiddenIn) nodes[hiddenIn].meta.edges.push(e);
+        else if (nodes[e.source] && nodes[e.target]) edges.push(e);
+    });
+    rebuildAggregateEdges();
+    return true;
+}
+
+// One meta-node per community (from the last centrality / community run)
+// with at least two visible members.
+function collapseCommunities() {
+    const groups = {};
+    Object.values(nodes).forEach(n => {
+        if (n.meta || n.community == null || !isNodeVisible(n) || isLayerLocked(n.layer)) return;
+        (groups[n.community] = groups[n.community] || []).push(n.id);
+    });
+    const collapsible = Object.keys(groups).filter(c => groups[c].length > 1);
+    if (!collapsible.length) return 0;
+    pushUndo();
+    collapsible.forEach(c => collapseCommunity(Number(c), groups[c]));
+    render();
+    return collapsible.length;
+}
+
+function collapseCommunity(community, ids = null) {
+    const members = ids || Object.values(nodes)
+        .filter(n => !n.meta && n.community === community && isNodeVisible(n))
+        .map(n => n.id);
+    return collapseNodes(members, {
+        label: `Community ${community + 1}`,
+        color: communityColor(community),
+        community
+    });
+}
+
+function collapseBox(boxId) {
+    const b = boxes[boxId];
+    if (!b) return null;
+    return collapseNodes(b.nodes, { label: b.label || "Group", boxId });
+}
+
+function expandAllMetaNodes() {
+    let metas = Object.values(nodes).filter(n => n.meta);
+    if (!metas.length) return;
+    pushUndo();
+    // Expanding can surface nested meta-nodes, so repeat until none are left.
+    while (metas.length) {
+        metas.forEach(n => expandMetaNode(n.id));
+        metas = Object.values(nodes).filter(n => n.meta);
+    }
+    render();
+}
+
+// Path highlighting follows folded nodes/edges onto whatever stands in for them.
+function isNodeOnPath(n) {
+    if (pathHighlights.nodes.has(n.id)) return true;
+    return !!n.meta && pathHighlights.nodes.size > 0 && metaMemberIds(n).some(id => pathHighlights.nodes.has(id));
+}
+
+function isEdgeOnPath(edge) {
+    if (pathHighlights.edges.has(edge.id)) return true;
+    return !!edge.aggregate && edge.aggregate.edges.some(id => pathHighlights.edges.has(id));
+}
+
 // ---------- BULK EDIT: delete / copy / paste / group ----------
 
 let clipboard = null;
@@ -2845,6 +3431,26 @@ function syncLayoutControlsFromSettings() {
     setNumberInputValue("weighted-tier-spacing", opts.weightedTree.tierSpacing);
     setNumberInputValue("weighted-node-spacing", opts.weightedTree.nodeSpacing);
 
+    setNumberInputValue("stress-ideal", opts.stress.idealEdgeLength);
+    setNumberInputValue("stress-iterations", opts.stress.iterations);
+
+    const layeredDirection = document.getElementById("layered-direction");
+    if (layeredDirection) layeredDirection.value = opts.layered.direction;
+    const layeredCrossing = document.getElementById("layered-crossing");
+    if (layeredCrossing) layeredCrossing.value = opts.layered.crossingMinimization;
+    setNumberInputValue("layered-layer-spacing", opts.layered.layerSpacing);
+    setNumberInputValue("layered-node-gap", opts.layered.nodeGap);
+
+    const compoundInner = document.getElementById("compound-inner");
+    if (compoundInner) compoundInner.value = opts.compound.innerLayout;
+    setNumberInputValue("compound-padding", opts.compound.boxPadding);
+    setNumberInputValue("compound-ideal", opts.compound.idealEdgeLength);
+
+    setNumberInputValue("incremental-ideal", opts.incremental.idealEdgeLength);
+    setNumberInputValue("incremental-iterations", opts.incremental.iterations);
+
+    setNumberInputValue("radial-ring-spacing", opts.radial.ringSpacing);
+
     const layoutValue = layoutSettings.selectedLayout || (layoutSelect ? layoutSelect.value : "manual");
     updateLayoutSettingsVisibility(layoutValue);
 }
@@ -2870,6 +3476,26 @@ function syncLayoutSettingsFromInputs() {
     opts.weightedTree.tierSpacing = Math.max(0, getNumberInputValue("weighted-tier-spacing", opts.weightedTree.tierSpacing));
     opts.weightedTree.nodeSpacing = Math.max(0, getNumberInputValue("weighted-node-spacing", opts.weightedTree.nodeSpacing));
 
+    opts.stress.idealEdgeLength = Math.max(10, getNumberInputValue("stress-ideal", opts.stress.idealEdgeLength));
+    opts.stress.iterations = Math.max(1, Math.round(getNumberInputValue("stress-iterations", opts.stress.iterations)));
+
+    const layeredDirection = document.getElementById("layered-direction");
+    if (layeredDirection) opts.layered.direction = layeredDirection.value === "LR" ? "LR" : "TB";
+    const layeredCrossing = document.getElementById("layered-crossing");
+    if (layeredCrossing) opts.layered.crossingMinimization = layeredCrossing.value === "median" ? "median" : "barycenter";
+    opts.layered.layerSpacing = Math.max(20, getNumberInputValue("layered-layer-spacing", opts.layered.layerSpacing));
+    opts.layered.nodeGap = Math.max(0, getNumberInputValue("layered-node-gap", opts.layered.nodeGap));
+
+    const compoundInner = document.getElementById("compound-inner");
+    if (compoundInner) opts.compound.innerLayout = compoundInner.value || opts.compound.innerLayout;
+    opts.compound.boxPadding = Math.max(0, getNumberInputValue("compound-padding", opts.compound.boxPadding));
+    opts.compound.idealEdgeLength = Math.max(10, getNumberInputValue("compound-ideal", opts.compound.idealEdgeLength));
+
+    opts.incremental.idealEdgeLength = Math.max(10, getNumberInputValue("incremental-ideal", opts.incremental.idealEdgeLength));
+    opts.incremental.iterations = Math.max(1, Math.round(getNumberInputValue("incremental-iterations", opts.incremental.iterations)));
+
+    opts.radial.ringSpacing = Math.max(20, getNumberInputValue("radial-ring-spacing", opts.radial.ringSpacing));
+
     const routingSelect = document.getElementById("edge-routing");
     if (routingSelect) {
         layoutSettings.edgeRouting = routingSelect.value || layoutSettings.edgeRouting;
@@ -2892,37 +3518,218 @@ function updateLayoutSettingsVisibility(selectedLayout) {
     }
 }
 
-// ---------- LAYOUTS ----------
-
-document.getElementById("apply-layout").addEventListener("click", () => {
-    const type = document.getElementById("layout-select").value; // "grid" | "circle" | "hierarchical" | "force"
+// ---------- BACKGROUND JOBS ----------
 
-    syncLayoutSettingsFromInputs();
-    layoutSettings.selectedLayout = type;
-    saveLayoutSettingsToStorage();
+// Layouts and the heavier analytics run in static/worker.js so the editor
+// stays responsive. Each job gets its own worker, so cancel() is simply
+// terminate(). Where workers are unavailable (file:// pages, a failed
+// script load, uncloneable data) the task runs inline on the main thread.
+const WORKER_URL = "static/worker.js";
 
-    if (type === "manual") {
-        render();
-        return;
+function runTaskInline(task, payload, onProgress) {
+    if (task === "layout") {
+        const state = JSON.parse(JSON.stringify(payload.state));
+        Layout.apply(payload.type, state, { ...payload.options, onProgress });
+        return Layout.geometryOf(state);
     }
+    if (task === "centrality") return Analytics.computeCentrality(payload.graph, { ...payload.options, onProgress });
+    if (task === "communities") return Analytics.detectCommunities(payload.graph, { ...payload.options, onProgress });
+    if (task === "graphStats") return Analytics.computeGraphStats(payload.graph, { onProgress });
+    if (task === "bundle") return Routing.bundleEdges(payload.segments, { onProgress });
+    throw new Error("Unknown task: " + task);
+}
+
+// Starts a job and returns { promise, cancel }. The promise rejects with an
+// error whose `cancelled` flag is set when the job is cancelled.
+function startBackgroundJob(task, payload, { onProgress } = {}) {
+    let worker = null;
+    let settled = false;
+    let rejectJob = null;
+    const promise = new Promise((resolve, reject) => {
+        rejectJob = reject;
+        const settle = fn => value => {
+            if (settled) return;
+            settled = true;
+            if (worker) worker.terminate();
+            fn(value);
+        };
+        const done = settle(resolve);
+        const fail = settle(reject);
+        const runInline = () => {
+            if (worker) { worker.terminate(); worker = null; }
+            setTimeout(() => {
+                if (settled) return;
+                try { done(runTaskInline(task, payload, onProgress)); } catch (e) { fail(e); }
+            }, 0);
+        };
 
-    pushUndo();
+        try {
+            worker = typeof Worker === "function" ? new Worker(WORKER_URL) : null;
+        } catch (e) {
+            worker = null;
+        }
+        if (!worker) { runInline(); return; }
+
+        worker.onmessage = e => {
+            const msg = e.data || {};
+            if (msg.type === "progress") {
+                if (!settled && onProgress) onProgress(msg.value);
+            } else if (msg.type === "result") {
+                done(msg.result);
+            } else if (msg.type === "error") {
+                fail(new Error(msg.message));
+            }
+        };
+        worker.onerror = e => {
+            e.preventDefault();
+            console.warn("Worker unavailable, running on the main thread:", e.message);
+            runInline();
+        };
+        try {
+            worker.postMessage({ task, payload });
+        } catch (e) {
+            runInline();
+        }
+    });
+    const cancel = () => {
+        if (settled) return;
+        settled = true;
+        if (worker) worker.terminate();
+        const err = new Error("Cancelled");
+        err.cancelled = true;
+        rejectJob(err);
+    };
+    return { promise, cancel };
+}
+
+// One job per slot ("layout", "stats", "centrality", "bundling"); starting a new one
+// cancels the previous. Drives the slot's #<slot>-progress bar and Cancel
+// button while the job runs.
+const activeJobs = {};
+
+function runTrackedJob(slot, task, payload) {
+    if (activeJobs[slot]) activeJobs[slot].cancel();
+    const el = document.getElementById(slot + "-progress");
+    const bar = el?.querySelector("progress");
+    if (bar) bar.value = 0;
+    const job = startBackgroundJob(task, payload, {
+        onProgress: value => { if (bar) bar.value = value; }
+    });
+    activeJobs[slot] = job;
+    if (el) {
+        el.classList.remove("hidden");
+        const cancelBtn = el.querySelector("button");
+        if (cancelBtn) cancelBtn.onclick = () => job.cancel();
+    }
+    const finish = () => {
+        if (activeJobs[slot] !== job) return;
+        delete activeJobs[slot];
+        if (el) el.classList.add("hidden");
+    };
+    job.promise.then(finish, finish);
+    return job.promise;
+}
 
-    // capture positions for an animated transition
+// ---------- LAYOUTS ----------
+
+// Runs a layout on a copy of the graph in the background, then applies the
+// result as one undoable, animated step. Nothing changes if it's cancelled.
+// The UI stays live while the job runs, so anything the user moved, resized
+// or pinned in the meantime keeps its new state (see applyLayoutGeometry).
+async function runLayoutJob(type, state, options) {
+    const started = layoutStartGeometry(state);
+    let result;
+    try {
+        result = await runTrackedJob("layout", "layout", { type, state, options });
+    } catch (err) {
+        if (!err.cancelled) console.warn("Layout failed:", err);
+        return;
+    }
+    pushUndo();
     const before = {};
     Object.keys(nodes).forEach(id => { before[id] = { x: nodes[id].x, y: nodes[id].y }; });
+    applyLayoutGeometry(result, started);
+    animateLayout(before);
+}
+
+// Node positions and box rects of the state a layout job starts from.
+function layoutStartGeometry(state) {
+    const geometry = { nodes: {}, boxes: {} };
+    Object.values(state.nodes || {}).forEach(n => { geometry.nodes[n.id] = { x: n.x, y: n.y }; });
+    Object.values(state.boxes || {}).forEach(b => { geometry.boxes[b.id] = { x: b.x, y: b.y, width: b.width, height: b.height }; });
+    return geometry;
+}
+
+// Writes a layout result onto the live graph. With `started` (the geometry
+// the job ran on), nodes that were moved or pinned since, boxes that were
+// moved or resized, and edges touching a skipped node are left alone.
+function applyLayoutGeometry(result, started) {
+    const skipped = new Set();
+    Object.entries(result.nodes || {}).forEach(([id, p]) => {
+        const n = nodes[id];
+        if (!n) return;
+        const was = started && started.nodes[id];
+        if (started && (!was || n.pinned === true || n.x !== was.x || n.y !== was.y)) {
+            skipped.add(id);
+            return;
+        }
+        n.x = p.x;
+        n.y = p.y;
+    });
+    Object.entries(result.boxes || {}).forEach(([id, r]) => {
+        const box = boxes[id];
+        if (!box) return;
+        const was = started && started.boxes[id];
+        if (started && (!was || box.x !== was.x || box.y !== was.y || box.width !== was.width || box.height !== was.height)) return;
+        Object.assign(box, r);
+    });
+    const points = result.edgePoints || {};
+    edges.forEach(e => {
+        if (!(e.id in points) || skipped.has(e.source) || skipped.has(e.target)) return;
+        if (points[e.id]) e.points = points[e.id];
+        else delete e.points;
+    });
+}
+
+document.getElementById("apply-layout").addEventListener("click", () => {
+    const type = document.getElementById("layout-select").value; // "grid" | "circle" | "hierarchical" | "force"
+
+    syncLayoutSettingsFromInputs();
+    layoutSettings.selectedLayout = type;
+    saveLayoutSettingsToStorage();
+
+    if (type === "manual") {
+        render();
+        return;
+    }
 
     // layout-on-selection: if 2+ nodes selected, only arrange those
     const selIds = getSelectedNodeIds().filter(id => nodes[id]);
-    if (selIds.length >= 2) {
+    if (type === "radial") {
+        // Center on the selected node (else the engine picks the top hub).
+        const centerId = selectedNodeId && nodes[selectedNodeId] ? selectedNodeId : selIds[0];
+        const radialOptions = { ...layoutSettings.options.radial };
+        if (centerId) {
+            radialOptions.center = centerId;
+            radialOptions.distances = hopDistancesFrom(centerId);
+        }
+        runLayoutJob(type, { nodes, edges, boxes, view }, radialOptions);
+    } else if (type === "incremental") {
+        // Selected nodes are the "new" ones; without a selection, the last
+        // transform merge's entities. Everything else anchors.
+        const newIds = selIds.length ? selIds : lastMergedIds.filter(id => nodes[id]);
+        if (!newIds.length) {
+            alert("Select the entities to arrange (or run a transform first).");
+            return;
+        }
+        runLayoutJob(type, { nodes, edges, boxes, view }, { ...layoutSettings.options.incremental, newIds });
+    } else if (selIds.length >= 2) {
         const subNodes = {};
         selIds.forEach(id => { subNodes[id] = nodes[id]; });
-        Layout.apply(type, { nodes: subNodes, edges, boxes: {}, view }, layoutSettings.options[type] || {});
+        runLayoutJob(type, { nodes: subNodes, edges, boxes: {}, view }, layoutSettings.options[type] || {});
     } else {
-        Layout.apply(type, { nodes, edges, boxes, view }, layoutSettings.options[type] || {});
+        runLayoutJob(type, { nodes, edges, boxes, view }, layoutSettings.options[type] || {});
     }
-
-    animateLayout(before);
 });
 
 // Animate nodes from their previous positions to the freshly-computed layout.
@@ -2964,7 +3771,19 @@ const layoutInputs = [
     "hier-node-vmargin",
     "weighted-tiers",
     "weighted-tier-spacing",
-    "weighted-node-spacing"
+    "weighted-node-spacing",
+    "stress-ideal",
+    "stress-iterations",
+    "layered-direction",
+    "layered-crossing",
+    "layered-layer-spacing",
+    "layered-node-gap",
+    "compound-inner",
+    "compound-padding",
+    "compound-ideal",
+    "incremental-ideal",
+    "incremental-iterations",
+    "radial-ring-spacing"
 ];
 
 layoutInputs.forEach(id => {
@@ -3144,7 +3963,7 @@ function openPanel(panelId) {
 
 // ---------- TRANSFORMS ----------
 
-let availableTransforms = []; // [{id,name,inputTypes,description}]
+let availableTransforms = []; // [{id,name,inputTypes,description,params}]
 
 async function loadTransforms() {
     try {
@@ -3156,33 +3975,104 @@ async function loadTransforms() {
     } catch (e) { /* server offline → transforms simply unavailable */ }
 }
 
+// Server transforms plus browser plugins (transforms.js); a plugin whose id
+// a server transform already uses is ignored.
+function listTransforms() {
+    const serverIds = new Set(availableTransforms.map(t => t.id));
+    return availableTransforms.concat(TransformRegistry.listClientTransforms().filter(t => !serverIds.has(t.id)));
+}
+
+function isClientTransform(transformId) {
+    return !availableTransforms.some(t => t.id === transformId) && TransformRegistry.hasClientTransform(transformId);
+}
+
+TransformRegistry.onTransformsChanged(() => renderTransformsHub());
+
+function transformSpec(transformId) {
+    return listTransforms().find(t => t.id === transformId) || null;
+}
+
+// Remembered transform settings: maxResults caps every transform's result
+// set before it is merged (0 = no cap); params holds the last-used values
+// per transform id; autoMerge the ids whose results skip the preview.
+function defaultTransformPrefs() {
+    return { maxResults: 0, params: {}, autoMerge: {} };
+}
+
+function loadTransformPrefs() {
+    const raw = localStorage.getItem(TRANSFORM_PREFS_KEY);
+    if (!raw) return defaultTransformPrefs();
+    try {
+        const parsed = JSON.parse(raw) || {};
+        return { ...defaultTransformPrefs(), ...parsed, params: { ...(parsed.params || {}) }, autoMerge: { ...(parsed.autoMerge || {}) } };
+    } catch (e) {
+        console.warn("Could not parse stored transform settings", e);
+        return defaultTransformPrefs();
+    }
+}
+
+function saveTransformPrefs() {
+    localStorage.setItem(TRANSFORM_PREFS_KEY, JSON.stringify(transformPrefs));
+}
+
+let transformPrefs = loadTransformPrefs();
+
+// Last-used (or default) values for a transform's declared params.
+function transformParamsFor(transformId) {
+    const spec = transformSpec(transformId);
+    return TransformRegistry.resolveParams(spec ? spec.params : [], transformPrefs.params[transformId]);
+}
+
+// Keeps the first `max` entities (and their links) of a result set.
+function trimTransformResult(data, max) {
+    if (!max || !data) return data;
+    return { ...data, entities: (data.entities || []).slice(0, max), links: (data.links || []).slice(0, max) };
+}
+
 function getApplicableTransforms(node) {
     const type = node.entityType || "generic";
-    return availableTransforms.filter(t =>
+    return listTransforms().filter(t =>
         !t.inputTypes || !t.inputTypes.length || t.inputTypes.includes(type) || t.inputTypes.includes("*"));
 }
 
+// Runs one transform (on the server, or in the page for a plugin) and
+// resolves to its { entities, links }, trimmed to the max-results setting;
+// rejects with the transform's error message (or, for the server, a
+// network error).
+async function requestTransform(node, transformId, params = {}) {
+    const max = transformPrefs.maxResults;
+    if (max) params = { ...params, limit: Math.min(params.limit || max, max) };
+    const entity = { type: node.entityType || "generic", value: node.value || node.label || "", properties: node.properties || {} };
+    if (isClientTransform(transformId)) {
+        try {
+            const data = await TransformRegistry.runClientTransform(transformId, { id: node.id, ...entity }, { nodes, edges }, params);
+            return trimTransformResult(data, max);
+        } catch (e) {
+            throw new Error(e && e.message ? e.message : String(e));
+        }
+    }
+    const res = await fetch("/api/transform", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ transformId, entity, params })
+    });
+    if (!res.ok) {
+        const err = await res.json().catch(() => ({}));
+        throw new Error(err.error || ("HTTP " + res.status));
+    }
+    return trimTransformResult(await res.json(), max);
+}
+
 async function runTransformOnNode(node, transformId, params = {}) {
+    let data;
     try {
-        const res = await fetch("/api/transform", {
-            method: "POST",
-            headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({
-                transformId,
-                entity: { type: node.entityType || "generic", value: node.value || node.label || "", properties: node.properties || {} },
-                params
-            })
-        });
-        if (!res.ok) {
-            const err = await res.json().catch(() => ({}));
-            alert("Transform failed: " + (err.error || ("HTTP " + res.status)));
-            return;
-        }
-        const data = await res.json();
-        mergeTransformResults(node, transformId, data);
+        data = await requestTransform(node, transformId, params);
     } catch (e) {
-        alert("Transform failed — is the server running?");
+        alert(e instanceof TypeError ? "Transform failed — is the server running?" : "Transform failed: " + e.message);
+        return;
     }
+    if (transformPrefs.autoMerge[transformId] || !(data.entities || []).length) mergeTransformResults(node, transformId, data);
+    else showTransformPreview(node, transformId, data);
 }
 
 function entityKey(type, value) {
@@ -3190,18 +4080,23 @@ function entityKey(type, value) {
 }
 
 // Additively merge transform results into the graph, de-duplicating entities by
-// type+value and links by endpoint pair, stamping provenance.
-function mergeTransformResults(sourceNode, transformId, data) {
+// type+value and links by endpoint pair, stamping provenance. Returns
+// { created: [new node ids], targets: [result node ids], linked: new links }.
+// options.batch: the caller took the undo snapshot and will settle the new
+// entities itself (playbook runs), so skip both here.
+function mergeTransformResults(sourceNode, transformId, data, options = {}) {
     const ents = (data && data.entities) || [];
-    const links = (data && data.links) || [];
-    if (!ents.length) { return; }
-    pushUndo();
+    const outcome = { created: [], targets: [], linked: 0 };
+    if (!ents.length) { return outcome; }
+    if (!options.batch) pushUndo();
+    else graphRevision++; // the batch's snapshot was taken before earlier merges
     const existingByKey = {};
     Object.keys(nodes).forEach(id => {
         const n = nodes[id];
         existingByKey[entityKey(n.entityType, n.value || n.label)] = id;
     });
     const n = ents.length;
+    const created = outcome.created;
     ents.forEach((ent, i) => {
         const key = entityKey(ent.type, ent.value);
         let targetId = existingByKey[key];
@@ -3213,10 +4108,13 @@ function mergeTransformResults(sourceNode, transformId, data) {
             });
             nodes[targetId].provenance = { source: "transform:" + transformId, createdAt: Date.now() };
             existingByKey[key] = targetId;
+            created.push(targetId);
         }
-        const link = links[i] || links[0] || {};
+        if (targetId !== sourceNode.id && !outcome.targets.includes(targetId)) outcome.targets.push(targetId);
+        const link = TransformRegistry.linkFor(data, i); // null: left out in the preview
         const exists = edges.some(e => (e.source === sourceNode.id && e.target === targetId));
-        if (!exists && targetId !== sourceNode.id) {
+        if (link && !exists && targetId !== sourceNode.id) {
+            outcome.linked += 1;
             const eid = createEdge(sourceNode.id, targetId);
             const edge = edges.find(e => e.id === eid);
             if (edge) {
@@ -3226,7 +4124,21 @@ function mergeTransformResults(sourceNode, transformId, data) {
             }
         }
     });
-    render();
+    if (options.batch) return outcome;
+    if (created.length) settleNewEntities(created);
+    else render();
+    return outcome;
+}
+
+// Settle only the new entities around the existing (anchored) graph.
+function settleNewEntities(created) {
+    const ids = created.filter(id => nodes[id]);
+    if (!ids.length) { render(); return; }
+    lastMergedIds = ids;
+    const before = {};
+    ids.forEach(id => { before[id] = { x: nodes[id].x, y: nodes[id].y }; });
+    Layout.apply("incremental", { nodes, edges, boxes, view }, { ...layoutSettings.options.incremental, newIds: ids });
+    animateLayout(before);
 }
 
 // ---------- CONTEXT MENU ----------
@@ -3278,10 +4190,10 @@ document.addEventListener("contextmenu", e => {
 
 svg.addEventListener("contextmenu", e => {
     e.preventDefault();
-    const owner = e.target.closest ? e.target.closest("[data-node-id],[data-edge-id],[data-box-id],[data-resize-box-id]") : null;
+    const owner = e.target.closest ? e.target.closest("[data-node-id],[data-edge-id],[data-box-id],[data-resize-box-id],[data-bend-edge-id],[data-suggestion]") : null;
     const ds = (owner && owner.dataset) || e.target.dataset || {};
     const nodeId = ds.nodeId;
-    const edgeId = ds.edgeId;
+    const edgeId = ds.edgeId || ds.bendEdgeId;
     const boxId = ds.boxId || ds.resizeBoxId;
     const pos = screenToWorld(e.clientX, e.clientY);
     let items;
@@ -3290,23 +4202,54 @@ svg.addEventListener("contextmenu", e => {
         if (!isNodeSelected(nodeId)) selectNode(nodeId);
         render();
         const n = nodes[nodeId];
-        const tItems = getApplicableTransforms(n).map(t => ({ label: t.name, action: () => runTransformOnNode(n, t.id) }));
+        const tItems = getApplicableTransforms(n).map(t => {
+            const count = selectedTargetsFor(t.id).length;
+            const label = (count > 1 ? `${t.name} (${count} selected)` : t.name) + ((t.params || []).length ? "…" : "");
+            return { label, action: () => promptTransformRun(t.id, e.clientX, e.clientY) };
+        });
+        const folding = n.meta
+            ? [{ label: `Expand (${n.meta.count})`, action: () => { pushUndo(); expandMetaNode(nodeId); render(); } }]
+            : (n.community != null
+                ? [{ label: `Collapse community ${n.community + 1}`, action: () => { pushUndo(); collapseCommunity(n.community); render(); } }]
+                : []);
+        const pbItems = playbooks.filter(pb => Playbooks.playbookAccepts(pb, n.entityType || "generic"))
+            .map(pb => ({ label: pb.name, action: () => runPlaybookOn(pb, getSelectedNodeIds()), disabled: !!playbookRun }));
         items = [
             { label: "Run transform", submenu: tItems.length ? tItems : [{ label: "(no transforms for this type)", disabled: true }] },
+            { label: "Run playbook", submenu: pbItems.length ? pbItems : [{ label: "(no playbooks for this type)", disabled: true }] },
+            ...folding,
             { separator: true },
             { label: "Edit properties", action: () => openPanel("panel-selection") },
+            { label: "Layout around this entity", action: () => layoutAroundNode(nodeId) },
             { label: n.pinned ? "Unpin position" : "Pin position", action: () => { pushUndo(); getSelectedNodeIds().forEach(id => { if (nodes[id]) nodes[id].pinned = !n.pinned; }); render(); } },
             { label: "Copy", action: copySelection },
             { label: "Duplicate", action: duplicateSelection },
             { label: "Group selection", action: groupSelection },
+            { label: "Merge selected entities", action: mergeSelection, disabled: getSelectedNodeIds().length < 2 },
             { separator: true },
             { label: "Delete", action: deleteSelection }
         ];
+    } else if (ds.suggestion) {
+        const suggestion = analyticsState.suggestions.find(s => suggestionKey(s.source, s.target) === ds.suggestion);
+        items = suggestion ? [
+            { label: "Accept suggested link", action: () => acceptSuggestion(suggestion) },
+            { label: "Dismiss suggestion", action: () => dismissSuggestion(suggestion) }
+        ] : [{ label: "(suggestion no longer listed)", disabled: true }];
+    } else if (ds.bendEdgeId && ds.bendIndex != null) {
+        const edge = edges.find(x => x.id === ds.bendEdgeId);
+        items = [
+            { label: "Remove bend point", action: () => { if (edge) { pushUndo(); removeBendPoint(edge, Number(ds.bendIndex)); render(); } } },
+            { label: "Clear all bend points", action: () => { if (edge) { pushUndo(); delete edge.points; render(); } } }
+        ];
     } else if (edgeId) {
         const edge = edges.find(x => x.id === edgeId);
         selectEdge(edgeId); render();
+        const hasBends = !!(edge && Array.isArray(edge.points) && edge.points.length);
         items = [
             { label: "Edit edge", action: () => openPanel("panel-selection") },
+            { label: "Add bend point here", action: () => { if (edge) { pushUndo(); insertBendPoint(edge, pos); render(); } }, disabled: !edge || edge.source === edge.target },
+            { label: "Clear bend points", action: () => { pushUndo(); delete edge.points; render(); }, disabled: !hasBends },
+            { label: "Detach from ports", action: () => { pushUndo(); delete edge.sourcePort; delete edge.targetPort; render(); }, disabled: !(edge && (edge.sourcePort || edge.targetPort)) },
             { label: edge && edge.directed ? "Make undirected" : "Make directed", action: () => { if (edge) { pushUndo(); edge.directed = !edge.directed; render(); } } },
             { label: "Reverse direction", action: () => { if (edge) { pushUndo(); const s = edge.source; edge.source = edge.target; edge.target = s; render(); } } },
             { separator: true },
@@ -3316,6 +4259,7 @@ svg.addEventListener("contextmenu", e => {
         selectBox(boxId); render();
         items = [
             { label: "Rename box", action: () => openPanel("panel-selection") },
+            { label: "Collapse box", action: () => { pushUndo(); collapseBox(boxId); render(); }, disabled: !boxes[boxId].nodes.length || isLayerLocked(boxes[boxId].layer) },
             { label: "Ungroup", action: ungroupSelection },
             { label: "Delete box", action: () => { pushUndo(); deleteBox(boxId); render(); } }
         ];
@@ -3373,12 +4317,26 @@ function rampColor(t) {
     const ch = i => Math.round(a[i] + (b[i] - a[i]) * local);
     return `#${[ch(0), ch(1), ch(2)].map(v => v.toString(16).padStart(2, "0")).join("")}`;
 }
+// Per-node metrics from computeCentrality that can drive color/size, and
+// those shown with decimals in the rank table.
+const NODE_METRICS = [
+    "degree", "betweenness", "closeness", "pagerank", "eigenvector", "katz",
+    "hub", "authority", "harmonic", "kcore", "articulation", "bridges"
+];
+const FRACTIONAL_METRICS = new Set(["closeness", "pagerank", "eigenvector", "katz", "hub", "authority", "harmonic"]);
 function isMetricMode(m) {
-    return m === "degree" || m === "betweenness" || m === "closeness" || m === "pagerank";
+    return NODE_METRICS.includes(m);
 }
+// Articulation points and bridges in the "biconnected components" encoding,
+// which colors every other node/edge by its block.
+const CUT_COLOR = "#d81b60";
 function getNodeFill(n) {
     const m = encoding.mode;
     if (m === "community" && n.community != null) return communityColor(n.community);
+    if (m === "bicomponent" && encoding.blocks) {
+        if (encoding.blocks.cutNodes.has(n.id)) return CUT_COLOR;
+        if (encoding.blocks.nodeBlock[n.id] != null) return communityColor(encoding.blocks.nodeBlock[n.id]);
+    }
     if (isMetricMode(m) && n.metrics && Number.isFinite(n.metrics[m]) && encoding.max > encoding.min) {
         return rampColor((n.metrics[m] - encoding.min) / (encoding.max - encoding.min));
     }
@@ -3390,32 +4348,189 @@ function getNodeFill(n) {
     return n.color || getShapeDefaults(n.shape || "circle").color;
 }
 
-function getEdgePointsForRouting(src, tgt) {
+// Edge polyline from endpoint to endpoint. Ends attached to a named port
+// start exactly on it; the others start at the node center and are clipped
+// to the border by clipEdgeToBorders.
+function getEdgePointsForRouting(src, tgt, edge = null) {
+    const a = edgeEndPoint(src, edge, "source");
+    const b = edgeEndPoint(tgt, edge, "target");
+    const pinEnds = points => {
+        points[0] = a;
+        points[points.length - 1] = b;
+        return points;
+    };
+
+    // Bend points (e.g. from the layered layout) override the routing style.
+    if (edge && Array.isArray(edge.points) && edge.points.length) {
+        return [a, ...edge.points.map(p => ({ x: p.x, y: p.y })), b];
+    }
+
+    if (layoutSettings.edgeRouting === "curved" && edge && edge.source !== edge.target) {
+        const bulge = getRoutingFrame().fan[edge.id];
+        if (bulge) return Routing.arcPoints(a, b, bulge);
+    }
+
+    if (layoutSettings.edgeRouting === "bundled" && edge) {
+        const bundled = bundledEdgePoints(edge, src, tgt);
+        if (bundled) return pinEnds(bundled);
+    }
+
     if (layoutSettings.edgeRouting === "orthogonal") {
-        const horizontalFirst = Math.abs(src.x - tgt.x) > Math.abs(src.y - tgt.y);
+        if (edge && edge.source !== edge.target) {
+            // Routes start on the port's axis inside the node, so moving the
+            // end onto the port keeps the first segment straight.
+            const routed = routeOrthogonalEdge(edge);
+            if (routed) return pinEnds(routed);
+        }
+        // No edge to route (or it's walled in): a single elbow.
+        const horizontalFirst = Math.abs(a.x - b.x) > Math.abs(a.y - b.y);
         if (horizontalFirst) {
-            const midX = (src.x + tgt.x) / 2;
-            return [
-                { x: src.x, y: src.y },
-                { x: midX, y: src.y },
-                { x: midX, y: tgt.y },
-                { x: tgt.x, y: tgt.y }
-            ];
+            const midX = (a.x + b.x) / 2;
+            return [a, { x: midX, y: a.y }, { x: midX, y: b.y }, b];
         } else {
-            const midY = (src.y + tgt.y) / 2;
-            return [
-                { x: src.x, y: src.y },
-                { x: src.x, y: midY },
-                { x: tgt.x, y: midY },
-                { x: tgt.x, y: tgt.y }
-            ];
+            const midY = (a.y + b.y) / 2;
+            return [a, { x: a.x, y: midY }, { x: b.x, y: midY }, b];
         }
     }
 
-    return [
-        { x: src.x, y: src.y },
-        { x: tgt.x, y: tgt.y }
-    ];
+    return [a, b];
+}
+
+// ---------- EDGE ROUTING ----------
+
+// Per-render routing inputs, built lazily on first use and dropped by
+// resetRoutingFrame() at the start of every render: visible node rects,
+// node/box obstacles and port assignment for the orthogonal router, and
+// fan offsets for curved edges. Orthogonal routes themselves persist in a
+// cache keyed by edge id, which decides which edges need a new search
+// (their endpoints, ports or nearby obstacles moved).
+const orthogonalRoutes = Routing.createRouteCache();
+let routingFrame = null;
+
+function resetRoutingFrame() {
+    routingFrame = null;
+    if (layoutSettings.edgeRouting === "bundled") scheduleEdgeBundling();
+    else cancelEdgeBundling();
+}
+
+// Edges routed by style (self-loops and edges with explicit bend points
+// keep their own geometry).
+function styleRoutedEdges(rects) {
+    return edges.filter(e => e.source !== e.target && isLayerVisible(e.layer)
+        && rects[e.source] && rects[e.target] && !(Array.isArray(e.points) && e.points.length));
+}
+
+function getRoutingFrame() {
+    if (routingFrame) return routingFrame;
+    const rects = {};
+    const nodeObstacles = [];
+    Object.values(nodes).forEach(n => {
+        if (!isNodeVisible(n)) return;
+        const { halfWidth, halfHeight } = getNodeDimensions(n);
+        rects[n.id] = { x: n.x, y: n.y, halfWidth, halfHeight };
+        nodeObstacles.push({ id: n.id, x: n.x - halfWidth, y: n.y - halfHeight, width: halfWidth * 2, height: halfHeight * 2 });
+    });
+    const boxObstacles = Object.values(boxes)
+        .filter(b => isLayerVisible(b.layer))
+        .map(b => ({ id: "box:" + b.id, boxId: b.id, x: b.x, y: b.y, width: b.width, height: b.height }));
+    const routed = styleRoutedEdges(rects);
+    const mode = layoutSettings.edgeRouting;
+    if (mode === "orthogonal") orthogonalRoutes.prune(edges.map(e => e.id));
+    routingFrame = {
+        rects,
+        nodeObstacles,
+        boxObstacles,
+        ports: mode === "orthogonal" ? Routing.assignPorts(routed.map(routerPortsOf), rects) : {},
+        fan: mode === "curved" ? Routing.fanOffsets(routed) : {}
+    };
+    return routingFrame;
+}
+
+// Bundled routing runs force-directed edge bundling in the background
+// worker (it's quadratic in the edge count), debounced so drags and layout
+// animations only trigger one run once things settle. Edges draw straight
+// until a result arrives, and again whenever their endpoints have moved
+// since it was computed.
+const BUNDLING_DEBOUNCE_MS = 250;
+let edgeBundles = {};
+let bundlingSignature = ""; // segments of the running / last finished job
+let bundlingTimer = null;
+
+function segmentKey(s) {
+    return `${s.x1},${s.y1},${s.x2},${s.y2}`;
+}
+
+// Called on every render, so it only re-arms the timer: the segments are
+// collected once rendering has been idle for BUNDLING_DEBOUNCE_MS, and a
+// job starts only if they changed since the last one.
+function scheduleEdgeBundling() {
+    clearTimeout(bundlingTimer);
+    bundlingTimer = setTimeout(startEdgeBundling, BUNDLING_DEBOUNCE_MS);
+}
+
+function startEdgeBundling() {
+    bundlingTimer = null;
+    if (layoutSettings.edgeRouting !== "bundled") return;
+    const rects = {};
+    Object.values(nodes).forEach(n => { if (isNodeVisible(n)) rects[n.id] = n; });
+    const segments = styleRoutedEdges(rects).map(e => ({
+        id: e.id, x1: rects[e.source].x, y1: rects[e.source].y, x2: rects[e.target].x, y2: rects[e.target].y
+    }));
+    const signature = segments.map(sg => sg.id + ":" + segmentKey(sg)).join("|");
+    if (signature === bundlingSignature) return;
+    bundlingSignature = signature;
+    runTrackedJob("bundling", "bundle", { segments }).then(result => {
+        edgeBundles = {};
+        segments.forEach(sg => {
+            if (result[sg.id]) edgeBundles[sg.id] = { key: segmentKey(sg), points: result[sg.id] };
+        });
+        render();
+    }, err => {
+        // However it was stopped (Cancel button, routing switched off, a
+        // failure), let the same geometry be bundled again later — unless a
+        // newer job has already taken over.
+        if (bundlingSignature === signature) bundlingSignature = "";
+        if (!err.cancelled) console.warn("Edge bundling failed:", err);
+    });
+}
+
+function cancelEdgeBundling() {
+    clearTimeout(bundlingTimer);
+    bundlingTimer = null;
+    if (activeJobs.bundling) activeJobs.bundling.cancel();
+    else bundlingSignature = "";
+}
+
+function bundledEdgePoints(edge, src, tgt) {
+    const entry = edgeBundles[edge.id];
+    if (!entry || entry.key !== segmentKey({ x1: src.x, y1: src.y, x2: tgt.x, y2: tgt.y })) return null;
+    return [{ x: src.x, y: src.y }, ...entry.points.map(p => ({ x: p.x, y: p.y })), { x: tgt.x, y: tgt.y }];
+}
+
+// The edge as the router sees it, with named ports turned into the
+// router's { side, offset } (unpinned ends are spread by assignPorts).
+function routerPortsOf(edge) {
+    const pin = end => {
+        const port = resolveNodePort(nodes[edge[end]], edge[end + "Port"]);
+        return port ? { side: port.side, offset: port.offset } : undefined;
+    };
+    return { id: edge.id, source: edge.source, target: edge.target, sourcePort: pin("source"), targetPort: pin("target") };
+}
+
+// Obstacle-avoiding orthogonal polyline for an edge (anchors inside the
+// end nodes, ready for clipEdgeToBorders), or null to fall back to an elbow.
+// Boxes holding either endpoint are not obstacles: the edge has to leave them.
+function routeOrthogonalEdge(edge) {
+    const frame = getRoutingFrame();
+    const source = frame.rects[edge.source], target = frame.rects[edge.target];
+    const ports = frame.ports[edge.id];
+    if (!source || !target || !ports) return null;
+    const homes = new Set([nodes[edge.source].box, nodes[edge.target].box].filter(Boolean));
+    const obstacles = frame.nodeObstacles.concat(frame.boxObstacles.filter(b => !homes.has(b.boxId)));
+    const points = orthogonalRoutes.route(edge.id, {
+        source, target, sourcePort: ports.source, targetPort: ports.target, obstacles
+    });
+    return points ? points.map(p => ({ x: p.x, y: p.y })) : null;
 }
 
 function getEdgeLabelAnchor(points) {
@@ -3426,31 +4541,51 @@ function getEdgeLabelAnchor(points) {
     return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
 }
 
-// Point on a node's border in the direction (dirx,diry) from its center.
-function nodeBorderPoint(node, dirx, diry) {
+// Point on a node's border in the direction (dirx,diry) from `origin`
+// (its center by default; routed edges start from an off-center port).
+function nodeBorderPoint(node, dirx, diry, origin = node) {
     const { halfWidth, halfHeight, radius } = getNodeDimensions(node);
     const shape = node.shape || "circle";
     const len = Math.hypot(dirx, diry) || 1;
     const ux = dirx / len, uy = diry / len;
+    const ox = origin.x - node.x, oy = origin.y - node.y;
     if (shape === "circle") {
-        return { x: node.x + ux * radius, y: node.y + uy * radius };
+        // ray/circle intersection: |o + s·u| = r
+        const b = ox * ux + oy * uy;
+        const s = -b + Math.sqrt(Math.max(0, b * b - (ox * ox + oy * oy - radius * radius)));
+        return { x: origin.x + ux * s, y: origin.y + uy * s };
+    }
+    if (shape === "diamond") {
+        // exit through the first facet |x|/hw + |y|/hh = 1 the ray crosses
+        let s = Infinity;
+        [[1, 1], [1, -1], [-1, 1], [-1, -1]].forEach(([fx, fy]) => {
+            const nu = fx * ux / halfWidth + fy * uy / halfHeight;
+            if (nu > 1e-12) s = Math.min(s, (1 - fx * ox / halfWidth - fy * oy / halfHeight) / nu);
+        });
+        if (Number.isFinite(s)) return { x: origin.x + ux * s, y: origin.y + uy * s };
     }
-    // rect / rounded / cylinder / swimlane / diamond → AABB approximation
-    const sx = ux !== 0 ? halfWidth / Math.abs(ux) : Infinity;
-    const sy = uy !== 0 ? halfHeight / Math.abs(uy) : Infinity;
+    // rect / rounded / cylinder / swimlane → AABB approximation
+    const sx = ux !== 0 ? (Math.sign(ux) * halfWidth - ox) / ux : Infinity;
+    const sy = uy !== 0 ? (Math.sign(uy) * halfHeight - oy) / uy : Infinity;
     const s = Math.min(sx, sy);
-    return { x: node.x + ux * s, y: node.y + uy * s };
+    return { x: origin.x + ux * s, y: origin.y + uy * s };
 }
 
 // Clip an edge polyline so its endpoints sit on the node borders, not centers.
-function clipEdgeToBorders(points, src, tgt) {
+// Ends attached to a named port already do and are left alone.
+function clipEdgeToBorders(points, src, tgt, edge = null) {
     if (!points || points.length < 2) return points;
     if (src === tgt) return points;
     const p = points.map(pt => ({ ...pt }));
     const next = p[1];
     const prev = p[p.length - 2];
-    p[0] = nodeBorderPoint(src, next.x - src.x, next.y - src.y);
-    p[p.length - 1] = nodeBorderPoint(tgt, prev.x - tgt.x, prev.y - tgt.y);
+    const first = p[0], last = p[p.length - 1];
+    if (!resolveNodePort(src, edge && edge.sourcePort)) {
+        p[0] = nodeBorderPoint(src, next.x - first.x, next.y - first.y, first);
+    }
+    if (!resolveNodePort(tgt, edge && edge.targetPort)) {
+        p[p.length - 1] = nodeBorderPoint(tgt, prev.x - last.x, prev.y - last.y, last);
+    }
     return p;
 }
 
@@ -3470,6 +4605,13 @@ function flushRender() {
 
 function renderNow() {
     clearSelectionIfLayerUnavailable();
+    // Blocks follow the graph's edits, not every frame.
+    if (encoding.mode === "bicomponent" && (!encoding.blocks || encoding.blocks.revision !== graphRevision)) {
+        encoding.blocks = computeBlockColoring();
+    }
+    // A live diff follows the graph's edits, not every frame.
+    if (graphDiff && !graphDiff.after && graphDiff.revision !== graphRevision) refreshGraphDiff();
+    resetRoutingFrame();
 
     // Alternate workspace views (canvas / bubble / map / entity list).
     // NOTE: toggle the .hidden class (it uses !important) rather than style.display.
@@ -3577,12 +4719,17 @@ function renderNow() {
         if (!src || !tgt) return;
         if (!visibleNodes[edge.source] || !visibleNodes[edge.target]) return;
 
-        const rawPoints = getEdgePointsForRouting(src, tgt);
+        const rawPoints = getEdgePointsForRouting(src, tgt, edge);
         // Clip endpoints to node borders so arrowheads aren't hidden under fills.
-        const points = clipEdgeToBorders(rawPoints, src, tgt);
-        const onPath = pathHighlights.edges.has(edge.id);
+        const points = clipEdgeToBorders(rawPoints, src, tgt, edge);
+        const onPath = isEdgeOnPath(edge);
         const derived = edge.provenance && typeof edge.provenance.source === "string" && edge.provenance.source.startsWith("transform");
-        const baseColor = edge.color || (derived ? theme.edgeDerived : theme.edgeDefault);
+        let baseColor = edge.color || (derived ? theme.edgeDerived : theme.edgeDefault);
+        if (encoding.mode === "bicomponent" && encoding.blocks && encoding.blocks.edgeBlock[edge.id] != null) {
+            baseColor = encoding.blocks.bridges.has(edge.id) ? CUT_COLOR : communityColor(encoding.blocks.edgeBlock[edge.id]);
+        }
+        const edgeDiff = graphDiff && graphDiff.status.edges[edge.id];
+        if (edgeDiff) baseColor = DIFF_COLORS[edgeDiff];
         const strokeColor = onPath ? "#ff2d55" : (isEdgeSelected(edge.id) ? "#ff6600" : baseColor);
         const strokeWidth = (edge.width || 2) + (onPath ? 1.5 : 0) + (isEdgeSelected(edge.id) ? 1 : 0);
         const selfLoop = edge.source === edge.target;
@@ -3614,6 +4761,10 @@ function renderNow() {
         edgeElement.setAttribute("stroke", strokeColor);
         edgeElement.setAttribute("stroke-width", strokeWidth);
         edgeElement.setAttribute("fill", "none");
+        // Bundles read as bands when the strands are translucent.
+        if (layoutSettings.edgeRouting === "bundled" && !onPath && !isEdgeSelected(edge.id)) {
+            edgeElement.setAttribute("stroke-opacity", "0.5");
+        }
         edgeElement.dataset.edgeId = edge.id;
         edgeElement.setAttribute("pointer-events", "stroke");
 
@@ -3663,6 +4814,9 @@ function renderNow() {
         }
     });
 
+    renderSuggestedLinks(viewport, visibleNodes);
+    renderDiffGhosts(viewport);
+
     // nodes
     const fallbackStroke = theme.nodeStroke;
 
@@ -3671,12 +4825,13 @@ function renderNow() {
 
         const shapeType = n.shape || "circle";
         const { width, height, halfWidth, halfHeight, radius } = getNodeDimensions(n);
-        const onPath = pathHighlights.nodes.has(n.id);
+        const onPath = isNodeOnPath(n);
         const fill = getNodeFill(n);
         const baseStroke = n.stroke || fallbackStroke;
         const selectedNode = isNodeSelected(n.id);
-        const stroke = onPath ? "#ff2d55" : (selectedNode ? "#ff9900" : baseStroke);
-        const strokeWidth = onPath ? "4" : (selectedNode ? "3" : "1");
+        const nodeDiff = graphDiff && graphDiff.status.nodes[n.id];
+        const stroke = onPath ? "#ff2d55" : (selectedNode ? "#ff9900" : (nodeDiff ? DIFF_COLORS[nodeDiff] : baseStroke));
+        const strokeWidth = onPath ? "4" : (selectedNode || nodeDiff ? "3" : "1");
         const nodeGroup = document.createElementNS(NS, "g");
         nodeGroup.dataset.nodeId = n.id;
         if (n.pinned) nodeGroup.dataset.pinned = "1";
@@ -3797,6 +4952,19 @@ function renderNow() {
             nodeGroup.appendChild(icon);
         }
 
+        if (n.meta) {
+            // member count of a collapsed community / box
+            const count = document.createElementNS(NS, "text");
+            count.textContent = String(n.meta.count);
+            count.setAttribute("x", n.x);
+            count.setAttribute("y", n.y);
+            count.setAttribute("text-anchor", "middle");
+            count.setAttribute("dominant-baseline", "central");
+            count.setAttribute("class", "meta-node-count");
+            count.setAttribute("pointer-events", "none");
+            nodeGroup.appendChild(count);
+        }
+
         viewport.appendChild(nodeGroup);
 
         // label with a readable halo so it stays legible over edges/nodes
@@ -3812,6 +4980,9 @@ function renderNow() {
         viewport.appendChild(label);
     });
 
+    renderBendHandles(viewport);
+    renderPortHandles(viewport);
+
     if (snapSettings.showGuides && (activeGuides.vertical.length || activeGuides.horizontal.length)) {
         const guideLayer = document.createElementNS(NS, "g");
         guideLayer.setAttribute("class", "snap-guides");
@@ -4114,6 +5285,8 @@ function renderLegend() {
     if (!el) return;
     const showLegend = document.getElementById("toggle-legend")?.checked;
     if (!showLegend) { el.classList.add("hidden"); return; }
+    if (encoding.mode === "community" && renderCommunityLegend(el)) return;
+    if (encoding.mode === "bicomponent" && renderBlockLegend(el)) return;
     const present = {};
     Object.values(nodes).forEach(n => {
         if (!isNodeVisible(n)) return;
@@ -4132,6 +5305,67 @@ function renderLegend() {
     });
 }
 
+// Legend for the community encoding: the largest communities with their
+// colors and sizes, titled with the modularity. False when there's nothing
+// to show.
+function renderCommunityLegend(el) {
+    const visible = {};
+    Object.values(nodes).forEach(n => { if (isNodeVisible(n) && n.community != null) visible[n.id] = n; });
+    const summary = Analytics.communitySummary({ nodes: visible, edges }, currentCommunities());
+    if (!summary.length) return false;
+    const info = analyticsState.communityInfo;
+    el.classList.remove("hidden");
+    el.innerHTML = "";
+    const title = document.createElement("div");
+    title.className = "legend-title";
+    title.textContent = "Communities" + (info && Number.isFinite(info.modularity) ? ` (Q = ${info.modularity.toFixed(3)})` : "");
+    el.appendChild(title);
+    const shown = summary.slice(0, COMMUNITY_PALETTE.length);
+    shown.forEach(row => {
+        const chip = document.createElement("div");
+        chip.className = "legend-chip";
+        const swatch = document.createElement("span");
+        swatch.className = "legend-swatch";
+        swatch.style.background = communityColor(row.community);
+        chip.appendChild(swatch);
+        chip.appendChild(document.createTextNode(` ${row.community + 1} · ${row.size}`));
+        el.appendChild(chip);
+    });
+    if (summary.length > shown.length) {
+        const more = document.createElement("div");
+        more.className = "legend-chip";
+        more.textContent = `+${summary.length - shown.length} more`;
+        el.appendChild(more);
+    }
+    return true;
+}
+
+// Legend for the biconnected-components encoding.
+function renderBlockLegend(el) {
+    const blocks = encoding.blocks;
+    if (!blocks || !blocks.count) return false;
+    el.classList.remove("hidden");
+    el.innerHTML = "";
+    const title = document.createElement("div");
+    title.className = "legend-title";
+    title.textContent = `Biconnected components (${blocks.count})`;
+    el.appendChild(title);
+    [
+        [CUT_COLOR, `Articulation point (${blocks.cutNodes.size})`],
+        [CUT_COLOR, `Bridge (${blocks.bridges.size})`]
+    ].forEach(([color, text]) => {
+        const chip = document.createElement("div");
+        chip.className = "legend-chip";
+        const swatch = document.createElement("span");
+        swatch.className = "legend-swatch";
+        swatch.style.background = color;
+        chip.appendChild(swatch);
+        chip.appendChild(document.createTextNode(" " + text));
+        el.appendChild(chip);
+    });
+    return true;
+}
+
 // ---------- DATA-DRIVEN ENCODING ----------
 
 function metricRange(metric) {
@@ -4148,136 +5382,113 @@ async function applyEncoding() {
     const mode = document.getElementById("encoding-mode")?.value || "none";
     const sizeBy = document.getElementById("encoding-size")?.value || "none";
     const needsMetrics = isMetricMode(mode) || isMetricMode(sizeBy) || mode === "community";
-    if (needsMetrics && !Object.values(nodes).some(n => n.metrics)) {
+    // Metrics saved before a metric existed lack it; recompute then too.
+    const wanted = [mode, sizeBy].filter(isMetricMode);
+    if (needsMetrics && !Object.values(nodes).some(n => n.metrics && wanted.every(m => m in n.metrics))) {
         await runCentrality();
     }
     encoding.mode = mode;
     encoding.sizeByMetric = sizeBy;
+    if (mode !== "bicomponent") encoding.blocks = null;
     if (isMetricMode(mode)) { const r = metricRange(mode); encoding.min = r.min; encoding.max = r.max; }
     if (isMetricMode(sizeBy)) { const r = metricRange(sizeBy); encoding.sizeMin = r.min; encoding.sizeMax = r.max; }
     render();
 }
 
+// Biconnected blocks for the "bicomponent" encoding: nodes inside a single
+// block and the block's edges share its index; articulation points (in
+// several blocks) and bridges are flagged instead.
+function computeBlockColoring() {
+    const { articulationPoints, bridges, components } = Analytics.computeBiconnectivity({ nodes, edges });
+    const bridgeSet = new Set(bridges);
+    const nodeBlock = {}, edgeBlock = {};
+    let index = 0;
+    components.forEach(block => {
+        if (block.edges.length === 1 && bridgeSet.has(block.edges[0])) {
+            edgeBlock[block.edges[0]] = -1;
+            return;
+        }
+        block.nodes.forEach(id => { if (!(id in articulationPoints)) nodeBlock[id] = index; });
+        block.edges.forEach(id => { edgeBlock[id] = index; });
+        index++;
+    });
+    return {
+        nodeBlock,
+        edgeBlock,
+        cutNodes: new Set(Object.keys(articulationPoints)),
+        bridges: bridgeSet,
+        count: components.length,
+        revision: graphRevision
+    };
+}
+
 // ---------- CENTRALITY & COMMUNITIES (client) ----------
 
 function undirectedAdj() {
-    const adj = {};
-    Object.keys(nodes).forEach(id => { adj[id] = new Set(); });
-    edges.forEach(e => {
-        if (!nodes[e.source] || !nodes[e.target] || e.source === e.target) return;
-        adj[e.source].add(e.target);
-        adj[e.target].add(e.source);
-    });
-    const out = {};
-    Object.keys(adj).forEach(id => { out[id] = [...adj[id]]; });
-    return out;
+    return Analytics.undirectedAdjacency({ nodes, edges });
 }
 
-function computeCentralityClient() {
-    const ids = Object.keys(nodes);
-    const metrics = {};
-    ids.forEach(id => { metrics[id] = { degree: 0, inDegree: 0, outDegree: 0, betweenness: 0, closeness: 0, pagerank: 0 }; });
-    // degrees
-    edges.forEach(e => {
-        if (!metrics[e.source] || !metrics[e.target]) return;
-        metrics[e.source].outDegree++; metrics[e.source].degree++;
-        metrics[e.target].inDegree++; metrics[e.target].degree++;
-    });
-    const adj = undirectedAdj();
-    // Brandes betweenness + BFS closeness (unweighted, undirected)
-    ids.forEach(s => {
-        const stack = [];
-        const pred = {}; const sigma = {}; const dist = {};
-        ids.forEach(t => { pred[t] = []; sigma[t] = 0; dist[t] = -1; });
-        sigma[s] = 1; dist[s] = 0;
-        const queue = [s];
-        let distSum = 0, reach = 0;
-        while (queue.length) {
-            const v = queue.shift();
-            stack.push(v);
-            adj[v].forEach(w => {
-                if (dist[w] < 0) { dist[w] = dist[v] + 1; queue.push(w); }
-                if (dist[w] === dist[v] + 1) { sigma[w] += sigma[v]; pred[w].push(v); }
-            });
-        }
-        ids.forEach(t => { if (t !== s && dist[t] > 0) { distSum += dist[t]; reach++; } });
-        if (distSum > 0) {
-            // Wasserman-Faust normalization for disconnected graphs
-            metrics[s].closeness = (reach / (ids.length - 1 || 1)) * (reach / distSum);
-        }
-        const delta = {};
-        ids.forEach(t => { delta[t] = 0; });
-        while (stack.length) {
-            const w = stack.pop();
-            pred[w].forEach(v => { delta[v] += (sigma[v] / sigma[w]) * (1 + delta[w]); });
-            if (w !== s) metrics[w].betweenness += delta[w];
-        }
-    });
-    // betweenness undirected: divide by 2
-    ids.forEach(id => { metrics[id].betweenness /= 2; });
-    // PageRank (power iteration over directed out-links)
-    const outAdj = {}; ids.forEach(id => { outAdj[id] = []; });
-    edges.forEach(e => {
-        if (!outAdj[e.source] || !nodes[e.target]) return;
-        outAdj[e.source].push(e.target);
-        // Honour the `directed` flag: undirected edges are bidirectional links,
-        // matching the server's PageRank adjacency so scores/rankings agree.
-        if (!e.directed) outAdj[e.target].push(e.source);
-    });
-    const N = ids.length || 1;
-    let pr = {}; ids.forEach(id => { pr[id] = 1 / N; });
-    const d = 0.85;
-    for (let iter = 0; iter < 40; iter++) {
-        const next = {}; let dangling = 0;
-        ids.forEach(id => { next[id] = (1 - d) / N; });
-        ids.forEach(id => { if (outAdj[id].length === 0) dangling += pr[id]; });
-        ids.forEach(id => {
-            const share = outAdj[id].length ? pr[id] / outAdj[id].length : 0;
-            outAdj[id].forEach(t => { next[t] += d * share; });
-        });
-        ids.forEach(id => { next[id] += d * dangling / N; });
-        pr = next;
-    }
-    ids.forEach(id => { metrics[id].pagerank = pr[id]; });
-    // Communities via label propagation (undirected)
-    const label = {}; ids.forEach((id, i) => { label[id] = i; });
-    for (let iter = 0; iter < 20; iter++) {
-        let changed = false;
-        ids.forEach(id => {
-            const counts = {};
-            adj[id].forEach(nb => { counts[label[nb]] = (counts[label[nb]] || 0) + 1; });
-            let best = label[id], bestCount = -1;
-            Object.keys(counts).forEach(l => { if (counts[l] > bestCount) { bestCount = counts[l]; best = parseInt(l, 10); } });
-            if (best !== label[id] && bestCount > 0) { label[id] = best; changed = true; }
-        });
-        if (!changed) break;
-    }
-    // renumber communities to 0..k
-    const remap = {}; let next = 0;
-    const communities = {};
-    ids.forEach(id => {
-        if (remap[label[id]] === undefined) remap[label[id]] = next++;
-        communities[id] = remap[label[id]];
+// Community detection settings from the Analytics panel (see
+// Analytics.detectCommunities; the server's /api/centrality takes the same).
+function communityOptions() {
+    const resolution = parseFloat(document.getElementById("community-resolution")?.value);
+    const seed = parseInt(document.getElementById("community-seed")?.value, 10);
+    return {
+        method: document.getElementById("community-method")?.value || "louvain",
+        resolution: Number.isFinite(resolution) && resolution > 0 ? resolution : 1,
+        seed: Number.isFinite(seed) ? seed : 1
+    };
+}
+
+function applyCommunities(communities, info) {
+    Object.keys(nodes).forEach(id => {
+        if (communities && communities[id] != null) nodes[id].community = communities[id];
     });
-    return { metrics, communities };
+    analyticsState.communityInfo = { ...info, count: new Set(Object.values(communities || {})).size };
+    // Metrics (written just before by runCentrality) and communities changed.
+    graphRevision++;
+    render();
 }
 
 async function runCentrality() {
+    const community = communityOptions();
     let result = null;
     if (Object.keys(nodes).length > ANALYTICS_BACKEND_THRESHOLD) {
         try {
             const res = await fetch("/api/centrality", {
                 method: "POST", headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({ graph: { nodes, edges } })
+                body: JSON.stringify({ graph: { nodes, edges }, communities: community })
             });
             if (res.ok) result = await res.json();
         } catch (e) { /* fall back to client */ }
     }
-    if (!result) result = computeCentralityClient();
+    if (!result) {
+        try {
+            result = await runTrackedJob("centrality", "centrality", { graph: { nodes, edges }, options: { communities: community } });
+        } catch (err) {
+            if (!err.cancelled) console.warn("Centrality failed:", err);
+            return;
+        }
+    }
     Object.keys(nodes).forEach(id => {
         if (result.metrics && result.metrics[id]) nodes[id].metrics = result.metrics[id];
-        if (result.communities && result.communities[id] != null) nodes[id].community = result.communities[id];
     });
+    applyCommunities(result.communities, { ...community, modularity: result.modularity });
+    renderRankTable();
+}
+
+// Community detection alone (Louvain/Leiden are near-linear, so this always
+// runs in the worker rather than on the server).
+async function runCommunityDetection() {
+    const options = communityOptions();
+    try {
+        const result = await runTrackedJob("centrality", "communities", { graph: { nodes, edges }, options });
+        const { method, resolution, seed, modularity } = result;
+        applyCommunities(result.communities, { method, resolution, seed, modularity });
+    } catch (err) {
+        if (!err.cancelled) console.warn("Community detection failed:", err);
+        return;
+    }
     renderRankTable();
 }
 
@@ -4286,7 +5497,12 @@ function renderRankTable() {
     if (!wrap) return;
     const metric = document.getElementById("rank-metric")?.value || "degree";
     const rows = Object.values(nodes).filter(n => n.metrics).map(n => ({ n, v: n.metrics[metric] || 0 }));
-    if (!rows.length) { wrap.innerHTML = '<small class="muted">Compute centrality to rank entities.</small>'; return; }
+    const communityTable = buildCommunitySummaryTable();
+    if (!rows.length) {
+        wrap.innerHTML = '<small class="muted">Compute centrality to rank entities.</small>';
+        if (communityTable) wrap.appendChild(communityTable);
+        return;
+    }
     rows.sort((a, b) => b.v - a.v);
     const top = rows.slice(0, 15);
     // Build via DOM (textContent/dataset) rather than an innerHTML string: node
@@ -4301,7 +5517,7 @@ function renderRankTable() {
     table.appendChild(thead);
     const tbody = document.createElement("tbody");
     top.forEach((r, i) => {
-        const v = metric === "pagerank" || metric === "closeness" ? r.v.toFixed(3) : (metric === "betweenness" ? r.v.toFixed(1) : r.v);
+        const v = FRACTIONAL_METRICS.has(metric) ? r.v.toFixed(3) : (metric === "betweenness" ? r.v.toFixed(1) : r.v);
         const tr = document.createElement("tr");
         tr.className = "clickable";
         tr.dataset.node = r.n.id;
@@ -4315,9 +5531,72 @@ function renderRankTable() {
     table.appendChild(tbody);
     wrap.innerHTML = "";
     wrap.appendChild(table);
-    wrap.querySelectorAll("tr.clickable").forEach(tr => {
+    wrap.querySelectorAll("tr.clickable[data-node]").forEach(tr => {
         tr.addEventListener("click", () => { const id = tr.dataset.node; if (nodes[id]) { selectNode(id); centerOnNode(id); render(); } });
     });
+    if (communityTable) wrap.appendChild(communityTable);
+}
+
+// Current node -> community assignment ({} when none has been detected).
+function currentCommunities() {
+    const communities = {};
+    Object.values(nodes).forEach(n => { if (n.community != null) communities[n.id] = n.community; });
+    return communities;
+}
+
+// Per-community summary under the ranking: size and internal / external
+// edge counts, headed by the method and modularity Q. Clicking a row
+// selects the community's members.
+function buildCommunitySummaryTable() {
+    const communities = currentCommunities();
+    const summary = Analytics.communitySummary({ nodes, edges }, communities);
+    if (!summary.length) return null;
+    const frag = document.createDocumentFragment();
+    const info = analyticsState.communityInfo;
+    const caption = document.createElement("small");
+    caption.className = "muted rank-caption";
+    const methodNames = { louvain: "Louvain", leiden: "Leiden", label: "Label propagation" };
+    caption.textContent = `${summary.length} communities`
+        + (info ? ` · ${methodNames[info.method] || info.method} (γ = ${info.resolution})` : "")
+        + (info && Number.isFinite(info.modularity) ? ` · modularity Q = ${info.modularity.toFixed(3)}` : "");
+    frag.appendChild(caption);
+
+    const table = document.createElement("table");
+    table.className = "rank-table";
+    const thead = document.createElement("thead");
+    const htr = document.createElement("tr");
+    ["Community", "Size", "Internal", "External"].forEach(h => { const th = document.createElement("th"); th.textContent = h; htr.appendChild(th); });
+    thead.appendChild(htr);
+    table.appendChild(thead);
+    const tbody = document.createElement("tbody");
+    summary.slice(0, 15).forEach(row => {
+        const tr = document.createElement("tr");
+        tr.className = "clickable";
+        tr.dataset.community = String(row.community);
+        const name = document.createElement("td");
+        const swatch = document.createElement("span");
+        swatch.className = "legend-swatch";
+        swatch.style.background = communityColor(row.community);
+        name.appendChild(swatch);
+        name.appendChild(document.createTextNode(String(row.community + 1)));
+        tr.appendChild(name);
+        [row.size, row.internal, row.external].forEach(v => {
+            const td = document.createElement("td");
+            td.textContent = String(v);
+            tr.appendChild(td);
+        });
+        tr.addEventListener("click", () => {
+            clearSelection();
+            Object.keys(communities).forEach(id => {
+                if (communities[id] === row.community) { selectedNodes.add(id); selectedNodeId = id; }
+            });
+            render();
+        });
+        tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    frag.appendChild(table);
+    return frag;
 }
 
 function centerOnNode(id) {
@@ -4349,61 +5628,656 @@ function resolveNodeRef(text) {
     return ci ? ci.id : text;
 }
 
-function selectNeighborhood(startId, hops) {
-    if (!nodes[startId]) return;
+// Undirected hop distances from startId ({ id: hops }), optionally stopping
+// after maxHops rings. Shared by neighborhood selection and the radial layout.
+function hopDistancesFrom(startId, maxHops = Infinity) {
     const adj = undirectedAdj();
-    const seen = new Set([startId]);
+    const dist = { [startId]: 0 };
     let frontier = [startId];
-    for (let h = 0; h < hops; h++) {
+    for (let h = 0; h < maxHops && frontier.length; h++) {
         const nextF = [];
-        frontier.forEach(id => (adj[id] || []).forEach(nb => { if (!seen.has(nb)) { seen.add(nb); nextF.push(nb); } }));
+        frontier.forEach(id => (adj[id] || []).forEach(nb => { if (dist[nb] == null) { dist[nb] = h + 1; nextF.push(nb); } }));
         frontier = nextF;
     }
+    return dist;
+}
+
+function selectNeighborhood(startId, hops) {
+    if (!nodes[startId]) return;
+    const dist = hopDistancesFrom(startId, hops);
     clearSelection();
-    seen.forEach(id => { selectedNodes.add(id); selectedNodeId = id; });
+    Object.keys(dist).forEach(id => { selectedNodes.add(id); selectedNodeId = id; });
     render();
 }
 
+// Radial ego-network layout centered on one entity (context menu / Arrange).
+function layoutAroundNode(centerId) {
+    if (!nodes[centerId]) return;
+    runLayoutJob("radial", { nodes, edges, boxes, view }, {
+        ...layoutSettings.options.radial,
+        center: centerId,
+        distances: hopDistancesFrom(centerId)
+    });
+}
+
 // ---------- TRANSFORMS HUB ----------
 
 function renderTransformsHub() {
+    renderPlaybooks();
     const list = document.getElementById("transforms-list");
     if (!list) return;
-    if (!availableTransforms.length) { list.innerHTML = '<small class="muted">No transforms available (server offline?).</small>'; return; }
-    const sel = selectedNodeId && nodes[selectedNodeId] ? nodes[selectedNodeId] : null;
+    const transforms = listTransforms();
+    if (!transforms.length) { list.innerHTML = '<small class="muted">No transforms available (server offline?).</small>'; return; }
+    const hasSelection = getSelectedNodeIds().some(id => nodes[id]);
     list.innerHTML = "";
-    availableTransforms.forEach(t => {
-        const applies = !sel || !t.inputTypes || !t.inputTypes.length || t.inputTypes.includes(sel.entityType || "generic") || t.inputTypes.includes("*");
+    transforms.forEach(t => {
+        const targets = selectedTargetsFor(t.id);
         const row = document.createElement("div");
         row.className = "project-row";
+        // Plugin names and descriptions are page-supplied text, never markup.
         const label = document.createElement("div");
-        label.innerHTML = `<b>${t.name}</b><br><small class="muted">${t.description || (t.inputTypes || []).join(", ")}</small>`;
+        const name = document.createElement("b");
+        name.textContent = t.name;
+        const about = document.createElement("small");
+        about.className = "muted";
+        about.textContent = (t.client ? "[plugin] " : "") + (t.description || (t.inputTypes || []).join(", "));
+        label.append(name, document.createElement("br"), about);
+        const preview = document.createElement("label");
+        preview.className = "preview-toggle";
+        preview.title = "Preview results before merging (single-entity runs)";
+        const previewBox = document.createElement("input");
+        previewBox.type = "checkbox";
+        previewBox.checked = !transformPrefs.autoMerge[t.id];
+        previewBox.addEventListener("change", () => {
+            if (previewBox.checked) delete transformPrefs.autoMerge[t.id];
+            else transformPrefs.autoMerge[t.id] = true;
+            saveTransformPrefs();
+        });
+        const previewText = document.createElement("small");
+        previewText.textContent = "preview";
+        preview.append(previewBox, previewText);
+        label.appendChild(preview);
         const btn = document.createElement("button");
-        btn.textContent = "Run";
+        btn.textContent = targets.length > 1 ? `Run ×${targets.length}` : "Run";
         btn.style.width = "auto";
-        btn.disabled = !sel || !applies;
-        btn.title = !sel ? "Select a node first" : (applies ? "Run on selected node" : "Not applicable to selected type");
-        btn.addEventListener("click", () => { if (sel) runTransformOnNode(sel, t.id); });
+        btn.disabled = !targets.length;
+        btn.title = !hasSelection ? "Select a node first"
+            : (targets.length > 1 ? `Queue on ${targets.length} selected entities` : (targets.length ? "Run on selected node" : "Not applicable to selected type"));
+        btn.addEventListener("click", () => {
+            const rect = btn.getBoundingClientRect();
+            promptTransformRun(t.id, rect.left, rect.bottom + 4);
+        });
         row.appendChild(label);
         row.appendChild(btn);
         list.appendChild(row);
     });
 }
 
-// ---------- PROJECTS / AUTH (server persistence) ----------
+// ---------- BULK TRANSFORMS ----------
+
+// Multi-selection runs go through this queue; each finished job is merged
+// as it arrives. One undo snapshot covers a burst of jobs (a new one starts
+// after an undo, redo or edit mid-burst), and its new entities are laid out
+// together once the queue drains.
+const transformQueue = Jobs.createJobQueue({
+    concurrency: 3,
+    run: job => {
+        const node = nodes[job.payload.nodeId];
+        if (!node) return Promise.reject(new Error("entity no longer exists"));
+        return requestTransform(node, job.payload.transformId, job.payload.params);
+    },
+    onChange: onTransformJobChange,
+    onIdle: settleTransformJobs
+});
+let transformBatch = null; // { created: [], undo } for the current burst
+
+// Undo bookkeeping for merges that arrive asynchronously (see
+// Jobs.createUndoBatch): one step per burst or playbook run, re-snapshotted
+// after an intervening undo, redo or edit.
+function createMergeUndoBatch() {
+    return Jobs.createUndoBatch({ depth: () => undoStack.length, revision: () => graphRevision, snapshot: pushUndo });
+}
+
+function onTransformJobChange(job) {
+    if (job.status === "done") {
+        const node = nodes[job.payload.nodeId];
+        job.added = { entities: 0, links: 0 };
+        if (node && job.result && (job.result.entities || []).length) {
+            if (!transformBatch) transformBatch = { created: [], undo: createMergeUndoBatch() };
+            transformBatch.undo.beforeMerge();
+            const outcome = mergeTransformResults(node, job.payload.transformId, job.result, { batch: true });
+            transformBatch.undo.afterMerge();
+            transformBatch.created.push(...outcome.created);
+            job.added = { entities: outcome.created.length, links: outcome.linked };
+            render();
+        }
+        job.result = null; // merged; don't keep the payload around
+    }
+    renderTransformJobs();
+}
 
-let currentProjectId = null;
-let currentUser = null;
-let _serverSaveTimer = null;
+function settleTransformJobs() {
+    if (!transformBatch) return;
+    const { created } = transformBatch;
+    transformBatch = null;
+    settleNewEntities(created);
+}
 
-function currentGraphPayload() {
-    return { nodes, edges, boxes, layers, activeLayerId, layoutSettings };
+// Selected entities (not meta-nodes) a transform applies to.
+function selectedTargetsFor(transformId) {
+    return getSelectedNodeIds().filter(id => nodes[id] && !nodes[id].meta &&
+        getApplicableTransforms(nodes[id]).some(t => t.id === transformId));
 }
 
-function scheduleServerSave() {
-    if (currentProjectId == null) return;
-    if (Date.now() < _suppressServerSaveUntil) return; // don't echo a remote update
-    if (_serverSaveTimer) clearTimeout(_serverSaveTimer);
+// Runs directly on a single applicable entity, queues one job per entity
+// for a multi-selection. params defaults to the transform's last-used values.
+function runTransformOnSelection(transformId, params = transformParamsFor(transformId)) {
+    const targets = selectedTargetsFor(transformId);
+    if (targets.length === 1) { runTransformOnNode(nodes[targets[0]], transformId, params); return; }
+    if (!targets.length) return;
+    targets.forEach(nodeId => transformQueue.add({ nodeId, transformId, params }));
+    showTab("transforms");
+}
+
+// ---------- TRANSFORM PARAMETERS ----------
+
+let _paramPopoverEl = null;
+function hideTransformParams() {
+    if (_paramPopoverEl) { _paramPopoverEl.remove(); _paramPopoverEl = null; }
+}
+
+function buildParamInput(param, value) {
+    let input;
+    if (param.type === "enum") {
+        input = document.createElement("select");
+        param.options.forEach(opt => {
+            const o = document.createElement("option");
+            o.value = opt;
+            o.textContent = opt;
+            input.appendChild(o);
+        });
+        input.value = value;
+    } else if (param.type === "boolean") {
+        input = document.createElement("input");
+        input.type = "checkbox";
+        input.checked = !!value;
+    } else {
+        input = document.createElement("input");
+        input.type = param.type === "number" ? "number" : "text";
+        if (param.type === "number") {
+            if (param.min != null) input.min = param.min;
+            if (param.max != null) input.max = param.max;
+            input.step = param.integer ? "1" : "any";
+        }
+        input.value = value;
+    }
+    return input;
+}
+
+// Asks for a transform's declared params in a popover at (clientX, clientY),
+// prefilled with the last-used values, then runs it on the selection and
+// remembers what was used. Transforms without params run straight away.
+function promptTransformRun(transformId, clientX, clientY) {
+    const spec = transformSpec(transformId);
+    const params = (spec && spec.params) || [];
+    if (!params.length) { runTransformOnSelection(transformId); return; }
+    hideTransformParams();
+    const current = transformParamsFor(transformId);
+    const form = document.createElement("form");
+    form.className = "context-menu param-popover";
+    const title = document.createElement("b");
+    title.textContent = spec.name;
+    form.appendChild(title);
+    const inputs = {};
+    params.forEach(param => {
+        const field = document.createElement("label");
+        field.className = "param-field" + (param.type === "boolean" ? " inline" : "");
+        const text = document.createElement("span");
+        text.textContent = param.label || param.name;
+        const range = param.type === "number" && (param.min != null || param.max != null)
+            ? ` (${param.min != null ? param.min : ""}–${param.max != null ? param.max : ""})` : "";
+        text.textContent += range;
+        inputs[param.name] = buildParamInput(param, current[param.name]);
+        field.append(text, inputs[param.name]);
+        form.appendChild(field);
+    });
+    const count = selectedTargetsFor(transformId).length;
+    const buttons = document.createElement("div");
+    buttons.className = "button-row two";
+    const run = document.createElement("button");
+    run.type = "submit";
+    run.textContent = count > 1 ? `Run ×${count}` : "Run";
+    const cancel = document.createElement("button");
+    cancel.type = "button";
+    cancel.textContent = "Cancel";
+    cancel.addEventListener("click", hideTransformParams);
+    buttons.append(run, cancel);
+    form.appendChild(buttons);
+    form.addEventListener("submit", ev => {
+        ev.preventDefault();
+        const raw = {};
+        params.forEach(param => {
+            const input = inputs[param.name];
+            raw[param.name] = param.type === "boolean" ? input.checked : input.value;
+        });
+        const values = TransformRegistry.resolveParams(params, raw);
+        transformPrefs.params[transformId] = values;
+        saveTransformPrefs();
+        hideTransformParams();
+        runTransformOnSelection(transformId, values);
+    });
+    form.addEventListener("keydown", ev => {
+        ev.stopPropagation();
+        if (ev.key === "Escape") hideTransformParams();
+    });
+    document.body.appendChild(form);
+    const rect = form.getBoundingClientRect();
+    form.style.left = Math.max(8, Math.min(clientX, window.innerWidth - rect.width - 8)) + "px";
+    form.style.top = Math.max(8, Math.min(clientY, window.innerHeight - rect.height - 8)) + "px";
+    _paramPopoverEl = form;
+    const first = form.querySelector("input, select");
+    if (first) first.focus();
+}
+document.addEventListener("mousedown", e => {
+    if (_paramPopoverEl && !_paramPopoverEl.contains(e.target)) hideTransformParams();
+});
+
+// ---------- TRANSFORM PREVIEW ----------
+
+let _previewEl = null;
+function hideTransformPreview() {
+    if (_previewEl) { _previewEl.remove(); _previewEl = null; }
+}
+
+// One checkbox group: a header box that toggles every row below it.
+function appendPreviewGroup(list, title, rows) {
+    const group = document.createElement("div");
+    group.className = "preview-group";
+    const head = document.createElement("label");
+    head.className = "preview-group-head";
+    const all = document.createElement("input");
+    all.type = "checkbox";
+    const text = document.createElement("b");
+    text.textContent = `${title} (${rows.length})`;
+    head.append(all, text);
+    group.appendChild(head);
+    rows.forEach(row => {
+        const line = document.createElement("label");
+        line.className = "preview-row";
+        const text = document.createElement("span");
+        text.textContent = row.text;
+        line.append(row.box, text);
+        if (row.existing) {
+            const chip = document.createElement("span");
+            chip.className = "preview-existing";
+            chip.textContent = "in graph";
+            line.appendChild(chip);
+        }
+        group.appendChild(line);
+    });
+    list.appendChild(group);
+    const boxes = rows.map(r => r.box);
+    // Runs before the change bubbles up to the dialog's refresh.
+    all.addEventListener("change", () => boxes.forEach(b => { if (!b.disabled) b.checked = all.checked; }));
+    return () => {
+        const live = boxes.filter(b => !b.disabled);
+        const on = live.filter(b => b.checked).length;
+        all.checked = live.length > 0 && on === live.length;
+        all.indeterminate = on > 0 && on < live.length;
+        all.disabled = !live.length;
+    };
+}
+
+// Lists a transform's results grouped by entity type and link label, flags
+// the entities already in the graph, and merges only the checked ones.
+// A link can be kept without its entity only when the entity already exists.
+function showTransformPreview(node, transformId, data) {
+    hideTransformPreview();
+    const ents = data.entities || [];
+    const present = new Set(Object.values(nodes).map(n => entityKey(n.entityType, n.value || n.label)));
+    const existing = ents.map(ent => present.has(entityKey(ent.type, ent.value)));
+    const entityBoxes = ents.map(() => { const b = document.createElement("input"); b.type = "checkbox"; b.checked = true; return b; });
+    const linkBoxes = ents.map(() => { const b = document.createElement("input"); b.type = "checkbox"; b.checked = true; return b; });
+    const source = nodeDisplayName(node.id);
+
+    const overlay = document.createElement("div");
+    overlay.className = "preview-overlay";
+    const card = document.createElement("div");
+    card.className = "preview-card";
+    const title = document.createElement("h3");
+    title.textContent = `${transformName(transformId)} on ${source}`;
+    const summary = document.createElement("small");
+    summary.className = "muted";
+    summary.textContent = `${ents.length} entities returned, ${existing.filter(Boolean).length} already in the graph.`;
+    const list = document.createElement("div");
+    list.className = "preview-list";
+    card.append(title, summary, list);
+
+    const refreshers = [];
+    const byType = new Map();
+    ents.forEach((ent, i) => {
+        if (!byType.has(ent.type)) byType.set(ent.type, []);
+        byType.get(ent.type).push({ box: entityBoxes[i], text: ent.value, existing: existing[i] });
+    });
+    byType.forEach((rows, type) => {
+        const et = getEntityType(type);
+        refreshers.push(appendPreviewGroup(list, "Entities: " + (et ? et.name : type), rows));
+    });
+    const byLabel = new Map();
+    ents.forEach((ent, i) => {
+        const label = TransformRegistry.linkFor(data, i).label || transformId;
+        if (!byLabel.has(label)) byLabel.set(label, []);
+        byLabel.get(label).push({ box: linkBoxes[i], text: `${source} → ${ent.value}` });
+    });
+    byLabel.forEach((rows, label) => refreshers.push(appendPreviewGroup(list, "Links: " + label, rows)));
+
+    const always = document.createElement("label");
+    always.className = "param-field inline";
+    const alwaysBox = document.createElement("input");
+    alwaysBox.type = "checkbox";
+    const alwaysText = document.createElement("span");
+    alwaysText.textContent = "Always merge this transform's results without preview";
+    always.append(alwaysBox, alwaysText);
+    const buttons = document.createElement("div");
+    buttons.className = "button-row two";
+    const merge = document.createElement("button");
+    merge.type = "button";
+    const cancel = document.createElement("button");
+    cancel.type = "button";
+    cancel.textContent = "Discard";
+    buttons.append(merge, cancel);
+    card.append(always, buttons);
+    overlay.appendChild(card);
+
+    const refresh = () => {
+        linkBoxes.forEach((b, i) => { b.disabled = !entityBoxes[i].checked && !existing[i]; });
+        refreshers.forEach(fn => fn());
+        const picked = entityBoxes.filter(b => b.checked).length;
+        const linked = linkBoxes.filter(b => b.checked && !b.disabled).length;
+        merge.textContent = `Merge ${picked} entities, ${linked} links`;
+        merge.disabled = !picked && !linked;
+    };
+    card.addEventListener("change", refresh);
+    refresh();
+
+    merge.addEventListener("click", () => {
+        if (alwaysBox.checked) {
+            transformPrefs.autoMerge[transformId] = true;
+            saveTransformPrefs();
+            renderTransformsHub();
+        }
+        const keep = { entities: entityBoxes.map(b => b.checked), links: linkBoxes.map(b => b.checked && !b.disabled) };
+        hideTransformPreview();
+        if (!nodes[node.id]) { alert("The source entity was deleted; nothing merged."); return; }
+        mergeTransformResults(nodes[node.id], transformId, TransformRegistry.selectTransformResult(data, keep, existing));
+    });
+    cancel.addEventListener("click", hideTransformPreview);
+    overlay.addEventListener("mousedown", e => { if (e.target === overlay) hideTransformPreview(); });
+    // Keys stay in the dialog (Delete/Escape must not reach the canvas shortcuts).
+    overlay.addEventListener("keydown", e => {
+        e.stopPropagation();
+        if (e.key === "Escape") hideTransformPreview();
+    });
+    document.body.appendChild(overlay);
+    _previewEl = overlay;
+    merge.focus();
+}
+
+function renderTransformJobs() {
+    const wrap = document.getElementById("transform-jobs");
+    if (!wrap) return;
+    wrap.innerHTML = "";
+    const jobs = transformQueue.jobs();
+    if (!jobs.length) return;
+    const counts = transformQueue.counts();
+    const added = { entities: 0, links: 0 };
+    jobs.forEach(job => {
+        if (!job.added) return;
+        added.entities += job.added.entities;
+        added.links += job.added.links;
+    });
+    const statusText = Jobs.JOB_STATUSES.filter(s => counts[s]).map(s => `${counts[s]} ${s}`).join(", ");
+    appendRowTable(wrap, `${jobs.length} job(s): ${statusText}; added ${added.entities} entities, ${added.links} links`,
+        ["Entity", "Transform", "Status", "Added", ""], jobs.map(job => {
+            const { nodeId, transformId } = job.payload;
+            const live = job.status === "pending" || job.status === "running";
+            const retryable = job.status === "failed" || job.status === "cancelled";
+            return {
+                cells: [
+                    nodeDisplayName(nodeId),
+                    transformName(transformId),
+                    job.status + (job.attempts > 1 ? ` (try ${job.attempts})` : ""),
+                    job.added ? `+${job.added.entities} / ${job.added.links}` : ""
+                ],
+                title: job.error || "",
+                onClick: () => { if (nodes[nodeId]) { selectNode(nodeId); centerOnNode(nodeId); render(); } },
+                actions: live ? [{ label: "✕", title: "Cancel", onClick: () => transformQueue.cancel(job.id) }]
+                    : (retryable ? [{ label: "↻", title: "Retry", onClick: () => transformQueue.retry(job.id) }] : [])
+            };
+        }));
+}
+
+// ---------- PLAYBOOKS ----------
+
+const DEFAULT_PLAYBOOKS = [
+    {
+        id: "domain-footprint",
+        name: "Domain footprint",
+        description: "Subdomains, their IPs and who operates them.",
+        steps: [{ transform: "to_subdomains", types: ["domain"], limit: 8, next: [
+            { transform: "to_ip", limit: 2, next: [{ transform: "to_asn", limit: 1 }] }
+        ] }]
+    },
+    {
+        id: "domain-people",
+        name: "Domain people",
+        description: "Registrant and email addresses found for a domain.",
+        steps: [
+            { transform: "whois", types: ["domain"] },
+            { transform: "to_emails", types: ["domain"], limit: 6 }
+        ]
+    },
+    {
+        id: "person-pivot",
+        name: "Person pivot",
+        description: "Social profiles and email addresses for a person.",
+        steps: [
+            { transform: "person_to_social", types: ["person"] },
+            { transform: "to_emails", types: ["person"], limit: 6 }
+        ]
+    }
+];
+
+function loadPlaybooksFromStorage() {
+    const raw = localStorage.getItem(PLAYBOOKS_KEY);
+    if (!raw) return JSON.parse(JSON.stringify(DEFAULT_PLAYBOOKS));
+    try {
+        const parsed = JSON.parse(raw);
+        return Array.isArray(parsed) ? parsed.filter(pb => !Playbooks.validatePlaybook(pb)) : [];
+    } catch (e) {
+        console.warn("Could not parse stored playbooks", e);
+        return JSON.parse(JSON.stringify(DEFAULT_PLAYBOOKS));
+    }
+}
+
+function savePlaybooksToStorage() {
+    localStorage.setItem(PLAYBOOKS_KEY, JSON.stringify(playbooks));
+}
+
+let playbooks = loadPlaybooksFromStorage();
+let playbookRun = null;        // { cancelled } while a playbook is running
+let editingPlaybookId = null;  // id in the JSON editor, "" for a new one
+
+function showTab(tab) {
+    const btn = document.querySelector(`.tab-button[data-tab="${tab}"]`);
+    if (btn && !btn.classList.contains("active")) btn.click();
+}
+
+function appendPlaybookLog(line) {
+    const log = document.getElementById("playbook-log");
+    if (!log) return;
+    const row = document.createElement("div");
+    row.textContent = line;
+    log.appendChild(row);
+    log.scrollTop = log.scrollHeight;
+}
+
+function transformName(id) {
+    const t = listTransforms().find(x => x.id === id);
+    return t ? t.name : id;
+}
+
+// "Enumerate Subdomains → Resolve to IP → …", branches as [a | b].
+function describePlaybookSteps(steps) {
+    return steps.map(step => {
+        const next = step.next || [];
+        const tail = !next.length ? "" : " → " + (next.length > 1 ? `[${describePlaybookSteps(next)}]` : describePlaybookSteps(next));
+        return transformName(step.transform) + tail;
+    }).join(" | ");
+}
+
+// Runs a playbook from the given entities: every transform's results are
+// merged as they arrive, the whole run is one undo step, and the new
+// entities are laid out together at the end.
+async function runPlaybookOn(playbook, startIds) {
+    if (playbookRun) { alert("A playbook is already running."); return; }
+    const starts = startIds.filter(id => nodes[id] && !nodes[id].meta);
+    if (!starts.length) { alert("Select the entities to run the playbook on."); return; }
+    showTab("transforms");
+    const log = document.getElementById("playbook-log");
+    if (log) log.innerHTML = "";
+    appendPlaybookLog(`▶ ${playbook.name} on ${starts.length} entit${starts.length === 1 ? "y" : "ies"}`);
+    playbookRun = { cancelled: false };
+    renderPlaybooks();
+    // The undo snapshot is taken just before the first merge, so a run that
+    // finds nothing leaves the history alone; an undo, redo or edit made
+    // while the run waits on transforms keeps its own step, and the merges
+    // after it get a fresh snapshot.
+    const undoBatch = createMergeUndoBatch();
+    const created = [];
+    let linked = 0;
+    const summary = await Playbooks.runPlaybook(playbook, starts, {
+        typeOf: id => nodes[id] ? (nodes[id].entityType || "generic") : null,
+        nameOf: nodeDisplayName,
+        isCancelled: () => playbookRun.cancelled,
+        onLog: appendPlaybookLog,
+        runStep: async (step, id) => {
+            const node = nodes[id];
+            if (!listTransforms().some(t => t.id === step.transform)) throw new Error("transform not available");
+            if (!getApplicableTransforms(node).some(t => t.id === step.transform)) return [];
+            const data = await requestTransform(node, step.transform, { ...transformParamsFor(step.transform), limit: step.limit });
+            const trimmed = { entities: (data.entities || []).slice(0, step.limit), links: (data.links || []).slice(0, step.limit) };
+            if (!trimmed.entities.length) return [];
+            undoBatch.beforeMerge();
+            const outcome = mergeTransformResults(node, step.transform, trimmed, { batch: true });
+            undoBatch.afterMerge();
+            created.push(...outcome.created);
+            linked += outcome.linked;
+            render();
+            return outcome.targets;
+        }
+    });
+    playbookRun = null;
+    appendPlaybookLog(`■ ${summary.runs} transform run(s), ${summary.failed} failed; ` +
+        `${created.length} new entit${created.length === 1 ? "y" : "ies"}, ${linked} new link(s).`);
+    renderPlaybooks();
+    settleNewEntities(created);
+}
+
+function openPlaybookEditor(playbook) {
+    const editor = document.getElementById("playbook-editor");
+    const text = document.getElementById("playbook-json");
+    if (!editor || !text) return;
+    editingPlaybookId = playbook ? playbook.id : "";
+    const { id, ...body } = playbook || { name: "New playbook", steps: [{ transform: "to_subdomains", types: ["domain"], limit: 5 }] };
+    text.value = JSON.stringify(body, null, 2);
+    editor.classList.remove("hidden");
+    text.focus();
+}
+
+function closePlaybookEditor() {
+    editingPlaybookId = null;
+    document.getElementById("playbook-editor")?.classList.add("hidden");
+}
+
+function savePlaybookFromEditor() {
+    const text = document.getElementById("playbook-json");
+    if (!text || editingPlaybookId === null) return;
+    let parsed;
+    try { parsed = JSON.parse(text.value); } catch (e) { alert("Playbook is not valid JSON: " + e.message); return; }
+    const known = availableTransforms.length ? listTransforms().map(t => t.id) : undefined;
+    const error = Playbooks.validatePlaybook(parsed, known);
+    if (error) { alert(error); return; }
+    const id = editingPlaybookId || genId("pb");
+    const saved = { ...parsed, id };
+    const at = playbooks.findIndex(pb => pb.id === id);
+    if (at >= 0) playbooks[at] = saved;
+    else playbooks.push(saved);
+    savePlaybooksToStorage();
+    closePlaybookEditor();
+    renderPlaybooks();
+}
+
+function deletePlaybook(playbook) {
+    if (!confirm(`Delete playbook "${playbook.name}"?`)) return;
+    playbooks = playbooks.filter(pb => pb !== playbook);
+    savePlaybooksToStorage();
+    renderPlaybooks();
+}
+
+function renderPlaybooks() {
+    const list = document.getElementById("playbook-list");
+    if (!list) return;
+    list.innerHTML = "";
+    const sel = getSelectedNodeIds().filter(id => nodes[id]);
+    document.getElementById("playbook-stop")?.classList.toggle("hidden", !playbookRun);
+    if (!playbooks.length) { list.innerHTML = '<small class="muted">No playbooks yet.</small>'; return; }
+    playbooks.forEach(pb => {
+        const applies = sel.some(id => Playbooks.playbookAccepts(pb, nodes[id].entityType || "generic"));
+        const row = document.createElement("div");
+        row.className = "project-row";
+        const label = document.createElement("div");
+        const name = document.createElement("b");
+        name.textContent = pb.name;
+        const steps = document.createElement("small");
+        steps.className = "muted";
+        steps.textContent = describePlaybookSteps(pb.steps);
+        steps.title = pb.description || "";
+        label.append(name, document.createElement("br"), steps);
+        const run = document.createElement("button");
+        run.textContent = "Run";
+        run.style.width = "auto";
+        run.disabled = !applies || !!playbookRun;
+        run.title = !sel.length ? "Select entities first" : (applies ? "Run on the selection" : "No selected entity fits its first steps");
+        run.addEventListener("click", () => runPlaybookOn(pb, sel));
+        const edit = document.createElement("button");
+        edit.textContent = "Edit";
+        edit.style.width = "auto";
+        edit.addEventListener("click", () => openPlaybookEditor(pb));
+        const del = document.createElement("button");
+        del.textContent = "✕";
+        del.title = "Delete playbook";
+        del.style.width = "auto";
+        del.addEventListener("click", () => deletePlaybook(pb));
+        row.append(label, run, edit, del);
+        list.appendChild(row);
+    });
+}
+
+// ---------- PROJECTS / AUTH (server persistence) ----------
+
+let currentProjectId = null;
+let currentUser = null;
+let _serverSaveTimer = null;
+
+function currentGraphPayload() {
+    return { nodes, edges, boxes, layers, activeLayerId, layoutSettings };
+}
+
+function scheduleServerSave() {
+    if (currentProjectId == null) return;
+    if (Date.now() < _suppressServerSaveUntil) return; // don't echo a remote update
+    if (_serverSaveTimer) clearTimeout(_serverSaveTimer);
     _serverSaveTimer = setTimeout(async () => {
         _serverSaveTimer = null;
         try {
@@ -4520,6 +6394,7 @@ async function refreshVersions() {
         const versions = Array.isArray(vdata) ? vdata : (vdata.versions || []);
         if (!versions.length) { wrap.innerHTML = ""; return; }
         wrap.innerHTML = '<div class="entity-category-title">Version history</div>';
+        wrap.appendChild(buildVersionCompareRow(versions));
         versions.slice(0, 8).forEach(v => {
             const row = document.createElement("div");
             row.className = "project-row";
@@ -4538,6 +6413,288 @@ async function refreshVersions() {
     } catch (e) { /* offline */ }
 }
 
+// ---------- VERSION DIFF ----------
+
+const DIFF_COLORS = { added: "#2e7d32", removed: "#c62828", changed: "#f29900" };
+const DIFF_SIGNS = { added: "+", removed: "−", changed: "~" };
+
+function versionLabel(v) {
+    return String(v.created_at || "").slice(0, 19).replace("T", " ");
+}
+
+// "Compare [older] with [newer | current graph]" controls above the history.
+function buildVersionCompareRow(versions) {
+    const row = document.createElement("div");
+    row.className = "row-inline";
+    const from = document.createElement("select");
+    from.title = "Older version";
+    const to = document.createElement("select");
+    to.title = "Compare with";
+    to.add(new Option("Current graph", "current"));
+    versions.forEach((v, i) => {
+        from.add(new Option(versionLabel(v), v.id, false, i === 0));
+        to.add(new Option(versionLabel(v), v.id));
+    });
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.textContent = "Diff";
+    btn.style.width = "auto";
+    btn.addEventListener("click", () => {
+        const labelOf = sel => sel.options[sel.selectedIndex].text;
+        compareVersions(
+            { id: Number(from.value), label: labelOf(from) },
+            to.value === "current" ? null : { id: Number(to.value), label: labelOf(to) }
+        );
+    });
+    row.append(from, to, btn);
+    return row;
+}
+
+async function fetchVersionGraph(versionId) {
+    const res = await fetch(`/api/projects/${currentProjectId}/versions/${versionId}`);
+    if (!res.ok) throw new Error("HTTP " + res.status);
+    const data = await res.json();
+    return normalizeGraphItems(data.graph || {});
+}
+
+// Diffs an older version against a newer one, or against the live graph
+// when `newer` is null. The older side of two versions is always the one
+// with the lower id, whichever way round they were picked.
+async function compareVersions(older, newer) {
+    if (currentProjectId == null) return;
+    if (newer && newer.id === older.id) { alert("Pick two different versions."); return; }
+    if (newer && newer.id < older.id) [older, newer] = [newer, older];
+    try {
+        const before = await fetchVersionGraph(older.id);
+        const after = newer ? await fetchVersionGraph(newer.id) : null;
+        graphDiff = { fromLabel: older.label, toLabel: newer ? newer.label : "current graph", before, after, changes: [], status: null };
+        refreshGraphDiff();
+        render();
+    } catch (e) { alert("Could not load that version."); }
+}
+
+// Recomputes the change list and the per-item status the renderer colors
+// by. renderNow calls this for live diffs so they track later edits; the
+// panel is only rebuilt when the list actually changed.
+function refreshGraphDiff() {
+    if (!graphDiff) return;
+    const keyOf = c => c.kind + ":" + c.id;
+    const picked = new Set(graphDiff.changes.filter(c => c.picked).map(keyOf));
+    const changes = Analytics.diffGraphs(graphDiff.before, graphDiff.after || { nodes, edges });
+    changes.forEach(c => { if (picked.has(keyOf(c))) c.picked = true; });
+    const signature = JSON.stringify(changes);
+    graphDiff.revision = graphRevision;
+    if (graphDiff.status && signature === graphDiff.signature) return;
+    graphDiff.changes = changes;
+    graphDiff.signature = signature;
+    graphDiff.status = { nodes: {}, edges: {} };
+    changes.forEach(c => { graphDiff.status[c.kind + "s"][c.id] = c.change; });
+    renderGraphDiff();
+}
+
+function clearGraphDiff() {
+    graphDiff = null;
+    renderGraphDiff();
+    render();
+}
+
+// The diff's copy of an item: the older one if it was removed, else the newer.
+function diffSnapshot(change) {
+    const side = change.change === "removed" ? graphDiff.before : (graphDiff.after || { nodes, edges });
+    return change.kind === "node" ? side.nodes[change.id] : side.edges.find(e => e.id === change.id);
+}
+
+function diffNodeName(id) {
+    if (nodes[id]) return nodeDisplayName(id);
+    const n = graphDiff.before.nodes[id] || (graphDiff.after && graphDiff.after.nodes[id]);
+    return (n && (n.label || n.value)) || id;
+}
+
+function describeDiffChange(change) {
+    const item = diffSnapshot(change) || {};
+    const name = change.kind === "node" ? diffNodeName(change.id) : `${diffNodeName(item.source)} → ${diffNodeName(item.target)}`;
+    const detail = change.change === "changed" ? change.fields.map(f => f.key.replace(/^properties\./, "")).join(", ") : change.change;
+    return { name, detail };
+}
+
+function formatDiffValue(v) {
+    return v === undefined ? "(none)" : JSON.stringify(v);
+}
+
+// Puts the older side of one change into the current graph: a removed item
+// comes back, an added one is deleted, a changed one gets its older field
+// values. One undo step per change.
+function cherryPickChange(change) {
+    const older = change.kind === "node" ? graphDiff.before.nodes[change.id] : graphDiff.before.edges.find(e => e.id === change.id);
+    const clone = v => v === undefined ? undefined : JSON.parse(JSON.stringify(v));
+    if (change.kind === "node") {
+        if (change.change === "removed") {
+            if (nodes[change.id]) return markPicked(change);
+            pushUndo();
+            const n = normalizeNode(clone(older));
+            if (!getLayerById(n.layer)) n.layer = activeLayerId;
+            if (n.box && boxes[n.box]) boxes[n.box].nodes.push(n.id);
+            else n.box = null;
+            nodes[n.id] = n;
+        } else if (change.change === "added") {
+            if (!nodes[change.id]) return markPicked(change);
+            pushUndo();
+            deleteNode(change.id);
+            clearSelection();
+        } else {
+            if (!nodes[change.id]) { alert("That entity is no longer in the current graph."); return; }
+            pushUndo();
+            revertFields(nodes[change.id], change.fields, clone);
+        }
+    } else {
+        const current = edges.find(e => e.id === change.id);
+        if (change.change === "removed") {
+            if (current) return markPicked(change);
+            if (!nodes[older.source] || !nodes[older.target]) {
+                alert("Bring back both of its entities first.");
+                return;
+            }
+            pushUndo();
+            const e = clone(older);
+            if (!getLayerById(e.layer)) e.layer = activeLayerId;
+            edges.push(e);
+        } else if (change.change === "added") {
+            if (!current) return markPicked(change);
+            pushUndo();
+            edges = edges.filter(e => e !== current);
+            clearSelection();
+        } else {
+            if (!current) { alert("That link is no longer in the current graph."); return; }
+            pushUndo();
+            revertFields(current, change.fields, clone);
+        }
+    }
+    markPicked(change);
+}
+
+function revertFields(item, fields, clone) {
+    fields.forEach(({ key, before }) => {
+        // Box membership is kept on both sides; a vanished layer falls back
+        // to the active one.
+        if (key === "box" && item.source === undefined) {
+            if (item.box && boxes[item.box]) boxes[item.box].nodes = boxes[item.box].nodes.filter(id => id !== item.id);
+            item.box = before && boxes[before] ? before : null;
+            if (item.box) boxes[item.box].nodes.push(item.id);
+            return;
+        }
+        if (key === "layer") {
+            item.layer = getLayerById(before) ? before : activeLayerId;
+            return;
+        }
+        const prop = key.startsWith("properties.") ? key.slice("properties.".length) : null;
+        const target = prop ? (item.properties = item.properties || {}) : item;
+        const field = prop || key;
+        if (before === undefined) delete target[field];
+        else target[field] = clone(before);
+    });
+}
+
+function markPicked(change) {
+    change.picked = true;
+    refreshGraphDiff();
+    render();
+}
+
+function renderGraphDiff() {
+    const wrap = document.getElementById("version-diff");
+    if (!wrap) return;
+    wrap.innerHTML = "";
+    if (!graphDiff) return;
+    const counts = { added: 0, removed: 0, changed: 0 };
+    graphDiff.changes.forEach(c => { counts[c.change] += 1; });
+    const header = document.createElement("div");
+    header.className = "row-inline";
+    const legend = document.createElement("small");
+    legend.className = "muted";
+    Object.keys(counts).forEach(kind => {
+        const chip = document.createElement("span");
+        chip.className = "diff-chip";
+        chip.style.color = DIFF_COLORS[kind];
+        chip.textContent = `${DIFF_SIGNS[kind]}${counts[kind]} ${kind} `;
+        legend.appendChild(chip);
+    });
+    const close = document.createElement("button");
+    close.type = "button";
+    close.textContent = "Clear diff";
+    close.style.width = "auto";
+    close.addEventListener("click", clearGraphDiff);
+    header.append(legend, close);
+    wrap.appendChild(header);
+    appendRowTable(wrap, `${graphDiff.fromLabel} → ${graphDiff.toLabel}`, ["", "Item", "Change", ""], graphDiff.changes.map(c => {
+        const { name, detail } = describeDiffChange(c);
+        return {
+            cells: [DIFF_SIGNS[c.change], name, detail],
+            title: c.fields.map(f => `${f.key}: ${formatDiffValue(f.before)} → ${formatDiffValue(f.after)}`).join("\n"),
+            active: c.picked,
+            onClick: () => {
+                const item = diffSnapshot(c);
+                const focus = c.kind === "node" ? c.id : item && item.source;
+                if (c.kind === "node" && nodes[c.id]) selectNode(c.id);
+                else if (c.kind === "edge" && edges.some(e => e.id === c.id)) selectEdge(c.id);
+                if (nodes[focus]) centerOnNode(focus);
+                render();
+            },
+            actions: c.picked ? [] : [
+                { label: "↶", title: "Take the older version of this into the current graph", onClick: () => cherryPickChange(c) }
+            ]
+        };
+    }));
+}
+
+// Dashed outlines for diff items missing from the canvas (removed entities
+// and links, or ones only in the newer of two versions), drawn at their
+// snapshot positions. Never exported.
+function renderDiffGhosts(viewport) {
+    if (exporting || !graphDiff) return;
+    const ghostPos = {};
+    graphDiff.changes.forEach(c => {
+        if (c.kind !== "node" || nodes[c.id]) return;
+        const n = diffSnapshot(c);
+        if (!n || !Number.isFinite(n.x) || !Number.isFinite(n.y)) return;
+        ghostPos[c.id] = n;
+        const { radius } = getNodeDimensions(n);
+        const circle = document.createElementNS(NS, "circle");
+        circle.setAttribute("cx", n.x);
+        circle.setAttribute("cy", n.y);
+        circle.setAttribute("r", radius);
+        circle.setAttribute("class", "diff-ghost");
+        circle.setAttribute("stroke", DIFF_COLORS[c.change]);
+        const title = document.createElementNS(NS, "title");
+        title.textContent = `${c.change === "removed" ? "Removed" : "Added"}: ${n.label || n.value || n.id}`;
+        circle.appendChild(title);
+        viewport.appendChild(circle);
+        const text = document.createElementNS(NS, "text");
+        text.textContent = n.label || n.value || "";
+        text.setAttribute("x", n.x);
+        text.setAttribute("y", n.y + radius + 14);
+        text.setAttribute("font-size", "11");
+        text.setAttribute("text-anchor", "middle");
+        text.setAttribute("fill", DIFF_COLORS[c.change]);
+        text.setAttribute("pointer-events", "none");
+        viewport.appendChild(text);
+    });
+    graphDiff.changes.forEach(c => {
+        if (c.kind !== "edge" || edges.some(e => e.id === c.id)) return;
+        const e = diffSnapshot(c);
+        const a = e && (nodes[e.source] || ghostPos[e.source]);
+        const b = e && (nodes[e.target] || ghostPos[e.target]);
+        if (!a || !b) return;
+        const line = document.createElementNS(NS, "line");
+        line.setAttribute("x1", a.x);
+        line.setAttribute("y1", a.y);
+        line.setAttribute("x2", b.x);
+        line.setAttribute("y2", b.y);
+        line.setAttribute("class", "diff-ghost");
+        line.setAttribute("stroke", DIFF_COLORS[c.change]);
+        viewport.appendChild(line);
+    });
+}
+
 // ---------- EXPORT BUILDERS (CSV / GraphML / report) ----------
 
 function csvEscape(v) {
@@ -4551,23 +6708,41 @@ function buildCSV() {
 }
 function buildGraphML() {
     const esc = s => String(s == null ? "" : s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
-    let out = '<?xml version="1.0" encoding="UTF-8"?>\n<graphml xmlns="http://graphml.graphdrawing.org/xmlns">\n';
+    let out = '<?xml version="1.0" encoding="UTF-8"?>\n<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:y="http://www.yworks.com/xml/graphml">\n';
     out += '  <key id="label" for="node" attr.name="label" attr.type="string"/>\n';
     out += '  <key id="type" for="node" attr.name="type" attr.type="string"/>\n';
     out += '  <key id="value" for="node" attr.name="value" attr.type="string"/>\n';
     out += '  <key id="color" for="node" attr.name="color" attr.type="string"/>\n';
     out += '  <key id="x" for="node" attr.name="x" attr.type="double"/>\n  <key id="y" for="node" attr.name="y" attr.type="double"/>\n';
+    out += '  <key id="members" for="node" attr.name="members" attr.type="int"/>\n';
     out += '  <key id="elabel" for="edge" attr.name="label" attr.type="string"/>\n';
     out += '  <key id="ecolor" for="edge" attr.name="color" attr.type="string"/>\n';
     out += '  <key id="ewidth" for="edge" attr.name="width" attr.type="double"/>\n';
     out += '  <key id="eweight" for="edge" attr.name="weight" attr.type="double"/>\n';
+    out += '  <key id="ecount" for="edge" attr.name="count" attr.type="int"/>\n';
+    // yEd reads edge bend points from its edgegraphics data.
+    out += '  <key id="egraphics" for="edge" yfiles.type="edgegraphics"/>\n';
     out += '  <graph id="G" edgedefault="directed">\n';
+    // GraphML wants every port an edge names declared on its node.
+    const usedPorts = {};
+    edges.forEach(e => {
+        [[e.source, e.sourcePort], [e.target, e.targetPort]].forEach(([id, port]) => {
+            if (port && resolveNodePort(nodes[id], port)) (usedPorts[id] = usedPorts[id] || new Set()).add(port);
+        });
+    });
     Object.values(nodes).forEach(n => {
-        out += `    <node id="${esc(n.id)}"><data key="label">${esc(n.label || n.value || n.id)}</data><data key="type">${esc(n.entityType || "generic")}</data><data key="value">${esc(n.value || "")}</data><data key="color">${esc(n.color || "")}</data><data key="x">${n.x}</data><data key="y">${n.y}</data></node>\n`;
+        const ports = [...(usedPorts[n.id] || [])].map(p => `<port name="${esc(p)}"/>`).join("");
+        out += `    <node id="${esc(n.id)}"><data key="label">${esc(n.label || n.value || n.id)}</data><data key="type">${esc(n.entityType || "generic")}</data><data key="value">${esc(n.value || "")}</data><data key="color">${esc(n.color || "")}</data><data key="x">${n.x}</data><data key="y">${n.y}</data>${n.meta ? `<data key="members">${n.meta.count}</data>` : ""}${ports}</node>\n`;
     });
     edges.forEach((e, i) => {
-        const weightData = Number.isFinite(e.weight) ? `<data key="eweight">${e.weight}</data>` : "";
-        out += `    <edge id="${esc(e.id || "e" + i)}" source="${esc(e.source)}" target="${esc(e.target)}"${e.directed ? ' directed="true"' : ""}><data key="elabel">${esc(e.label || "")}</data><data key="ecolor">${esc(e.color || "#888888")}</data><data key="ewidth">${Number.isFinite(e.width) ? e.width : 2}</data>${weightData}</edge>\n`;
+        const weightData = (Number.isFinite(e.weight) ? `<data key="eweight">${e.weight}</data>` : "")
+            + (e.aggregate ? `<data key="ecount">${e.aggregate.count}</data>` : "");
+        const bends = Array.isArray(e.points) && e.points.length
+            ? `<data key="egraphics"><y:PolyLineEdge><y:Path sx="0.0" sy="0.0" tx="0.0" ty="0.0">${e.points.map(p => `<y:Point x="${p.x}" y="${p.y}"/>`).join("")}</y:Path></y:PolyLineEdge></data>`
+            : "";
+        const portAttrs = (usedPorts[e.source]?.has(e.sourcePort) ? ` sourceport="${esc(e.sourcePort)}"` : "")
+            + (usedPorts[e.target]?.has(e.targetPort) ? ` targetport="${esc(e.targetPort)}"` : "");
+        out += `    <edge id="${esc(e.id || "e" + i)}" source="${esc(e.source)}" target="${esc(e.target)}"${portAttrs}${e.directed ? ' directed="true"' : ""}><data key="elabel">${esc(e.label || "")}</data><data key="ecolor">${esc(e.color || "#888888")}</data><data key="ewidth">${Number.isFinite(e.width) ? e.width : 2}</data>${weightData}${bends}</edge>\n`;
     });
     out += "  </graph>\n</graphml>\n";
     return out;
@@ -4625,7 +6800,8 @@ svg{border-color:#334155}.meta{color:#94a3b8}
 
 // Graphviz DOT. Node ids are quoted so uuids/special chars are safe. Directed
 // edges use `->`; if any edge is undirected the whole graph is emitted as `graph`
-// with `--` (DOT can't mix in one file), otherwise `digraph` with `->`.
+// with `--` (DOT can't mix in one file), otherwise `digraph` with `->`. Edge
+// ports become compass points on their side (`"a":n -> "b":w`).
 function buildDot() {
     const q = s => '"' + String(s == null ? "" : s).replace(/\\/g, "\\\\").replace(/"/g, '\\"') + '"';
     const anyUndirected = edges.some(e => !e.directed);
@@ -4645,15 +6821,20 @@ function buildDot() {
         if (e.label) attrs.push(`label=${q(e.label)}`);
         if (e.color) attrs.push(`color=${q(e.color)}`);
         const suffix = attrs.length ? ` [${attrs.join(", ")}]` : "";
-        lines.push(`  ${q(e.source)} ${op} ${q(e.target)}${suffix};`);
+        const compass = (id, portId) => {
+            const port = resolveNodePort(nodes[id], portId);
+            return port ? ":" + port.side.toLowerCase() : "";
+        };
+        lines.push(`  ${q(e.source)}${compass(e.source, e.sourcePort)} ${op} ${q(e.target)}${compass(e.target, e.targetPort)}${suffix};`);
     });
     lines.push("}");
     return lines.join("\n") + "\n";
 }
 
 // Minimal Graphviz DOT parser: reads node statements with optional [label=".."]
-// and edge statements `A -> B` / `A -- B` with optional [label=".."]. Enough to
-// round-trip buildDot and import simple hand-authored graphs.
+// and edge statements `A -> B` / `A -- B` with optional [label=".."] and
+// `:n`/`:e`/`:s`/`:w` compass ports. Enough to round-trip buildDot and import
+// simple hand-authored graphs.
 function parseDot(text) {
     // Strip // and /* */ comments.
     const clean = text.replace(/\/\/[^\n]*/g, "").replace(/\/\*[\s\S]*?\*\//g, "");
@@ -4672,7 +6853,9 @@ function parseDot(text) {
         if (!nodesMap[id]) nodesMap[id] = { id, label: id };
         return nodesMap[id];
     };
-    const edgeRe = new RegExp("^" + idRe + "\\s*(->|--)\\s*" + idRe + "(?:\\s*\\[([^\\]]*)\\])?", "");
+    const portRe = "(?:\\s*:\\s*([A-Za-z0-9_]+))?";
+    const compassPort = name => (name && /^[nesw]$/i.test(name) ? name.toUpperCase() : null);
+    const edgeRe = new RegExp("^" + idRe + portRe + "\\s*(->|--)\\s*" + idRe + portRe + "(?:\\s*\\[([^\\]]*)\\])?", "");
     const nodeRe = new RegExp("^" + idRe + "\\s*(?:\\[([^\\]]*)\\])?$", "");
 
     stmts.forEach((stmt, idx) => {
@@ -4681,11 +6864,13 @@ function parseDot(text) {
         const em = stmt.match(edgeRe);
         if (em) {
             const src = em[1] !== undefined ? em[1] : em[2];
-            const op = em[3];
-            const tgt = em[4] !== undefined ? em[4] : em[5];
-            const attrSeg = em[6] || "";
+            const op = em[4];
+            const tgt = em[5] !== undefined ? em[5] : em[6];
+            const attrSeg = em[8] || "";
             ensureNode(src); ensureNode(tgt);
             const edge = { id: `e${idx}`, source: src, target: tgt, color: "#888888", width: 2, directed: op === "->" ? true : false };
+            if (compassPort(em[3])) edge.sourcePort = compassPort(em[3]);
+            if (compassPort(em[7])) edge.targetPort = compassPort(em[7]);
             const label = attrOf(attrSeg, "label");
             if (label) edge.label = label;
             const color = attrOf(attrSeg, "color");
@@ -4783,6 +6968,21 @@ function mergeGraphPayload(graph) {
 // ---------- IN-PLACE LABEL EDIT (double-click) ----------
 
 svg.addEventListener("dblclick", e => {
+    // Double-click a bend handle to remove it, or an edge to add one.
+    const ds = e.target.dataset || {};
+    if (currentMode === "select" && (ds.bendEdgeId || ds.edgeId)) {
+        const edge = edges.find(x => x.id === (ds.bendEdgeId || ds.edgeId));
+        if (!edge || edge.source === edge.target || isLayerLocked(edge.layer)) return;
+        if (ds.bendIndex != null) {
+            pushUndo();
+            removeBendPoint(edge, Number(ds.bendIndex));
+        } else if (!ds.bendEdgeId) {
+            pushUndo();
+            insertBendPoint(edge, screenToWorld(e.clientX, e.clientY));
+        }
+        render();
+        return;
+    }
     const nodeId = e.target.dataset?.nodeId;
     if (!nodeId || !nodes[nodeId]) return;
     if (isLayerLocked(nodes[nodeId].layer)) return;
@@ -4834,11 +7034,30 @@ function wireNewControls() {
     // centrality / community / rank
     document.getElementById("compute-centrality")?.addEventListener("click", async () => { await runCentrality(); });
     document.getElementById("detect-communities")?.addEventListener("click", async () => {
-        await runCentrality();
+        await runCommunityDetection();
         const sel = document.getElementById("encoding-mode"); if (sel) sel.value = "community";
         applyEncoding();
     });
     document.getElementById("rank-metric")?.addEventListener("change", renderRankTable);
+    document.getElementById("collapse-communities")?.addEventListener("click", () => {
+        if (!collapseCommunities()) alert("Detect communities first (each needs at least two visible members).");
+    });
+    document.getElementById("expand-meta-nodes")?.addEventListener("click", expandAllMetaNodes);
+    document.getElementById("analyze-direction")?.addEventListener("click", runDirectedAnalysis);
+    document.getElementById("suggest-links")?.addEventListener("click", runLinkPrediction);
+    document.getElementById("clear-suggestions")?.addEventListener("click", () => {
+        analyticsState.suggestions = [];
+        renderSuggestions();
+        render();
+    });
+    document.getElementById("find-duplicates")?.addEventListener("click", runDuplicateDetection);
+    document.getElementById("clear-duplicates")?.addEventListener("click", () => {
+        analyticsState.duplicates = [];
+        renderDuplicates();
+    });
+    document.getElementById("condense-sccs")?.addEventListener("click", () => {
+        if (!condenseSccs()) alert("No strongly connected component has two or more visible entities.");
+    });
 
     // path pickers
     document.getElementById("path-start-sel")?.addEventListener("click", () => { if (selectedNodeId) document.getElementById("path-start").value = nodes[selectedNodeId].label || selectedNodeId; });
@@ -4858,6 +7077,8 @@ function wireNewControls() {
         nodeCounter = edgeCounter = boxCounter = 0;
         currentProjectId = null;
         stopCollab();
+        graphDiff = null;
+        renderGraphDiff();
         clearSelection(); render(); refreshProjects(); refreshVersions();
     });
     document.getElementById("auth-login")?.addEventListener("click", async () => {
@@ -5132,13 +7353,21 @@ function renderCanvasView(canvas) {
     };
     ctx.lineWidth = 1;
     ctx.strokeStyle = edgeCol;
+    ctx.globalAlpha = layoutSettings.edgeRouting === "bundled" ? 0.5 : 1;
     edges.forEach(e => {
         const s = nodes[e.source], t = nodes[e.target];
         if (!s || !t) return;
         if (!isNodeVisible(s) || !isNodeVisible(t)) return;
         if (!vis(e.source) && !vis(e.target)) return;
-        ctx.beginPath(); ctx.moveTo(s.x, s.y); ctx.lineTo(t.x, t.y); ctx.stroke();
+        const points = e.source === e.target
+            ? [s, t]
+            : clipEdgeToBorders(getEdgePointsForRouting(s, t, e), s, t, e);
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        points.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+        ctx.stroke();
     });
+    ctx.globalAlpha = 1;
     const showLabels = view.scale > 0.5; // LOD
     Object.values(nodes).forEach(n => {
         if (!vis(n.id)) return;
@@ -5270,12 +7499,449 @@ function runAllPaths() {
         return;
     }
     const { nodeSet, edgeSet, count } = allPathsUpToK(startId, endId, k);
+    analyticsState.pathList = null;
+    analyticsState.cutResult = null;
+    renderPathList();
+    renderCutResult();
     pathHighlights.nodes = nodeSet;
     pathHighlights.edges = edgeSet;
     render();
     if (resEl) resEl.innerHTML = `<div><strong>All paths ≤ ${k}:</strong> ${count} path(s)</div><div><strong>Entities on paths:</strong> ${nodeSet.size}</div>`;
 }
 
+// ----- k shortest / disjoint paths -----
+
+// Reads the path-start / path-end inputs; reports and returns null if either
+// doesn't resolve to an entity.
+function pathEndpointsFromInputs() {
+    const startId = resolveNodeRef((document.getElementById("path-start")?.value || "").trim());
+    const endId = resolveNodeRef((document.getElementById("path-end")?.value || "").trim());
+    if (startId && endId && nodes[startId] && nodes[endId]) return { startId, endId };
+    analyticsState.pathList = null;
+    analyticsState.cutResult = null;
+    analyticsState.pathResult = null;
+    analyticsState.pathError = "Pick a valid start and target entity.";
+    resetPathHighlights();
+    renderAnalyticsPanel();
+    render();
+    return null;
+}
+
+// Shows a fresh path list, highlighting its first path.
+function showPathList(groups) {
+    analyticsState.pathList = groups;
+    analyticsState.cutResult = null;
+    analyticsState.pathResult = null;
+    const first = groups.findIndex(g => g.paths.length);
+    analyticsState.activePath = first >= 0 ? first + ":0" : null;
+    analyticsState.pathError = first >= 0 ? null : "No path between the selected nodes.";
+    deriveHighlights(first >= 0 ? groups[first].paths[0] : null);
+    renderAnalyticsPanel();
+    render();
+}
+
+// Yen's k shortest loopless paths, weighted and following edge direction
+// like the Dijkstra search above.
+function runKShortestPaths() {
+    const ends = pathEndpointsFromInputs();
+    if (!ends) return;
+    const k = Math.max(1, Math.min(20, parseInt(document.getElementById("kpaths-k")?.value || "5", 10) || 5));
+    const paths = Analytics.kShortestPaths({ nodes, edges }, ends.startId, ends.endId, { k });
+    showPathList([{ title: `${paths.length} shortest path(s) (Yen, k = ${k})`, paths }]);
+}
+
+// Max-flow counts of edge- and node-disjoint paths: how many edges (or
+// intermediate entities) must go before the two are disconnected.
+function runDisjointPaths() {
+    const ends = pathEndpointsFromInputs();
+    if (!ends) return;
+    const { edgeDisjoint, nodeDisjoint } = Analytics.disjointPaths({ nodes, edges }, ends.startId, ends.endId);
+    showPathList([
+        { title: `Edge-disjoint paths: ${edgeDisjoint.count}`, paths: edgeDisjoint.paths },
+        { title: `Node-disjoint paths: ${nodeDisjoint.count}`, paths: nodeDisjoint.paths }
+    ]);
+}
+
+// Minimum edge and vertex cuts between the path endpoints (edge weights as
+// capacities), highlighted on the canvas.
+function runMinCut() {
+    const ends = pathEndpointsFromInputs();
+    if (!ends) return;
+    const cut = Analytics.minCut({ nodes, edges }, ends.startId, ends.endId);
+    analyticsState.pathList = null;
+    analyticsState.pathResult = null;
+    analyticsState.pathError = null;
+    analyticsState.cutResult = cut;
+    deriveHighlights({
+        nodes: cut.vertexCut ? cut.vertexCut.nodes : [],
+        edges: cut.edgeCut.edges
+    });
+    renderAnalyticsPanel();
+    render();
+}
+
+// Lists the cut edges and nodes of analyticsState.cutResult; clicking a row
+// selects that edge or entity.
+function renderCutResult() {
+    const wrap = document.getElementById("analytics-cut-result");
+    if (!wrap) return;
+    wrap.innerHTML = "";
+    const cut = analyticsState.cutResult;
+    if (!cut) return;
+    const { edgeCut, vertexCut } = cut;
+    const edgeRows = edgeCut.edges.map(id => edges.find(e => e.id === id)).filter(Boolean).map(e => ({
+        cells: [`${nodeDisplayName(e.source)} ${e.directed ? "→" : "—"} ${nodeDisplayName(e.target)}`, String(Number(e.weight || e.width || 1))],
+        onClick: () => { selectEdge(e.id); render(); }
+    }));
+    appendRowTable(wrap, edgeCut.edges.length
+        ? `Min edge cut: ${edgeCut.edges.length} edge(s), capacity ${edgeCut.value}`
+        : "Min edge cut: already disconnected", ["Edge", "Capacity"], edgeRows);
+    if (!vertexCut) {
+        appendRowTable(wrap, "Min vertex cut: none (the endpoints are directly linked)", [], []);
+        return;
+    }
+    const nodeRows = vertexCut.nodes.map(id => ({
+        cells: [nodeDisplayName(id)],
+        onClick: () => { if (nodes[id]) { selectNode(id); centerOnNode(id); render(); } }
+    }));
+    appendRowTable(wrap, vertexCut.nodes.length
+        ? `Min vertex cut: ${vertexCut.nodes.length} entit${vertexCut.nodes.length === 1 ? "y" : "ies"}`
+        : "Min vertex cut: already disconnected", ["Entity"], nodeRows);
+}
+
+// ----- Strongly connected components, cycles, topological order -----
+
+// Longest SCC / cycle / order lists shown in the panel.
+const DIRECTED_LIST_LIMIT = 50;
+
+// Runs Analytics.computeDirectedStructure on the live graph and highlights
+// every listed cycle.
+function runDirectedAnalysis() {
+    const result = Analytics.computeDirectedStructure({ nodes, edges });
+    analyticsState.directed = result;
+    analyticsState.activeDirected = null;
+    deriveHighlights({
+        nodes: result.cycles.flatMap(c => c.nodes),
+        edges: result.cycles.flatMap(c => c.edges)
+    });
+    renderDirectedResult();
+    render();
+}
+
+// Collapses every strongly connected component of two or more visible,
+// unlocked entities into a meta-node, leaving the condensation (a DAG), and
+// shows its topological order. Returns how many were collapsed.
+function condenseSccs() {
+    const { components } = Analytics.computeDirectedStructure({ nodes, edges });
+    const groups = components
+        .map((c, i) => ({ i, members: c.filter(id => isNodeVisible(nodes[id]) && !isLayerLocked(nodes[id].layer)) }))
+        .filter(g => g.members.length > 1);
+    if (!groups.length) return 0;
+    pushUndo();
+    // Numbered like the panel's SCC list.
+    groups.forEach(({ i, members }) => collapseNodes(members, { label: `SCC ${i + 1}`, color: communityColor(i) }));
+    runDirectedAnalysis();
+    return groups.length;
+}
+
+function renderDirectedResult() {
+    const wrap = document.getElementById("directed-result");
+    if (!wrap) return;
+    wrap.innerHTML = "";
+    const d = analyticsState.directed;
+    if (!d) return;
+    const toggle = (key, highlight) => () => {
+        if (analyticsState.activeDirected === key) {
+            analyticsState.activeDirected = null;
+            resetPathHighlights();
+        } else {
+            analyticsState.activeDirected = key;
+            deriveHighlights(highlight());
+        }
+        renderDirectedResult();
+        render();
+    };
+
+    const strong = d.components.map((members, i) => ({ members, i })).filter(c => c.members.length > 1);
+    strong.sort((a, b) => b.members.length - a.members.length);
+    appendRowTable(wrap, `Strongly connected components: ${d.components.length} (${strong.length} with more than one entity)`,
+        ["#", "Size", "Entities"], strong.slice(0, DIRECTED_LIST_LIMIT).map(({ members, i }) => ({
+            cells: [String(i + 1), String(members.length), members.map(nodeDisplayName).join(", ")],
+            active: analyticsState.activeDirected === "scc:" + i,
+            onClick: toggle("scc:" + i, () => ({
+                nodes: members,
+                edges: edges.filter(e => d.componentOf[e.source] === i && d.componentOf[e.target] === i).map(e => e.id)
+            }))
+        })));
+
+    const shown = d.cycles.length < d.cycleCount ? ` (showing ${d.cycles.length})` : "";
+    appendRowTable(wrap, d.cycleCount ? `Cycles found: ${d.cycleCount}${shown}` : "No directed cycles.",
+        ["#", "Length", "Cycle"], d.cycles.map((cycle, i) => ({
+            cells: [String(i + 1), String(cycle.edges.length), cycle.nodes.concat(cycle.nodes[0]).map(nodeDisplayName).join(" → ")],
+            active: analyticsState.activeDirected === "cycle:" + i,
+            onClick: toggle("cycle:" + i, () => cycle)
+        })));
+
+    if (!d.topologicalOrder) {
+        appendRowTable(wrap, "No topological order: condense the SCCs to order the rest.", [], []);
+        return;
+    }
+    const order = d.topologicalOrder;
+    appendRowTable(wrap, `Topological order${order.length > DIRECTED_LIST_LIMIT ? ` (first ${DIRECTED_LIST_LIMIT} of ${order.length})` : ""}`,
+        ["#", "Entity"], order.slice(0, DIRECTED_LIST_LIMIT).map((id, i) => ({
+            cells: [String(i + 1), nodeDisplayName(id)],
+            onClick: () => { if (nodes[id]) { selectNode(id); centerOnNode(id); render(); } }
+        })));
+}
+
+// ----- Suggested links -----
+
+function suggestionKey(a, b) {
+    return a < b ? a + "|" + b : b + "|" + a;
+}
+
+const LINK_PREDICTION_LABELS = {
+    commonNeighbors: "Common neighbors",
+    jaccard: "Jaccard",
+    adamicAdar: "Adamic-Adar",
+    resourceAllocation: "Resource allocation"
+};
+
+// Ranks likely missing links with the panel's method and count; they show
+// as ghost edges until accepted or dismissed.
+function runLinkPrediction() {
+    const method = document.getElementById("linkpred-method")?.value || "adamicAdar";
+    const limit = Math.max(1, Math.min(100, parseInt(document.getElementById("linkpred-k")?.value || "10", 10) || 10));
+    analyticsState.suggestions = Analytics.predictLinks({ nodes, edges }, { method, limit, exclude: dismissedSuggestions })
+        .map(s => ({ ...s, method }));
+    renderSuggestions();
+    render();
+}
+
+function removeSuggestion(suggestion) {
+    analyticsState.suggestions = analyticsState.suggestions.filter(s => s !== suggestion);
+    renderSuggestions();
+    render();
+}
+
+// Turns a suggestion into a real edge, recording why it was added.
+function acceptSuggestion(suggestion) {
+    if (!nodes[suggestion.source] || !nodes[suggestion.target]) return removeSuggestion(suggestion);
+    pushUndo();
+    createEdge(suggestion.source, suggestion.target, {
+        provenance: {
+            source: "suggested",
+            createdAt: Date.now(),
+            method: suggestion.method,
+            score: suggestion.score,
+            common: suggestion.common.slice()
+        }
+    });
+    removeSuggestion(suggestion);
+}
+
+function dismissSuggestion(suggestion) {
+    dismissedSuggestions.add(suggestionKey(suggestion.source, suggestion.target));
+    removeSuggestion(suggestion);
+}
+
+function formatSuggestionScore(s) {
+    return s.method === "commonNeighbors" ? String(s.score) : s.score.toFixed(3);
+}
+
+function renderSuggestions() {
+    const wrap = document.getElementById("link-suggestions");
+    if (!wrap) return;
+    wrap.innerHTML = "";
+    const list = analyticsState.suggestions;
+    if (!list.length) return;
+    const method = LINK_PREDICTION_LABELS[list[0].method] || list[0].method;
+    appendRowTable(wrap, `${list.length} suggested link(s) by ${method}`, ["Pair", "Score", ""], list.map(s => ({
+        cells: [`${nodeDisplayName(s.source)} — ${nodeDisplayName(s.target)}`, formatSuggestionScore(s)],
+        // Clicking the row shows the pair and the neighbours they share.
+        onClick: () => { deriveHighlights({ nodes: [s.source, s.target, ...s.common], edges: [] }); render(); },
+        actions: [
+            { label: "✓", title: "Accept: create this link", onClick: () => acceptSuggestion(s) },
+            { label: "✕", title: "Dismiss", onClick: () => dismissSuggestion(s) }
+        ]
+    })));
+}
+
+// Dashed ghost edges for the pending suggestions (never exported).
+function renderSuggestedLinks(viewport, visibleNodes) {
+    if (exporting) return;
+    analyticsState.suggestions.forEach(s => {
+        const a = nodes[s.source], b = nodes[s.target];
+        if (!a || !b || !visibleNodes[a.id] || !visibleNodes[b.id]) return;
+        const line = document.createElementNS(NS, "line");
+        line.setAttribute("x1", a.x);
+        line.setAttribute("y1", a.y);
+        line.setAttribute("x2", b.x);
+        line.setAttribute("y2", b.y);
+        line.setAttribute("class", "ghost-edge");
+        line.dataset.suggestion = suggestionKey(s.source, s.target);
+        const title = document.createElementNS(NS, "title");
+        title.textContent = `Suggested (${LINK_PREDICTION_LABELS[s.method] || s.method} ${formatSuggestionScore(s)}), ` +
+            `${s.common.length} shared neighbor(s). Right-click to accept or dismiss.`;
+        line.appendChild(title);
+        viewport.appendChild(line);
+    });
+}
+
+// ----- Duplicate entities -----
+
+// Ranks same-type entities that look like one real-world thing (normalized
+// value similarity plus shared neighbours) for review in the Analytics panel.
+function runDuplicateDetection() {
+    const input = parseFloat(document.getElementById("dedupe-threshold")?.value);
+    const threshold = Math.max(0.3, Math.min(1, Number.isFinite(input) ? input : 0.6));
+    analyticsState.duplicates = Analytics.findDuplicates({ nodes, edges }, {
+        threshold,
+        exclude: dismissedDuplicates,
+        normalize: EntityRegistry.normalizeEntityValue
+    });
+    renderDuplicates();
+    if (!analyticsState.duplicates.length) alert("No likely duplicates at this threshold.");
+}
+
+function nodeDegrees() {
+    const degree = {};
+    edges.forEach(e => {
+        degree[e.source] = (degree[e.source] || 0) + 1;
+        degree[e.target] = (degree[e.target] || 0) + 1;
+    });
+    return degree;
+}
+
+// Folds dropIds into keepId as a single undo step. Properties the kept
+// entity lacks are filled in from the others, each merged entity (with its
+// own properties and provenance) is recorded in provenance.mergedFrom, and
+// its links are re-pointed to keepId, dropping any that would become a
+// self-loop or repeat a link keepId already has. Returns false when there
+// is nothing to merge.
+function mergeEntities(keepId, dropIds) {
+    const keep = nodes[keepId];
+    const drops = [...new Set(dropIds)].filter(id => id !== keepId && nodes[id] && !nodes[id].meta);
+    if (!keep || keep.meta || !drops.length) return false;
+    pushUndo();
+    const now = Date.now();
+    const mergedFrom = keep.provenance?.mergedFrom ? keep.provenance.mergedFrom.slice() : [];
+    drops.forEach(id => {
+        const n = nodes[id];
+        keep.properties = keep.properties || {};
+        Object.entries(n.properties || {}).forEach(([key, value]) => {
+            const current = keep.properties[key];
+            if ((current == null || current === "") && value != null && value !== "") keep.properties[key] = value;
+        });
+        if (!keep.desc && n.desc) keep.desc = n.desc;
+        if (!keep.value && n.value) keep.value = n.value;
+        mergedFrom.push({
+            id,
+            entityType: n.entityType,
+            value: n.value,
+            label: n.label,
+            properties: { ...(n.properties || {}) },
+            provenance: n.provenance,
+            mergedAt: now
+        });
+    });
+    keep.provenance = { ...(keep.provenance || { source: "manual", createdAt: now }), mergedFrom };
+
+    const gone = new Set(drops);
+    const linkKey = e => {
+        const [s, t] = e.directed || e.source < e.target ? [e.source, e.target] : [e.target, e.source];
+        return `${s}|${t}|${e.directed ? 1 : 0}|${e.label || ""}`;
+    };
+    const moved = new Set();
+    edges.forEach(e => {
+        if (gone.has(e.source)) { e.source = keepId; moved.add(e); }
+        if (gone.has(e.target)) { e.target = keepId; moved.add(e); }
+    });
+    const existing = new Set(edges.filter(e => !moved.has(e)).map(linkKey));
+    edges = edges.filter(e => {
+        if (!moved.has(e)) return true;
+        if (e.source === e.target) return false;
+        const key = linkKey(e);
+        if (existing.has(key)) return false;
+        existing.add(key);
+        delete e.points; // bends were laid out around the old endpoint
+        return true;
+    });
+    drops.forEach(deleteNode);
+    selectNode(keepId);
+    return true;
+}
+
+// Merges a reviewed pair into whichever entity has more links (the older one
+// on a tie) and rewrites the remaining candidates to point at the survivor.
+function mergeDuplicate(pair) {
+    const { a, b } = pair;
+    if (!nodes[a] || !nodes[b]) return removeDuplicate(pair);
+    const degree = nodeDegrees();
+    const age = id => nodes[id].provenance?.createdAt ?? Infinity;
+    const keepA = (degree[a] || 0) !== (degree[b] || 0) ? (degree[a] || 0) > (degree[b] || 0) : age(a) <= age(b);
+    const [keepId, dropId] = keepA ? [a, b] : [b, a];
+    if (!mergeEntities(keepId, [dropId])) return;
+    const seen = new Set();
+    analyticsState.duplicates = analyticsState.duplicates.filter(p => p !== pair).flatMap(p => {
+        const x = p.a === dropId ? keepId : p.a;
+        const y = p.b === dropId ? keepId : p.b;
+        const key = suggestionKey(x, y);
+        if (x === y || seen.has(key)) return [];
+        seen.add(key);
+        return [x < y ? { ...p, a: x, b: y } : { ...p, a: y, b: x }];
+    });
+    renderDuplicates();
+    render();
+}
+
+function removeDuplicate(pair) {
+    analyticsState.duplicates = analyticsState.duplicates.filter(p => p !== pair);
+    renderDuplicates();
+    render();
+}
+
+function dismissDuplicate(pair) {
+    dismissedDuplicates.add(suggestionKey(pair.a, pair.b));
+    removeDuplicate(pair);
+}
+
+// Context-menu entry: merge the selection into the primary selected entity.
+function mergeSelection() {
+    const ids = getSelectedNodeIds().filter(id => nodes[id]);
+    const keepId = nodes[selectedNodeId] ? selectedNodeId : ids[0];
+    if (!mergeEntities(keepId, ids)) {
+        alert("Select two or more entities (not collapsed groups) to merge.");
+        return;
+    }
+    analyticsState.duplicates = analyticsState.duplicates.filter(p => nodes[p.a] && nodes[p.b]);
+    renderDuplicates();
+    render();
+}
+
+function renderDuplicates() {
+    const wrap = document.getElementById("duplicate-list");
+    if (!wrap) return;
+    wrap.innerHTML = "";
+    const list = analyticsState.duplicates;
+    if (!list.length) return;
+    appendRowTable(wrap, `${list.length} possible duplicate(s)`, ["Entities", "Score", ""], list.map(p => ({
+        cells: [`${nodeDisplayName(p.a)} ≈ ${nodeDisplayName(p.b)}`, p.score.toFixed(2)],
+        title: `name ${p.name.toFixed(2)}${p.exact ? " (same normalized value)" : ""}, ` +
+            `${p.shared.length} shared neighbor(s)`,
+        onClick: () => {
+            deriveHighlights({ nodes: [p.a, p.b, ...p.shared], edges: [] });
+            clearSelection();
+            [p.a, p.b].forEach(id => { if (nodes[id]) selectNode(id, { additive: true }); });
+            render();
+        },
+        actions: [
+            { label: "✓", title: "Merge these entities", onClick: () => mergeDuplicate(p) },
+            { label: "✕", title: "Not a duplicate", onClick: () => dismissDuplicate(p) }
+        ]
+    })));
+}
+
 // ----- Timeline -----
 function timeExtent() {
     let min = Infinity, max = -Infinity;
@@ -5359,6 +8025,30 @@ function wireDeferredControls() {
     document.getElementById("toggle-timeline")?.addEventListener("change", () => { updateTimeline(); render(); });
     document.getElementById("timeline-range")?.addEventListener("input", () => { updateTimeline(); render(); });
     document.getElementById("find-all-paths")?.addEventListener("click", runAllPaths);
+    document.getElementById("find-k-paths")?.addEventListener("click", runKShortestPaths);
+    document.getElementById("find-disjoint-paths")?.addEventListener("click", runDisjointPaths);
+    document.getElementById("find-min-cut")?.addEventListener("click", runMinCut);
+    document.getElementById("transform-concurrency")?.addEventListener("change", e => {
+        const n = Math.max(1, Math.min(8, parseInt(e.target.value, 10) || 3));
+        e.target.value = n;
+        transformQueue.setConcurrency(n);
+    });
+    const maxResults = document.getElementById("transform-max-results");
+    if (maxResults) {
+        maxResults.value = transformPrefs.maxResults || "";
+        maxResults.addEventListener("change", () => {
+            const n = parseInt(maxResults.value, 10);
+            transformPrefs.maxResults = n > 0 ? Math.min(n, 500) : 0;
+            maxResults.value = transformPrefs.maxResults || "";
+            saveTransformPrefs();
+        });
+    }
+    document.getElementById("transform-jobs-cancel")?.addEventListener("click", () => transformQueue.cancelAll());
+    document.getElementById("transform-jobs-clear")?.addEventListener("click", () => { transformQueue.clearFinished(); renderTransformJobs(); });
+    document.getElementById("playbook-new")?.addEventListener("click", () => openPlaybookEditor(null));
+    document.getElementById("playbook-save")?.addEventListener("click", savePlaybookFromEditor);
+    document.getElementById("playbook-cancel")?.addEventListener("click", closePlaybookEditor);
+    document.getElementById("playbook-stop")?.addEventListener("click", () => { if (playbookRun) playbookRun.cancelled = true; });
     wireCanvasInteractions();
 }
 
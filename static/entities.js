@@ -6243,7 +6243,74 @@
         } catch (e) { return null; }
     }
 
-    const EntityRegistry = { ENTITY_TYPES, CATEGORY_ORDER, getEntityType, listEntityTypes, listEntityCategories, validateEntityValue };
+    // Legal-form suffixes dropped when comparing organization names, so
+    // "ACME Corp", "Acme Corporation" and "Acme, Inc." all become "acme".
+    const ORG_SUFFIXES = new Set([
+        "inc", "incorporated", "corp", "corporation", "co", "company", "ltd", "limited",
+        "llc", "llp", "plc", "gmbh", "ag", "sa", "sas", "srl", "bv", "nv", "oy", "ab", "pty", "group", "holdings"
+    ]);
+
+    function hostOf(value) {
+        return value.replace(/^[a-z][a-z0-9+.-]*:\/\//, "").replace(/[/?#].*$/, "")
+            .replace(/:\d+$/, "").replace(/\.$/, "").replace(/^www\d*\./, "");
+    }
+    function words(value) {
+        return value.replace(/[^\p{L}\p{N}]+/gu, " ").trim().split(" ").filter(Boolean);
+    }
+
+    // Per-type canonical forms, applied after trimming and lowercasing. Types
+    // without an entry only have their whitespace collapsed.
+    const VALUE_NORMALIZERS = {
+        email(v) {
+            const at = v.lastIndexOf("@");
+            if (at < 0) return v;
+            let local = v.slice(0, at).replace(/\+.*$/, "");
+            let domain = v.slice(at + 1);
+            if (domain === "googlemail.com") domain = "gmail.com";
+            if (domain === "gmail.com") local = local.replace(/\./g, "");
+            return local + "@" + domain;
+        },
+        domain: hostOf,
+        url(v) {
+            const rest = v.replace(/^[a-z][a-z0-9+.-]*:\/\//, "");
+            const slash = rest.search(/[/?#]/);
+            const path = slash < 0 ? "" : rest.slice(slash).replace(/[?#].*$/, "").replace(/\/+$/, "");
+            return hostOf(rest) + path;
+        },
+        phone(v) {
+            const digits = v.replace(/\D/g, "");
+            return digits.startsWith("00") ? digits.slice(2) : digits;
+        },
+        ipv4(v) {
+            return v.split(".").map(part => /^\d+$/.test(part) ? String(Number(part)) : part).join(".");
+        },
+        organization(v) {
+            // A bare domain as a name ("acme.com") means its registrable label.
+            if (/^(www\.)?[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/.test(v)) {
+                const labels = hostOf(v).split(".");
+                v = labels.length > 2 && labels[labels.length - 2].length <= 3 ? labels[labels.length - 3] : labels[labels.length - 2];
+            }
+            const kept = words(v.replace(/&/g, " and "));
+            while (kept.length > 1 && ORG_SUFFIXES.has(kept[kept.length - 1])) kept.pop();
+            return kept.join(" ");
+        },
+        // Word order is dropped so "Doe, John" matches "John Doe".
+        person(v) {
+            return words(v).sort().join(" ");
+        }
+    };
+
+    // Canonical form of a value for duplicate detection (never shown to users).
+    function normalizeEntityValue(typeId, value) {
+        const v = String(value == null ? "" : value).trim().toLowerCase().replace(/\s+/g, " ");
+        const normalize = VALUE_NORMALIZERS[typeId];
+        return v && normalize ? normalize(v) : v;
+    }
+
+    const EntityRegistry = {
+        ENTITY_TYPES, CATEGORY_ORDER, getEntityType, listEntityTypes, listEntityCategories, validateEntityValue,
+        normalizeEntityValue
+    };
 
     if (typeof module !== "undefined" && module.exports) {
         module.exports = EntityRegistry;
@@ -6253,5 +6320,6 @@
         global.listEntityTypes = listEntityTypes;
         global.listEntityCategories = listEntityCategories;
         global.validateEntityValue = validateEntityValue;
+        global.normalizeEntityValue = normalizeEntityValue;
     }
 })(typeof window !== "undefined" ? window : this);
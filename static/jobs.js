@@ -0,0 +1,152 @@
+// jobs.js
+// Small client-side job queue for fan-out work such as running one transform
+// over many selected entities, plus the undo bookkeeping its merges share.
+// DOM-free; the editor renders the job list.
+// Exposes the Jobs namespace (module.exports under Node for tests).
+
+(function (global) {
+
+    const JOB_STATUSES = ["pending", "running", "done", "failed", "cancelled"];
+
+    // createJobQueue({ run, concurrency = 3, onChange, onIdle })
+    //   run(job) -> Promise<result>   does the work for one job
+    //   onChange(job)                 after every status change
+    //   onIdle()                      when the last running job settles
+    // Jobs are { id, payload, status, result, error, attempts }; statuses are
+    // pending → running → done | failed, or cancelled from pending/running.
+    // Cancelling a running job cannot stop its promise, but its outcome is
+    // discarded (no "done" change is reported). failed and cancelled jobs
+    // can be retried, which puts them back at the end of the queue.
+    function createJobQueue(options) {
+        const run = options.run;
+        const onChange = options.onChange || (() => {});
+        const onIdle = options.onIdle || (() => {});
+        let concurrency = Math.max(1, options.concurrency || 3);
+        const jobs = [];
+        const waiting = [];
+        let running = 0;
+        let nextId = 1;
+
+        function setStatus(job, status) {
+            job.status = status;
+            onChange(job);
+        }
+
+        function pump() {
+            while (running < concurrency && waiting.length) {
+                const job = waiting.shift();
+                if (job.status !== "pending") continue;
+                start(job);
+            }
+        }
+
+        function start(job) {
+            running += 1;
+            job.attempts += 1;
+            job.error = null;
+            const attempt = job.attempts;
+            setStatus(job, "running");
+            Promise.resolve()
+                .then(() => run(job))
+                .then(result => {
+                    if (job.status !== "running" || job.attempts !== attempt) return;
+                    job.result = result;
+                    setStatus(job, "done");
+                }, error => {
+                    if (job.status !== "running" || job.attempts !== attempt) return;
+                    job.error = error && error.message ? error.message : String(error);
+                    setStatus(job, "failed");
+                })
+                .then(() => {
+                    running -= 1;
+                    pump();
+                    if (!running && !waiting.length) onIdle();
+                });
+        }
+
+        function enqueue(job) {
+            setStatus(job, "pending");
+            waiting.push(job);
+            pump();
+        }
+
+        return {
+            add(payload) {
+                const job = { id: nextId++, payload, status: "pending", result: null, error: null, attempts: 0 };
+                jobs.push(job);
+                enqueue(job);
+                return job;
+            },
+            retry(id) {
+                const job = jobs.find(j => j.id === id);
+                if (!job || (job.status !== "failed" && job.status !== "cancelled")) return false;
+                enqueue(job);
+                return true;
+            },
+            cancel(id) {
+                const job = jobs.find(j => j.id === id);
+                if (!job || (job.status !== "pending" && job.status !== "running")) return false;
+                setStatus(job, "cancelled");
+                return true;
+            },
+            cancelAll() {
+                jobs.forEach(job => { if (job.status === "pending" || job.status === "running") setStatus(job, "cancelled"); });
+            },
+            // Drops finished (done / failed / cancelled) jobs from the list.
+            clearFinished() {
+                for (let i = jobs.length - 1; i >= 0; i--) {
+                    if (jobs[i].status !== "pending" && jobs[i].status !== "running") jobs.splice(i, 1);
+                }
+            },
+            setConcurrency(n) {
+                concurrency = Math.max(1, n | 0);
+                pump();
+            },
+            jobs: () => jobs.slice(),
+            // { pending, running, done, failed, cancelled } job counts.
+            counts() {
+                const counts = {};
+                JOB_STATUSES.forEach(s => { counts[s] = 0; });
+                jobs.forEach(job => { counts[job.status] += 1; });
+                return counts;
+            },
+            get busy() { return running > 0 || waiting.some(job => job.status === "pending"); }
+        };
+    }
+
+    // createUndoBatch({ depth, revision, snapshot })
+    //   depth() -> number      current undo-stack length
+    //   revision() -> any      changes whenever the graph is edited
+    //   snapshot()             pushes one undo snapshot
+    // Lets a stream of asynchronous merges (bulk jobs, playbook runs) share
+    // one undo step: call beforeMerge() before and afterMerge() after each
+    // merge. If anything touched the history or the graph in between (an
+    // undo, a redo, a user edit), beforeMerge() takes a fresh snapshot so
+    // the later merges stay undoable and that change keeps its own step.
+    // Returns how many snapshots were taken via snapshots().
+    function createUndoBatch(hooks) {
+        let mark = null; // { depth, revision } right after the last merge
+        let snapshots = 0;
+        return {
+            beforeMerge() {
+                if (mark && hooks.depth() === mark.depth && hooks.revision() === mark.revision) return false;
+                hooks.snapshot();
+                snapshots += 1;
+                return true;
+            },
+            afterMerge() {
+                mark = { depth: hooks.depth(), revision: hooks.revision() };
+            },
+            snapshots: () => snapshots
+        };
+    }
+
+    const Jobs = { createJobQueue, createUndoBatch, JOB_STATUSES };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = Jobs;
+    } else {
+        global.Jobs = Jobs;
+    }
+
+})(this);
@@ -61,6 +61,58 @@
             tierSpacing: 180,
             nodeSpacing: 150,
             nodeStartX: 200
+        },
+        stress: {
+            iterations: 300,
+            idealEdgeLength: 180,
+            tolerance: 1e-4,
+            nodeStartX: 100,
+            nodeStartY: 100,
+            separationPadding: 40,
+            separationIterations: 30
+        },
+        layered: {
+            direction: "TB",
+            crossingMinimization: "barycenter",
+            crossingSweeps: 24,
+            coordinatePasses: 8,
+            layerSpacing: 160,
+            nodeGap: 60,
+            boxHMargin: 400,
+            boxVMargin: 260,
+            boxStartX: 150,
+            boxStartY: 80,
+            separationPadding: 40,
+            separationIterations: 50,
+            nodeStartX: 150,
+            nodeStartY: 200
+        },
+        compound: {
+            innerLayout: "grid",
+            innerOptions: { nodeHMargin: 120, nodeVMargin: 110 },
+            boxPadding: 30,
+            boxHeaderHeight: 32,
+            minBoxWidth: 160,
+            minBoxHeight: 100,
+            iterations: 200,
+            idealEdgeLength: 260,
+            gravity: 0.05,
+            boxStartX: 100,
+            boxStartY: 100,
+            separationPadding: 40,
+            separationIterations: 80
+        },
+        incremental: {
+            iterations: 120,
+            repulsion: 20000,
+            idealEdgeLength: 160,
+            nodeSeparationPadding: 24,
+            nodeSeparationIterations: 60
+        },
+        radial: {
+            ringSpacing: 180,
+            nodeSeparationPadding: 24,
+            nodeSeparationIterations: 60
         }
     };
 
@@ -71,6 +123,10 @@
 
     function apply(type, state, options = {}) {
         const opts = mergedOptions(type, options);
+        // Any layout invalidates bend points on edges it may move; the
+        // layered engine recomputes its own afterwards, and the incremental
+        // engine only clears those on the nodes it moves.
+        if (defaultOptions[type] && type !== "incremental") clearEdgeBends(state);
         switch (type) {
             case "grid":
                 gridLayout(state, opts);
@@ -87,6 +143,21 @@
             case "weightedTree":
                 weightedTreeLayout(state, opts);
                 break;
+            case "stress":
+                stressLayout(state, opts);
+                break;
+            case "layered":
+                layeredLayout(state, opts);
+                break;
+            case "compound":
+                compoundLayout(state, opts);
+                break;
+            case "incremental":
+                incrementalLayout(state, opts);
+                break;
+            case "radial":
+                radialLayout(state, opts);
+                break;
             default:
                 console.warn("Unknown layout type:", type);
         }
@@ -96,6 +167,30 @@
     // Core helpers
     // ------------------------
 
+    // Iterative engines call this once per iteration with a fraction in
+    // [0, 1) so a host (the background worker) can show progress.
+    function reportProgress(options, fraction) {
+        if (typeof options.onProgress === "function") options.onProgress(fraction);
+    }
+
+    // The parts of a state a layout may change: node positions, box rects
+    // and edge bend points (null when an edge has none). Lets a layout run
+    // on a copy (e.g. in a worker) and be applied back to the live graph.
+    function geometryOf(state) {
+        const positions = {};
+        Object.keys(state.nodes).forEach(id => {
+            positions[id] = { x: state.nodes[id].x, y: state.nodes[id].y };
+        });
+        const rects = {};
+        Object.keys(state.boxes || {}).forEach(id => {
+            const b = state.boxes[id];
+            rects[id] = { x: b.x, y: b.y, width: b.width, height: b.height };
+        });
+        const edgePoints = {};
+        (state.edges || []).forEach(e => { if (e.id != null) edgePoints[e.id] = e.points || null; });
+        return { nodes: positions, boxes: rects, edgePoints };
+    }
+
     function moveBoxAndChildren(state, boxId, newX, newY) {
         const b = state.boxes[boxId];
         if (!b) return;
@@ -115,6 +210,19 @@
         });
     }
 
+    // Drop bend points (edge.points), which were computed for the old
+    // positions: from every edge with an end in `onlyIds` when given, else
+    // from every edge with an end in state.nodes (all edges for a
+    // whole-graph run; only those touching the arranged nodes when the app
+    // lays out a selection).
+    function clearEdgeBends(state, onlyIds = null) {
+        const touched = id => (onlyIds ? onlyIds.has(id) : !!state.nodes[id]);
+        (state.edges || []).forEach(edge => {
+            if (!edge.points) return;
+            if (touched(edge.source) || touched(edge.target)) delete edge.points;
+        });
+    }
+
     function getBoxIds(state) {
         return Object.keys(state.boxes || {});
     }
@@ -612,6 +720,7 @@
 
         // repulsion + springs along edges (only for unboxed nodes)
         for (let iter = 0; iter < iterations; iter++) {
+            reportProgress(options, iter / iterations);
             // Repulsion between all
             for (let i = 0; i < bodies.length; i++) {
                 for (let j = i + 1; j < bodies.length; j++) {
@@ -825,7 +934,1162 @@
         });
     }
 
+    // ------------------------
+    // STRESS LAYOUT (stress majorization, Kamada-Kawai objective)
+    // ------------------------
+
+    function compareIds(a, b) {
+        return a < b ? -1 : a > b ? 1 : 0;
+    }
+
+    // Hop distances between every pair of bodies, as a flat n*n array.
+    // Pairs in different components get (longest finite distance + 1) so
+    // disconnected pieces sit a little apart instead of flying off.
+    function allPairsHopDistances(neighbours) {
+        const n = neighbours.length;
+        const dist = new Float64Array(n * n).fill(-1);
+        const queue = new Int32Array(n);
+        let maxHop = 0;
+
+        for (let s = 0; s < n; s++) {
+            const row = s * n;
+            dist[row + s] = 0;
+            let head = 0, tail = 0;
+            queue[tail++] = s;
+            while (head < tail) {
+                const u = queue[head++];
+                const du = dist[row + u];
+                neighbours[u].forEach(v => {
+                    if (dist[row + v] >= 0) return;
+                    dist[row + v] = du + 1;
+                    if (du + 1 > maxHop) maxHop = du + 1;
+                    queue[tail++] = v;
+                });
+            }
+        }
+
+        for (let i = 0; i < dist.length; i++) {
+            if (dist[i] < 0) dist[i] = maxHop + 1;
+        }
+        return dist;
+    }
+
+    // Classical MDS seed: the top two eigenvectors of the double-centered
+    // squared-distance matrix, found by power iteration from a fixed start
+    // vector so the result never depends on prior positions.
+    function classicalMdsSeed(target, n) {
+        const coords = [new Float64Array(n), new Float64Array(n)];
+        if (n < 2) return coords;
+
+        const rowMean = new Float64Array(n);
+        let grandMean = 0;
+        for (let i = 0; i < n; i++) {
+            let s = 0;
+            for (let j = 0; j < n; j++) {
+                const d = target[i * n + j];
+                s += d * d;
+            }
+            rowMean[i] = s / n;
+            grandMean += rowMean[i];
+        }
+        grandMean /= n;
+
+        const B = new Float64Array(n * n);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                const d = target[i * n + j];
+                B[i * n + j] = -0.5 * (d * d - rowMean[i] - rowMean[j] + grandMean);
+            }
+        }
+
+        const found = [];
+        for (let k = 0; k < 2; k++) {
+            let v = new Float64Array(n);
+            for (let i = 0; i < n; i++) v[i] = Math.sin(i + 1 + k * 0.5);
+            let lambda = 0;
+
+            for (let iter = 0; iter < 100; iter++) {
+                // Deflate: keep v orthogonal to eigenvectors already found.
+                found.forEach(u => {
+                    let dot = 0;
+                    for (let i = 0; i < n; i++) dot += v[i] * u[i];
+                    for (let i = 0; i < n; i++) v[i] -= dot * u[i];
+                });
+
+                const next = new Float64Array(n);
+                for (let i = 0; i < n; i++) {
+                    let s = 0;
+                    const row = i * n;
+                    for (let j = 0; j < n; j++) s += B[row + j] * v[j];
+                    next[i] = s;
+                }
+
+                let norm = 0;
+                for (let i = 0; i < n; i++) norm += next[i] * next[i];
+                norm = Math.sqrt(norm);
+                if (norm < 1e-12) break;
+                for (let i = 0; i < n; i++) next[i] /= norm;
+                lambda = norm;
+                v = next;
+            }
+
+            found.push(v);
+            const scale = Math.sqrt(Math.max(lambda, 0));
+            for (let i = 0; i < n; i++) coords[k][i] = v[i] * scale;
+        }
+
+        return coords;
+    }
+
+    // Places boxes and unboxed nodes so their on-screen distances match
+    // their graph-theoretic distances. Boxes act as single bodies (edges to
+    // their members count as edges to the box) and are moved with
+    // moveBoxAndChildren. The result is deterministic: bodies are ordered by
+    // id, seeded by classical MDS and refined by stress majorization, so the
+    // same graph always yields the same drawing.
+    function stressLayout(state, options = {}) {
+        const boxIds = getBoxIds(state).sort(compareIds);
+        const unboxed = getUnboxedNodes(state).sort((a, b) => compareIds(a.id, b.id));
+
+        const bodies = [];
+        const boxBody = {};
+        const nodeBody = {};
+
+        boxIds.forEach(id => {
+            const b = state.boxes[id];
+            boxBody[id] = bodies.length;
+            bodies.push({ type: "box", id, x: 0, y: 0, extent: Math.max(b.width, b.height) / 2, pinned: false });
+        });
+        unboxed.forEach(n => {
+            nodeBody[n.id] = bodies.length;
+            bodies.push({ type: "node", id: n.id, x: n.x, y: n.y, extent: 0, pinned: n.pinned === true });
+        });
+
+        const count = bodies.length;
+        if (count === 0) return;
+
+        const bodyOfNode = id => {
+            if (nodeBody[id] != null) return nodeBody[id];
+            const n = state.nodes[id];
+            if (n && n.box && boxBody[n.box] != null) return boxBody[n.box];
+            return null;
+        };
+
+        const adjacency = bodies.map(() => new Set());
+        state.edges.forEach(edge => {
+            const a = bodyOfNode(edge.source);
+            const b = bodyOfNode(edge.target);
+            if (a == null || b == null || a === b) return;
+            adjacency[a].add(b);
+            adjacency[b].add(a);
+        });
+        const neighbours = adjacency.map(s => Array.from(s).sort((x, y) => x - y));
+
+        // Target distance: hops scaled by the ideal edge length, plus room
+        // for the half-extent of any box at either end.
+        const ideal = options.idealEdgeLength ?? 180;
+        const hops = allPairsHopDistances(neighbours);
+        const target = new Float64Array(count * count);
+        for (let i = 0; i < count; i++) {
+            for (let j = 0; j < count; j++) {
+                target[i * count + j] = i === j
+                    ? 0
+                    : hops[i * count + j] * ideal + bodies[i].extent + bodies[j].extent;
+            }
+        }
+
+        const seed = classicalMdsSeed(target, count);
+        const xs = seed[0];
+        const ys = seed[1];
+
+        // Pinned bodies keep their real positions; translate the seed so the
+        // free bodies start near them.
+        const pinned = bodies.map(b => b.pinned);
+        const pinnedCount = pinned.filter(Boolean).length;
+        if (pinnedCount > 0) {
+            let dx = 0, dy = 0;
+            bodies.forEach((b, i) => {
+                if (!pinned[i]) return;
+                dx += b.x - xs[i];
+                dy += b.y - ys[i];
+            });
+            dx /= pinnedCount;
+            dy /= pinnedCount;
+            bodies.forEach((b, i) => {
+                if (pinned[i]) {
+                    xs[i] = b.x;
+                    ys[i] = b.y;
+                } else {
+                    xs[i] += dx;
+                    ys[i] += dy;
+                }
+            });
+        }
+
+        // Stress majorization (localized SMACOF update, weights d^-2),
+        // stopping once the relative stress change drops below tolerance.
+        const maxIterations = options.iterations ?? 300;
+        const tolerance = options.tolerance ?? 1e-4;
+        let prevStress = Infinity;
+
+        for (let iter = 0; iter < maxIterations; iter++) {
+            reportProgress(options, iter / maxIterations);
+            for (let i = 0; i < count; i++) {
+                if (pinned[i]) continue;
+                let sx = 0, sy = 0, sw = 0;
+                const row = i * count;
+                for (let j = 0; j < count; j++) {
+                    if (j === i) continue;
+                    const d = target[row + j];
+                    const w = 1 / (d * d);
+                    const dx = xs[i] - xs[j];
+                    const dy = ys[i] - ys[j];
+                    const len = Math.sqrt(dx * dx + dy * dy);
+                    sx += w * (xs[j] + (len > 1e-9 ? d * dx / len : 0));
+                    sy += w * (ys[j] + (len > 1e-9 ? d * dy / len : 0));
+                    sw += w;
+                }
+                if (sw > 0) {
+                    xs[i] = sx / sw;
+                    ys[i] = sy / sw;
+                }
+            }
+
+            let stress = 0;
+            for (let i = 0; i < count; i++) {
+                for (let j = i + 1; j < count; j++) {
+                    const d = target[i * count + j];
+                    const len = Math.hypot(xs[i] - xs[j], ys[i] - ys[j]);
+                    stress += (len - d) * (len - d) / (d * d);
+                }
+            }
+            if (Math.abs(prevStress - stress) <= tolerance * Math.max(stress, 1e-9)) break;
+            prevStress = stress;
+        }
+
+        // Without pinned anchors, place the drawing at a fixed origin so the
+        // result is also stable in absolute coordinates.
+        if (pinnedCount === 0) {
+            let minX = Infinity, minY = Infinity;
+            bodies.forEach((b, i) => {
+                minX = Math.min(minX, xs[i] - b.extent);
+                minY = Math.min(minY, ys[i] - b.extent);
+            });
+            const offX = (options.nodeStartX ?? 100) - minX;
+            const offY = (options.nodeStartY ?? 100) - minY;
+            for (let i = 0; i < count; i++) {
+                xs[i] += offX;
+                ys[i] += offY;
+            }
+        }
+
+        bodies.forEach((body, i) => {
+            if (body.type === "box") {
+                const b = state.boxes[body.id];
+                moveBoxAndChildren(state, body.id, xs[i] - b.width / 2, ys[i] - b.height / 2);
+            } else if (!body.pinned) {
+                const n = state.nodes[body.id];
+                n.x = xs[i];
+                n.y = ys[i];
+            }
+        });
+
+        separateBoxes(state, options.separationPadding ?? 40, options.separationIterations ?? 30);
+
+        // resolve residual node-vs-node overlaps
+        separateNodes(unboxed, {
+            sizeOf: options.sizeOf,
+            padding: options.nodeSeparationPadding ?? 24,
+            iterations: options.nodeSeparationIterations ?? 60
+        });
+    }
+
+    // ------------------------
+    // LAYERED LAYOUT (Sugiyama: cycle removal, layering, crossing
+    // reduction, coordinate assignment)
+    // ------------------------
+
+    // Cycle removal: iterative DFS in node order; every edge that closes a
+    // cycle (points back into the DFS stack) is treated as reversed.
+    function findReversedEdges(ids, out) {
+        const mark = {}; // id -> 1 on stack, 2 done
+        const reversed = new Set();
+        ids.forEach(root => {
+            if (mark[root]) return;
+            const stack = [{ id: root, i: 0 }];
+            mark[root] = 1;
+            while (stack.length) {
+                const top = stack[stack.length - 1];
+                const list = out[top.id];
+                if (top.i >= list.length) {
+                    mark[top.id] = 2;
+                    stack.pop();
+                    continue;
+                }
+                const e = list[top.i++];
+                if (mark[e.to] === 1) {
+                    reversed.add(e.index);
+                } else if (!mark[e.to]) {
+                    mark[e.to] = 1;
+                    stack.push({ id: e.to, i: 0 });
+                }
+            }
+        });
+        return reversed;
+    }
+
+    // Number of crossings between two adjacent layers, counted as
+    // inversions with a Fenwick tree (O(e log n)).
+    function countLayerCrossings(upper, lower, down, pos) {
+        const pairs = [];
+        upper.forEach(u => {
+            down[u].forEach(v => pairs.push([pos[u], pos[v]]));
+        });
+        pairs.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+        const size = lower.length + 1;
+        const tree = new Array(size + 1).fill(0);
+        let crossings = 0;
+        let seen = 0;
+        pairs.forEach(([, p]) => {
+            // count already-inserted targets strictly to the right of p
+            let i = p + 1, le = 0;
+            while (i > 0) { le += tree[i]; i -= i & -i; }
+            crossings += seen - le;
+            for (let j = p + 1; j <= size; j += j & -j) tree[j]++;
+            seen++;
+        });
+        return crossings;
+    }
+
+    // Weighted pool-adjacent-violators: the closest placement (least
+    // squares) to `desired` that keeps layer order and minimum separations.
+    function placeWithSeparation(desired, seps, weights) {
+        const n = desired.length;
+        const offset = new Array(n).fill(0);
+        for (let i = 1; i < n; i++) offset[i] = offset[i - 1] + seps[i - 1];
+
+        const blocks = []; // { value, weight, count }
+        for (let i = 0; i < n; i++) {
+            blocks.push({ value: desired[i] - offset[i], weight: weights[i], count: 1 });
+            while (blocks.length > 1 && blocks[blocks.length - 2].value > blocks[blocks.length - 1].value) {
+                const b = blocks.pop();
+                const a = blocks[blocks.length - 1];
+                const w = a.weight + b.weight;
+                a.value = (a.value * a.weight + b.value * b.weight) / w;
+                a.weight = w;
+                a.count += b.count;
+            }
+        }
+
+        const placed = [];
+        blocks.forEach(b => {
+            for (let k = 0; k < b.count; k++) placed.push(b.value + offset[placed.length]);
+        });
+        return placed;
+    }
+
+    // Full layered pipeline for unboxed nodes (boxes are gridded on top, as
+    // in the hierarchical layout). Long edges are routed through dummy
+    // nodes whose final positions become bend points in edge.points.
+    // options.direction: "TB" (top-down) or "LR" (left-right)
+    // options.crossingMinimization: "barycenter" or "median"
+    function layeredLayout(state, options = {}) {
+        const boxIds = getBoxIds(state);
+        const unboxed = getUnboxedNodes(state);
+
+        if (boxIds.length > 0) {
+            const cols = Math.ceil(Math.sqrt(boxIds.length));
+            const hMargin = options.boxHMargin ?? 400;
+            const vMargin = options.boxVMargin ?? 260;
+            const startX = options.boxStartX ?? 150;
+            const startY = options.boxStartY ?? 80;
+
+            boxIds.forEach((id, i) => {
+                const row = Math.floor(i / cols);
+                const col = i % cols;
+                moveBoxAndChildren(state, id, startX + col * hMargin, startY + row * vMargin);
+            });
+
+            separateBoxes(state, options.separationPadding ?? 40, options.separationIterations ?? 50);
+        }
+
+        if (unboxed.length === 0) return;
+
+        const ids = unboxed.map(n => n.id);
+        const idSet = new Set(ids);
+        const sizeOf = typeof options.sizeOf === "function" ? options.sizeOf : defaultNodeRadius;
+
+        // 1. Cycle removal
+        const graphEdges = [];
+        const out = {};
+        ids.forEach(id => { out[id] = []; });
+        state.edges.forEach(edge => {
+            if (!idSet.has(edge.source) || !idSet.has(edge.target)) return;
+            if (edge.source === edge.target) return; // self-loops stay straight
+            const index = graphEdges.length;
+            graphEdges.push({ edge, from: edge.source, to: edge.target });
+            out[edge.source].push({ to: edge.target, index });
+        });
+        const reversed = findReversedEdges(ids, out);
+        graphEdges.forEach((g, i) => {
+            if (!reversed.has(i)) return;
+            g.from = g.edge.target;
+            g.to = g.edge.source;
+            g.reversed = true;
+        });
+
+        // 2. Layer assignment: longest path from the sources (Kahn order).
+        const preds = {};
+        const succs = {};
+        const inDegree = {};
+        ids.forEach(id => { preds[id] = []; succs[id] = []; inDegree[id] = 0; });
+        graphEdges.forEach(g => {
+            succs[g.from].push(g.to);
+            preds[g.to].push(g.from);
+            inDegree[g.to]++;
+        });
+        const layerOf = {};
+        const topo = ids.filter(id => inDegree[id] === 0);
+        for (let head = 0; head < topo.length; head++) {
+            const id = topo[head];
+            layerOf[id] = preds[id].reduce((m, p) => Math.max(m, layerOf[p] + 1), 0);
+            succs[id].forEach(t => {
+                if (--inDegree[t] === 0) topo.push(t);
+            });
+        }
+
+        // 3. Dummy nodes for edges spanning more than one layer.
+        let layerCount = 0;
+        ids.forEach(id => { layerCount = Math.max(layerCount, layerOf[id] + 1); });
+        const layers = Array.from({ length: layerCount }, () => []);
+        const isDummy = {};
+        const down = {};
+        const up = {};
+        const addVertex = (v, layer) => {
+            layers[layer].push(v);
+            down[v] = [];
+            up[v] = [];
+        };
+        topo.forEach(id => addVertex(id, layerOf[id]));
+
+        let dummyCounter = 0;
+        graphEdges.forEach(g => {
+            const chain = [g.from];
+            for (let l = layerOf[g.from] + 1; l < layerOf[g.to]; l++) {
+                const d = "\u0000dummy" + dummyCounter++;
+                isDummy[d] = true;
+                addVertex(d, l);
+                chain.push(d);
+            }
+            chain.push(g.to);
+            for (let k = 0; k + 1 < chain.length; k++) {
+                down[chain[k]].push(chain[k + 1]);
+                up[chain[k + 1]].push(chain[k]);
+            }
+            g.dummies = chain.slice(1, -1);
+        });
+
+        // 4. Crossing reduction: alternating layer sweeps ordering each layer
+        //    by the barycenter/median of its neighbours, keeping the best.
+        const pos = {};
+        const indexLayers = () => layers.forEach(layer => layer.forEach((v, i) => { pos[v] = i; }));
+        indexLayers();
+
+        const totalCrossings = () => {
+            let c = 0;
+            for (let l = 0; l + 1 < layers.length; l++) c += countLayerCrossings(layers[l], layers[l + 1], down, pos);
+            return c;
+        };
+
+        const useMedian = options.crossingMinimization === "median";
+        const measure = list => {
+            if (!list.length) return null;
+            const ps = list.map(v => pos[v]).sort((a, b) => a - b);
+            if (!useMedian) return ps.reduce((s, p) => s + p, 0) / ps.length;
+            const mid = Math.floor(ps.length / 2);
+            return ps.length % 2 ? ps[mid] : (ps[mid - 1] + ps[mid]) / 2;
+        };
+
+        let best = layers.map(layer => layer.slice());
+        let bestCrossings = totalCrossings();
+        const sweeps = options.crossingSweeps ?? 24;
+        for (let sweep = 0; sweep < sweeps && bestCrossings > 0; sweep++) {
+            reportProgress(options, 0.7 * sweep / sweeps);
+            const downward = sweep % 2 === 0;
+            const order = downward
+                ? layers.map((_, l) => l).slice(1)
+                : layers.map((_, l) => l).reverse().slice(1);
+            order.forEach(l => {
+                const keyed = layers[l].map(v => {
+                    const m = measure(downward ? up[v] : down[v]);
+                    return { v, key: m == null ? pos[v] : m };
+                });
+                keyed.sort((a, b) => a.key - b.key); // stable: ties keep order
+                layers[l] = keyed.map(k => k.v);
+                layers[l].forEach((v, i) => { pos[v] = i; });
+            });
+            const c = totalCrossings();
+            if (c < bestCrossings) {
+                bestCrossings = c;
+                best = layers.map(layer => layer.slice());
+            }
+        }
+        best.forEach((layer, l) => { layers[l] = layer; });
+        indexLayers();
+
+        // 5. Coordinate assignment along the layer axis. Each pass pulls
+        //    vertices toward their weighted neighbour average (edges between
+        //    dummies weigh most, keeping long edges straight), then packs the
+        //    layer with placeWithSeparation.
+        const extentOf = v => (isDummy[v] ? 0 : sizeOf(state.nodes[v]));
+        const gap = options.nodeGap ?? 60;
+        const edgeWeight = (a, b) => (isDummy[a] && isDummy[b] ? 8 : isDummy[a] || isDummy[b] ? 2 : 1);
+        const coord = {};
+        layers.forEach(layer => {
+            let x = 0;
+            layer.forEach((v, i) => {
+                if (i > 0) x += extentOf(layer[i - 1]) + extentOf(v) + gap;
+                coord[v] = x;
+            });
+            const shift = x / 2;
+            layer.forEach(v => { coord[v] -= shift; });
+        });
+
+        const passes = options.coordinatePasses ?? 8;
+        for (let pass = 0; pass < passes; pass++) {
+            reportProgress(options, 0.7 + 0.3 * pass / passes);
+            const useUp = pass % 2 === 0;
+            const order = useUp ? layers : layers.slice().reverse();
+            order.forEach(layer => {
+                if (!layer.length) return;
+                const desired = [];
+                const weights = [];
+                layer.forEach(v => {
+                    const nbrs = pass === passes - 1 ? up[v].concat(down[v]) : (useUp ? up[v] : down[v]);
+                    let sum = 0, w = 0;
+                    nbrs.forEach(u => {
+                        const ew = edgeWeight(u, v);
+                        sum += coord[u] * ew;
+                        w += ew;
+                    });
+                    desired.push(w > 0 ? sum / w : coord[v]);
+                    weights.push(Math.max(w, 1));
+                });
+                const seps = [];
+                for (let i = 0; i + 1 < layer.length; i++) {
+                    seps.push(extentOf(layer[i]) + extentOf(layer[i + 1]) + gap);
+                }
+                const placed = placeWithSeparation(desired, seps, weights);
+                layer.forEach((v, i) => { coord[v] = placed[i]; });
+            });
+        }
+
+        // 6. Map (layer, coordinate) to world space for the orientation.
+        const rect = computeBoxesBoundingRect(state);
+        const startX = options.nodeStartX ?? 150;
+        const baseY = rect ? rect.maxY + 120 : (options.nodeStartY ?? 200);
+        const layerSpacing = options.layerSpacing ?? 160;
+        const leftRight = options.direction === "LR";
+
+        let minCoord = Infinity;
+        Object.keys(coord).forEach(v => { minCoord = Math.min(minCoord, coord[v] - extentOf(v)); });
+
+        const layerPos = [];
+        let acc = 0;
+        layers.forEach((layer, l) => {
+            const maxExtent = layer.reduce((m, v) => Math.max(m, extentOf(v)), 0);
+            if (l > 0) {
+                const prevExtent = layers[l - 1].reduce((m, v) => Math.max(m, extentOf(v)), 0);
+                acc += Math.max(layerSpacing, prevExtent + maxExtent + 40);
+            }
+            layerPos.push(acc);
+        });
+
+        const layerIndexOf = {};
+        layers.forEach((layer, l) => layer.forEach(v => { layerIndexOf[v] = l; }));
+        const worldOf = v => {
+            const along = coord[v] - minCoord;
+            const across = layerPos[layerIndexOf[v]];
+            return leftRight
+                ? { x: startX + across, y: baseY + along }
+                : { x: startX + along, y: baseY + across };
+        };
+
+        ids.forEach(id => {
+            const n = state.nodes[id];
+            if (n.pinned === true) return; // never move pinned nodes
+            const p = worldOf(id);
+            n.x = p.x;
+            n.y = p.y;
+        });
+
+        // Bend points run from source to target, so undo the reversal. An
+        // edge with a pinned end gets none: its slot-based bends would sit
+        // far from where the pinned node actually stayed.
+        const isPinned = id => state.nodes[id] && state.nodes[id].pinned === true;
+        graphEdges.forEach(g => {
+            if (!g.dummies.length || isPinned(g.edge.source) || isPinned(g.edge.target)) return;
+            const pts = g.dummies.map(d => worldOf(d));
+            if (g.reversed) pts.reverse();
+            g.edge.points = pts;
+        });
+    }
+
+    // ------------------------
+    // COMPOUND LAYOUT (box contents first, then boxes as super-nodes)
+    // ------------------------
+
+    // Axis-aligned overlap removal for mixed boxes/nodes described as
+    // centered rects { x, y, w, h, pinned }. Each overlapping pair is pushed
+    // apart along the axis of least overlap; pinned rects never move.
+    function separateRects(rects, padding = 40, iterations = 80) {
+        for (let iter = 0; iter < iterations; iter++) {
+            let moved = false;
+            for (let i = 0; i < rects.length; i++) {
+                for (let j = i + 1; j < rects.length; j++) {
+                    const a = rects[i];
+                    const b = rects[j];
+                    const dx = b.x - a.x;
+                    const dy = b.y - a.y;
+                    const ox = (a.w + b.w) / 2 + padding - Math.abs(dx);
+                    const oy = (a.h + b.h) / 2 + padding - Math.abs(dy);
+                    if (ox <= 0 || oy <= 0) continue;
+                    if (a.pinned && b.pinned) continue;
+
+                    const alongX = ox < oy;
+                    const amount = alongX ? ox : oy;
+                    const sign = (alongX ? dx : dy) >= 0 ? 1 : -1;
+                    const shareA = a.pinned ? 0 : b.pinned ? 1 : 0.5;
+                    const shareB = 1 - shareA;
+                    if (alongX) {
+                        a.x -= sign * amount * shareA;
+                        b.x += sign * amount * shareB;
+                    } else {
+                        a.y -= sign * amount * shareA;
+                        b.y += sign * amount * shareB;
+                    }
+                    moved = true;
+                }
+            }
+            if (!moved) break;
+        }
+    }
+
+    // Runs options.innerLayout over a box's members on detached copies,
+    // then translates them into the box and resizes the box to fit. With a
+    // pinned member the translation is anchored on it (so pinned members
+    // keep their spot) and the box is moved around the members instead.
+    function layoutBoxContents(state, box, options) {
+        const sizeOf = typeof options.sizeOf === "function" ? options.sizeOf : defaultNodeRadius;
+        const members = (box.nodes || []).map(id => state.nodes[id]).filter(Boolean);
+        if (!members.length) return;
+
+        const memberIds = new Set(members.map(n => n.id));
+        const copies = {};
+        members.forEach(n => {
+            copies[n.id] = { id: n.id, x: n.x, y: n.y, size: sizeOf(n), pinned: n.pinned === true };
+        });
+        const innerEdges = [];
+        state.edges.forEach(edge => {
+            if (!memberIds.has(edge.source) || !memberIds.has(edge.target)) return;
+            innerEdges.push({ source: edge.source, target: edge.target, ref: edge });
+        });
+
+        const innerType = options.innerLayout || "grid";
+        const innerOptions = mergedOptions(innerType, { sizeOf: n => n.size, ...(options.innerOptions || {}) });
+        apply(innerType, { nodes: copies, edges: innerEdges, boxes: {}, view: state.view }, innerOptions);
+
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        Object.values(copies).forEach(c => {
+            minX = Math.min(minX, c.x - c.size);
+            minY = Math.min(minY, c.y - c.size);
+            maxX = Math.max(maxX, c.x + c.size);
+            maxY = Math.max(maxY, c.y + c.size);
+        });
+
+        const padding = options.boxPadding ?? 30;
+        const header = options.boxHeaderHeight ?? 32;
+        const labelRoom = options.labelRoom ?? 18;
+        const anchor = members.find(n => n.pinned === true);
+        const offX = anchor ? anchor.x - copies[anchor.id].x : box.x + padding - minX;
+        const offY = anchor ? anchor.y - copies[anchor.id].y : box.y + header - minY;
+        if (anchor) {
+            box.x = minX + offX - padding;
+            box.y = minY + offY - header;
+        }
+
+        members.forEach(n => {
+            if (n.pinned === true) return; // never move pinned nodes
+            n.x = copies[n.id].x + offX;
+            n.y = copies[n.id].y + offY;
+        });
+        innerEdges.forEach(e => {
+            if (e.points) e.ref.points = e.points.map(p => ({ x: p.x + offX, y: p.y + offY }));
+        });
+
+        box.width = Math.max(options.minBoxWidth ?? 160, maxX - minX + padding * 2);
+        box.height = Math.max(options.minBoxHeight ?? 100, maxY - minY + header + padding + labelRoom);
+    }
+
+    // Lays out each box's members with a sub-layout, resizes the box around
+    // them, then arranges boxes and unboxed nodes as super-nodes with a
+    // deterministic force pass whose springs are weighted by the number of
+    // edges running between each pair of super-nodes.
+    function compoundLayout(state, options = {}) {
+        const boxIds = getBoxIds(state).sort(compareIds);
+        const unboxed = getUnboxedNodes(state).sort((a, b) => compareIds(a.id, b.id));
+        const sizeOf = typeof options.sizeOf === "function" ? options.sizeOf : defaultNodeRadius;
+
+        // 1. Each box lays out its own members and grows/shrinks to fit.
+        boxIds.forEach(id => layoutBoxContents(state, state.boxes[id], options));
+
+        // 2. Super-nodes: boxes (as rects) plus unboxed nodes.
+        const bodies = [];
+        const bodyOfBox = {};
+        const bodyOfNode = {};
+        boxIds.forEach(id => {
+            const b = state.boxes[id];
+            bodyOfBox[id] = bodies.length;
+            // A box holding a pinned member stays put, like a pinned node.
+            const pinned = (b.nodes || []).some(nid => state.nodes[nid] && state.nodes[nid].pinned === true);
+            bodies.push({ kind: "box", id, w: b.width, h: b.height, x: b.x + b.width / 2, y: b.y + b.height / 2, pinned });
+        });
+        unboxed.forEach(n => {
+            const r = sizeOf(n);
+            bodyOfNode[n.id] = bodies.length;
+            bodies.push({ kind: "node", id: n.id, w: r * 2, h: r * 2, x: n.x, y: n.y, pinned: n.pinned === true });
+        });
+        if (!bodies.length) return;
+
+        const superOf = id => {
+            if (bodyOfNode[id] != null) return bodyOfNode[id];
+            const n = state.nodes[id];
+            return n && n.box && bodyOfBox[n.box] != null ? bodyOfBox[n.box] : null;
+        };
+
+        // inter-super-node edge counts
+        const weights = {};
+        const degree = bodies.map(() => 0);
+        state.edges.forEach(edge => {
+            const a = superOf(edge.source);
+            const b = superOf(edge.target);
+            if (a == null || b == null || a === b) return;
+            const key = a < b ? a + "|" + b : b + "|" + a;
+            weights[key] = (weights[key] || 0) + 1;
+            degree[a]++;
+            degree[b]++;
+        });
+        const springs = Object.keys(weights).map(key => {
+            const [a, b] = key.split("|").map(Number);
+            return { a, b, w: weights[key] };
+        });
+
+        // Deterministic start: free bodies on a ring, most-connected first,
+        // around the pinned bodies' centroid when there are any (they fix the
+        // frame), else the origin. Gravity pulls toward the same point.
+        const ideal = options.idealEdgeLength ?? 260;
+        const anchors = bodies.filter(b => b.pinned);
+        const center = { x: 0, y: 0 };
+        anchors.forEach(b => { center.x += b.x / anchors.length; center.y += b.y / anchors.length; });
+        const free = bodies.map((_, i) => i).filter(i => !bodies[i].pinned);
+        free.sort((i, j) => degree[j] - degree[i] || i - j);
+        const ring = free.reduce((s, i) => s + Math.max(bodies[i].w, bodies[i].h) + ideal * 0.25, 0) / (2 * Math.PI);
+        free.forEach((i, k) => {
+            const angle = (k / free.length) * Math.PI * 2;
+            bodies[i].x = center.x + Math.cos(angle) * ring;
+            bodies[i].y = center.y + Math.sin(angle) * ring;
+        });
+
+        // Fruchterman-Reingold with linear cooling. Distances are measured
+        // between body rims so large boxes don't crowd their neighbours.
+        const iterations = options.iterations ?? 200;
+        const gravity = options.gravity ?? 0.05;
+        const rim = b => Math.max(b.w, b.h) / 2;
+        for (let iter = 0; iter < iterations; iter++) {
+            reportProgress(options, iter / iterations);
+            const temperature = ideal * (1 - iter / iterations);
+            const disp = bodies.map(() => ({ x: 0, y: 0 }));
+
+            for (let i = 0; i < bodies.length; i++) {
+                for (let j = i + 1; j < bodies.length; j++) {
+                    let dx = bodies[i].x - bodies[j].x;
+                    let dy = bodies[i].y - bodies[j].y;
+                    let dist = Math.sqrt(dx * dx + dy * dy);
+                    if (dist < 1e-6) { dx = 1; dy = (i - j) * 0.01; dist = Math.hypot(dx, dy); }
+                    const gap = Math.max(dist - rim(bodies[i]) - rim(bodies[j]), 1);
+                    const force = (ideal * ideal) / gap;
+                    disp[i].x += dx / dist * force;
+                    disp[i].y += dy / dist * force;
+                    disp[j].x -= dx / dist * force;
+                    disp[j].y -= dy / dist * force;
+                }
+            }
+
+            springs.forEach(({ a, b, w }) => {
+                const dx = bodies[a].x - bodies[b].x;
+                const dy = bodies[a].y - bodies[b].y;
+                const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+                const gap = Math.max(dist - rim(bodies[a]) - rim(bodies[b]), 1);
+                const force = w * (gap * gap) / ideal;
+                disp[a].x -= dx / dist * force;
+                disp[a].y -= dy / dist * force;
+                disp[b].x += dx / dist * force;
+                disp[b].y += dy / dist * force;
+            });
+
+            bodies.forEach((b, i) => {
+                if (b.pinned) return;
+                disp[i].x -= (b.x - center.x) * gravity * ideal / 10;
+                disp[i].y -= (b.y - center.y) * gravity * ideal / 10;
+                const len = Math.hypot(disp[i].x, disp[i].y);
+                if (len < 1e-9) return;
+                const step = Math.min(len, temperature);
+                b.x += disp[i].x / len * step;
+                b.y += disp[i].y / len * step;
+            });
+        }
+
+        separateRects(bodies, options.separationPadding ?? 40, options.separationIterations ?? 80);
+
+        // Anchor the drawing at a fixed origin unless pinned nodes define it.
+        if (!bodies.some(b => b.pinned)) {
+            let minX = Infinity, minY = Infinity;
+            bodies.forEach(b => {
+                minX = Math.min(minX, b.x - b.w / 2);
+                minY = Math.min(minY, b.y - b.h / 2);
+            });
+            const offX = (options.boxStartX ?? 100) - minX;
+            const offY = (options.boxStartY ?? 100) - minY;
+            bodies.forEach(b => { b.x += offX; b.y += offY; });
+        }
+
+        bodies.forEach(body => {
+            if (body.kind === "box") {
+                const box = state.boxes[body.id];
+                const dx = body.x - body.w / 2 - box.x;
+                const dy = body.y - body.h / 2 - box.y;
+                moveBoxAndChildren(state, body.id, box.x + dx, box.y + dy);
+                // bend points computed inside the box travel with it
+                state.edges.forEach(edge => {
+                    if (!edge.points) return;
+                    const s = state.nodes[edge.source];
+                    const t = state.nodes[edge.target];
+                    if (s && t && s.box === body.id && t.box === body.id) {
+                        edge.points = edge.points.map(p => ({ x: p.x + dx, y: p.y + dy }));
+                    }
+                });
+            } else if (!body.pinned) {
+                const n = state.nodes[body.id];
+                n.x = body.x;
+                n.y = body.y;
+            }
+        });
+    }
+
+    // ------------------------
+    // INCREMENTAL LAYOUT (place new nodes, keep everything else still)
+    // ------------------------
+
+    function isTransformResult(n) {
+        return !!(n.provenance && typeof n.provenance.source === "string" &&
+            n.provenance.source.startsWith("transform:"));
+    }
+
+    // Simulates only the "new" nodes: options.newIds when given, otherwise
+    // every node whose provenance.source starts with "transform:" (optionally
+    // only those created at or after options.since). All other nodes, and
+    // every box, stay exactly where they are and act as fixed anchors.
+    function incrementalLayout(state, options = {}) {
+        const sizeOf = typeof options.sizeOf === "function" ? options.sizeOf : defaultNodeRadius;
+        const wanted = options.newIds
+            ? new Set(options.newIds)
+            : new Set(Object.keys(state.nodes).filter(id => {
+                const n = state.nodes[id];
+                if (!isTransformResult(n)) return false;
+                return options.since == null || (n.provenance.createdAt || 0) >= options.since;
+            }));
+
+        const movable = [];
+        wanted.forEach(id => {
+            const n = state.nodes[id];
+            if (n && !n.box && n.pinned !== true) movable.push(n);
+        });
+        if (!movable.length) return;
+        movable.sort((a, b) => compareIds(a.id, b.id));
+        const movableIds = new Set(movable.map(n => n.id));
+        clearEdgeBends(state, movableIds);
+
+        const neighbours = {};
+        movable.forEach(n => { neighbours[n.id] = []; });
+        state.edges.forEach(edge => {
+            if (edge.source === edge.target) return;
+            if (movableIds.has(edge.source) && state.nodes[edge.target]) neighbours[edge.source].push(edge.target);
+            if (movableIds.has(edge.target) && state.nodes[edge.source]) neighbours[edge.target].push(edge.source);
+        });
+
+        const ideal = options.idealEdgeLength ?? 160;
+
+        // 1. Seed each new node near its already-placed neighbours, fanned
+        //    out by index so siblings of one source don't start coincident.
+        const placed = new Set(Object.keys(state.nodes).filter(id => !movableIds.has(id)));
+        const fan = {};
+        const seed = (n, anchors) => {
+            let cx = 0, cy = 0;
+            anchors.forEach(id => { cx += state.nodes[id].x; cy += state.nodes[id].y; });
+            cx /= anchors.length;
+            cy /= anchors.length;
+            const key = anchors.slice().sort().join("|");
+            const k = fan[key] = (fan[key] || 0) + 1;
+            const angle = k * 2.39996; // golden angle: even spread for any count
+            const r = anchors.length === 1 ? ideal : ideal * 0.25 * Math.sqrt(k);
+            n.x = cx + Math.cos(angle) * r;
+            n.y = cy + Math.sin(angle) * r;
+            placed.add(n.id);
+        };
+        // New nodes chained off other new nodes are seeded once their
+        // neighbour is placed; nodes with no placed neighbour keep their spot.
+        let pending = movable;
+        while (pending.length) {
+            const deferred = [];
+            pending.forEach(n => {
+                const anchors = neighbours[n.id].filter(id => placed.has(id));
+                if (anchors.length) seed(n, anchors);
+                else deferred.push(n);
+            });
+            if (deferred.length === pending.length) break;
+            pending = deferred;
+        }
+
+        // Only anchors near the new nodes matter for forces and overlaps.
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        movable.forEach(n => {
+            minX = Math.min(minX, n.x); minY = Math.min(minY, n.y);
+            maxX = Math.max(maxX, n.x); maxY = Math.max(maxY, n.y);
+        });
+        const reach = ideal * 2;
+        const nearby = Object.values(state.nodes).filter(n =>
+            !movableIds.has(n.id) &&
+            n.x >= minX - reach && n.x <= maxX + reach && n.y >= minY - reach && n.y <= maxY + reach);
+        const boxRects = getBoxIds(state).map(id => state.boxes[id]);
+
+        // 2. Force pass that only displaces the new nodes.
+        const iterations = options.iterations ?? 120;
+        const repulsion = options.repulsion ?? 20000;
+        const others = nearby.concat(movable);
+        for (let iter = 0; iter < iterations; iter++) {
+            reportProgress(options, iter / iterations);
+            const cool = 1 - iter / iterations;
+            movable.forEach(n => {
+                let fx = 0, fy = 0;
+                others.forEach(o => {
+                    if (o === n) return;
+                    let dx = n.x - o.x;
+                    let dy = n.y - o.y;
+                    let dist = Math.sqrt(dx * dx + dy * dy);
+                    if (dist < 1e-6) { dx = 1; dy = 0; dist = 1; }
+                    if (dist > reach * 2) return;
+                    const f = repulsion / (dist * dist);
+                    fx += dx / dist * f;
+                    fy += dy / dist * f;
+                });
+                neighbours[n.id].forEach(id => {
+                    const o = state.nodes[id];
+                    const dx = o.x - n.x;
+                    const dy = o.y - n.y;
+                    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+                    const f = (dist - ideal) * 0.1;
+                    fx += dx / dist * f;
+                    fy += dy / dist * f;
+                });
+                const len = Math.hypot(fx, fy);
+                if (len < 1e-9) return;
+                const step = Math.min(len, ideal * 0.2 * cool + 1);
+                n.x += fx / len * step;
+                n.y += fy / len * step;
+            });
+        }
+
+        // 3. Overlap removal with the anchors held fixed, then push new nodes
+        //    out of any box they landed in (they are not members of it).
+        const padding = options.nodeSeparationPadding ?? 24;
+        const proxies = nearby.map(n => ({ x: n.x, y: n.y, pinned: true, r: sizeOf(n) }))
+            .concat(movable.map(n => ({ node: n, x: n.x, y: n.y, pinned: false, r: sizeOf(n) })));
+        separateNodes(proxies, {
+            sizeOf: p => p.r,
+            padding,
+            iterations: options.nodeSeparationIterations ?? 60
+        });
+        proxies.forEach(p => {
+            if (!p.node) return;
+            p.node.x = p.x;
+            p.node.y = p.y;
+        });
+
+        movable.forEach(n => {
+            const r = sizeOf(n) + padding;
+            boxRects.forEach(b => {
+                if (n.x < b.x - r || n.x > b.x + b.width + r || n.y < b.y - r || n.y > b.y + b.height + r) return;
+                const exits = [
+                    { d: n.x - (b.x - r), x: b.x - r, y: n.y },
+                    { d: b.x + b.width + r - n.x, x: b.x + b.width + r, y: n.y },
+                    { d: n.y - (b.y - r), x: n.x, y: b.y - r },
+                    { d: b.y + b.height + r - n.y, x: n.x, y: b.y + b.height + r }
+                ];
+                exits.sort((a, c) => a.d - c.d);
+                n.x = exits[0].x;
+                n.y = exits[0].y;
+            });
+        });
+    }
+
+    // ------------------------
+    // RADIAL LAYOUT (ego network around one node)
+    // ------------------------
+
+    // Hop distances from `startId` over the undirected graph.
+    function hopDistances(state, startId) {
+        const adj = {};
+        Object.keys(state.nodes).forEach(id => { adj[id] = []; });
+        state.edges.forEach(e => {
+            if (!adj[e.source] || !adj[e.target] || e.source === e.target) return;
+            adj[e.source].push(e.target);
+            adj[e.target].push(e.source);
+        });
+        const dist = { [startId]: 0 };
+        const queue = [startId];
+        for (let head = 0; head < queue.length; head++) {
+            const u = queue[head];
+            adj[u].forEach(v => {
+                if (dist[v] != null) return;
+                dist[v] = dist[u] + 1;
+                queue.push(v);
+            });
+        }
+        return dist;
+    }
+
+    // Puts options.center (default: the highest-degree node) in the middle
+    // and every other node on a ring by hop distance. options.distances may
+    // carry precomputed hops ({ id: hops }) so callers can share the BFS they
+    // already ran. Each node owns an angular wedge sized by its BFS subtree,
+    // so subtrees stay contiguous; siblings are ordered by where their other
+    // neighbours sit on the ring above to cut crossings. Unreachable nodes
+    // go on an outer ring.
+    function radialLayout(state, options = {}) {
+        const ids = Object.keys(state.nodes).sort(compareIds);
+        if (!ids.length) return;
+
+        const neighbours = {};
+        ids.forEach(id => { neighbours[id] = []; });
+        state.edges.forEach(e => {
+            if (!neighbours[e.source] || !neighbours[e.target] || e.source === e.target) return;
+            neighbours[e.source].push(e.target);
+            neighbours[e.target].push(e.source);
+        });
 
+        let centerId = options.center;
+        if (!centerId || !state.nodes[centerId]) {
+            centerId = ids.reduce((best, id) => (neighbours[id].length > neighbours[best].length ? id : best), ids[0]);
+        }
+        const dist = options.distances || hopDistances(state, centerId);
+        const center = state.nodes[centerId];
+        const cx = options.cx ?? center.x;
+        const cy = options.cy ?? center.y;
+
+        // BFS tree: each node hangs off its lowest-id neighbour one ring in.
+        const rings = [];
+        const unreachable = [];
+        ids.forEach(id => {
+            const d = dist[id];
+            if (d == null) { unreachable.push(id); return; }
+            (rings[d] = rings[d] || []).push(id);
+        });
+        const children = {};
+        ids.forEach(id => { children[id] = []; });
+        const parentOf = {};
+        for (let d = 1; d < rings.length; d++) {
+            (rings[d] || []).forEach(id => {
+                const parent = neighbours[id]
+                    .filter(nb => dist[nb] === d - 1)
+                    .sort(compareIds)[0];
+                if (parent == null) return;
+                parentOf[id] = parent;
+                children[parent].push(id);
+            });
+        }
+
+        const leaves = {};
+        for (let d = rings.length - 1; d >= 0; d--) {
+            (rings[d] || []).forEach(id => {
+                leaves[id] = Math.max(1, children[id].reduce((s, c) => s + leaves[c], 0));
+            });
+        }
+
+        // Angular wedges, assigned ring by ring.
+        const angle = { [centerId]: 0 };
+        const wedge = { [centerId]: [0, Math.PI * 2] };
+        const wrap = a => {
+            while (a <= -Math.PI) a += Math.PI * 2;
+            while (a > Math.PI) a -= Math.PI * 2;
+            return a;
+        };
+        for (let d = 0; d < rings.length - 1; d++) {
+            const parents = (rings[d] || []).slice().sort((a, b) => angle[a] - angle[b]);
+            parents.forEach(p => {
+                const kids = children[p];
+                if (!kids.length) return;
+                const keyed = kids.map(k => {
+                    let sum = 0, n = 0;
+                    neighbours[k].forEach(nb => {
+                        if (nb === p || dist[nb] !== d || angle[nb] == null) return;
+                        sum += wrap(angle[nb] - angle[p]);
+                        n++;
+                    });
+                    return { k, key: n ? sum / n : 0 };
+                });
+                keyed.sort((a, b) => a.key - b.key || compareIds(a.k, b.k));
+                const [start, end] = wedge[p];
+                let cursor = start;
+                keyed.forEach(({ k }) => {
+                    const span = (end - start) * leaves[k] / leaves[p];
+                    wedge[k] = [cursor, cursor + span];
+                    angle[k] = cursor + span / 2;
+                    cursor += span;
+                });
+            });
+        }
+
+        // Ring radii: at least ringSpacing apart, and wide enough for the
+        // ring's nodes to fit side by side.
+        const sizeOf = typeof options.sizeOf === "function" ? options.sizeOf : defaultNodeRadius;
+        const spacing = options.ringSpacing ?? 180;
+        const padding = options.nodeSeparationPadding ?? 24;
+        const radius = [0];
+        for (let d = 1; d <= rings.length; d++) {
+            const members = d < rings.length ? (rings[d] || []) : unreachable;
+            const need = members.reduce((s, id) => s + sizeOf(state.nodes[id]) * 2 + padding, 0) / (2 * Math.PI);
+            radius[d] = Math.max(radius[d - 1] + spacing, need);
+        }
+
+        const place = (id, a, r) => {
+            const n = state.nodes[id];
+            if (n.box || n.pinned === true) return; // boxed/pinned nodes stay put
+            n.x = cx + Math.cos(a) * r;
+            n.y = cy + Math.sin(a) * r;
+        };
+        place(centerId, 0, 0);
+        for (let d = 1; d < rings.length; d++) {
+            (rings[d] || []).forEach(id => place(id, angle[id] ?? 0, radius[d]));
+        }
+        unreachable.forEach((id, i) => place(id, (i / unreachable.length) * Math.PI * 2, radius[rings.length]));
+
+        // resolve residual node-vs-node overlaps
+        separateNodes(getUnboxedNodes(state), {
+            sizeOf: options.sizeOf,
+            padding,
+            iterations: options.nodeSeparationIterations ?? 60
+        });
+    }
 
     // ------------------------
     // Export API
@@ -838,7 +2102,13 @@
         hierarchical: hierarchicalLayout,
         weightedTree: weightedTreeLayout,
         force: forceLayout,
+        stress: stressLayout,
+        layered: layeredLayout,
+        compound: compoundLayout,
+        incremental: incrementalLayout,
+        radial: radialLayout,
         separateNodes,
+        geometryOf,
         defaults: () => JSON.parse(JSON.stringify(defaultOptions))
     };
 
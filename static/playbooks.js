@@ -0,0 +1,155 @@
+// playbooks.js
+// Transform playbooks ("machines"): saved trees of transform steps the editor
+// runs in one go, e.g. domain → subdomains → IPs → ASN. Pure and DOM-free;
+// the editor supplies the step runner (request + merge) and the log sink.
+// Exposes the Playbooks namespace (module.exports under Node for tests).
+//
+//   playbook: { id, name, description?, maxRuns?, steps: [step] }
+//   step:     { transform, types?: [entityType], limit?, depth?, next?: [step] }
+//
+// Root steps run on the starting entities. Each step feeds the entities it
+// returns to every step in its `next` (several children = branches), and
+// re-applies itself to them until `depth` levels deep (1 = run once).
+// `types` restricts which entity types a step accepts; `limit` caps how
+// many results one run of the step may add.
+
+(function (global) {
+
+    const DEFAULT_STEP_LIMIT = 12;
+    const MAX_STEP_LIMIT = 50;
+    const MAX_STEP_DEPTH = 5;
+    const DEFAULT_MAX_RUNS = 200;
+
+    function clampInt(value, min, max, fallback) {
+        const n = parseInt(value, 10);
+        return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : fallback;
+    }
+
+    // Returns null when valid, or an error string naming the first problem.
+    // `knownTransforms` (optional) is a list of transform ids that may be used.
+    function validatePlaybook(playbook, knownTransforms) {
+        if (!playbook || typeof playbook !== "object") return "Playbook must be an object";
+        if (!playbook.name || typeof playbook.name !== "string") return "Playbook needs a name";
+        if (!Array.isArray(playbook.steps) || !playbook.steps.length) return "Playbook needs at least one step";
+        const known = knownTransforms ? new Set(knownTransforms) : null;
+        const check = (steps, where) => {
+            for (let i = 0; i < steps.length; i++) {
+                const step = steps[i];
+                const at = `${where}${i + 1}`;
+                if (!step || typeof step.transform !== "string" || !step.transform) return `Step ${at} needs a transform id`;
+                if (known && !known.has(step.transform)) return `Step ${at}: unknown transform "${step.transform}"`;
+                if (step.types !== undefined && !Array.isArray(step.types)) return `Step ${at}: types must be a list`;
+                if (step.next !== undefined) {
+                    if (!Array.isArray(step.next)) return `Step ${at}: next must be a list`;
+                    const error = check(step.next, at + ".");
+                    if (error) return error;
+                }
+            }
+            return null;
+        };
+        return check(playbook.steps, "");
+    }
+
+    // Copy with defaults filled in and limits clamped. Each step gains a
+    // `path` ("1", "1.2", ...) naming it in logs.
+    function normalizePlaybook(playbook) {
+        const steps = (list, prefix) => (list || []).map((step, i) => {
+            const path = prefix + (i + 1);
+            return {
+                transform: step.transform,
+                types: Array.isArray(step.types) ? step.types.slice() : [],
+                limit: clampInt(step.limit, 1, MAX_STEP_LIMIT, DEFAULT_STEP_LIMIT),
+                depth: clampInt(step.depth, 1, MAX_STEP_DEPTH, 1),
+                next: steps(step.next, path + "."),
+                path
+            };
+        });
+        return {
+            id: playbook.id,
+            name: playbook.name,
+            description: playbook.description || "",
+            maxRuns: clampInt(playbook.maxRuns, 1, 1000, DEFAULT_MAX_RUNS),
+            steps: steps(playbook.steps, "")
+        };
+    }
+
+    // Whether any root step accepts an entity of this type.
+    function playbookAccepts(playbook, type) {
+        return normalizePlaybook(playbook).steps.some(step => !step.types.length || step.types.includes(type));
+    }
+
+    // Runs a playbook breadth-first, one step at a time. hooks:
+    //   runStep(step, id) -> Promise<[id]>  run step.transform on entity id,
+    //       merge at most step.limit results, resolve to the result ids
+    //   typeOf(id) -> entity type, or null once the entity is gone
+    //   onLog(line)                         progress messages
+    //   nameOf(id) -> string                how logs name an entity
+    //   isCancelled() -> bool               checked before every run
+    // A step runs at most once per entity. A failing run is logged and the
+    // playbook carries on. Resolves to
+    //   { runs, failed, skipped, cancelled, capped }.
+    async function runPlaybook(playbook, startIds, hooks) {
+        const pb = normalizePlaybook(playbook);
+        const log = hooks.onLog || (() => {});
+        const isCancelled = hooks.isCancelled || (() => false);
+        const nameOf = hooks.nameOf || (id => id);
+        const queue = [];
+        pb.steps.forEach(step => startIds.forEach(id => queue.push({ step, id, level: 1 })));
+        const done = new Set();
+        const summary = { runs: 0, failed: 0, skipped: 0, cancelled: false, capped: false };
+
+        for (let head = 0; head < queue.length; head++) {
+            const { step, id, level } = queue[head];
+            const key = step.path + "|" + id;
+            if (done.has(key)) continue;
+            done.add(key);
+            const type = hooks.typeOf(id);
+            if (type == null || (step.types.length && !step.types.includes(type))) {
+                summary.skipped += 1;
+                continue;
+            }
+            if (isCancelled()) {
+                summary.cancelled = true;
+                log("Cancelled.");
+                break;
+            }
+            if (summary.runs >= pb.maxRuns) {
+                summary.capped = true;
+                log(`Stopped after ${pb.maxRuns} transform runs.`);
+                break;
+            }
+            summary.runs += 1;
+            let results;
+            try {
+                results = await hooks.runStep(step, id);
+            } catch (e) {
+                summary.failed += 1;
+                log(`Step ${step.path} ${step.transform} on ${nameOf(id)} failed: ${e && e.message ? e.message : e}`);
+                continue;
+            }
+            log(`Step ${step.path} ${step.transform} on ${nameOf(id)}: ${results.length} result(s)`);
+            results.forEach(rid => {
+                if (level < step.depth) queue.push({ step, id: rid, level: level + 1 });
+                step.next.forEach(child => queue.push({ step: child, id: rid, level: 1 }));
+            });
+        }
+        return summary;
+    }
+
+    const Playbooks = {
+        validatePlaybook,
+        normalizePlaybook,
+        playbookAccepts,
+        runPlaybook,
+        DEFAULT_STEP_LIMIT,
+        MAX_STEP_LIMIT,
+        MAX_STEP_DEPTH
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = Playbooks;
+    } else {
+        global.Playbooks = Playbooks;
+    }
+
+})(this);
@@ -0,0 +1,597 @@
+// routing.js
+// Edge routing: obstacle-avoiding orthogonal routes, fanned curves for
+// parallel edges, and force-directed edge bundling.
+// Exposes Routing.orthogonalRoute, assignPorts, createRouteCache,
+// fanOffsets, arcPoints and bundleEdges.
+
+(function (global) {
+
+    /**
+     * Endpoints:  { x, y, halfWidth, halfHeight }      (node center + extents)
+     * Ports:      { side: "N" | "S" | "E" | "W", offset } (offset along the side)
+     * Obstacles:  [ { id, x, y, width, height } ]      (top-left rects)
+     */
+
+    const defaultOptions = {
+        margin: 14,          // clearance kept around every obstacle
+        bendPenalty: 40,     // extra cost per 90° turn, in px
+        portSpacing: 12,     // gap between spread ports on one side
+        regionPadding: 160,  // first search only sees obstacles this close
+        maxObstacles: 300,   // cap for the whole-graph fallback search
+        fanSpacing: 36,      // gap between the apexes of fanned parallel edges
+        arcSamples: 16,      // segments per curved edge
+        maxBundledEdges: 4000 // bundling is quadratic; skip it beyond this
+    };
+
+    const SIDES = {
+        E: { dx: 1, dy: 0 },
+        W: { dx: -1, dy: 0 },
+        S: { dx: 0, dy: 1 },
+        N: { dx: 0, dy: -1 }
+    };
+    const DIRS = [SIDES.E, SIDES.W, SIDES.S, SIDES.N];
+    const OPPOSITE = [1, 0, 3, 2];
+
+    function dirIndex(d) {
+        return DIRS.findIndex(v => v.dx === d.dx && v.dy === d.dy);
+    }
+
+    // ------------------------
+    // Ports
+    // ------------------------
+
+    // Side of `from` facing `to`, by dominant axis.
+    function sideToward(from, to) {
+        const dx = to.x - from.x, dy = to.y - from.y;
+        if (Math.abs(dx) >= Math.abs(dy)) return dx >= 0 ? "E" : "W";
+        return dy >= 0 ? "S" : "N";
+    }
+
+    // Spreads edges that leave a node through the same side so they don't
+    // share a port. Each side's edges are ordered by the far endpoint's
+    // position along the side (ties by edge id, which keeps parallel edges
+    // in the same order at both ends, so they never cross). Ends given a
+    // sourcePort / targetPort ({ side, offset }) are pinned there as-is.
+    // edges: [{ id, source, target, sourcePort?, targetPort? }],
+    // rects: { [nodeId]: endpoint }
+    // Returns { [edgeId]: { source: port, target: port } }.
+    function assignPorts(edges, rects, options = {}) {
+        const spacing = options.portSpacing ?? defaultOptions.portSpacing;
+        const groups = {};
+        const ports = {};
+        edges.forEach(e => {
+            const a = rects[e.source], b = rects[e.target];
+            if (!a || !b || e.source === e.target) return;
+            ports[e.id] = {
+                source: e.sourcePort ? { side: e.sourcePort.side, offset: e.sourcePort.offset || 0 } : { side: sideToward(a, b), offset: 0 },
+                target: e.targetPort ? { side: e.targetPort.side, offset: e.targetPort.offset || 0 } : { side: sideToward(b, a), offset: 0 }
+            };
+            [["source", e.source, b], ["target", e.target, a]].forEach(([end, nodeId, far]) => {
+                if (e[end + "Port"]) return;
+                const key = nodeId + "\u0000" + ports[e.id][end].side;
+                (groups[key] = groups[key] || []).push({ edgeId: e.id, end, nodeId, far });
+            });
+        });
+
+        Object.values(groups).forEach(group => {
+            if (group.length < 2) return;
+            const side = ports[group[0].edgeId][group[0].end].side;
+            const horizontalSide = side === "N" || side === "S";
+            const along = p => horizontalSide ? p.x : p.y;
+            group.sort((p, q) => along(p.far) - along(q.far) || String(p.edgeId).localeCompare(String(q.edgeId)));
+            const rect = rects[group[0].nodeId];
+            const half = Math.max(0, (horizontalSide ? rect.halfWidth : rect.halfHeight) - 2);
+            const step = Math.min(spacing, (2 * half) / group.length);
+            group.forEach((p, k) => {
+                ports[p.edgeId][p.end].offset = (k - (group.length - 1) / 2) * step;
+            });
+        });
+        return ports;
+    }
+
+    // The port's anchor (inside the node, on the axis the edge leaves by)
+    // and its stub (just outside the node's clearance zone).
+    function portGeometry(node, port, margin) {
+        const dir = SIDES[port.side] || SIDES.E;
+        const offset = port.offset || 0;
+        const anchor = dir.dx !== 0
+            ? { x: node.x, y: node.y + offset }
+            : { x: node.x + offset, y: node.y };
+        const reach = dir.dx !== 0 ? node.halfWidth : node.halfHeight;
+        const stub = { x: anchor.x + dir.dx * (reach + margin), y: anchor.y + dir.dy * (reach + margin) };
+        return { anchor, stub, dir };
+    }
+
+    // ------------------------
+    // Orthogonal visibility graph + A*
+    // ------------------------
+
+    function strictlyInside(p, r) {
+        return p.x > r.x1 && p.x < r.x2 && p.y > r.y1 && p.y < r.y2;
+    }
+
+    function sortedUnique(values) {
+        return [...new Set(values)].sort((a, b) => a - b);
+    }
+
+    // Minimal binary heap keyed by f-score.
+    function createHeap() {
+        const items = [];
+        const keys = [];
+        return {
+            get size() { return items.length; },
+            push(item, key) {
+                items.push(item); keys.push(key);
+                let i = items.length - 1;
+                while (i > 0) {
+                    const parent = (i - 1) >> 1;
+                    if (keys[parent] <= keys[i]) break;
+                    [items[parent], items[i]] = [items[i], items[parent]];
+                    [keys[parent], keys[i]] = [keys[i], keys[parent]];
+                    i = parent;
+                }
+            },
+            pop() {
+                const top = items[0];
+                const lastItem = items.pop(), lastKey = keys.pop();
+                if (items.length) {
+                    items[0] = lastItem; keys[0] = lastKey;
+                    let i = 0;
+                    for (;;) {
+                        const l = 2 * i + 1, r = l + 1;
+                        let m = i;
+                        if (l < items.length && keys[l] < keys[m]) m = l;
+                        if (r < items.length && keys[r] < keys[m]) m = r;
+                        if (m === i) break;
+                        [items[m], items[i]] = [items[i], items[m]];
+                        [keys[m], keys[i]] = [keys[i], keys[m]];
+                        i = m;
+                    }
+                }
+                return top;
+            }
+        };
+    }
+
+    // Shortest rectilinear path (length + bend penalty) from start to goal
+    // over the sparse grid spanned by obstacle sides and the two stubs.
+    // Grid points and segments inside an obstacle are blocked; the route
+    // must leave `start` along startDir and reach `goal` moving along
+    // goalDir (a turn there costs one bend). Returns points or null.
+    function searchPath(start, startDir, goal, goalDir, rects, bendPenalty) {
+        const xs = sortedUnique([start.x, goal.x, ...rects.flatMap(r => [r.x1, r.x2])]);
+        const ys = sortedUnique([start.y, goal.y, ...rects.flatMap(r => [r.y1, r.y2])]);
+        const nx = xs.length, ny = ys.length;
+        const xIndex = new Map(xs.map((v, i) => [v, i]));
+        const yIndex = new Map(ys.map((v, i) => [v, i]));
+
+        // blocked[p]: point; hBlocked[p]: segment p -> p+1 along x; vBlocked: along y.
+        const blocked = new Uint8Array(nx * ny);
+        const hBlocked = new Uint8Array(nx * ny);
+        const vBlocked = new Uint8Array(nx * ny);
+        const at = (i, j) => i * ny + j;
+        rects.forEach(r => {
+            const i0 = xIndex.get(r.x1), i1 = xIndex.get(r.x2);
+            const j0 = yIndex.get(r.y1), j1 = yIndex.get(r.y2);
+            for (let i = i0; i <= i1; i++) {
+                for (let j = j0; j <= j1; j++) {
+                    const insideX = i > i0 && i < i1, insideY = j > j0 && j < j1;
+                    if (insideX && insideY) blocked[at(i, j)] = 1;
+                    if (insideY && i < i1) hBlocked[at(i, j)] = 1;
+                    if (insideX && j < j1) vBlocked[at(i, j)] = 1;
+                }
+            }
+        });
+
+        const si = xIndex.get(start.x), sj = yIndex.get(start.y);
+        const gi = xIndex.get(goal.x), gj = yIndex.get(goal.y);
+        const goalPoint = at(gi, gj);
+        const arriveDir = dirIndex(goalDir);
+        const states = nx * ny * 4;
+        const cost = new Float64Array(states).fill(Infinity);
+        const from = new Int32Array(states).fill(-1);
+        const closed = new Uint8Array(states);
+        const heuristic = p => Math.abs(xs[Math.floor(p / ny)] - goal.x) + Math.abs(ys[p % ny] - goal.y);
+
+        const startState = at(si, sj) * 4 + dirIndex(startDir);
+        cost[startState] = 0;
+        const heap = createHeap();
+        heap.push(startState, heuristic(at(si, sj)));
+
+        let found = -1;
+        while (heap.size) {
+            const state = heap.pop();
+            if (closed[state]) continue;
+            closed[state] = 1;
+            const p = state >> 2, d = state & 3;
+            if (p === goalPoint) { found = state; break; }
+            const i = Math.floor(p / ny), j = p % ny;
+            for (let nd = 0; nd < 4; nd++) {
+                if (nd === OPPOSITE[d]) continue;
+                const { dx, dy } = DIRS[nd];
+                const ni = i + dx, nj = j + dy;
+                if (ni < 0 || nj < 0 || ni >= nx || nj >= ny) continue;
+                const seg = dx !== 0 ? hBlocked[at(Math.min(i, ni), j)] : vBlocked[at(i, Math.min(j, nj))];
+                const q = at(ni, nj);
+                if (seg || blocked[q]) continue;
+                let g = cost[state] + Math.abs(xs[ni] - xs[i]) + Math.abs(ys[nj] - ys[j]);
+                if (nd !== d) g += bendPenalty;
+                if (q === goalPoint && nd !== arriveDir) g += bendPenalty;
+                const next = q * 4 + nd;
+                if (g < cost[next]) {
+                    cost[next] = g;
+                    from[next] = state;
+                    heap.push(next, g + heuristic(q));
+                }
+            }
+        }
+        if (found < 0) return null;
+
+        const path = [];
+        for (let s = found; s >= 0; s = from[s]) {
+            const p = s >> 2;
+            path.push({ x: xs[Math.floor(p / ny)], y: ys[p % ny] });
+        }
+        return path.reverse();
+    }
+
+    // Drops repeated and collinear interior points.
+    function simplify(points) {
+        const out = [];
+        points.forEach(p => {
+            const last = out[out.length - 1];
+            if (last && last.x === p.x && last.y === p.y) return;
+            if (out.length >= 2) {
+                const prev = out[out.length - 2];
+                if ((prev.x === last.x && last.x === p.x) || (prev.y === last.y && last.y === p.y)) out.pop();
+            }
+            out.push(p);
+        });
+        return out;
+    }
+
+    function inflate(o, margin) {
+        return { x1: o.x - margin, y1: o.y - margin, x2: o.x + o.width + margin, y2: o.y + o.height + margin };
+    }
+
+    /**
+     * Routes one edge around the obstacles. Returns a polyline from the
+     * source anchor to the target anchor (both inside their nodes, on the
+     * port's axis, ready for border clipping), or null if the endpoints are
+     * walled in. Obstacles may include the endpoints themselves; any
+     * obstacle swallowing a stub is ignored so overlaps can't trap a route.
+     */
+    function orthogonalRoute(request, options = {}) {
+        const margin = options.margin ?? defaultOptions.margin;
+        const bendPenalty = options.bendPenalty ?? defaultOptions.bendPenalty;
+        const s = portGeometry(request.source, request.sourcePort, margin);
+        const t = portGeometry(request.target, request.targetPort, margin);
+        const rects = (request.obstacles || [])
+            .map(o => inflate(o, margin))
+            .filter(r => !strictlyInside(s.stub, r) && !strictlyInside(t.stub, r));
+        const inward = { dx: -t.dir.dx, dy: -t.dir.dy };
+        const path = searchPath(s.stub, s.dir, t.stub, inward, rects, bendPenalty);
+        if (!path) return null;
+        return simplify([s.anchor, ...path, t.anchor]);
+    }
+
+    // ------------------------
+    // Route cache
+    // ------------------------
+
+    function bounds(points, pad) {
+        let x1 = Infinity, y1 = Infinity, x2 = -Infinity, y2 = -Infinity;
+        points.forEach(p => {
+            x1 = Math.min(x1, p.x); y1 = Math.min(y1, p.y);
+            x2 = Math.max(x2, p.x); y2 = Math.max(y2, p.y);
+        });
+        return { x1: x1 - pad, y1: y1 - pad, x2: x2 + pad, y2: y2 + pad };
+    }
+
+    function touches(o, r) {
+        return o.x < r.x2 && o.x + o.width > r.x1 && o.y < r.y2 && o.y + o.height > r.y1;
+    }
+
+    function obstacleKey(o) {
+        return `${o.id}:${o.x},${o.y},${o.width},${o.height}`;
+    }
+
+    function endpointKey(n, port) {
+        return `${n.x},${n.y},${n.halfWidth},${n.halfHeight},${port.side},${port.offset || 0}`;
+    }
+
+    // True if any segment of the polyline passes through an obstacle.
+    function crossesObstacle(points, obstacles) {
+        for (let k = 0; k + 1 < points.length; k++) {
+            const a = points[k], b = points[k + 1];
+            const seg = { x1: Math.min(a.x, b.x), y1: Math.min(a.y, b.y), x2: Math.max(a.x, b.x), y2: Math.max(a.y, b.y) };
+            for (const o of obstacles) {
+                if (seg.x2 > o.x && seg.x1 < o.x + o.width && seg.y2 > o.y && seg.y1 < o.y + o.height) return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Remembers routes per edge id. A cached route is reused while its
+     * endpoints/ports are unchanged and the obstacles around it (the
+     * region it was searched in plus its own extent) haven't moved.
+     * Misses search a padded region first, widening to the whole graph
+     * only if that route is blocked or strays into unseen obstacles.
+     */
+    function createRouteCache(options = {}) {
+        const opts = { ...defaultOptions, ...options };
+        const entries = new Map();
+
+        function signature(obstacles, region) {
+            return obstacles.filter(o => touches(o, region)).map(obstacleKey).sort().join("|");
+        }
+
+        // Searches a padded region around the stubs first, widening (and
+        // finally using every obstacle) while the route is blocked or its
+        // middle runs through an obstacle the search didn't see.
+        function compute(request) {
+            const s = portGeometry(request.source, request.sourcePort, opts.margin);
+            const t = portGeometry(request.target, request.targetPort, opts.margin);
+            const all = (request.obstacles || []).filter(o => {
+                const r = inflate(o, opts.margin);
+                return !strictlyInside(s.stub, r) && !strictlyInside(t.stub, r);
+            });
+            for (const pad of [opts.regionPadding, opts.regionPadding * 4, Infinity]) {
+                const wholeGraph = pad === Infinity;
+                if (wholeGraph && all.length > opts.maxObstacles) break;
+                const region = bounds([s.stub, t.stub], wholeGraph ? opts.regionPadding * 4 : pad);
+                const seen = wholeGraph ? all : all.filter(o => touches(o, region));
+                const points = orthogonalRoute({ ...request, obstacles: seen }, opts);
+                if (!points) continue;
+                if (!wholeGraph && crossesObstacle(points.slice(1, -1), all)) continue;
+                const extent = bounds(points, opts.margin);
+                return {
+                    points,
+                    region: {
+                        x1: Math.min(extent.x1, region.x1), y1: Math.min(extent.y1, region.y1),
+                        x2: Math.max(extent.x2, region.x2), y2: Math.max(extent.y2, region.y2)
+                    }
+                };
+            }
+            return { points: null, region: bounds([s.stub, t.stub], opts.regionPadding) };
+        }
+
+        return {
+            // request: { source, target, sourcePort, targetPort, obstacles }
+            route(edgeId, request) {
+                const key = endpointKey(request.source, request.sourcePort) + ";" + endpointKey(request.target, request.targetPort);
+                const obstacles = request.obstacles || [];
+                const cached = entries.get(edgeId);
+                if (cached && cached.key === key && cached.sig === signature(obstacles, cached.region)) {
+                    return cached.points;
+                }
+                const { points, region } = compute(request);
+                entries.set(edgeId, { key, region, sig: signature(obstacles, region), points });
+                return points;
+            },
+            // Forget routes for edges that no longer exist.
+            prune(liveIds) {
+                const live = new Set(liveIds);
+                [...entries.keys()].forEach(id => { if (!live.has(id)) entries.delete(id); });
+            },
+            clear() {
+                entries.clear();
+            },
+            get size() { return entries.size; }
+        };
+    }
+
+    // ------------------------
+    // Curved (fanned) edges
+    // ------------------------
+
+    // Bulge (apex distance off the chord, px) per edge so that edges sharing
+    // a node pair, in either direction, fan out as distinct arcs. Bulges are
+    // signed relative to each edge's own direction, with the fan laid out
+    // along the pair's canonical (lower id -> higher id) direction, so
+    // antiparallel edges end up on opposite sides. A lone edge gets 0.
+    function fanOffsets(edges, spacing = defaultOptions.fanSpacing) {
+        const groups = {};
+        edges.forEach(e => {
+            if (e.source === e.target) return;
+            const forward = String(e.source) < String(e.target);
+            const key = forward ? e.source + "\u0000" + e.target : e.target + "\u0000" + e.source;
+            (groups[key] = groups[key] || []).push({ e, forward });
+        });
+        const offsets = {};
+        Object.values(groups).forEach(group => {
+            group.forEach(({ e, forward }, i) => {
+                const offset = (i - (group.length - 1) / 2) * spacing;
+                offsets[e.id] = forward ? offset : -offset;
+            });
+        });
+        return offsets;
+    }
+
+    // Quadratic curve from a to b whose apex sits `bulge` px to the left of
+    // the a -> b chord, sampled as a polyline (endpoints included).
+    function arcPoints(a, b, bulge, samples = defaultOptions.arcSamples) {
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const len = Math.hypot(dx, dy) || 1;
+        // The apex of a quadratic Bezier is halfway to its control point.
+        const cx = (a.x + b.x) / 2 + (dy / len) * bulge * 2;
+        const cy = (a.y + b.y) / 2 - (dx / len) * bulge * 2;
+        const points = [];
+        for (let k = 0; k <= samples; k++) {
+            const t = k / samples, u = 1 - t;
+            points.push({
+                x: u * u * a.x + 2 * u * t * cx + t * t * b.x,
+                y: u * u * a.y + 2 * u * t * cy + t * t * b.y
+            });
+        }
+        return points;
+    }
+
+    // ------------------------
+    // Force-directed edge bundling
+    // ------------------------
+
+    function projectOnto(px, py, s) {
+        const dx = s.x2 - s.x1, dy = s.y2 - s.y1;
+        const t = ((px - s.x1) * dx + (py - s.y1) * dy) / (dx * dx + dy * dy);
+        return { x: s.x1 + t * dx, y: s.y1 + t * dy };
+    }
+
+    // Holten's visibility: how centred q's projection onto p's line is on p.
+    function visibility(p, q) {
+        const i0 = projectOnto(q.x1, q.y1, p), i1 = projectOnto(q.x2, q.y2, p);
+        const span = Math.hypot(i1.x - i0.x, i1.y - i0.y);
+        if (span < 1e-9) return 0;
+        const mx = (i0.x + i1.x) / 2 - (p.x1 + p.x2) / 2;
+        const my = (i0.y + i1.y) / 2 - (p.y1 + p.y2) / 2;
+        return Math.max(0, 1 - 2 * Math.hypot(mx, my) / span);
+    }
+
+    // Angle x scale x position x visibility compatibility, in [0, 1].
+    function edgeCompatibility(p, q, lp, lq) {
+        const angle = Math.abs(((p.x2 - p.x1) * (q.x2 - q.x1) + (p.y2 - p.y1) * (q.y2 - q.y1)) / (lp * lq));
+        const avg = (lp + lq) / 2;
+        const scale = 2 / (avg / Math.min(lp, lq) + Math.max(lp, lq) / avg);
+        const mx = (p.x1 + p.x2 - q.x1 - q.x2) / 2, my = (p.y1 + p.y2 - q.y1 - q.y2) / 2;
+        const position = avg / (avg + Math.hypot(mx, my));
+        const partial = angle * scale * position;
+        return partial === 0 ? 0 : partial * Math.min(visibility(p, q), visibility(q, p));
+    }
+
+    // Resamples the polyline start -> interior -> end into `count` evenly
+    // spaced interior points.
+    function resample(s, interior, count) {
+        const line = [{ x: s.x1, y: s.y1 }, ...interior, { x: s.x2, y: s.y2 }];
+        const cumulative = [0];
+        for (let i = 1; i < line.length; i++) {
+            cumulative.push(cumulative[i - 1] + Math.hypot(line[i].x - line[i - 1].x, line[i].y - line[i - 1].y));
+        }
+        const total = cumulative[cumulative.length - 1];
+        const out = [];
+        let seg = 1;
+        for (let k = 1; k <= count; k++) {
+            const target = total * k / (count + 1);
+            while (seg < line.length - 1 && cumulative[seg] < target) seg++;
+            const a = line[seg - 1], b = line[seg];
+            const span = cumulative[seg] - cumulative[seg - 1] || 1;
+            const t = (target - cumulative[seg - 1]) / span;
+            out.push({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+        }
+        return out;
+    }
+
+    /**
+     * Force-directed edge bundling (Holten & van Wijk, 2009). Each edge is
+     * subdivided; its points are held together by springs and attracted to
+     * the matching points of its most compatible edges (similar angle,
+     * length, position and mutual visibility; at most `maxPartners` each to
+     * bound the cost). Each cycle doubles the subdivisions and halves the
+     * step. segments: [{ id, x1, y1, x2, y2 }]. Returns { [id]: [{ x, y }...] }
+     * with interior points only; edges without a partner stay straight and
+     * are omitted.
+     */
+    function bundleEdges(segments, options = {}) {
+        const stiffness = options.stiffness ?? 0.1;
+        const threshold = options.compatibilityThreshold ?? 0.6;
+        const maxPartners = options.maxPartners ?? 24;
+        const cycles = options.cycles ?? 6;
+        let step = options.stepSize ?? 0.1;
+        let iterations = options.iterations ?? 60;
+        const report = typeof options.onProgress === "function" ? options.onProgress : () => {};
+
+        const list = segments.filter(s => Math.hypot(s.x2 - s.x1, s.y2 - s.y1) > 1e-6);
+        if (list.length > (options.maxEdges ?? defaultOptions.maxBundledEdges)) return {};
+        const m = list.length;
+        const lengths = list.map(s => Math.hypot(s.x2 - s.x1, s.y2 - s.y1));
+
+        // Most compatible partners per edge; `flip` pairs edges pointing
+        // opposite ways so point k meets the partner's point from the same end.
+        const candidates = list.map(() => []);
+        for (let i = 0; i < m; i++) {
+            for (let j = i + 1; j < m; j++) {
+                const c = edgeCompatibility(list[i], list[j], lengths[i], lengths[j]);
+                if (c < threshold) continue;
+                const flip = (list[i].x2 - list[i].x1) * (list[j].x2 - list[j].x1) + (list[i].y2 - list[i].y1) * (list[j].y2 - list[j].y1) < 0;
+                candidates[i].push({ other: j, flip, c });
+                candidates[j].push({ other: i, flip, c });
+            }
+        }
+        const partners = candidates.map(c => c.sort((a, b) => b.c - a.c).slice(0, maxPartners));
+
+        // Interior points live in flat arrays: edge e, point k at e * count + k.
+        let count = 1;
+        let xs = new Float64Array(list.map(s => (s.x1 + s.x2) / 2));
+        let ys = new Float64Array(list.map(s => (s.y1 + s.y2) / 2));
+        for (let cycle = 0; cycle < cycles; cycle++) {
+            if (cycle > 0) {
+                const next = count * 2;
+                const nx = new Float64Array(m * next), ny = new Float64Array(m * next);
+                list.forEach((s, e) => {
+                    const interior = [];
+                    for (let k = 0; k < count; k++) interior.push({ x: xs[e * count + k], y: ys[e * count + k] });
+                    resample(s, interior, next).forEach((p, k) => { nx[e * next + k] = p.x; ny[e * next + k] = p.y; });
+                });
+                xs = nx; ys = ny; count = next;
+                step /= 2;
+                iterations = Math.max(1, Math.round(iterations * 2 / 3));
+            }
+            for (let iter = 0; iter < iterations; iter++) {
+                const outX = new Float64Array(xs), outY = new Float64Array(ys);
+                for (let e = 0; e < m; e++) {
+                    if (!partners[e].length) continue;
+                    const s = list[e];
+                    const spring = stiffness / (lengths[e] * (count + 1));
+                    const base = e * count;
+                    for (let k = 0; k < count; k++) {
+                        const px = xs[base + k], py = ys[base + k];
+                        const prevX = k === 0 ? s.x1 : xs[base + k - 1], prevY = k === 0 ? s.y1 : ys[base + k - 1];
+                        const nextX = k === count - 1 ? s.x2 : xs[base + k + 1], nextY = k === count - 1 ? s.y2 : ys[base + k + 1];
+                        let fx = spring * (prevX + nextX - 2 * px);
+                        let fy = spring * (prevY + nextY - 2 * py);
+                        for (const { other, flip } of partners[e]) {
+                            const q = other * count + (flip ? count - 1 - k : k);
+                            const dx = xs[q] - px, dy = ys[q] - py;
+                            const d = Math.sqrt(dx * dx + dy * dy);
+                            if (d > 1e-6) { fx += dx / d; fy += dy / d; }
+                        }
+                        outX[base + k] = px + step * fx;
+                        outY[base + k] = py + step * fy;
+                    }
+                }
+                xs = outX; ys = outY;
+            }
+            report((cycle + 1) / cycles);
+        }
+
+        const result = {};
+        list.forEach((s, e) => {
+            if (!partners[e].length) return;
+            const interior = [];
+            for (let k = 0; k < count; k++) interior.push({ x: xs[e * count + k], y: ys[e * count + k] });
+            result[s.id] = interior;
+        });
+        return result;
+    }
+
+    // ------------------------
+    // Export API
+    // ------------------------
+
+    const Routing = {
+        orthogonalRoute,
+        assignPorts,
+        createRouteCache,
+        fanOffsets,
+        arcPoints,
+        bundleEdges,
+        defaults: () => ({ ...defaultOptions })
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = Routing;
+    } else {
+        global.Routing = Routing;
+    }
+
+})(this);
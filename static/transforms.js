@@ -0,0 +1,234 @@
+// transforms.js
+// Browser-side transform plugins. Pure registry, no app state; plugin scripts
+// may call registerTransform() any time after this file loads, and the editor
+// lists the new transform next to the server ones.
+// Exposes the TransformRegistry namespace and a global registerTransform
+// (module.exports under Node for tests).
+//
+//   registerTransform({
+//       id: "dns_mx",                      // unique, not shared with the server
+//       name: "Find MX hosts",
+//       description: "…",                  // optional
+//       inputTypes: ["domain"],            // entity types it accepts ([] or "*" = any)
+//       params: [{ name, label, type, default, ... }],  // optional, see PARAM_TYPES
+//       run(entity, { graph, params }) {   // may return a Promise
+//           return { entities: [{ type, value, properties? }], links: [{ label?, directed? }] };
+//       }
+//   });
+//
+// `entity` is { id, type, value, properties } (a copy) and `graph` a read-only
+// view of the current graph (see createGraphView). links[i] describes the link
+// from the input to entities[i] (links[0] is reused when there are fewer),
+// exactly as for server transforms.
+//
+// Parameter descriptors are shared with the server's /api/transforms listing:
+//   { name, label?, type: "number", default, min?, max?, integer? }
+//   { name, label?, type: "string", default }
+//   { name, label?, type: "enum", default, options: [string] }
+//   { name, label?, type: "boolean", default }
+(function (global) {
+
+    const PARAM_TYPES = ["number", "string", "enum", "boolean"];
+    const registry = new Map();
+    const listeners = new Set();
+
+    function copy(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    // Returns null when the descriptors are usable, or an error string.
+    function validateParamSpecs(specs) {
+        if (!Array.isArray(specs)) return "params must be a list";
+        const seen = new Set();
+        for (const spec of specs) {
+            if (!spec || typeof spec.name !== "string" || !spec.name) return "every param needs a name";
+            if (seen.has(spec.name)) return `param "${spec.name}" is declared twice`;
+            seen.add(spec.name);
+            if (!PARAM_TYPES.includes(spec.type)) return `param "${spec.name}" has unknown type "${spec.type}"`;
+            if (spec.type === "enum" && (!Array.isArray(spec.options) || !spec.options.includes(spec.default))) {
+                return `param "${spec.name}" needs options that include its default`;
+            }
+            if (spec.type === "number" && typeof spec.default !== "number") return `param "${spec.name}" needs a numeric default`;
+            if (spec.type === "boolean" && typeof spec.default !== "boolean") return `param "${spec.name}" needs a true/false default`;
+        }
+        return null;
+    }
+
+    // { name: value } for every declared param: form strings are coerced,
+    // numbers clamped to min/max (rounded when `integer`), and anything
+    // missing or unusable falls back to the default. Undeclared keys are
+    // dropped.
+    function resolveParams(specs, values) {
+        const src = values || {};
+        const out = {};
+        (specs || []).forEach(spec => {
+            const raw = src[spec.name];
+            let value = spec.default;
+            if (raw !== undefined && raw !== null && raw !== "") {
+                if (spec.type === "number") {
+                    const n = Number(raw);
+                    if (typeof raw !== "boolean" && Number.isFinite(n)) {
+                        value = n;
+                        if (spec.min != null) value = Math.max(spec.min, value);
+                        if (spec.max != null) value = Math.min(spec.max, value);
+                        if (spec.integer) value = Math.round(value);
+                    }
+                } else if (spec.type === "boolean") {
+                    if (typeof raw === "boolean") value = raw;
+                    else if (["true", "1", "yes", "on"].includes(String(raw).toLowerCase())) value = true;
+                    else if (["false", "0", "no", "off"].includes(String(raw).toLowerCase())) value = false;
+                } else if (spec.type === "enum") {
+                    if (spec.options.includes(raw)) value = raw;
+                } else {
+                    value = String(raw).trim() || spec.default;
+                }
+            }
+            out[spec.name] = value;
+        });
+        return out;
+    }
+
+    function registerTransform(def) {
+        if (!def || typeof def.id !== "string" || !def.id) throw new Error("registerTransform: id is required");
+        if (typeof def.run !== "function") throw new Error(`registerTransform: "${def.id}" needs a run function`);
+        if (registry.has(def.id)) throw new Error(`registerTransform: "${def.id}" is already registered`);
+        if (def.inputTypes !== undefined && !Array.isArray(def.inputTypes)) {
+            throw new Error(`registerTransform: "${def.id}" inputTypes must be a list`);
+        }
+        const paramError = def.params === undefined ? null : validateParamSpecs(def.params);
+        if (paramError) throw new Error(`registerTransform: "${def.id}" ${paramError}`);
+        const descriptor = {
+            id: def.id,
+            name: def.name || def.id,
+            description: def.description || "",
+            inputTypes: def.inputTypes ? def.inputTypes.slice() : [],
+            params: def.params ? copy(def.params) : [],
+            client: true
+        };
+        registry.set(def.id, { descriptor, run: def.run });
+        listeners.forEach(fn => fn(descriptor));
+        return descriptor;
+    }
+
+    function unregisterTransform(id) {
+        const removed = registry.delete(id);
+        if (removed) listeners.forEach(fn => fn(null));
+        return removed;
+    }
+
+    // Descriptors ({ id, name, description, inputTypes, params, client: true })
+    // in registration order.
+    function listClientTransforms() {
+        return [...registry.values()].map(entry => entry.descriptor);
+    }
+
+    function hasClientTransform(id) {
+        return registry.has(id);
+    }
+
+    // Calls fn(descriptor | null) after every (un)registration; returns an
+    // unsubscribe function.
+    function onTransformsChanged(fn) {
+        listeners.add(fn);
+        return () => listeners.delete(fn);
+    }
+
+    // Read-only view over { nodes, edges }: every accessor returns copies, so
+    // a plugin can look around the graph but never change it.
+    function createGraphView(graph) {
+        const entityOf = n => n && {
+            id: n.id,
+            type: n.entityType || "generic",
+            value: n.value || n.label || "",
+            label: n.label || "",
+            properties: copy(n.properties || {})
+        };
+        const linkOf = e => ({ id: e.id, source: e.source, target: e.target, label: e.label || "", directed: !!e.directed });
+        return Object.freeze({
+            entity: id => entityOf(graph.nodes[id]) || null,
+            entities: () => Object.values(graph.nodes).map(entityOf),
+            links: () => graph.edges.map(linkOf),
+            neighbors(id) {
+                const out = new Set();
+                graph.edges.forEach(e => {
+                    if (e.source === id && graph.nodes[e.target]) out.add(e.target);
+                    if (e.target === id && graph.nodes[e.source]) out.add(e.source);
+                });
+                out.delete(id);
+                return [...out].map(nid => entityOf(graph.nodes[nid]));
+            },
+            find(type, value) {
+                const want = String(value || "").trim().toLowerCase();
+                const n = Object.values(graph.nodes).find(node =>
+                    (node.entityType || "generic") === type && String(node.value || node.label || "").trim().toLowerCase() === want);
+                return entityOf(n) || null;
+            }
+        });
+    }
+
+    // Checks a plugin's result and returns a clean { entities, links } copy;
+    // throws naming the transform when the shape is wrong.
+    function normalizeTransformResult(id, result) {
+        if (!result || !Array.isArray(result.entities)) throw new Error(`Transform "${id}" must return { entities: [...] }`);
+        const entities = result.entities.map((ent, i) => {
+            if (!ent || typeof ent.type !== "string" || ent.value == null || ent.value === "") {
+                throw new Error(`Transform "${id}" returned an entity without type/value at index ${i}`);
+            }
+            return { type: ent.type, value: String(ent.value), properties: copy(ent.properties || {}) };
+        });
+        const links = Array.isArray(result.links) ? result.links.map(l => ({ ...(l || {}) })) : [];
+        return { entities, links };
+    }
+
+    // The link describing entities[i]: links[i], or links[0] when the result
+    // has fewer links than entities.
+    function linkFor(result, i) {
+        const links = (result && result.links) || [];
+        return i < links.length ? links[i] : (links[0] || {});
+    }
+
+    // The accepted part of a result, for a selective merge. keep.entities[i]
+    // and keep.links[i] say whether entities[i] and its link were accepted;
+    // existing[i] that entities[i] is already in the graph, so its link can
+    // be merged without it. Returns { entities, links } with one link per
+    // entity, null where the link was left out.
+    function selectTransformResult(result, keep, existing = []) {
+        const out = { entities: [], links: [] };
+        ((result && result.entities) || []).forEach((ent, i) => {
+            const linked = !!keep.links[i] && (!!keep.entities[i] || !!existing[i]);
+            if (!keep.entities[i] && !linked) return;
+            out.entities.push(ent);
+            out.links.push(linked ? linkFor(result, i) : null);
+        });
+        return out;
+    }
+
+    // Runs a registered transform on an entity payload ({ id, type, value,
+    // properties }) and resolves to its normalized result. Declared params
+    // are resolved (defaults, ranges); extra keys such as `limit` pass through.
+    async function runClientTransform(id, entity, graph, params = {}) {
+        const entry = registry.get(id);
+        if (!entry) throw new Error(`Unknown client transform "${id}"`);
+        const types = entry.descriptor.inputTypes;
+        if (types.length && !types.includes("*") && !types.includes(entity.type)) {
+            throw new Error(`Entity type '${entity.type}' is not valid for transform '${id}'.`);
+        }
+        const resolved = { ...copy(params), ...resolveParams(entry.descriptor.params, params) };
+        const result = await entry.run(copy(entity), { graph: createGraphView(graph), params: resolved });
+        return normalizeTransformResult(id, result);
+    }
+
+    const TransformRegistry = {
+        registerTransform, unregisterTransform, listClientTransforms, hasClientTransform, onTransformsChanged,
+        createGraphView, normalizeTransformResult, runClientTransform,
+        validateParamSpecs, resolveParams, linkFor, selectTransformResult, PARAM_TYPES
+    };
+
+    if (typeof module !== "undefined" && module.exports) {
+        module.exports = TransformRegistry;
+    } else {
+        global.TransformRegistry = TransformRegistry;
+        global.registerTransform = registerTransform;
+    }
+
+})(this);
@@ -0,0 +1,52 @@
+// worker.js
+// Background worker for long-running layout, analytics and edge-bundling jobs. The editor
+// spawns one worker per job (so cancelling is just terminate()) and posts
+// { task, payload }; the worker answers with any number of
+// { type: "progress", value } messages followed by one
+// { type: "result", result } or { type: "error", message }.
+
+importScripts("layout.js", "analytics.js", "routing.js");
+
+// Post progress at most every PROGRESS_INTERVAL_MS so tight loops don't
+// flood the main thread with messages.
+const PROGRESS_INTERVAL_MS = 50;
+
+function progressPoster() {
+    let last = 0;
+    return value => {
+        const now = Date.now();
+        if (now - last < PROGRESS_INTERVAL_MS) return;
+        last = now;
+        self.postMessage({ type: "progress", value });
+    };
+}
+
+// Runs a layout over the posted copy of the graph and returns only what the
+// layout can change (see Layout.geometryOf).
+function runLayout({ type, state, options }, onProgress) {
+    Layout.apply(type, state, { ...options, onProgress });
+    return Layout.geometryOf(state);
+}
+
+const tasks = {
+    layout: runLayout,
+    centrality: ({ graph, options }, onProgress) => Analytics.computeCentrality(graph, { ...options, onProgress }),
+    communities: ({ graph, options }, onProgress) => Analytics.detectCommunities(graph, { ...options, onProgress }),
+    graphStats: ({ graph }, onProgress) => Analytics.computeGraphStats(graph, { onProgress }),
+    bundle: ({ segments }, onProgress) => Routing.bundleEdges(segments, { onProgress })
+};
+
+self.onmessage = event => {
+    const { task, payload } = event.data || {};
+    const run = tasks[task];
+    if (!run) {
+        self.postMessage({ type: "error", message: "Unknown task: " + task });
+        return;
+    }
+    try {
+        const result = run(payload, progressPoster());
+        self.postMessage({ type: "result", result });
+    } catch (e) {
+        self.postMessage({ type: "error", message: e && e.message ? e.message : String(e) });
+    }
+};
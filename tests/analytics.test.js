@@ -0,0 +1,382 @@
+// Unit tests for the shared client analytics (run with `node --test`).
+const test = require("node:test");
+const assert = require("node:assert");
+const Analytics = require("../static/analytics.js");
+
+function graphOf(ids, pairs, directed = false) {
+    const nodes = {};
+    ids.forEach(id => { nodes[id] = { id }; });
+    const edges = pairs.map(([s, t], i) => ({ id: "e" + i, source: s, target: t, directed }));
+    return { nodes, edges };
+}
+
+test("centrality: the broker of two triangles has the highest betweenness", () => {
+    // a-b-c and d-e-f triangles joined through x
+    const g = graphOf(["a", "b", "c", "x", "d", "e", "f"], [
+        ["a", "b"], ["b", "c"], ["c", "a"], ["c", "x"], ["x", "d"], ["d", "e"], ["e", "f"], ["f", "d"]
+    ]);
+    const { metrics, communities } = Analytics.computeCentrality(g);
+    const top = Object.keys(metrics).sort((p, q) => metrics[q].betweenness - metrics[p].betweenness)[0];
+    assert.strictEqual(top, "x");
+    assert.strictEqual(metrics.x.betweenness, 9);
+    assert.strictEqual(metrics.a.degree, 2);
+    assert.strictEqual(communities.a, communities.b);
+    assert.strictEqual(communities.e, communities.f);
+});
+
+test("centrality: PageRank sums to one and progress reaches 1", () => {
+    const g = graphOf(["a", "b", "c"], [["a", "b"], ["b", "c"]], true);
+    const seen = [];
+    const { metrics } = Analytics.computeCentrality(g, { onProgress: v => seen.push(v) });
+    const total = Object.values(metrics).reduce((acc, m) => acc + m.pagerank, 0);
+    assert.ok(Math.abs(total - 1) < 1e-9, "pagerank total " + total);
+    assert.ok(seen.length > 0);
+    assert.strictEqual(seen[seen.length - 1], 1);
+    assert.ok(seen.every((v, i) => i === 0 || v >= seen[i - 1]), "progress is monotonic");
+});
+
+test("graph stats: components, diameter and average path length", () => {
+    // path a-b-c-d plus isolated z
+    const g = graphOf(["a", "b", "c", "d", "z"], [["a", "b"], ["b", "c"], ["c", "d"]]);
+    const stats = Analytics.computeGraphStats(g);
+    assert.strictEqual(stats.nodeCount, 5);
+    assert.strictEqual(stats.edgeCount, 3);
+    assert.strictEqual(stats.components, 2);
+    assert.strictEqual(stats.isolated, 1);
+    assert.strictEqual(stats.diameter, 3);
+    assert.strictEqual(stats.avgPathLength, Number((20 / 12).toFixed(3)));
+});
+
+test("graph stats: distance stats are skipped above the size cap", () => {
+    const ids = [];
+    for (let i = 0; i <= Analytics.MAX_DISTANCE_STATS_NODES; i++) ids.push("n" + i);
+    const stats = Analytics.computeGraphStats(graphOf(ids, []));
+    assert.strictEqual(stats.diameter, null);
+    assert.strictEqual(stats.avgPathLength, null);
+});
+
+test("buildAdjacency honours per-edge direction and weights", () => {
+    const g = graphOf(["a", "b"], [["a", "b"]], true);
+    g.edges[0].weight = 3;
+    const directed = Analytics.buildAdjacency(g, { directed: true, weighted: true });
+    assert.deepStrictEqual(directed.a, [{ to: "b", id: "e0", weight: 3 }]);
+    assert.deepStrictEqual(directed.b, []);
+    const undirected = Analytics.buildAdjacency(g, { directed: false });
+    assert.strictEqual(undirected.b[0].to, "a");
+    assert.strictEqual(undirected.b[0].weight, 1);
+});
+
+// Ring of `k` cliques of size `size`, neighbouring cliques joined by one edge.
+function ringOfCliques(k, size) {
+    const ids = [], pairs = [];
+    for (let c = 0; c < k; c++) {
+        for (let i = 0; i < size; i++) {
+            ids.push(`c${c}n${i}`);
+            for (let j = 0; j < i; j++) pairs.push([`c${c}n${i}`, `c${c}n${j}`]);
+        }
+        pairs.push([`c${c}n0`, `c${(c + 1) % k}n1`]);
+    }
+    return graphOf(ids, pairs);
+}
+
+test("communities: Louvain and Leiden recover a ring of cliques", () => {
+    const g = ringOfCliques(6, 5);
+    ["louvain", "leiden"].forEach(method => {
+        const result = Analytics.detectCommunities(g, { method, seed: 7 });
+        assert.strictEqual(result.count, 6, method);
+        for (let c = 0; c < 6; c++) {
+            const labels = new Set([0, 1, 2, 3, 4].map(i => result.communities[`c${c}n${i}`]));
+            assert.strictEqual(labels.size, 1, `${method}: clique ${c} is split`);
+        }
+        assert.ok(Math.abs(result.modularity - Analytics.computeModularity(g, result.communities)) < 1e-12);
+        assert.ok(result.modularity > 0.7, `${method} Q=${result.modularity}`);
+    });
+});
+
+test("communities: the same seed gives the same partition, resolution controls granularity", () => {
+    const g = ringOfCliques(8, 4);
+    const a = Analytics.detectCommunities(g, { seed: 42 });
+    const b = Analytics.detectCommunities(g, { seed: 42 });
+    assert.deepStrictEqual(a.communities, b.communities);
+    const coarse = Analytics.detectCommunities(g, { seed: 42, resolution: 0.05 });
+    const fine = Analytics.detectCommunities(g, { seed: 42, resolution: 20 });
+    assert.ok(coarse.count < a.count, `coarse ${coarse.count} vs ${a.count}`);
+    assert.ok(fine.count > a.count, `fine ${fine.count} vs ${a.count}`);
+});
+
+test("modularity of two joined triangles and the community summary", () => {
+    const g = graphOf(["a", "b", "c", "d", "e", "f"], [
+        ["a", "b"], ["b", "c"], ["c", "a"], ["d", "e"], ["e", "f"], ["f", "d"], ["c", "d"]
+    ]);
+    const split = { a: 0, b: 0, c: 0, d: 1, e: 1, f: 1 };
+    // in_c = 6, tot_c = 7, 2m = 14 → Q = 2 · (6/14 − (7/14)²) = 5/14
+    assert.ok(Math.abs(Analytics.computeModularity(g, split) - 5 / 14) < 1e-12);
+    assert.deepStrictEqual(Analytics.communitySummary(g, split), [
+        { community: 0, size: 3, internal: 3, external: 1 },
+        { community: 1, size: 3, internal: 3, external: 1 }
+    ]);
+});
+
+test("kShortestPaths lists loopless alternatives cheapest first", () => {
+    // a-b-d = 2, a-c-d = 3, a-c-b-d = 3, a-b-c-d = 4, a-d = 5
+    const g = graphOf(["a", "b", "c", "d"], [["a", "b"], ["b", "d"], ["a", "c"], ["c", "d"], ["b", "c"], ["a", "d"]]);
+    [1, 1, 1, 2, 1, 5].forEach((w, i) => { g.edges[i].weight = w; });
+    const paths = Analytics.kShortestPaths(g, "a", "d", { k: 10, directed: false });
+    assert.deepStrictEqual(paths.map(p => p.cost), [2, 3, 3, 4, 5]);
+    assert.deepStrictEqual(paths[0].nodes, ["a", "b", "d"]);
+    assert.deepStrictEqual(paths[0].edges, ["e0", "e1"]);
+    paths.forEach(p => assert.strictEqual(new Set(p.nodes).size, p.nodes.length, "path revisits a node"));
+    assert.strictEqual(new Set(paths.map(p => p.edges.join())).size, paths.length);
+    assert.strictEqual(Analytics.kShortestPaths(g, "a", "d", { k: 2, directed: false }).length, 2);
+    assert.deepStrictEqual(Analytics.kShortestPaths(graphOf(["a", "b"], []), "a", "b"), []);
+});
+
+test("disjointPaths counts edge- and node-disjoint connections", () => {
+    // Bowtie: two routes from s meet at x and fan out again to t.
+    const g = graphOf(["s", "p", "q", "x", "r", "u", "t"], [
+        ["s", "p"], ["s", "q"], ["p", "x"], ["q", "x"], ["x", "r"], ["x", "u"], ["r", "t"], ["u", "t"]
+    ]);
+    const result = Analytics.disjointPaths(g, "s", "t", { directed: false });
+    assert.strictEqual(result.edgeDisjoint.count, 2);
+    assert.strictEqual(result.nodeDisjoint.count, 1, "every route runs through x");
+    assert.strictEqual(result.edgeDisjoint.paths.length, 2);
+    const used = result.edgeDisjoint.paths.flatMap(p => p.edges);
+    assert.strictEqual(new Set(used).size, used.length, "paths share an edge");
+    result.edgeDisjoint.paths.forEach(p => {
+        assert.strictEqual(p.nodes[0], "s");
+        assert.strictEqual(p.nodes[p.nodes.length - 1], "t");
+        assert.strictEqual(p.edges.length, p.nodes.length - 1);
+    });
+    assert.deepStrictEqual(result.nodeDisjoint.paths[0].nodes.filter(n => n === "x"), ["x"]);
+    // Direction matters: reversing one edge on each route cuts them all.
+    const directed = graphOf(["s", "a", "b", "t"], [["s", "a"], ["a", "t"], ["s", "b"], ["t", "b"]], true);
+    assert.strictEqual(Analytics.disjointPaths(directed, "s", "t").edgeDisjoint.count, 1);
+    assert.strictEqual(Analytics.disjointPaths(directed, "s", "t", { directed: false }).nodeDisjoint.count, 2);
+});
+
+test("minCut: weights are capacities, vertex cut finds the choke point", () => {
+    // s fans out to a and b (heavy), both feed x (light), x -> t
+    const g = graphOf(["s", "a", "b", "x", "t"], [["s", "a"], ["s", "b"], ["a", "x"], ["b", "x"], ["x", "t"]]);
+    [5, 5, 1, 2, 10].forEach((w, i) => { g.edges[i].weight = w; });
+    const { edgeCut, vertexCut } = Analytics.minCut(g, "s", "t", { directed: false });
+    assert.strictEqual(edgeCut.value, 3);
+    assert.deepStrictEqual(edgeCut.edges.sort(), ["e2", "e3"]);
+    assert.strictEqual(vertexCut.size, 1);
+    assert.deepStrictEqual(vertexCut.nodes, ["x"]);
+    const unweighted = Analytics.minCut(g, "s", "t", { directed: false, weighted: false });
+    assert.deepStrictEqual(unweighted.edgeCut.edges, ["e4"]);
+    // Adjacent endpoints have no vertex cut; following direction can leave nothing to cut.
+    assert.strictEqual(Analytics.minCut(g, "x", "t", { directed: false }).vertexCut, null);
+    const oneWay = graphOf(["s", "t"], [["t", "s"]], true);
+    assert.deepStrictEqual(Analytics.minCut(oneWay, "s", "t").edgeCut, { value: 0, edges: [] });
+});
+
+test("biconnectivity: articulation points, bridges and blocks", () => {
+    // triangle a-b-c, bridge c-d, triangle d-e-f sharing d with pendant g; z isolated
+    const g = graphOf(["a", "b", "c", "d", "e", "f", "g", "z"], [
+        ["a", "b"], ["b", "c"], ["c", "a"], ["c", "d"], ["d", "e"], ["e", "f"], ["f", "d"], ["d", "g"]
+    ]);
+    const result = Analytics.computeBiconnectivity(g);
+    assert.deepStrictEqual(result.articulationPoints, { c: 1, d: 2 });
+    assert.deepStrictEqual(result.bridges.sort(), ["e3", "e7"]);
+    assert.strictEqual(result.components.length, 4);
+    assert.strictEqual(result.components[0].nodes.length, 3);
+    assert.deepStrictEqual(result.components.map(b => b.edges.length).sort(), [1, 1, 3, 3]);
+    // A parallel edge is not a bridge.
+    const doubled = graphOf(["a", "b"], [["a", "b"], ["b", "a"]]);
+    assert.deepStrictEqual(Analytics.computeBiconnectivity(doubled).bridges, []);
+
+    const stats = Analytics.computeGraphStats(g);
+    assert.strictEqual(stats.articulationPoints, 2);
+    assert.strictEqual(stats.bridges, 2);
+    assert.strictEqual(stats.biconnectedComponents, 4);
+    const { metrics } = Analytics.computeCentrality(g);
+    assert.strictEqual(metrics.d.articulation, 2);
+    assert.strictEqual(metrics.d.bridges, 2);
+    assert.strictEqual(metrics.a.articulation, 0);
+});
+
+test("biconnectivity survives a long chain without recursion", () => {
+    const ids = [], pairs = [];
+    for (let i = 0; i < 20000; i++) {
+        ids.push("n" + i);
+        if (i) pairs.push(["n" + (i - 1), "n" + i]);
+    }
+    const result = Analytics.computeBiconnectivity(graphOf(ids, pairs));
+    assert.strictEqual(result.bridges.length, 19999);
+    assert.strictEqual(Object.keys(result.articulationPoints).length, 19998);
+});
+
+test("directed structure: SCCs, concrete cycles, condensation and topological order", () => {
+    // a→b→c→a cycle feeding d→e, with e→d back: two SCCs plus a sink f
+    const g = graphOf(["a", "b", "c", "d", "e", "f"], [
+        ["a", "b"], ["b", "c"], ["c", "a"], ["c", "d"], ["d", "e"], ["e", "d"], ["e", "f"]
+    ], true);
+    const result = Analytics.computeDirectedStructure(g);
+    assert.deepStrictEqual(result.components.map(c => c.slice().sort()), [["a", "b", "c"], ["d", "e"], ["f"]]);
+    assert.strictEqual(result.componentOf.b, 0);
+    assert.strictEqual(result.topologicalOrder, null);
+    assert.strictEqual(result.cycleCount, 2);
+    result.cycles.forEach(cycle => {
+        assert.strictEqual(cycle.edges.length, cycle.nodes.length);
+        cycle.edges.forEach((id, i) => {
+            const e = g.edges.find(x => x.id === id);
+            assert.strictEqual(e.source, cycle.nodes[i]);
+            assert.strictEqual(e.target, cycle.nodes[(i + 1) % cycle.nodes.length]);
+        });
+    });
+    assert.deepStrictEqual(result.condensation.map(l => [l.source, l.target, l.edges]), [[0, 1, ["e3"]], [1, 2, ["e6"]]]);
+
+    const dag = graphOf(["x", "y", "z", "w"], [["y", "z"], ["x", "y"], ["x", "w"], ["w", "z"]], true);
+    const order = Analytics.computeDirectedStructure(dag).topologicalOrder;
+    assert.ok(order, "a DAG has a topological order");
+    dag.edges.forEach(e => assert.ok(order.indexOf(e.source) < order.indexOf(e.target), e.id));
+    // An undirected edge ties its ends into one SCC without being a cycle.
+    const mixed = graphOf(["p", "q"], [["p", "q"]], false);
+    const m = Analytics.computeDirectedStructure(mixed);
+    assert.strictEqual(m.components.length, 1);
+    assert.strictEqual(m.cycleCount, 0);
+    const loop = graphOf(["s"], [["s", "s"]], true);
+    assert.deepStrictEqual(Analytics.computeDirectedStructure(loop).cycles, [{ nodes: ["s"], edges: ["e0"] }]);
+});
+
+test("centrality: eigenvector, Katz, HITS, harmonic and k-core", () => {
+    // K4 on a-d with a tail d-e; the hub h points at a, b and c
+    const g = graphOf(["a", "b", "c", "d", "e", "h"], [
+        ["a", "b"], ["a", "c"], ["a", "d"], ["b", "c"], ["b", "d"], ["c", "d"], ["d", "e"]
+    ]);
+    ["a", "b", "c"].forEach((t, i) => g.edges.push({ id: "h" + i, source: "h", target: t, directed: true }));
+    const { metrics } = Analytics.computeCentrality(g);
+    assert.deepStrictEqual(["a", "d", "e", "h"].map(id => metrics[id].kcore), [3, 3, 1, 3]);
+    const top = key => Object.keys(metrics).sort((p, q) => metrics[q][key] - metrics[p][key])[0];
+    assert.strictEqual(top("eigenvector"), "d");
+    assert.strictEqual(metrics.h.authority, 0, "nothing points at h");
+    assert.ok(metrics.h.hub > 0);
+    const sumSq = Object.values(metrics).reduce((acc, m) => acc + m.katz * m.katz, 0);
+    assert.ok(Math.abs(sumSq - 1) < 1e-9, "Katz has unit length");
+
+    // Harmonic closeness follows direction and uses weights as lengths.
+    const chain = graphOf(["a", "b", "c"], [["a", "b"], ["b", "c"]], true);
+    chain.edges[0].weight = 2;
+    const h = Analytics.computeCentrality(chain).metrics;
+    assert.ok(Math.abs(h.a.harmonic - (1 / 2 + 1 / 3) / 2) < 1e-12);
+    assert.strictEqual(h.b.harmonic, 0.5);
+    assert.strictEqual(h.c.harmonic, 0);
+});
+
+test("predictLinks scores unlinked pairs by shared neighbours", () => {
+    // a and b share c and d; a and e share only the hub h (degree 4)
+    const g = graphOf(["a", "b", "c", "d", "e", "h"], [
+        ["a", "c"], ["b", "c"], ["a", "d"], ["b", "d"], ["a", "h"], ["e", "h"], ["b", "h"], ["c", "h"]
+    ]);
+    const top = Analytics.predictLinks(g, { method: "commonNeighbors", limit: 3 });
+    assert.deepStrictEqual([top[0].source, top[0].target], ["a", "b"]);
+    assert.deepStrictEqual(top[0].common.sort(), ["c", "d", "h"]);
+    const ab = top[0].scores;
+    assert.strictEqual(ab.commonNeighbors, 3);
+    assert.strictEqual(ab.jaccard, 1);
+    // c has degree 3, d degree 2, h degree 4
+    assert.ok(Math.abs(ab.adamicAdar - (1 / Math.log(3) + 1 / Math.log(2) + 1 / Math.log(4))) < 1e-12);
+    assert.ok(Math.abs(ab.resourceAllocation - (1 / 3 + 1 / 2 + 1 / 4)) < 1e-12);
+    const all = Analytics.predictLinks(g, { limit: 100 });
+    all.forEach(p => assert.ok(!g.edges.some(e => (e.source === p.source && e.target === p.target) || (e.source === p.target && e.target === p.source)), "suggested an existing link"));
+    for (let i = 1; i < all.length; i++) assert.ok(all[i - 1].score >= all[i].score);
+    const rest = Analytics.predictLinks(g, { method: "commonNeighbors", exclude: new Set(["a|b"]) });
+    assert.ok(!rest.some(p => p.source === "a" && p.target === "b"));
+});
+
+test("findDuplicates pairs same-type entities by normalized name and shared neighbours", () => {
+    const E = require("../static/entities.js");
+    const entity = (id, entityType, value) => ({ id, entityType, value, label: value });
+    const g = {
+        nodes: {
+            o1: entity("o1", "organization", "ACME Corp"),
+            o2: entity("o2", "organization", "Acme Corporation"),
+            o3: entity("o3", "organization", "acme.com"),
+            o4: entity("o4", "organization", "Globex"),
+            d1: entity("d1", "domain", "acme.com"),
+            p1: entity("p1", "person", "Jon Smith"),
+            p2: entity("p2", "person", "John Smith"),
+            x: entity("x", "person", "Wile E. Coyote")
+        },
+        edges: [
+            { id: "e1", source: "p1", target: "x" },
+            { id: "e2", source: "p2", target: "x" }
+        ]
+    };
+    const pairs = Analytics.findDuplicates(g, { normalize: E.normalizeEntityValue });
+    const keys = pairs.map(p => p.a + "|" + p.b);
+    ["o1|o2", "o1|o3", "o2|o3", "p1|p2"].forEach(k => assert.ok(keys.includes(k), "missing " + k));
+    assert.ok(!keys.some(k => k.includes("d1")), "different types never pair");
+    assert.ok(!keys.some(k => k.includes("o4")));
+    const people = pairs.find(p => p.a === "p1");
+    assert.ok(!people.exact && people.name < 1);
+    assert.strictEqual(people.neighbours, 1);
+    assert.deepStrictEqual(people.shared, ["x"]);
+    assert.ok(Math.abs(people.score - (0.8 * people.name + 0.2)) < 1e-12);
+    const acme = pairs.find(p => p.a === "o1" && p.b === "o2");
+    assert.ok(acme.exact && Math.abs(acme.score - 0.8) < 1e-12);
+    for (let i = 1; i < pairs.length; i++) assert.ok(pairs[i - 1].score >= pairs[i].score);
+
+    // Shared neighbours lift the near-miss people above the exact-name firms.
+    assert.deepStrictEqual(keys[0], "p1|p2");
+    const rest = Analytics.findDuplicates(g, { normalize: E.normalizeEntityValue, exclude: new Set(["o1|o2"]) });
+    assert.ok(!rest.some(p => p.a === "o1" && p.b === "o2"));
+    assert.strictEqual(rest.length, pairs.length - 1);
+});
+
+test("diffGraphs reports added, removed and changed items but ignores positions and metrics", () => {
+    const before = {
+        nodes: {
+            a: { id: "a", label: "A", x: 0, y: 0, properties: { city: "Oslo", tag: "x" }, metrics: { degree: 1 } },
+            b: { id: "b", label: "B", x: 10, y: 0 },
+            gone: { id: "gone", label: "Gone" }
+        },
+        edges: [
+            { id: "e1", source: "a", target: "b", label: "", points: [{ x: 1, y: 1 }] },
+            { id: "e2", source: "a", target: "gone" }
+        ]
+    };
+    const after = {
+        nodes: {
+            a: { id: "a", label: "A", x: 500, y: 80, properties: { city: "Bergen", tag: "x", phone: "1" }, metrics: { degree: 2 }, community: 3 },
+            b: { id: "b", label: "B", x: 10, y: 0, pinned: true },
+            fresh: { id: "fresh", label: "New" }
+        },
+        edges: [
+            { id: "e1", source: "a", target: "b", label: "knows" },
+            { id: "e3", source: "a", target: "fresh" }
+        ]
+    };
+    const changes = Analytics.diffGraphs(before, after);
+    assert.deepStrictEqual(changes.map(c => `${c.kind}:${c.id}:${c.change}`), [
+        "node:a:changed", "node:fresh:added", "node:gone:removed",
+        "edge:e1:changed", "edge:e2:removed", "edge:e3:added"
+    ]);
+    assert.deepStrictEqual(changes[0].fields, [
+        { key: "properties.city", before: "Oslo", after: "Bergen" },
+        { key: "properties.phone", before: undefined, after: "1" }
+    ]);
+    assert.deepStrictEqual(changes[3].fields, [
+        { key: "label", before: "", after: "knows" },
+        { key: "points", before: [{ x: 1, y: 1 }], after: undefined }
+    ]);
+    assert.deepStrictEqual(Analytics.diffGraphs(after, after), []);
+});
+
+test("diffGraphs reports layer, box, width, bend-point and port edits", () => {
+    const before = {
+        nodes: { a: { id: "a", label: "A", layer: "l1", box: null, x: 0 }, b: { id: "b", label: "B", box: null } },
+        edges: [{ id: "e1", source: "a", target: "a", width: 2 }]
+    };
+    before.edges.push({ id: "e2", source: "a", target: "b", sourcePort: "right" });
+    const after = {
+        nodes: { a: { id: "a", label: "A", layer: "l2", box: "b1", x: 90 }, b: { id: "b", label: "B" } },
+        edges: [{ id: "e1", source: "a", target: "a", width: 5 }]
+    };
+    after.edges.push({ id: "e2", source: "a", target: "b", sourcePort: "top", points: [{ x: 5, y: 5 }] });
+    const changes = Analytics.diffGraphs(before, after);
+    assert.deepStrictEqual(changes[0].fields.map(f => f.key), ["layer", "box"]);
+    assert.deepStrictEqual(changes[1].fields, [{ key: "width", before: 2, after: 5 }]);
+    assert.deepStrictEqual(changes[2].fields.map(f => f.key), ["sourcePort", "points"]);
+});
@@ -49,3 +49,20 @@ test("all entity ids are unique and shapes are valid", () => {
     const shapes = new Set(["circle", "rect", "rounded", "diamond", "cylinder", "swimlane"]);
     E.listEntityTypes().forEach(t => assert.ok(shapes.has(t.shape), "bad shape: " + t.id));
 });
+
+test("normalizeEntityValue canonicalizes per type for duplicate detection", () => {
+    const n = E.normalizeEntityValue;
+    assert.strictEqual(n("organization", "ACME Corp"), "acme");
+    assert.strictEqual(n("organization", "Acme Corporation"), "acme");
+    assert.strictEqual(n("organization", "acme.com"), "acme");
+    assert.strictEqual(n("organization", "acme.co.uk"), "acme");
+    assert.strictEqual(n("email", "John.Doe+news@GoogleMail.com"), "johndoe@gmail.com");
+    assert.strictEqual(n("email", "j.doe+x@example.com"), "j.doe@example.com");
+    assert.strictEqual(n("domain", "https://www.Example.com./about"), "example.com");
+    assert.strictEqual(n("url", "HTTP://www.example.com/a/?q=1"), "example.com/a");
+    assert.strictEqual(n("phone", "+44 (20) 7946-0000"), n("phone", "0044 20 7946 0000"));
+    assert.strictEqual(n("ipv4", "010.0.0.001"), "10.0.0.1");
+    assert.strictEqual(n("person", "Doe, John"), n("person", "john  doe"));
+    assert.strictEqual(n("generic", "  Foo   Bar "), "foo bar");
+    assert.strictEqual(n("email", ""), "");
+});
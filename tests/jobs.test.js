@@ -0,0 +1,96 @@
+// Unit tests for the client-side job queue (run with `node --test`).
+const test = require("node:test");
+const assert = require("node:assert");
+const Jobs = require("../static/jobs.js");
+
+// A run() whose promises the test settles by hand.
+function controlled() {
+    const pending = new Map();
+    return {
+        run: job => new Promise((resolve, reject) => pending.set(job.payload, { resolve, reject })),
+        settle(payload, error, value) {
+            const p = pending.get(payload);
+            pending.delete(payload);
+            if (error) p.reject(new Error(error)); else p.resolve(value);
+        },
+        started: () => [...pending.keys()]
+    };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test("job queue respects the concurrency limit and reports idle", async () => {
+    const work = controlled();
+    let idle = 0;
+    const queue = Jobs.createJobQueue({ run: work.run, concurrency: 2, onIdle: () => { idle += 1; } });
+    ["a", "b", "c"].forEach(p => queue.add(p));
+    await tick();
+    assert.deepStrictEqual(work.started(), ["a", "b"]);
+    assert.deepStrictEqual(queue.counts(), { pending: 1, running: 2, done: 0, failed: 0, cancelled: 0 });
+    work.settle("a", null, 1);
+    await tick();
+    assert.deepStrictEqual(work.started(), ["b", "c"]);
+    work.settle("b", "nope");
+    work.settle("c", null, 3);
+    await tick();
+    const [a, b, c] = queue.jobs();
+    assert.strictEqual(a.status, "done");
+    assert.strictEqual(a.result, 1);
+    assert.strictEqual(b.status, "failed");
+    assert.strictEqual(b.error, "nope");
+    assert.strictEqual(c.result, 3);
+    assert.strictEqual(idle, 1);
+    assert.ok(!queue.busy);
+});
+
+test("job queue retries failures and discards cancelled outcomes", async () => {
+    const work = controlled();
+    const seen = [];
+    const queue = Jobs.createJobQueue({ run: work.run, concurrency: 1, onChange: job => seen.push(job.payload + ":" + job.status) });
+    const a = queue.add("a");
+    const b = queue.add("b");
+    await tick();
+    assert.ok(queue.cancel(b.id), "pending job cancels");
+    assert.ok(queue.cancel(a.id), "running job cancels");
+    work.settle("a", null, "late");
+    await tick();
+    assert.strictEqual(a.status, "cancelled");
+    assert.strictEqual(a.result, null);
+    assert.deepStrictEqual(work.started(), [], "cancelled pending job never runs");
+
+    assert.ok(queue.retry(b.id));
+    await tick();
+    work.settle("b", null, "ok");
+    await tick();
+    assert.strictEqual(b.status, "done");
+    assert.strictEqual(b.attempts, 1);
+    assert.ok(!queue.retry(b.id), "done jobs are not retried");
+    assert.deepStrictEqual(seen, ["a:pending", "a:running", "b:pending", "b:cancelled", "a:cancelled", "b:pending", "b:running", "b:done"]);
+    queue.clearFinished();
+    assert.strictEqual(queue.jobs().length, 0);
+});
+
+test("undo batch shares one snapshot until something else touches history or the graph", () => {
+    const undoStack = [];
+    let revision = 0;
+    const edit = () => { undoStack.push("edit"); revision += 1; };
+    const batch = Jobs.createUndoBatch({
+        depth: () => undoStack.length,
+        revision: () => revision,
+        snapshot: () => { undoStack.push("batch"); revision += 1; }
+    });
+    const merge = () => { batch.beforeMerge(); revision += 1; batch.afterMerge(); };
+    merge();
+    merge();
+    assert.deepStrictEqual(undoStack, ["batch"]);
+    undoStack.pop(); revision += 1; // undo mid-burst
+    merge();
+    assert.deepStrictEqual(undoStack, ["batch"], "merges after an undo get a fresh snapshot");
+    edit();
+    merge();
+    assert.deepStrictEqual(undoStack, ["batch", "edit", "batch"], "a user edit keeps its own step");
+    undoStack.pop(); undoStack.push("edit-2"); revision += 1; // undo, then an edit at the same depth
+    merge();
+    assert.strictEqual(undoStack.length, 4);
+    assert.strictEqual(batch.snapshots(), 4);
+});
@@ -48,3 +48,248 @@ test("circle layout is deterministic / headless-safe", () => {
     assert.doesNotThrow(() => Layout.apply("circle", s, { cx: 0, cy: 0 }));
     Object.values(s.nodes).forEach(n => assert.ok(Number.isFinite(n.x) && Number.isFinite(n.y)));
 });
+
+test("stress layout is deterministic regardless of starting positions", () => {
+    const build = offset => {
+        const nodes = {}; const edges = [];
+        for (let i = 0; i < 12; i++) nodes["n" + i] = { id: "n" + i, x: i * offset, y: -i * offset, size: 20 };
+        for (let i = 0; i < 12; i++) edges.push({ source: "n" + i, target: "n" + ((i + 1) % 12) });
+        edges.push({ source: "n0", target: "n6" });
+        return { nodes, edges, boxes: {}, view: { scale: 1, tx: 0, ty: 0 } };
+    };
+    const a = build(3), b = build(-17);
+    Layout.apply("stress", a, {});
+    Layout.apply("stress", b, {});
+    Object.keys(a.nodes).forEach(id => {
+        assert.ok(Number.isFinite(a.nodes[id].x) && Number.isFinite(a.nodes[id].y));
+        assert.strictEqual(a.nodes[id].x, b.nodes[id].x);
+        assert.strictEqual(a.nodes[id].y, b.nodes[id].y);
+    });
+});
+
+test("stress layout tracks graph distance and keeps pinned nodes fixed", () => {
+    const nodes = {}; const edges = [];
+    for (let i = 0; i < 6; i++) nodes["n" + i] = { id: "n" + i, x: 0, y: 0, size: 20 };
+    for (let i = 1; i < 6; i++) edges.push({ source: "n" + (i - 1), target: "n" + i });
+    nodes.n0.pinned = true; nodes.n0.x = 40; nodes.n0.y = 60;
+    const s = { nodes, edges, boxes: {}, view: { scale: 1, tx: 0, ty: 0 } };
+    Layout.apply("stress", s, {});
+    assert.strictEqual(s.nodes.n0.x, 40);
+    assert.strictEqual(s.nodes.n0.y, 60);
+    const d = (p, q) => Math.hypot(s.nodes[p].x - s.nodes[q].x, s.nodes[p].y - s.nodes[q].y);
+    assert.ok(d("n0", "n5") > d("n0", "n2"), "far nodes should be drawn farther apart");
+    assert.ok(d("n0", "n2") > d("n0", "n1"));
+});
+
+test("stress layout moves boxes together with their children", () => {
+    const s = {
+        nodes: {
+            a: { id: "a", x: 10, y: 10, size: 20, box: "b1" },
+            c: { id: "c", x: 0, y: 0, size: 20 }
+        },
+        edges: [{ source: "a", target: "c" }],
+        boxes: { b1: { id: "b1", x: 0, y: 0, width: 100, height: 80, nodes: ["a"] } },
+        view: { scale: 1, tx: 0, ty: 0 }
+    };
+    Layout.apply("stress", s, {});
+    assert.strictEqual(s.nodes.a.x - s.boxes.b1.x, 10);
+    assert.strictEqual(s.nodes.a.y - s.boxes.b1.y, 10);
+});
+
+test("layered layout removes crossings and puts each edge one layer down", () => {
+    // a->d and b->c in this node order would cross in a naive placement.
+    const nodes = {};
+    ["a", "b", "c", "d"].forEach(id => { nodes[id] = { id, x: 0, y: 0, size: 20 }; });
+    const edges = [{ source: "a", target: "d" }, { source: "b", target: "c" }, { source: "a", target: "c" }];
+    const s = { nodes, edges, boxes: {}, view: { scale: 1, tx: 0, ty: 0 } };
+    Layout.apply("layered", s, {});
+    assert.ok(s.nodes.a.y < s.nodes.c.y && s.nodes.b.y < s.nodes.d.y);
+    const crosses = (e1, e2) =>
+        Math.sign(s.nodes[e1.source].x - s.nodes[e2.source].x) !== Math.sign(s.nodes[e1.target].x - s.nodes[e2.target].x);
+    assert.ok(!crosses(edges[0], edges[1]), "a->d and b->c should not cross");
+});
+
+test("layered layout adds bend points for long edges and honours left-right orientation", () => {
+    const nodes = {};
+    ["a", "b", "c", "d"].forEach(id => { nodes[id] = { id, x: 0, y: 0, size: 20 }; });
+    const edges = [
+        { source: "a", target: "b" }, { source: "b", target: "c" },
+        { source: "c", target: "a" }, { source: "a", target: "d" }, { source: "b", target: "d" }
+    ];
+    const s = { nodes, edges, boxes: {}, view: { scale: 1, tx: 0, ty: 0 } };
+    Layout.apply("layered", s, { direction: "LR" });
+    assert.ok(s.nodes.a.x < s.nodes.b.x && s.nodes.b.x < s.nodes.c.x, "layers should advance left to right");
+    const back = edges[2];
+    assert.ok(Array.isArray(back.points) && back.points.length === 1, "reversed long edge gets one bend");
+    assert.ok(back.points[0].x > s.nodes.a.x && back.points[0].x < s.nodes.c.x);
+    assert.strictEqual(edges[0].points, undefined);
+
+    Layout.apply("grid", s, {});
+    assert.strictEqual(back.points, undefined, "other layouts clear stale bend points");
+});
+
+test("layered layout gives no bend points to edges with a pinned end", () => {
+    const nodes = {};
+    ["a", "b", "c"].forEach(id => { nodes[id] = { id, x: 0, y: 0, size: 20 }; });
+    nodes.p = { id: "p", x: 3000, y: 3000, size: 20, pinned: true };
+    const edges = [
+        { source: "a", target: "b" }, { source: "b", target: "c" }, { source: "c", target: "p" },
+        { source: "a", target: "c" }, { source: "a", target: "p", points: [{ x: 1, y: 1 }] }
+    ];
+    const s = { nodes, edges, boxes: {}, view: { scale: 1, tx: 0, ty: 0 } };
+    Layout.apply("layered", s, {});
+    assert.deepStrictEqual([s.nodes.p.x, s.nodes.p.y], [3000, 3000]);
+    assert.ok(Array.isArray(edges[3].points), "free long edge still gets bends");
+    assert.strictEqual(edges[4].points, undefined, "pinned edge keeps no stale or slot-based bends");
+});
+
+test("compound layout fits each box around its members and keeps boxes apart", () => {
+    const nodes = {}; const edges = []; const boxes = {};
+    ["b1", "b2"].forEach(b => {
+        boxes[b] = { id: b, x: 0, y: 0, width: 50, height: 50, nodes: [] };
+        for (let i = 0; i < 4; i++) {
+            const id = b + "-" + i;
+            nodes[id] = { id, x: i, y: 0, size: 20, box: b };
+            boxes[b].nodes.push(id);
+        }
+    });
+    edges.push({ source: "b1-0", target: "b2-0" }, { source: "b1-1", target: "b2-1" });
+    const s = { nodes, edges, boxes, view: { scale: 1, tx: 0, ty: 0 } };
+    Layout.apply("compound", s, {});
+    Object.values(boxes).forEach(b => {
+        b.nodes.forEach(id => {
+            const n = nodes[id];
+            assert.ok(n.x - 20 >= b.x && n.x + 20 <= b.x + b.width, "node " + id + " outside box horizontally");
+            assert.ok(n.y - 20 >= b.y && n.y + 20 <= b.y + b.height, "node " + id + " outside box vertically");
+        });
+    });
+    const [a, c] = [boxes.b1, boxes.b2];
+    const apart = a.x + a.width <= c.x || c.x + c.width <= a.x || a.y + a.height <= c.y || c.y + c.height <= a.y;
+    assert.ok(apart, "boxes should not overlap");
+});
+
+test("compound layout never moves a pinned box member", () => {
+    const nodes = {}; const edges = []; const boxes = {};
+    ["b1", "b2"].forEach(b => {
+        boxes[b] = { id: b, x: 0, y: 0, width: 50, height: 50, nodes: [] };
+        for (let i = 0; i < 3; i++) {
+            const id = b + "-" + i;
+            nodes[id] = { id, x: i * 10, y: 0, size: 20, box: b };
+            boxes[b].nodes.push(id);
+        }
+    });
+    Object.assign(nodes["b1-1"], { x: 1000, y: 500, pinned: true });
+    edges.push({ source: "b1-0", target: "b2-0" });
+    const s = { nodes, edges, boxes, view: { scale: 1, tx: 0, ty: 0 } };
+    Layout.apply("compound", s, {});
+    assert.deepStrictEqual([nodes["b1-1"].x, nodes["b1-1"].y], [1000, 500]);
+    const b1 = boxes.b1;
+    b1.nodes.forEach(id => {
+        const n = nodes[id];
+        assert.ok(n.x - 20 >= b1.x && n.x + 20 <= b1.x + b1.width, "node " + id + " outside box horizontally");
+        assert.ok(n.y - 20 >= b1.y && n.y + 20 <= b1.y + b1.height, "node " + id + " outside box vertically");
+    });
+});
+
+test("compound layout keeps free bodies near a pinned anchor", () => {
+    const nodes = {
+        p: { id: "p", x: 3000, y: 3000, size: 20, pinned: true },
+        a: { id: "a", x: 0, y: 0, size: 20 },
+        b: { id: "b", x: 0, y: 0, size: 20 },
+        c: { id: "c", x: 0, y: 0, size: 20 }
+    };
+    const edges = [{ source: "p", target: "a" }, { source: "a", target: "b" }];
+    Layout.apply("compound", { nodes, edges, boxes: {}, view: { scale: 1, tx: 0, ty: 0 } }, {});
+    assert.deepStrictEqual([nodes.p.x, nodes.p.y], [3000, 3000]);
+    ["a", "b", "c"].forEach(id => {
+        const d = Math.hypot(nodes[id].x - 3000, nodes[id].y - 3000);
+        assert.ok(d < 1000, `${id} ended ${Math.round(d)}px from the pinned anchor`);
+    });
+});
+
+test("incremental layout moves only transform results and keeps them apart", () => {
+    const nodes = {}; const edges = [];
+    for (let i = 0; i < 5; i++) nodes["a" + i] = { id: "a" + i, x: i * 200, y: 0, size: 25 };
+    for (let i = 1; i < 5; i++) edges.push({ source: "a" + (i - 1), target: "a" + i });
+    for (let k = 0; k < 6; k++) {
+        const id = "t" + k;
+        nodes[id] = { id, x: 400, y: 0, size: 25, provenance: { source: "transform:to_ip" } };
+        edges.push({ source: "a2", target: id });
+    }
+    const anchors = JSON.stringify([0, 1, 2, 3, 4].map(i => nodes["a" + i]));
+    Layout.apply("incremental", { nodes, edges, boxes: {}, view: { scale: 1, tx: 0, ty: 0 } }, {});
+    assert.strictEqual(JSON.stringify([0, 1, 2, 3, 4].map(i => nodes["a" + i])), anchors, "anchors must not move");
+    const all = Object.values(nodes);
+    for (let i = 0; i < all.length; i++) {
+        for (let j = i + 1; j < all.length; j++) {
+            const d = Math.hypot(all[i].x - all[j].x, all[i].y - all[j].y);
+            assert.ok(d >= 50, all[i].id + " overlaps " + all[j].id);
+        }
+    }
+});
+
+test("incremental layout honours an explicit id set", () => {
+    const nodes = {
+        a: { id: "a", x: 0, y: 0, size: 25 },
+        b: { id: "b", x: 0, y: 0, size: 25 },
+        c: { id: "c", x: 0, y: 0, size: 25, provenance: { source: "transform:x" } }
+    };
+    const edges = [{ source: "a", target: "b" }];
+    Layout.apply("incremental", { nodes, edges, boxes: {}, view: {} }, { newIds: ["b"] });
+    assert.ok(Math.hypot(nodes.b.x, nodes.b.y) > 50, "b should move away from a");
+    assert.strictEqual(nodes.c.x, 0);
+    assert.strictEqual(nodes.a.x, 0);
+});
+
+test("incremental layout leaves older transform results where they were placed", () => {
+    const nodes = {
+        a: { id: "a", x: 0, y: 0, size: 25 },
+        old: { id: "old", x: 400, y: 400, size: 25, provenance: { source: "transform:to_ip", createdAt: 1000 } },
+        fresh: { id: "fresh", x: 0, y: 0, size: 25, provenance: { source: "transform:to_ip", createdAt: 5000 } }
+    };
+    const edges = [{ source: "a", target: "old" }, { source: "a", target: "fresh" }];
+    const s = { nodes, edges, boxes: {}, view: {} };
+    Layout.apply("incremental", s, { since: 5000 });
+    assert.deepStrictEqual([nodes.old.x, nodes.old.y], [400, 400]);
+    assert.ok(Math.hypot(nodes.fresh.x, nodes.fresh.y) > 50, "the new result should settle away from its source");
+    nodes.fresh.x = 0; nodes.fresh.y = 0;
+    Layout.apply("incremental", s, { newIds: ["fresh"] });
+    assert.deepStrictEqual([nodes.old.x, nodes.old.y], [400, 400]);
+});
+
+test("radial layout rings nodes by hop distance around the center", () => {
+    const nodes = {}; const edges = [];
+    for (let i = 0; i < 13; i++) {
+        nodes["n" + i] = { id: "n" + i, x: 0, y: 0, size: 20 };
+        if (i) edges.push({ source: "n" + Math.floor((i - 1) / 3), target: "n" + i });
+    }
+    nodes.lonely = { id: "lonely", x: 0, y: 0, size: 20 };
+    nodes.n0.x = 300; nodes.n0.y = 200;
+    const s = { nodes, edges, boxes: {}, view: { scale: 1, tx: 0, ty: 0 } };
+    Layout.apply("radial", s, { center: "n0", distances: { n0: 0, n1: 1, n2: 1, n3: 1, n4: 2, n5: 2, n6: 2, n7: 2, n8: 2, n9: 2, n10: 2, n11: 2, n12: 2 } });
+    const r = id => Math.hypot(nodes[id].x - 300, nodes[id].y - 200);
+    assert.ok(r("n0") < 1, "center stays put");
+    const ring1 = ["n1", "n2", "n3"].map(r);
+    const ring2 = ["n4", "n8", "n12"].map(r);
+    assert.ok(Math.max(...ring1) < Math.min(...ring2), "hop-2 ring outside hop-1 ring");
+    assert.ok(r("lonely") > Math.max(...ring2), "unreachable nodes go outermost");
+    // children of n1 (n4..n6) sit in n1's wedge: closer to n1 than to n3
+    const d = (a, b) => Math.hypot(nodes[a].x - nodes[b].x, nodes[a].y - nodes[b].y);
+    assert.ok(d("n5", "n1") < d("n5", "n3"));
+});
+
+test("iterative layouts report progress and geometryOf captures the result", () => {
+    const nodes = {}; const edges = [];
+    for (let i = 0; i < 6; i++) {
+        nodes["n" + i] = { id: "n" + i, x: i, y: 0, size: 20 };
+        if (i > 0) edges.push({ id: "e" + i, source: "n" + (i - 1), target: "n" + i });
+    }
+    const s = { nodes, edges, boxes: {}, view: { scale: 1, tx: 0, ty: 0 } };
+    const seen = [];
+    Layout.apply("layered", s, { onProgress: v => seen.push(v) });
+    assert.ok(seen.length > 0, "expected progress callbacks");
+    assert.ok(seen.every(v => v >= 0 && v < 1));
+    const geo = Layout.geometryOf(s);
+    assert.deepStrictEqual(geo.nodes.n3, { x: s.nodes.n3.x, y: s.nodes.n3.y });
+    assert.ok("e1" in geo.edgePoints);
+});
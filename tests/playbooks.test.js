@@ -0,0 +1,70 @@
+// Unit tests for the transform playbook runner (run with `node --test`).
+const test = require("node:test");
+const assert = require("node:assert");
+const Playbooks = require("../static/playbooks.js");
+
+// A fake transform world: each transform maps an entity id to result ids.
+function world(types, results) {
+    const calls = [];
+    return {
+        calls,
+        hooks: {
+            typeOf: id => types[id] || null,
+            runStep: async (step, id) => {
+                calls.push(step.transform + ":" + id);
+                if (results[step.transform] === "boom") throw new Error("boom");
+                return ((results[step.transform] || {})[id] || []).slice(0, step.limit);
+            }
+        }
+    };
+}
+
+test("validatePlaybook names the first problem", () => {
+    assert.strictEqual(Playbooks.validatePlaybook({ name: "ok", steps: [{ transform: "a", next: [{ transform: "b" }] }] }), null);
+    assert.ok(Playbooks.validatePlaybook({ name: "x", steps: [] }));
+    assert.match(Playbooks.validatePlaybook({ name: "x", steps: [{ transform: "a", next: [{}] }] }), /Step 1\.1/);
+    assert.match(Playbooks.validatePlaybook({ name: "x", steps: [{ transform: "zzz" }] }, ["a"]), /unknown transform/);
+});
+
+test("runPlaybook chains steps, filters by type and honours limits", async () => {
+    const { calls, hooks } = world(
+        { d: "domain", s1: "domain", s2: "domain", ip1: "ipv4", ip2: "ipv4", p: "person", asn: "organization" },
+        {
+            subs: { d: ["s1", "s2", "p"] },
+            ip: { s1: ["ip1"], s2: ["ip2", "ip1"] },
+            asn: { ip1: ["asn"], ip2: ["asn"] }
+        }
+    );
+    const pb = {
+        name: "footprint",
+        steps: [{ transform: "subs", next: [{ transform: "ip", types: ["domain"], limit: 1, next: [{ transform: "asn" }] }] }]
+    };
+    const log = [];
+    const summary = await Playbooks.runPlaybook(pb, ["d"], { ...hooks, onLog: line => log.push(line) });
+    // p is not a domain; s2's second IP is trimmed by the limit.
+    assert.deepStrictEqual(calls, ["subs:d", "ip:s1", "ip:s2", "asn:ip1", "asn:ip2"]);
+    assert.deepStrictEqual(summary, { runs: 5, failed: 0, skipped: 1, cancelled: false, capped: false });
+    assert.strictEqual(log.length, 5);
+});
+
+test("runPlaybook repeats a step to its depth and runs each step once per entity", async () => {
+    const { calls, hooks } = world({ a: "domain", b: "domain", c: "domain" }, { subs: { a: ["b"], b: ["c", "a"], c: ["a"] } });
+    await Playbooks.runPlaybook({ name: "deep", steps: [{ transform: "subs", depth: 3 }] }, ["a"], hooks);
+    assert.deepStrictEqual(calls, ["subs:a", "subs:b", "subs:c"]);
+});
+
+test("runPlaybook keeps going after a failure and stops when cancelled or capped", async () => {
+    const { calls, hooks } = world({ a: "domain" }, { bad: "boom", good: { a: [] } });
+    const summary = await Playbooks.runPlaybook({ name: "x", steps: [{ transform: "bad" }, { transform: "good" }] }, ["a"], hooks);
+    assert.deepStrictEqual(calls, ["bad:a", "good:a"]);
+    assert.strictEqual(summary.failed, 1);
+
+    const cancelled = await Playbooks.runPlaybook({ name: "x", steps: [{ transform: "good" }] }, ["a"], { ...hooks, isCancelled: () => true });
+    assert.ok(cancelled.cancelled);
+    assert.strictEqual(cancelled.runs, 0);
+
+    const chain = world({ a: "t", b: "t", c: "t" }, { hop: { a: ["b"], b: ["c"], c: ["a"] } });
+    const capped = await Playbooks.runPlaybook({ name: "x", maxRuns: 2, steps: [{ transform: "hop", depth: 5 }] }, ["a"], chain.hooks);
+    assert.ok(capped.capped);
+    assert.deepStrictEqual(chain.calls, ["hop:a", "hop:b"]);
+});
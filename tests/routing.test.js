@@ -0,0 +1,144 @@
+// Unit tests for the orthogonal edge router (run with `node --test`).
+const test = require("node:test");
+const assert = require("node:assert");
+const Routing = require("../static/routing.js");
+
+function endpoint(x, y, half = 20) {
+    return { x, y, halfWidth: half, halfHeight: half };
+}
+
+function rectOf(id, n) {
+    return { id, x: n.x - n.halfWidth, y: n.y - n.halfHeight, width: n.halfWidth * 2, height: n.halfHeight * 2 };
+}
+
+function assertOrthogonal(points) {
+    for (let i = 0; i + 1 < points.length; i++) {
+        const a = points[i], b = points[i + 1];
+        assert.ok(a.x === b.x || a.y === b.y, `segment ${i} is diagonal`);
+    }
+}
+
+function crosses(points, r) {
+    for (let i = 0; i + 1 < points.length; i++) {
+        const a = points[i], b = points[i + 1];
+        const x1 = Math.min(a.x, b.x), x2 = Math.max(a.x, b.x), y1 = Math.min(a.y, b.y), y2 = Math.max(a.y, b.y);
+        if (x2 > r.x && x1 < r.x + r.width && y2 > r.y && y1 < r.y + r.height) return true;
+    }
+    return false;
+}
+
+test("orthogonal route detours around an obstacle between the endpoints", () => {
+    const a = endpoint(0, 0), b = endpoint(400, 0);
+    const wall = { id: "wall", x: 150, y: -100, width: 100, height: 200 };
+    const points = Routing.orthogonalRoute({
+        source: a, target: b,
+        sourcePort: { side: "E" }, targetPort: { side: "W" },
+        obstacles: [rectOf("a", a), rectOf("b", b), wall]
+    });
+    assert.ok(points, "expected a route");
+    assertOrthogonal(points);
+    assert.deepStrictEqual(points[0], { x: 0, y: 0 });
+    assert.deepStrictEqual(points[points.length - 1], { x: 400, y: 0 });
+    assert.ok(!crosses(points.slice(1, -1), wall), "route runs through the wall");
+});
+
+test("orthogonal route is a straight line when nothing is in the way", () => {
+    const points = Routing.orthogonalRoute({
+        source: endpoint(0, 0), target: endpoint(300, 0),
+        sourcePort: { side: "E" }, targetPort: { side: "W" }, obstacles: []
+    });
+    assert.deepStrictEqual(points, [{ x: 0, y: 0 }, { x: 300, y: 0 }]);
+});
+
+test("assignPorts spreads parallel edges in the same order at both ends", () => {
+    const rects = { a: endpoint(0, 0), b: endpoint(300, 0) };
+    const ports = Routing.assignPorts([
+        { id: "e1", source: "a", target: "b" },
+        { id: "e2", source: "a", target: "b" },
+        { id: "e3", source: "b", target: "a" }
+    ], rects);
+    assert.strictEqual(ports.e1.source.side, "E");
+    assert.strictEqual(ports.e3.source.side, "W");
+    const atA = ["e1", "e2"].map(id => ports[id].source.offset).concat(ports.e3.target.offset);
+    assert.strictEqual(new Set(atA).size, 3, "ports on a's east side must differ");
+    assert.ok(ports.e1.source.offset < ports.e2.source.offset);
+    assert.ok(ports.e1.target.offset < ports.e2.target.offset);
+});
+
+test("route cache reuses routes until an obstacle near them moves", () => {
+    const cache = Routing.createRouteCache();
+    const a = endpoint(0, 0), b = endpoint(400, 0);
+    const far = { id: "far", x: 5000, y: 5000, width: 40, height: 40 };
+    const request = obstacles => ({
+        source: a, target: b, sourcePort: { side: "E" }, targetPort: { side: "W" }, obstacles
+    });
+    const first = cache.route("e", request([far]));
+    assert.strictEqual(cache.route("e", request([{ ...far, x: 6000 }])), first, "distant moves keep the route");
+    const blocker = { id: "far", x: 180, y: -40, width: 40, height: 80 };
+    const rerouted = cache.route("e", request([blocker]));
+    assert.notStrictEqual(rerouted, first);
+    assert.ok(!crosses(rerouted.slice(1, -1), blocker));
+    cache.prune([]);
+    assert.strictEqual(cache.size, 0);
+});
+
+test("fanOffsets separates parallel and antiparallel edges onto distinct arcs", () => {
+    const offsets = Routing.fanOffsets([
+        { id: "ab1", source: "a", target: "b" },
+        { id: "ab2", source: "a", target: "b" },
+        { id: "ba", source: "b", target: "a" },
+        { id: "ac", source: "a", target: "c" }
+    ]);
+    assert.strictEqual(offsets.ac, 0, "a lone edge stays straight");
+    const a = { x: 0, y: 0 }, b = { x: 300, y: 0 };
+    // Compare apex heights in a common frame: b -> a arcs are traced backwards.
+    const apex = (id, from, to) => Routing.arcPoints(from, to, offsets[id], 2)[1].y;
+    const heights = [apex("ab1", a, b), apex("ab2", a, b), apex("ba", b, a)];
+    assert.strictEqual(new Set(heights.map(h => h.toFixed(6))).size, 3, "arcs must not overlap: " + heights);
+});
+
+test("arcPoints starts and ends on the endpoints with the apex at the bulge", () => {
+    const points = Routing.arcPoints({ x: 0, y: 0 }, { x: 200, y: 0 }, 30, 4);
+    assert.strictEqual(points.length, 5);
+    assert.deepStrictEqual(points[0], { x: 0, y: 0 });
+    assert.deepStrictEqual(points[4], { x: 200, y: 0 });
+    assert.ok(Math.abs(Math.abs(points[2].y) - 30) < 1e-9);
+});
+
+test("bundleEdges pulls compatible edges together and leaves loners straight", () => {
+    const result = Routing.bundleEdges([
+        { id: "top", x1: 0, y1: 0, x2: 1000, y2: 0 },
+        { id: "bottom", x1: 0, y1: 100, x2: 1000, y2: 100 },
+        { id: "reverse", x1: 1000, y1: 50, x2: 0, y2: 50 },
+        { id: "cross", x1: 500, y1: -400, x2: 520, y2: -900 }
+    ]);
+    assert.ok(!("cross" in result), "perpendicular edge has no partner");
+    const mid = pts => pts[Math.floor(pts.length / 2)];
+    assert.ok(mid(result.top).y > 0, "top strand moves down");
+    assert.ok(mid(result.bottom).y < 100, "bottom strand moves up");
+    assert.ok(Math.abs(mid(result.reverse).y - 50) < 1, "the middle strand stays put");
+});
+
+test("assignPorts keeps pinned ports and spreads only the free ends", () => {
+    const rects = { a: endpoint(0, 0), b: endpoint(300, 0) };
+    const ports = Routing.assignPorts([
+        { id: "e1", source: "a", target: "b", sourcePort: { side: "S", offset: 10 } },
+        { id: "e2", source: "a", target: "b" }
+    ], rects);
+    assert.deepStrictEqual(ports.e1.source, { side: "S", offset: 10 });
+    assert.strictEqual(ports.e2.source.offset, 0, "the only free edge on a's east side stays centered");
+    assert.notStrictEqual(ports.e1.target.offset, ports.e2.target.offset);
+});
+
+test("orthogonal route leaves through a pinned port's side", () => {
+    const a = endpoint(0, 0), b = endpoint(300, 0);
+    const points = Routing.orthogonalRoute({
+        source: a, target: b,
+        sourcePort: { side: "N", offset: -10 }, targetPort: { side: "W" },
+        obstacles: [rectOf("a", a), rectOf("b", b)]
+    });
+    assertOrthogonal(points);
+    assert.deepStrictEqual(points[0], { x: -10, y: 0 });
+    assert.strictEqual(points[1].x, -10);
+    assert.ok(points[1].y < -20, "first segment heads north out of the node");
+});
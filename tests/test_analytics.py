@@ -64,6 +64,22 @@ def test_project_round_trip():
     assert got.get_json()["graph"]["nodes"].keys() == SAMPLE["nodes"].keys()
 
 
+def test_version_snapshot_can_be_read_without_restoring():
+    c = client()
+    pid = c.post("/api/projects", json={"name": "V", "graph": SAMPLE}).get_json()["id"]
+    changed = {"nodes": {"a": {"id": "a"}}, "edges": []}
+    c.put(f"/api/projects/{pid}", json={"graph": changed})
+    versions = c.get(f"/api/projects/{pid}/versions").get_json()["versions"]
+    oldest = versions[-1]
+    got = c.get(f"/api/projects/{pid}/versions/{oldest['id']}")
+    assert got.status_code == 200
+    assert got.get_json()["graph"]["nodes"].keys() == SAMPLE["nodes"].keys()
+    # Reading a version leaves the project itself alone.
+    assert c.get(f"/api/projects/{pid}").get_json()["graph"] == changed
+    assert c.get(f"/api/projects/{pid}/versions/999999").status_code == 404
+    assert client().get(f"/api/projects/{pid}/versions/{oldest['id']}").status_code in (403, 404)
+
+
 # --- Density, self-loops, and distance stats -------------------------------
 
 def test_stats_density_and_self_loops():
@@ -104,6 +120,73 @@ def test_analytics_rejects_list_nodes():
     assert r.status_code == 400
 
 
+def _ring_of_cliques(k, size):
+    nodes, edges = {}, []
+    for c in range(k):
+        for i in range(size):
+            nodes[f"c{c}n{i}"] = {"id": f"c{c}n{i}"}
+            edges += [{"source": f"c{c}n{i}", "target": f"c{c}n{j}"} for j in range(i)]
+        edges.append({"source": f"c{c}n0", "target": f"c{(c + 1) % k}n1"})
+    return {"nodes": nodes, "edges": edges}
+
+
+def test_centrality_louvain_and_leiden_find_cliques_with_modularity():
+    graph = _ring_of_cliques(6, 5)
+    for method in ("louvain", "leiden"):
+        body = {"graph": graph, "communities": {"method": method, "seed": 7}}
+        data = client().post("/api/centrality", json=body).get_json()
+        communities = data["communities"]
+        assert data["communityMethod"] == method
+        assert len(set(communities.values())) == 6
+        for c in range(6):
+            assert len({communities[f"c{c}n{i}"] for i in range(5)}) == 1
+        assert data["modularity"] > 0.7
+        # Same seed, same answer.
+        assert client().post("/api/centrality", json=body).get_json()["communities"] == communities
+
+
+def test_modularity_of_two_joined_triangles():
+    nodes = {n: {"id": n} for n in "abcdef"}
+    pairs = ["ab", "bc", "ca", "de", "ef", "fd", "cd"]
+    edges = [{"source": p[0], "target": p[1]} for p in pairs]
+    split = {"a": 0, "b": 0, "c": 0, "d": 1, "e": 1, "f": 1}
+    assert abs(node_mapper.compute_modularity(nodes, edges, split) - 5 / 14) < 1e-12
+
+
+def test_articulation_points_and_bridges_match_client():
+    # triangle a-b-c, bridge c-d, triangle d-e-f with pendant g, isolated z
+    nodes = {n: {"id": n} for n in "abcdefgz"}
+    pairs = ["ab", "bc", "ca", "cd", "de", "ef", "fd", "dg"]
+    edges = [{"id": f"e{i}", "source": p[0], "target": p[1]} for i, p in enumerate(pairs)]
+    graph = {"nodes": nodes, "edges": edges}
+    stats = client().post("/analytics", json={"graph": graph}).get_json()["stats"]
+    assert stats["articulationPoints"] == 2
+    assert stats["bridges"] == 2
+    assert stats["biconnectedComponents"] == 4
+    m = client().post("/api/centrality", json={"graph": graph}).get_json()["metrics"]
+    assert (m["c"]["articulation"], m["d"]["articulation"], m["a"]["articulation"]) == (1, 2, 0)
+    assert m["d"]["bridges"] == 2
+    articulation, bridges, blocks = node_mapper.compute_biconnectivity(nodes, edges)
+    assert sorted(bridges) == ["e3", "e7"]
+    assert len(blocks[0]["nodes"]) == 3
+
+
+def test_centrality_spectral_harmonic_and_core_measures():
+    nodes = {n: {"id": n} for n in "abc"}
+    edges = [
+        {"id": "ab", "source": "a", "target": "b", "directed": True, "weight": 2},
+        {"id": "bc", "source": "b", "target": "c", "directed": True},
+    ]
+    m = client().post("/api/centrality", json={"graph": {"nodes": nodes, "edges": edges}}).get_json()["metrics"]
+    # Weighted, directed harmonic closeness: a reaches b at 2 and c at 3.
+    assert m["a"]["harmonic"] == round((1 / 2 + 1 / 3) / 2, 6)
+    assert m["c"]["harmonic"] == 0
+    assert [m[n]["kcore"] for n in "abc"] == [1, 1, 1]
+    assert m["a"]["authority"] == 0 and m["c"]["hub"] == 0
+    assert abs(sum(m[n]["katz"] ** 2 for n in "abc") - 1) < 1e-5
+    assert m["c"]["eigenvector"] > m["a"]["eigenvector"]
+
+
 def test_centrality_rejects_bad_edges():
     r = client().post("/api/centrality", json={"graph": {"nodes": {}, "edges": {"nope": 1}}})
     assert r.status_code == 400
@@ -223,3 +306,35 @@ def test_transforms_are_deterministic():
     first = client().post("/api/transform", json=body).get_json()
     second = client().post("/api/transform", json=body).get_json()
     assert first == second
+
+
+# --- Transform parameters ---------------------------------------------------
+
+def test_transform_params_are_listed_with_types():
+    listing = {t["id"]: t for t in client().get("/api/transforms").get_json()["transforms"]}
+    count = next(p for p in listing["to_subdomains"]["params"] if p["name"] == "count")
+    assert count["type"] == "number" and count["default"] == 3 and count["min"] == 1
+    profile = listing["to_ports"]["params"][0]
+    assert profile["type"] == "enum" and "common" in profile["options"]
+    assert listing["geolocate"]["params"] == []
+
+
+def test_transform_params_change_results_and_clamp():
+    def run(tid, etype, value, params):
+        body = {"transformId": tid, "entity": {"type": etype, "value": value}, "params": params}
+        return client().post("/api/transform", json=body)
+    assert len(run("to_subdomains", "domain", "x.com", {}).get_json()["entities"]) == 3
+    assert len(run("to_subdomains", "domain", "x.com", {"count": 5}).get_json()["entities"]) == 5
+    assert len(run("to_subdomains", "domain", "x.com", {"count": 99}).get_json()["entities"]) == 6
+    ports = run("to_ports", "ipv4", "10.0.0.1", {"profile": "web"}).get_json()["entities"]
+    assert {e["value"] for e in ports} == {"80", "443", "8080", "8443"}
+    whois = run("whois", "domain", "x.com", {"include_phone": False}).get_json()
+    assert [e["type"] for e in whois["entities"]] == ["person"] and len(whois["links"]) == 1
+
+
+def test_invalid_transform_params_are_rejected():
+    body = {"transformId": "to_ports", "entity": {"type": "ipv4", "value": "10.0.0.1"}, "params": {"profile": "all"}}
+    r = client().post("/api/transform", json=body)
+    assert r.status_code == 400 and "profile" in r.get_json()["error"]
+    body = {"transformId": "to_url", "entity": {"type": "domain", "value": "x.com"}, "params": {"count": "many"}}
+    assert client().post("/api/transform", json=body).status_code == 400
@@ -0,0 +1,99 @@
+// Unit tests for the client-side transform registry (run with `node --test`).
+const test = require("node:test");
+const assert = require("node:assert");
+const T = require("../static/transforms.js");
+
+const graph = {
+    nodes: {
+        d: { id: "d", entityType: "domain", value: "acme.com", properties: { tld: "com" } },
+        ip: { id: "ip", entityType: "ipv4", value: "10.0.0.1" }
+    },
+    edges: [{ id: "e1", source: "d", target: "ip", label: "resolves" }]
+};
+
+test("registerTransform validates and lists client transforms", () => {
+    const seen = [];
+    const off = T.onTransformsChanged(d => seen.push(d && d.id));
+    const d = T.registerTransform({ id: "t_list", name: "List", inputTypes: ["domain"], run: () => ({ entities: [] }) });
+    assert.deepStrictEqual(d, { id: "t_list", name: "List", description: "", inputTypes: ["domain"], params: [], client: true });
+    assert.ok(T.listClientTransforms().some(t => t.id === "t_list"));
+    assert.throws(() => T.registerTransform({ id: "t_list", run() {} }), /already registered/);
+    assert.throws(() => T.registerTransform({ id: "t_norun" }), /run function/);
+    assert.ok(T.unregisterTransform("t_list"));
+    assert.ok(!T.hasClientTransform("t_list"));
+    off();
+    assert.deepStrictEqual(seen, ["t_list", null]);
+});
+
+test("client transforms see a read-only graph view and return normalized results", async () => {
+    T.registerTransform({
+        id: "t_neighbors",
+        inputTypes: ["domain"],
+        run(entity, { graph: view, params }) {
+            entity.value = "mutated";
+            view.entity("d").properties.tld = "mutated";
+            const around = view.neighbors(entity.id);
+            return {
+                entities: around.map(n => ({ type: "note", value: `${n.value} x${params.times}` })),
+                links: [{ label: "near" }]
+            };
+        }
+    });
+    const out = await T.runClientTransform("t_neighbors", { id: "d", type: "domain", value: "acme.com", properties: {} }, graph, { times: 2 });
+    assert.deepStrictEqual(out, { entities: [{ type: "note", value: "10.0.0.1 x2", properties: {} }], links: [{ label: "near" }] });
+    assert.strictEqual(graph.nodes.d.properties.tld, "com", "the view hands out copies");
+    assert.ok(Object.isFrozen(T.createGraphView(graph)));
+    assert.deepStrictEqual(T.createGraphView(graph).find("ipv4", " 10.0.0.1 ").id, "ip");
+    await assert.rejects(T.runClientTransform("t_neighbors", { id: "ip", type: "ipv4", value: "x" }, graph), /not valid/);
+});
+
+test("normalizeTransformResult rejects malformed plugin output", () => {
+    assert.throws(() => T.normalizeTransformResult("bad", null), /must return/);
+    assert.throws(() => T.normalizeTransformResult("bad", { entities: [{ type: "domain" }] }), /index 0/);
+    assert.deepStrictEqual(T.normalizeTransformResult("ok", { entities: [{ type: "domain", value: 5 }] }),
+        { entities: [{ type: "domain", value: "5", properties: {} }], links: [] });
+});
+
+test("resolveParams applies defaults, coerces form values and clamps ranges", () => {
+    const specs = [
+        { name: "count", type: "number", default: 3, min: 1, max: 6, integer: true },
+        { name: "profile", type: "enum", default: "common", options: ["common", "web"] },
+        { name: "phone", type: "boolean", default: true },
+        { name: "domain", type: "string", default: "example.com" }
+    ];
+    assert.deepStrictEqual(T.resolveParams(specs, {}), { count: 3, profile: "common", phone: true, domain: "example.com" });
+    assert.deepStrictEqual(T.resolveParams(specs, { count: "4.6", profile: "web", phone: "false", domain: " acme.io ", extra: 1 }),
+        { count: 5, profile: "web", phone: false, domain: "acme.io" });
+    assert.deepStrictEqual(T.resolveParams(specs, { count: 99, profile: "all", phone: "maybe", domain: "  " }),
+        { count: 6, profile: "common", phone: true, domain: "example.com" });
+    assert.strictEqual(T.resolveParams(specs, { count: "many" }).count, 3);
+});
+
+test("registerTransform rejects malformed params and runs with resolved ones", async () => {
+    assert.throws(() => T.registerTransform({ id: "t_bad", params: [{ name: "x", type: "date", default: 1 }], run() {} }), /unknown type/);
+    assert.throws(() => T.registerTransform({ id: "t_bad", params: [{ name: "x", type: "enum", default: "a", options: ["b"] }], run() {} }), /options/);
+    let seen = null;
+    T.registerTransform({
+        id: "t_params",
+        params: [{ name: "n", type: "number", default: 2, max: 4 }],
+        run: (entity, ctx) => { seen = ctx.params; return { entities: [] }; }
+    });
+    await T.runClientTransform("t_params", { id: "d", type: "domain", value: "acme.com" }, graph, { n: 10, limit: 5 });
+    assert.deepStrictEqual(seen, { n: 4, limit: 5 });
+    T.unregisterTransform("t_params");
+});
+
+test("selectTransformResult keeps accepted entities and links, pairing each entity with its link", () => {
+    const result = {
+        entities: [{ type: "ipv4", value: "1" }, { type: "ipv4", value: "2" }, { type: "ipv4", value: "3" }],
+        links: [{ label: "resolves_to" }]
+    };
+    assert.deepStrictEqual(T.linkFor(result, 2), { label: "resolves_to" });
+    const keep = { entities: [true, false, false], links: [false, true, true] };
+    // Entity 2 is rejected but already in the graph, so its link still merges;
+    // entity 3 is rejected and new, so its link has nothing to point at.
+    const picked = T.selectTransformResult(result, keep, [false, true, false]);
+    assert.deepStrictEqual(picked.entities.map(e => e.value), ["1", "2"]);
+    assert.deepStrictEqual(picked.links, [null, { label: "resolves_to" }]);
+    assert.deepStrictEqual(T.selectTransformResult(result, { entities: [], links: [] }), { entities: [], links: [] });
+});